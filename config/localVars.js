@@ -25,7 +25,9 @@
  */
 const MODEL_PROVIDERS = {
   OPENAI: 'openai',  // OpenAI GPT models
-  GOOGLE: 'google'    // Google Gemini models
+  GOOGLE: 'google',    // Google Gemini models
+  LOCAL: 'local', // Self-hosted OpenAI-compatible or Ollama server
+  MOCK: 'mock' // Record/replay fixtures for tests
 };
 
 // ====================================================================
@@ -161,8 +163,24 @@ const DEFAULT_ERROR_MESSAGE = process.env.QERRORS_DEFAULT_MESSAGE || 'An error o
 
 // AI Model Environment Variables
 const QERRORS_AI_PROVIDER = process.env.QERRORS_AI_PROVIDER || 'google';
-const QERRORS_AI_MODEL = process.env.QERRORS_AI_MODEL || 'gemini-3-flash-preview';
+// The Gemini default only applies to the google provider; others use their own default model
+const QERRORS_AI_MODEL = process.env.QERRORS_AI_MODEL || (QERRORS_AI_PROVIDER === 'google' ? 'gemini-3-flash-preview' : '');
 const QERRORS_MAX_TOKENS = process.env.QERRORS_MAX_TOKENS || '4096';
+const QERRORS_AI_PROVIDERS = process.env.QERRORS_AI_PROVIDERS || ''; // Failover chain, e.g. google:gemini-3-flash-preview,openai:gpt-4o-mini,local
+const QERRORS_AI_TIMEOUT_MS = process.env.QERRORS_AI_TIMEOUT_MS || '20000';
+const QERRORS_AI_FAILURE_THRESHOLD = process.env.QERRORS_AI_FAILURE_THRESHOLD || '3';
+const QERRORS_AI_COOLDOWN_MS = process.env.QERRORS_AI_COOLDOWN_MS || '60000';
+const QERRORS_ADVICE_MAX_REPAIRS = process.env.QERRORS_ADVICE_MAX_REPAIRS || '1'; // Re-asks for a reply that fails the advice schema
+const QERRORS_RULE_ADVICE = process.env.QERRORS_RULE_ADVICE !== 'false'; // Offline rule-based advice when AI cannot answer
+const QERRORS_AI_REDACTION_STRICT = process.env.QERRORS_AI_REDACTION_STRICT === 'true'; // Refuse prompts that still contain likely secrets after redaction
+
+// AI Budgets (empty means unlimited; costs use the currency of the price table, USD by default)
+const QERRORS_AI_BUDGET_HOURLY_TOKENS = process.env.QERRORS_AI_BUDGET_HOURLY_TOKENS || '';
+const QERRORS_AI_BUDGET_DAILY_TOKENS = process.env.QERRORS_AI_BUDGET_DAILY_TOKENS || '';
+const QERRORS_AI_BUDGET_HOURLY_COST = process.env.QERRORS_AI_BUDGET_HOURLY_COST || '';
+const QERRORS_AI_BUDGET_DAILY_COST = process.env.QERRORS_AI_BUDGET_DAILY_COST || '';
+const QERRORS_AI_BUDGET_FALLBACK = process.env.QERRORS_AI_BUDGET_FALLBACK === 'cache-only' ? 'cache-only' : 'rules';
+const QERRORS_AI_PRICING = process.env.QERRORS_AI_PRICING || ''; // JSON, e.g. {"openai:gpt-4o":{"input":2.5,"output":10}}
 const QERRORS_VERBOSE = process.env.QERRORS_VERBOSE === 'true';
 
 // Logging Environment Variables
@@ -178,6 +196,8 @@ const QERRORS_LOG_LEVEL = process.env.QERRORS_LOG_LEVEL || 'info';
 const QERRORS_CONCURRENCY = process.env.QERRORS_CONCURRENCY || '3';
 const QERRORS_CACHE_LIMIT = process.env.QERRORS_CACHE_LIMIT || '1000';
 const QERRORS_CACHE_TTL = process.env.QERRORS_CACHE_TTL || '300000';
+const QERRORS_ANALYSIS_COOLDOWN_MS = process.env.QERRORS_ANALYSIS_COOLDOWN_MS || '60000'; // No re-analysis of an issue after a null or failed result
+const QERRORS_FEEDBACK_EVICT_UNHELPFUL = process.env.QERRORS_FEEDBACK_EVICT_UNHELPFUL || '3'; // 'unhelpful' ratings (outnumbering 'helpful') that evict cached advice
 const QERRORS_QUEUE_LIMIT = process.env.QERRORS_QUEUE_LIMIT || '100';
 const QERRORS_SAFE_THRESHOLD = process.env.QERRORS_SAFE_THRESHOLD || '80';
 const QERRORS_RETRY_ATTEMPTS = process.env.QERRORS_RETRY_ATTEMPTS || '3';
@@ -189,6 +209,26 @@ const QERRORS_MAX_FREE_SOCKETS = process.env.QERRORS_MAX_FREE_SOCKETS || '10';
 const QERRORS_OPENAI_URL = process.env.QERRORS_OPENAI_URL || 'https://api.openai.com/v1/chat/completions';
 const QERRORS_METRIC_INTERVAL_MS = process.env.QERRORS_METRIC_INTERVAL_MS || '60000';
 
+// Local AI Provider
+const QERRORS_LOCAL_API = process.env.QERRORS_LOCAL_API === 'ollama' ? 'ollama' : 'openai';
+const QERRORS_LOCAL_BASE_URL = process.env.QERRORS_LOCAL_BASE_URL ||
+  (QERRORS_LOCAL_API === 'ollama' ? 'http://localhost:11434' : 'http://localhost:8000/v1');
+const QERRORS_LOCAL_MODELS = (process.env.QERRORS_LOCAL_MODELS || '').split(',').map(name => name.trim()).filter(Boolean);
+
+// Mock AI Provider (record/replay fixtures for tests)
+const QERRORS_MOCK_FIXTURES_DIR = process.env.QERRORS_MOCK_FIXTURES_DIR || 'fixtures/qerrors';
+const QERRORS_MOCK_MODE = process.env.QERRORS_MOCK_MODE === 'record' ? 'record' : 'replay';
+const QERRORS_MOCK_STRICT = process.env.QERRORS_MOCK_STRICT === 'true';
+const QERRORS_MOCK_UPSTREAM = process.env.QERRORS_MOCK_UPSTREAM || 'google'; // provider or provider:model recorded from
+
+// Source Maps
+const QERRORS_SOURCE_MAPS = process.env.QERRORS_SOURCE_MAPS !== 'false';
+const QERRORS_SOURCE_MAP_DIR = process.env.QERRORS_SOURCE_MAP_DIR || '';
+
+// Redaction Policy (logs, error responses and AI prompts)
+const QERRORS_REDACTION_POLICY = process.env.QERRORS_REDACTION_POLICY || ''; // Path of a JSON policy file, or inline JSON
+const QERRORS_REDACTION_HASH_KEY = process.env.QERRORS_REDACTION_HASH_KEY || ''; // HMAC key of the 'hash' strategy (plain SHA-256 when empty)
+
 // ====================================================================
 // CONFIGURATION DEFAULTS - Default values for AI models
 // ====================================================================
@@ -214,9 +254,45 @@ const CONFIG_DEFAULTS = {
     },
     defaultModel: 'gemini-3-flash-preview',
     requiredEnvVars: ['GEMINI_API_KEY']
+  },
+  // Catalog comes from QERRORS_LOCAL_MODELS; the first entry is the default
+  [MODEL_PROVIDERS.LOCAL]: {
+    models: Object.fromEntries(QERRORS_LOCAL_MODELS.map(name => [name, { maxTokens: 4096, temperature: 0.1, topP: 1 }])),
+    defaultModel: QERRORS_LOCAL_MODELS[0] || null,
+    requiredEnvVars: [],
+    baseUrl: QERRORS_LOCAL_BASE_URL,
+    api: QERRORS_LOCAL_API
+  },
+  // Replies come from fixture files; see lib/mockChatModel.js
+  [MODEL_PROVIDERS.MOCK]: {
+    models: { fixtures: { maxTokens: 4096, temperature: 0, topP: 1 } },
+    defaultModel: 'fixtures',
+    requiredEnvVars: [],
+    fixturesDir: QERRORS_MOCK_FIXTURES_DIR,
+    mode: QERRORS_MOCK_MODE,
+    strict: QERRORS_MOCK_STRICT,
+    upstream: QERRORS_MOCK_UPSTREAM
   }
 };
 
+/**
+ * Estimated list prices per million tokens, used for cost budgets
+ *
+ * Keys are provider:model. QERRORS_AI_PRICING overrides or extends these;
+ * models without a price count toward token budgets only.
+ */
+const AI_MODEL_PRICING = {
+  'openai:gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'openai:gpt-4o': { input: 2.5, output: 10 },
+  'openai:gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'google:gemini-3-flash-preview': { input: 0.5, output: 3 },
+  'google:gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+  'google:gemini-2.0-flash-exp': { input: 0.1, output: 0.4 },
+  'google:gemini-pro': { input: 0.5, output: 1.5 },
+  'google:gemini-1.5-pro': { input: 1.25, output: 5 },
+  'google:gemini-1.5-flash': { input: 0.075, output: 0.3 }
+};
+
 // ====================================================================
 // ERROR MAPPINGS - Type to status/severity conversion
 // ====================================================================
@@ -383,6 +459,8 @@ module.exports = {
   // AI Model Configuration
   MODEL_PROVIDERS,           // AI provider enumeration
   CONFIG_DEFAULTS,          // Configuration defaults
+  MODEL_CONFIGS: CONFIG_DEFAULTS, // Alias used by the AI model manager
+  AI_MODEL_PRICING, // Estimated prices for cost budgets
   
   // Circuit Breaker
   CircuitState,             // Circuit breaker states
@@ -411,6 +489,19 @@ module.exports = {
   QERRORS_AI_PROVIDER,      // AI provider setting
   QERRORS_AI_MODEL,         // AI model setting
   QERRORS_MAX_TOKENS,       // Token limit setting
+  QERRORS_AI_PROVIDERS, // Ordered provider failover chain
+  QERRORS_AI_TIMEOUT_MS, // Per-provider analysis timeout
+  QERRORS_AI_FAILURE_THRESHOLD, // Consecutive failures before a provider is skipped
+  QERRORS_AI_COOLDOWN_MS, // How long a failing provider is skipped
+  QERRORS_ADVICE_MAX_REPAIRS, // Re-asks per provider for schema-invalid advice
+  QERRORS_RULE_ADVICE, // Rule-based advice fallback (false disables)
+  QERRORS_AI_REDACTION_STRICT, // Refuse AI prompts with likely secrets left after redaction
+  QERRORS_AI_BUDGET_HOURLY_TOKENS, // Hosted-provider tokens per clock hour
+  QERRORS_AI_BUDGET_DAILY_TOKENS, // Hosted-provider tokens per UTC day
+  QERRORS_AI_BUDGET_HOURLY_COST, // Estimated spend per clock hour
+  QERRORS_AI_BUDGET_DAILY_COST, // Estimated spend per UTC day
+  QERRORS_AI_BUDGET_FALLBACK, // 'cache-only' or 'rules' once a budget is spent
+  QERRORS_AI_PRICING, // Price table overrides (JSON)
   QERRORS_VERBOSE,          // Verbose logging flag
   
   // Logging Environment Variables
@@ -426,6 +517,8 @@ module.exports = {
   QERRORS_CONCURRENCY,       // AI analysis concurrency limit
   QERRORS_CACHE_LIMIT,       // Advice cache size limit
   QERRORS_CACHE_TTL,         // Cache time-to-live
+  QERRORS_ANALYSIS_COOLDOWN_MS, // Retry delay for issues whose analysis failed
+  QERRORS_FEEDBACK_EVICT_UNHELPFUL, // Unhelpful ratings before advice is evicted
   QERRORS_QUEUE_LIMIT,        // Queue processing limit
   QERRORS_SAFE_THRESHOLD,     // Safe operation threshold
   QERRORS_RETRY_ATTEMPTS,    // API retry attempts
@@ -436,6 +529,25 @@ module.exports = {
   QERRORS_MAX_FREE_SOCKETS,   // Max free sockets
   QERRORS_OPENAI_URL,         // OpenAI API URL
   QERRORS_METRIC_INTERVAL_MS, // Metrics collection interval
+
+  // Local AI Provider
+  QERRORS_LOCAL_API, // 'openai' (chat completions) or 'ollama'
+  QERRORS_LOCAL_BASE_URL, // Base URL of the self-hosted model server
+  QERRORS_LOCAL_MODELS, // Model catalog for the local provider
+
+  // Mock AI Provider
+  QERRORS_MOCK_FIXTURES_DIR, // Fixture directory, one <fingerprint>.json per issue
+  QERRORS_MOCK_MODE, // 'replay' or 'record'
+  QERRORS_MOCK_STRICT, // Throw for prompts without a fixture
+  QERRORS_MOCK_UPSTREAM, // Provider recorded from in record mode
+
+  // Source Maps
+  QERRORS_SOURCE_MAPS, // Rewrite stack frames through source maps
+  QERRORS_SOURCE_MAP_DIR, // Extra directory searched for .map files
+
+  // Redaction Policy
+  QERRORS_REDACTION_POLICY, // Redaction policy file or inline JSON
+  QERRORS_REDACTION_HASH_KEY, // HMAC key for hashed redactions
   
   // Error Response Standards
   STANDARD_ERROR_RESPONSE,     // Standardized error response format
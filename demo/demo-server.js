@@ -110,7 +110,8 @@ async function handleApiRequest(req, res, pathname) {
       serverMetrics: serverMetrics,
       queueStats: queueStats,
       cacheSize: cache ? cache.size : 0,
-      circuitBreaker: circuitState
+      circuitBreaker: circuitState,
+      aiBudget: qerrors.getAIModelManager().getBudgetStatus()
     });
     return true;
   }
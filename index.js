@@ -16,6 +16,7 @@ const dependencyInterfaces = require('./lib/dependencyInterfaces');
 const entityGuards = require('./lib/entityGuards');
 const responseHelpers = require('./lib/responseHelpers');
 const circuitBreaker = require('./lib/circuitBreaker');
+const problemDetails = require('./lib/shared/problemDetails');
 
 // Export core functionality
 module.exports = qerrors;
@@ -36,9 +37,33 @@ module.exports.responseHelpers = responseHelpers;
 module.exports.circuitBreaker = circuitBreaker;
 
 // Export convenience functions from qerrors
-module.exports.logErrorWithSeverity = qerrors.logErrorWithSeverity || null;
-module.exports.handleControllerError = qerrors.handleControllerError || null;
-module.exports.withErrorHandling = qerrors.withErrorHandling || null;
+module.exports.logErrorWithSeverity = qerrors.logErrorWithSeverity;
+module.exports.handleControllerError = qerrors.handleControllerError;
+module.exports.withErrorHandling = qerrors.withErrorHandling;
+module.exports.addReporter = qerrors.addReporter;
+module.exports.removeReporter = qerrors.removeReporter;
+module.exports.getReporterStats = qerrors.getReporterStats;
+module.exports.getIssues = qerrors.getIssues;
+module.exports.getIssue = qerrors.getIssue;
+module.exports.rateAdvice = qerrors.rateAdvice;
+module.exports.getAdviceQuality = qerrors.getAdviceQuality;
+module.exports.feedbackHandler = qerrors.feedbackHandler;
+module.exports.adviceRouter = qerrors.adviceRouter;
+module.exports.getRedactionStats = qerrors.getRedactionStats;
+module.exports.getMissingMockFixtures = qerrors.getMissingMockFixtures;
+module.exports.addNormalizationRule = qerrors.addNormalizationRule;
+module.exports.removeNormalizationRule = qerrors.removeNormalizationRule;
+module.exports.normalizeMessage = qerrors.normalizeMessage;
+module.exports.parseStack = qerrors.parseStack;
+module.exports.configureSourceMaps = qerrors.configureSourceMaps;
+module.exports.validateAdvice = qerrors.validateAdvice;
+module.exports.ADVICE_SCHEMA = qerrors.ADVICE_SCHEMA;
+module.exports.registerPromptTemplate = qerrors.registerPromptTemplate;
+module.exports.removePromptTemplate = qerrors.removePromptTemplate;
+module.exports.getPromptTemplates = qerrors.getPromptTemplates;
+module.exports.addAdviceRule = qerrors.addAdviceRule;
+module.exports.removeAdviceRule = qerrors.removeAdviceRule;
+module.exports.ruleBasedAdvice = qerrors.ruleBasedAdvice;
 module.exports.generateErrorId = qerrors.generateErrorId;
 module.exports.extractContext = qerrors.extractContext;
 module.exports.cleanup = qerrors.cleanup;
@@ -76,6 +101,9 @@ module.exports.sanitizeContext = sanitization.sanitizeContext;
 module.exports.addCustomSanitizationPattern = sanitization.addCustomSanitizationPattern;
 module.exports.clearCustomSanitizationPatterns = sanitization.clearCustomSanitizationPatterns;
 module.exports.sanitizeWithCustomPatterns = sanitization.sanitizeWithCustomPatterns;
+module.exports.configureRedaction = sanitization.configureRedaction;
+module.exports.getRedactionDetectors = sanitization.getRedactionDetectors;
+module.exports.scanSensitiveData = sanitization.scanSensitiveData;
 
 // Export queue manager functions
 module.exports.createLimiter = queueManager.createLimiter;
@@ -147,6 +175,12 @@ module.exports.sendServerErrorResponse = responseHelpers.sendServerErrorResponse
 module.exports.createResponseHelper = responseHelpers.createResponseHelper;
 module.exports.globalErrorHandler = responseHelpers.globalErrorHandler;
 
+// Export RFC 9457 problem details helpers
+module.exports.PROBLEM_CONTENT_TYPE = problemDetails.PROBLEM_CONTENT_TYPE;
+module.exports.createProblemDetails = problemDetails.createProblemDetails;
+module.exports.sendProblemDetails = problemDetails.sendProblemDetails;
+module.exports.acceptsProblemDetails = problemDetails.acceptsProblemDetails;
+
 // Export utility functions
 module.exports.generateUniqueId = () => require('crypto').randomUUID();
 module.exports.verboseLog = (message) => console.log(`[VERBOSE] ${message}`);
\ No newline at end of file
@@ -21,6 +21,30 @@ export const {
   logErrorWithSeverity,
   handleControllerError,
   withErrorHandling,
+  addReporter,
+  removeReporter,
+  getReporterStats,
+  getIssues,
+  getIssue,
+  rateAdvice,
+  getAdviceQuality,
+  feedbackHandler,
+  adviceRouter,
+  getRedactionStats,
+  getMissingMockFixtures,
+  addNormalizationRule,
+  removeNormalizationRule,
+  normalizeMessage,
+  parseStack,
+  configureSourceMaps,
+  validateAdvice,
+  ADVICE_SCHEMA,
+  registerPromptTemplate,
+  removePromptTemplate,
+  getPromptTemplates,
+  addAdviceRule,
+  removeAdviceRule,
+  ruleBasedAdvice,
   generateErrorId,
   extractContext,
   cleanup,
@@ -52,6 +76,9 @@ export const {
   addCustomSanitizationPattern,
   clearCustomSanitizationPatterns,
   sanitizeWithCustomPatterns,
+  configureRedaction,
+  getRedactionDetectors,
+  scanSensitiveData,
   createLimiter,
   getQueueRejectCount,
   startQueueMetrics,
@@ -104,6 +131,10 @@ export const {
   sendServerErrorResponse,
   createResponseHelper,
   globalErrorHandler,
+  PROBLEM_CONTENT_TYPE,
+  createProblemDetails,
+  sendProblemDetails,
+  acceptsProblemDetails,
   generateUniqueId,
   verboseLog
 } = _mod;
@@ -0,0 +1,283 @@
+'use strict';
+
+/**
+ * AI Budget - Token accounting and spend limits for AI analysis
+ *
+ * Every model reply is accounted per provider:model from the LangChain
+ * response usage metadata (`usage_metadata`, or `response_metadata.tokenUsage`
+ * from older integrations). When a provider reports nothing, tokens are
+ * estimated from the text length (about four characters per token) and
+ * counted as estimated.
+ *
+ * Hosted providers count toward hourly and daily budgets, in tokens and/or
+ * estimated cost from a per-million-token price table (AI_MODEL_PRICING,
+ * extended by QERRORS_AI_PRICING). Windows are fixed: the current clock hour
+ * and the current UTC day. Self-hosted (local) models and the mock provider
+ * are accounted but never budgeted. Once any budget is spent, hosted entries in the provider chain
+ * are skipped until the window rolls over, and analysis degrades to
+ * `fallback`: 'cache-only' (cached advice only) or 'rules' (rule-based
+ * advice).
+ *
+ * Analyses run concurrently, so every call reserves its estimated tokens (the
+ * prompt plus RESERVED_OUTPUT_TOKENS of reply) before it starts, and calls
+ * checked meanwhile see that spend. The reply's usage replaces the
+ * reservation. A call that fails keeps its reservation, counted as estimated
+ * and failed: the provider may bill it but reports nothing. A call that times
+ * out is aborted and settled once it actually ends, with whatever usage it
+ * reports by then. A budget is overshot only by calls started just before it
+ * ran out, and by replies longer than their reservation.
+ */
+
+const { MODEL_PROVIDERS, MODEL_CONFIGS, AI_MODEL_PRICING } = require('../config/localVars');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const CHARS_PER_TOKEN = 4;
+// Reply tokens reserved per call; advice replies are usually a few hundred
+const RESERVED_OUTPUT_TOKENS = 1024;
+const LIMITS = [
+  ['hourlyTokens', 'hour', 'tokens'],
+  ['dailyTokens', 'day', 'tokens'],
+  ['hourlyCost', 'hour', 'cost'],
+  ['dailyCost', 'day', 'cost']
+];
+
+/**
+ * Positive number from an option or env string; anything else means no limit
+ */
+const toLimit = (value) => {
+  const limit = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(limit) && limit > 0 ? limit : null;
+};
+
+/**
+ * Parse QERRORS_AI_PRICING-style overrides; invalid JSON is ignored with a warning
+ */
+const parsePricing = (pricing) => {
+  if (!pricing) return {};
+  if (typeof pricing === 'object') return pricing;
+  try {
+    const parsed = JSON.parse(pricing);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    console.warn(`Ignoring QERRORS_AI_PRICING: ${error.message}`);
+    return {};
+  }
+};
+
+const count = (value) => (Number.isFinite(value) && value >= 0 ? value : null);
+
+/**
+ * Token usage reported on a LangChain (or LocalChatModel) response
+ * @param {object} response - Model reply
+ * @returns {{inputTokens: number, outputTokens: number}|null} null when the provider reported none
+ */
+const usageFromResponse = (response) => {
+  const usage = response?.usage_metadata;
+  if (usage && (count(usage.input_tokens) !== null || count(usage.output_tokens) !== null)) {
+    return { inputTokens: count(usage.input_tokens) || 0, outputTokens: count(usage.output_tokens) || 0 };
+  }
+  const tokenUsage = response?.response_metadata?.tokenUsage || response?.response_metadata?.usage;
+  if (tokenUsage) {
+    const inputTokens = count(tokenUsage.promptTokens ?? tokenUsage.prompt_tokens ?? tokenUsage.input_tokens);
+    const outputTokens = count(tokenUsage.completionTokens ?? tokenUsage.completion_tokens ?? tokenUsage.output_tokens);
+    if (inputTokens !== null || outputTokens !== null) return { inputTokens: inputTokens || 0, outputTokens: outputTokens || 0 };
+  }
+  return null;
+};
+
+const estimateTokens = (text) => Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+
+/**
+ * provider:model with the provider's default model filled in
+ */
+const usageKey = (entry) => `${entry.provider}:${entry.model || MODEL_CONFIGS[entry.provider]?.defaultModel || 'default'}`;
+
+const emptyWindow = (start) => ({ start, tokens: 0, cost: 0, requests: 0 });
+
+class AIBudget {
+  /**
+   * @param {object} [options]
+   * @param {number|string} [options.hourlyTokens] - Hosted-provider tokens per clock hour
+   * @param {number|string} [options.dailyTokens] - Hosted-provider tokens per UTC day
+   * @param {number|string} [options.hourlyCost] - Estimated spend per clock hour
+   * @param {number|string} [options.dailyCost] - Estimated spend per UTC day
+   * @param {'cache-only'|'rules'} [options.fallback='rules'] - What analysis degrades to once a budget is spent
+   * @param {object|string} [options.pricing] - Price overrides keyed by provider:model, { input, output } per million tokens
+   * @param {() => number} [options.now=Date.now] - Clock, injectable for tests
+   */
+  constructor (options = {}) {
+    this.configure(options);
+    this.now = options.now || Date.now;
+    this.reset();
+  }
+
+  /**
+   * Change limits, fallback or prices; usage so far is kept
+   */
+  configure (options = {}) {
+    this.limits = Object.fromEntries(LIMITS.map(([name]) => [name, toLimit(options[name])]));
+    this.fallback = options.fallback === 'cache-only' ? 'cache-only' : 'rules';
+    this.pricing = { ...AI_MODEL_PRICING, ...parsePricing(options.pricing) };
+  }
+
+  /**
+   * Forget all usage
+   */
+  reset () {
+    this.providers = new Map();
+    this.windows = { hour: emptyWindow(0), day: emptyWindow(0) };
+  }
+
+  /**
+   * Whether an entry counts toward budgets (self-hosted models and fixtures do not)
+   */
+  isMetered (entry) {
+    return entry.provider !== MODEL_PROVIDERS.LOCAL && entry.provider !== MODEL_PROVIDERS.MOCK;
+  }
+
+  /**
+   * Current hour and day windows, rolled over when their period has passed
+   */
+  currentWindows () {
+    const now = this.now();
+    const hour = Math.floor(now / HOUR_MS) * HOUR_MS;
+    const day = Math.floor(now / DAY_MS) * DAY_MS;
+    this.windows.hour.start !== hour && (this.windows.hour = emptyWindow(hour));
+    this.windows.day.start !== day && (this.windows.day = emptyWindow(day));
+    return this.windows;
+  }
+
+  /**
+   * Estimated cost of a reply, or 0 when the model has no price
+   */
+  costOf (entry, inputTokens, outputTokens) {
+    const price = this.pricing[usageKey(entry)];
+    if (!price) return 0;
+    return (inputTokens * (Number(price.input) || 0) + outputTokens * (Number(price.output) || 0)) / 1e6;
+  }
+
+  /**
+   * Account one model reply
+   * @param {{provider: string, model: string|null}} entry - Chain entry that replied
+   * @param {object} response - Model reply, read for usage metadata
+   * @param {string} prompt - Prompt sent, for estimates when no usage was reported
+   * @param {boolean} [failed=false] - The reply came too late to be used
+   * @returns {{inputTokens: number, outputTokens: number, estimated: boolean, cost: number}}
+   */
+  record (entry, response, prompt, failed = false) {
+    const reported = usageFromResponse(response);
+    const usage = reported || { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(response?.content) };
+    return this.account(entry, usage, !reported, failed);
+  }
+
+  /**
+   * Add usage to the provider totals and, for metered entries, the current windows
+   */
+  account (entry, usage, estimated, failed) {
+    const tokens = usage.inputTokens + usage.outputTokens;
+    const cost = this.costOf(entry, usage.inputTokens, usage.outputTokens);
+
+    const key = usageKey(entry);
+    const totals = this.providers.get(key) || { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, estimatedRequests: 0, failedRequests: 0, estimatedCost: 0 };
+    totals.requests++;
+    totals.inputTokens += usage.inputTokens;
+    totals.outputTokens += usage.outputTokens;
+    totals.totalTokens += tokens;
+    totals.estimatedCost += cost;
+    estimated && totals.estimatedRequests++;
+    failed && totals.failedRequests++;
+    this.providers.set(key, totals);
+
+    if (this.isMetered(entry)) {
+      for (const window of Object.values(this.currentWindows())) {
+        window.tokens += tokens;
+        window.cost += cost;
+        window.requests++;
+      }
+    }
+    return { ...usage, estimated, cost };
+  }
+
+  /**
+   * Reserve the estimated tokens of a call about to be made
+   * @param {{provider: string, model: string|null}} entry - Chain entry to be called
+   * @param {string} prompt - Prompt to be sent
+   * @returns {object} Reservation, for settle
+   */
+  reserve (entry, prompt) {
+    const usage = { inputTokens: estimateTokens(prompt), outputTokens: RESERVED_OUTPUT_TOKENS };
+    const reservation = { entry, prompt, usage, tokens: usage.inputTokens + usage.outputTokens, cost: this.costOf(entry, usage.inputTokens, usage.outputTokens), windows: [] };
+    if (this.isMetered(entry)) {
+      // Windows rolled over before settling are replaced, so releasing from them is harmless
+      reservation.windows = Object.values(this.currentWindows());
+      reservation.windows.forEach(window => {
+        window.tokens += reservation.tokens;
+        window.cost += reservation.cost;
+        window.requests++;
+      });
+    }
+    return reservation;
+  }
+
+  /**
+   * Replace a reservation with the call's usage
+   * @param {object} reservation - From reserve
+   * @param {object|null} response - Model reply, or null when the call failed
+   * @param {boolean} [failed] - The call timed out before the reply arrived
+   * @returns {{inputTokens: number, outputTokens: number, estimated: boolean, cost: number}}
+   */
+  settle (reservation, response, failed = false) {
+    reservation.windows.forEach(window => {
+      window.tokens -= reservation.tokens;
+      window.cost -= reservation.cost;
+      window.requests--;
+    });
+    reservation.windows = [];
+    return response
+      ? this.record(reservation.entry, response, reservation.prompt, failed)
+      : this.account(reservation.entry, reservation.usage, true, true);
+  }
+
+  /**
+   * Budgets spent in the current windows, e.g. ['hourlyTokens']
+   */
+  exhaustedLimits () {
+    const windows = this.currentWindows();
+    return LIMITS
+      .filter(([name, period, measure]) => this.limits[name] !== null && windows[period][measure] >= this.limits[name])
+      .map(([name]) => name);
+  }
+
+  /**
+   * Whether an entry may be called; self-hosted entries always may
+   */
+  canSpend (entry) {
+    return !this.isMetered(entry) || this.exhaustedLimits().length === 0;
+  }
+
+  /**
+   * Accounting for monitoring
+   * @returns {object} Limits, current windows with what remains, per-provider totals and the fallback mode
+   */
+  getStats () {
+    const windows = this.currentWindows();
+    const remaining = (name, period, measure) => (this.limits[name] === null ? null : Math.max(this.limits[name] - windows[period][measure], 0));
+    const exhausted = this.exhaustedLimits();
+    return {
+      limits: { ...this.limits },
+      hour: { ...windows.hour, remainingTokens: remaining('hourlyTokens', 'hour', 'tokens'), remainingCost: remaining('hourlyCost', 'hour', 'cost') },
+      day: { ...windows.day, remainingTokens: remaining('dailyTokens', 'day', 'tokens'), remainingCost: remaining('dailyCost', 'day', 'cost') },
+      exhausted: exhausted.length > 0,
+      exhaustedLimits: exhausted,
+      fallback: this.fallback,
+      providers: Object.fromEntries([...this.providers].map(([key, totals]) => [key, { ...totals }]))
+    };
+  }
+}
+
+module.exports = {
+  AIBudget,
+  usageFromResponse,
+  usageKey
+};
@@ -19,6 +19,8 @@
  * Supported Providers:
  * - OpenAI: GPT-4, GPT-4 Turbo, GPT-4o Mini with JSON response format
  * - Google: Gemini Pro with safety settings and content filtering
+ * - Local: self-hosted OpenAI-compatible or Ollama server (no API key required)
+ * - Mock: record/replay fixtures for tests (no API key required)
  * 
  * Security Features:
  * - API key format validation
@@ -29,7 +31,7 @@
 
 // Import LangChain model classes for different AI providers
 const { ChatOpenAI } = require('@langchain/openai');
-const { HumanMessage } = require('@langchain/core/messages');
+const { HumanMessage, SystemMessage, AIMessage } = require('@langchain/core/messages');
 
 // Google Generative AI is optional - require dynamically if available
 let ChatGoogleGenerativeAI;
@@ -45,6 +47,46 @@ const { verboseLog } = require('./utils');
 const localVars = require('../config/localVars');
 const { MODEL_PROVIDERS, CONFIG_DEFAULTS: MODEL_CONFIGS, QERRORS_MAX_TOKENS, QERRORS_VERBOSE } = localVars;
 const { getApiKey, isEncryptionAvailable } = require('./secureApiKeyManager');
+const { LocalChatModel } = require('./localChatModel');
+const { MockChatModel } = require('./mockChatModel');
+const { parseProviderChain, providerKey } = require('./aiProviderChain');
+
+/**
+ * Create a model for the local provider
+ *
+ * The server lives inside the caller's network, so the API key is optional
+ * and has no format requirements.
+ */
+const createLocalModel = (providerConfig, selectedModel, modelConfig, temperature, topP) => new LocalChatModel({
+  baseUrl: providerConfig.baseUrl,
+  api: providerConfig.api,
+  model: selectedModel,
+  apiKey: getApiKey(MODEL_PROVIDERS.LOCAL, { fallbackToEnv: true, checkExpiration: true }),
+  temperature,
+  topP,
+  maxTokens: parseInt(QERRORS_MAX_TOKENS || '0') || modelConfig.maxTokens,
+  timeoutMs: parseInt(localVars.QERRORS_TIMEOUT) || undefined
+});
+
+/**
+ * Create a model for the mock provider
+ *
+ * In record mode the upstream provider is created on first use, with the
+ * same analysis settings as when it is used directly.
+ */
+const createMockModel = (providerConfig) => {
+  const upstream = providerConfig.mode === 'record' ? parseProviderChain(providerConfig.upstream)[0] : null;
+  if (upstream && upstream.provider === MODEL_PROVIDERS.MOCK) {
+    throw new Error('QERRORS_MOCK_UPSTREAM must be a real provider, not mock');
+  }
+  return new MockChatModel({
+    fixturesDir: providerConfig.fixturesDir,
+    mode: providerConfig.mode,
+    strict: providerConfig.strict,
+    upstreamKey: upstream && providerKey(upstream),
+    createUpstream: upstream && (() => createAnalysisModel(upstream.provider, upstream.model))
+  });
+};
 
 /**
  * Create LangChain model instance with comprehensive configuration
@@ -66,7 +108,7 @@ const { getApiKey, isEncryptionAvailable } = require('./secureApiKeyManager');
  * 
  * @param {string} [provider=MODEL_PROVIDERS.GOOGLE] - AI provider to use
  * @param {string} [modelName=null] - Specific model name (uses provider default if null)
- * @returns {ChatOpenAI|ChatGoogleGenerativeAI} Configured LangChain model instance
+ * @returns {ChatOpenAI|ChatGoogleGenerativeAI|LocalChatModel|MockChatModel} Configured model instance
  * @throws {Error} When provider is unsupported, environment variables missing, or model invalid
  */
 const createLangChainModel = (provider = MODEL_PROVIDERS.GOOGLE, modelName = null) => {
@@ -76,6 +118,18 @@ const createLangChainModel = (provider = MODEL_PROVIDERS.GOOGLE, modelName = nul
     throw new Error(`Unsupported AI provider: ${provider}`);
   }
   
+  if (provider === MODEL_PROVIDERS.LOCAL) {
+    const selectedModel = modelName || providerConfig.defaultModel;
+    const modelConfig = providerConfig.models[selectedModel];
+    if (!modelConfig) {
+      throw new Error(`Unsupported model ${selectedModel} for provider ${provider}`);
+    }
+    return createLocalModel(providerConfig, selectedModel, modelConfig, modelConfig.temperature, modelConfig.topP);
+  }
+  if (provider === MODEL_PROVIDERS.MOCK) {
+    return createMockModel(providerConfig);
+  }
+
   // Get API key using secure manager (with fallback to environment variables)
   const apiKey = getApiKey(provider, { fallbackToEnv: true, checkExpiration: true });
   
@@ -280,7 +334,7 @@ function createGoogleAnalysisConfig(selectedModel, modelConfig, apiKey) {
  * 
  * @param {string} provider - AI provider to use
  * @param {string} modelName - Specific model name (required for analysis models)
- * @returns {ChatOpenAI|ChatGoogleGenerativeAI} Analysis-optimized model instance
+ * @returns {ChatOpenAI|ChatGoogleGenerativeAI|LocalChatModel|MockChatModel} Analysis-optimized model instance
  * @throws {Error} When provider or model is not supported
  */
 const createAnalysisModel = (provider, modelName) => {
@@ -295,6 +349,13 @@ const createAnalysisModel = (provider, modelName) => {
     throw new Error(`Unsupported model ${selectedModel} for provider ${provider}`);
   }
   
+  if (provider === MODEL_PROVIDERS.LOCAL) {
+    return createLocalModel(providerConfig, selectedModel, modelConfig, modelConfig.temperature, 1);
+  }
+  if (provider === MODEL_PROVIDERS.MOCK) {
+    return createMockModel(providerConfig);
+  }
+
   // Get API key using secure manager (with fallback to environment variables)
   const apiKey = getApiKey(provider, { fallbackToEnv: true, checkExpiration: true });
   
@@ -340,6 +401,8 @@ const createAnalysisModel = (provider, modelName) => {
  * - createLangChainModel: General purpose model creation with standard settings
  * - createAnalysisModel: Analysis-optimized model with enhanced creativity settings
  * - HumanMessage: LangChain message class for creating user messages
+ * - SystemMessage: LangChain message class for system instructions
+ * - AIMessage: LangChain message class for earlier model replies
  * 
  * Usage Patterns:
  * - Use createLangChainModel for general AI interactions
@@ -349,5 +412,7 @@ const createAnalysisModel = (provider, modelName) => {
 module.exports = {
   createLangChainModel,
   createAnalysisModel,
-  HumanMessage
+  HumanMessage,
+  SystemMessage,
+  AIMessage
 };
\ No newline at end of file
@@ -11,6 +11,10 @@
  * - Provides factory pattern for easy model switching via environment variables
  * - Includes graceful fallback when models are unavailable
  * - Supports both streaming and non-streaming responses
+ * - Fails over along an ordered provider chain (QERRORS_AI_PROVIDERS) with
+ *   per-provider health tracking, see aiProviderChain.js
+ * - Accounts tokens per provider and skips hosted providers once an hourly
+ *   or daily budget is spent, see aiBudget.js
  */
 
 const { commonImports } = require('./shared/imports');
@@ -18,10 +22,43 @@ const { verboseLog } = commonImports.logging();
 const localVars = require('../config/localVars');
 const qerrors = require('./qerrors');
 const { MODEL_PROVIDERS, MODEL_CONFIGS, QERRORS_AI_PROVIDER, QERRORS_AI_MODEL } = localVars;
-const { createLangChainModel, createAnalysisModel, HumanMessage } = require('./aiModelFactory');
+const { createLangChainModel, createAnalysisModel, HumanMessage, SystemMessage, AIMessage } = require('./aiModelFactory');
+const { parseProviderChain, providerKey, classifyProviderError, retryAfterMs, ProviderHealth } = require('./aiProviderChain');
+const { AIBudget } = require('./aiBudget');
+const { MockFixtureError } = require('./mockChatModel');
+const { validateAdvice, buildRepairPrompt } = require('./qerrorsAdviceSchema');
+const { redactPrompt, redactAdvice, recordRedactionStats, PromptRedactionError } = require('./qerrorsRedaction');
 const BoundedLRUCache = require('./shared/BoundedLRUCache');
 const LRUCache = require('lru-cache');
 
+/**
+ * Whether a prompt is a non-empty string or a structured prompt
+ */
+const isPrompt = (prompt) => (typeof prompt === 'string' && prompt.length > 0) ||
+  (Boolean(prompt) && typeof prompt === 'object' && ['system', 'instructions', 'report'].every(part => typeof prompt[part] === 'string'));
+
+/**
+ * All text of a prompt, for size checks and token estimates
+ */
+const promptText = (prompt) => (typeof prompt === 'string'
+  ? prompt
+  : [prompt.system, prompt.instructions, prompt.report, prompt.previousReply, prompt.followUp].filter(Boolean).join('\n\n'));
+
+/**
+ * LangChain messages for a prompt: a plain prompt is one user message; a structured
+ * prompt is the system instructions, the analysis instructions and the error report,
+ * so error data never shares a message with instructions. A repair adds the
+ * rejected reply as the model's own message, then the follow-up request.
+ */
+const toMessages = (prompt) => (typeof prompt === 'string'
+  ? [new HumanMessage(prompt)]
+  : [
+      ...(prompt.system ? [new SystemMessage(prompt.system)] : []),
+      new HumanMessage(prompt.instructions),
+      ...(prompt.report ? [new HumanMessage(prompt.report)] : []),
+      ...(prompt.followUp ? [new AIMessage(prompt.previousReply ?? ''), new HumanMessage(prompt.followUp)] : [])
+    ]);
+
 class AIModelManager {
   /**
    * Creates a new AI model manager
@@ -52,9 +89,82 @@ class AIModelManager {
       console.error('Error initializing AI Model Manager:', error.message);
       this.analysisModelCache = new Map(); // Fallback to Map
     }
+    this.attemptTimeoutMs = parseInt(localVars.QERRORS_AI_TIMEOUT_MS, 10) || 20000;
+    this.maxAdviceRepairs = Math.max(parseInt(localVars.QERRORS_ADVICE_MAX_REPAIRS, 10) || 0, 0);
+    this.providerHealth = new ProviderHealth({
+      failureThreshold: parseInt(localVars.QERRORS_AI_FAILURE_THRESHOLD, 10),
+      cooldownMs: parseInt(localVars.QERRORS_AI_COOLDOWN_MS, 10)
+    });
+    this.budget = new AIBudget({
+      hourlyTokens: localVars.QERRORS_AI_BUDGET_HOURLY_TOKENS,
+      dailyTokens: localVars.QERRORS_AI_BUDGET_DAILY_TOKENS,
+      hourlyCost: localVars.QERRORS_AI_BUDGET_HOURLY_COST,
+      dailyCost: localVars.QERRORS_AI_BUDGET_DAILY_COST,
+      fallback: localVars.QERRORS_AI_BUDGET_FALLBACK,
+      pricing: localVars.QERRORS_AI_PRICING
+    });
+    this.providerChain = [{ provider: this.currentProvider, model: this.currentModel }];
+    if (localVars.QERRORS_AI_PROVIDERS) {
+      try {
+        this.setProviderChain(localVars.QERRORS_AI_PROVIDERS);
+      } catch (error) {
+        console.warn(`Ignoring QERRORS_AI_PROVIDERS: ${error.message}`);
+      }
+    }
     this.initializeModel();
   }
 
+  /**
+   * Replace the provider failover chain
+   *
+   * The first entry becomes the current provider. Health is reset, so every
+   * entry starts with a closed circuit.
+   *
+   * @param {string|Array<string|{provider: string, model?: string|null}>} chain - e.g. 'google,openai:gpt-4o-mini,local'
+   * @returns {Array<{provider: string, model: string|null}>} The parsed chain
+   * @throws {Error} When a provider or model is unknown
+   */
+  setProviderChain (chain) {
+    this.providerChain = parseProviderChain(chain);
+    this.currentProvider = this.providerChain[0].provider;
+    this.currentModel = this.providerChain[0].model;
+    this.providerHealth.reset();
+    this.analysisModelCache.clear();
+    return this.getProviderChain();
+  }
+
+  /**
+   * Current failover chain, in order
+   */
+  getProviderChain () {
+    return this.providerChain.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Health of every chain entry, for monitoring
+   * @returns {Array<Object>} Entries with state, failure counts, cooldown end and last failure
+   */
+  getProviderStatus () {
+    return this.providerChain.map(entry => ({ ...entry, ...this.providerHealth.getStatus(providerKey(entry)) }));
+  }
+
+  /**
+   * Change AI budgets at runtime; options not given keep their current value
+   * @param {object} options - hourlyTokens, dailyTokens, hourlyCost, dailyCost (null removes a limit), fallback, pricing
+   * @returns {Object} Budget status, as getBudgetStatus
+   */
+  setBudget (options = {}) {
+    this.budget.configure({ ...this.budget.limits, fallback: this.budget.fallback, pricing: this.budget.pricing, ...options });
+    return this.getBudgetStatus();
+  }
+
+  /**
+   * Token accounting and budget state, for monitoring
+   */
+  getBudgetStatus () {
+    return this.budget.getStats();
+  }
+
   /**
    * Initialize the AI model with current provider settings
    */
@@ -82,6 +192,9 @@ class AIModelManager {
       this.currentModel = modelName;
       this.modelInstance = createLangChainModel(provider, modelName);
       this.analysisModelCache.clear();
+      // The new model leads the chain; the other entries stay as fallbacks
+      const head = { provider, model: modelName };
+      this.providerChain = [head, ...this.providerChain.filter(entry => providerKey(entry) !== providerKey(head))];
       verboseLog(`Switched to AI provider: ${provider}, model: ${modelName || 'default'}`);
       return true;
     } catch (error) {
@@ -136,208 +249,323 @@ class AIModelManager {
    * - Provide detailed logging for debugging AI issues
    * - Return null for any analysis failures to signal no advice available
    * 
-   * @param {string} errorPrompt - Formatted error context for AI analysis
-   * @returns {Promise<Object|null>} Parsed analysis advice or null if analysis fails
+   * @param {string|{system: string, instructions: string, report: string}} errorPrompt - Structured prompt from buildAnalysisPrompt
+   *   (system instructions, analysis instructions and the quoted error report, see qerrorsPromptTemplates), or a plain prompt
+   * @param {{fingerprint?: string, onStream?: Function}} [options] - Issue fingerprint, passed to models as invoke metadata (the mock provider keys fixtures by it);
+   *   `onStream` streams the reply from models that support it, see invokeWithTimeout
+   * @returns {Promise<Object|null>} Parsed analysis advice or null if analysis fails. The prompt is redacted
+   *   with the log sanitization policy before any provider sees it, and the advice text before it is returned;
+   *   advice records what was redacted as `promptRedactions` and `adviceRedactions` (`{ total, kinds, fields }`), see qerrorsRedaction
+   * @throws {MockFixtureError} When the strict mock provider has no fixture for the prompt
+   * @throws {PromptRedactionError} With QERRORS_AI_REDACTION_STRICT, when likely secrets remain after redaction
    */
-  async analyzeError(errorPrompt) {
+  async analyzeError(errorPrompt, options = {}) {
     try {
-      // Early validation - ensure we have a model available for analysis
-      if (!this.modelInstance) {
-        verboseLog('No AI model available for error analysis');
+      // Error data is quoted in the prompt's error report, not screened for patterns; only sizes are checked
+      const MAX_PROMPT_SIZE = 16 * 1024;
+      const MIN_PROMPT_LENGTH = 10; // Minimum meaningful content
+      if (!isPrompt(errorPrompt)) {
+        verboseLog('Invalid error prompt: must be a non-empty string or a structured prompt');
         return null;
       }
-      
-      // Validate input prompt size to prevent API abuse and memory issues
-      const MAX_PROMPT_SIZE = 8 * 1024; // 8KB limit for error prompts
-      if (!errorPrompt || typeof errorPrompt !== 'string') {
-        verboseLog('Invalid error prompt: must be a non-empty string');
+
+      const promptLength = promptText(errorPrompt).length;
+      if (promptLength > MAX_PROMPT_SIZE) {
+        verboseLog(`Error prompt too large (${promptLength} chars), rejecting request`);
         return null;
       }
-      
-      if (errorPrompt.length > MAX_PROMPT_SIZE) {
-        verboseLog(`Error prompt too large (${errorPrompt.length} bytes), rejecting request`);
+      if (promptLength < MIN_PROMPT_LENGTH) {
+        verboseLog(`Error prompt too short (${promptLength} chars), may be empty`);
         return null;
       }
-      
-      // Enhanced security validation for AI prompt injection attacks
-      const dangerousPatterns = [
-        // XSS and script injection patterns
-        /javascript:/gi,
-        /data:\s*(text\/html|application\/javascript)/gi,
-        /vbscript:/gi,
-        /<script[^>]*>[\s\S]*?<\/script>/gi,
-        /<iframe[^>]*>[\s\S]*?<\/iframe>/gi,
-        /<object[^>]*>[\s\S]*?<\/object>/gi,
-        /<embed[^>]*>[\s\S]*?<\/embed>/gi,
-        /<link[^>]*>[\s\S]*?<\/link>/gi,
-        /<meta[^>]*>[\s\S]*?<\/meta>/gi,
-        
-        // Event handler injection
-        /on\w+\s*=\s*["']?[^"']*["']?/gi,
-        /on\w+\s*:\s*[^;]*;?/gi,
-        
-        // CSS injection
-        /expression\s*\(/gi,
-        /@import\s+/gi,
-        /<style[^>]*>[\s\S]*?<\/style>/gi,
-        
-        // Protocol injection
-        /(?:https?|ftp|file|mailto|javascript|data|vbscript):\s*\/\/\S+/gi,
-        
-        // Prompt injection and control characters
-        /[\x00-\x1F\x7F]/g,
-        /(?:\bignore\b|\bskip\b|\bstop\b|\bterminate\b)\s+previous\b/gi,
-        /(?:\bsystem\b|\badmin\b|\broot\b)\s+(?:prompt|command|access)/gi,
-        
-        // SQL and command injection patterns
-        /(?:drop\s+table|delete\s+from|union\s+select|exec\s*\(|eval\s*\(|system\s*\()/gi,
-        
-        // Code execution attempts
-        /<%\s*[\s\S]*?\s*%>/g,
-        /\${[^}]*}/g,
-        /{{[^}]*}}/g,
-        
-        // Encoding bypass attempts
-        /\\u[0-9a-fA-F]{4}/g,
-        /%[0-9a-fA-F]{2}/g,
-        /&#\d+;/g,
-        
-        // Format string injection
-        /%[nsdx]/g
-      ];
-      
-      // Additional length checks to prevent prompt overflow
-      const MAX_PROMPT_LENGTH = 8000; // Conservative limit
-      const MIN_PROMPT_LENGTH = 10;   // Minimum meaningful content
-      
-      if (errorPrompt.length > MAX_PROMPT_LENGTH) {
-        verboseLog(`Error prompt too long (${errorPrompt.length} chars), truncating for security`);
-        errorPrompt = errorPrompt.substring(0, MAX_PROMPT_LENGTH);
+
+      // Mandatory outbound redaction: providers only ever see the redacted prompt
+      const { prompt, redactions } = redactPrompt(errorPrompt);
+      recordRedactionStats('prompts', redactions);
+      const advice = await this.analyzeWithFallback(prompt, options);
+      if (!advice) return null;
+
+      // Models can echo secrets that slipped past input redaction; nobody caches or sees the raw reply
+      const output = redactAdvice(advice);
+      recordRedactionStats('advice', output.redactions);
+      output.redactions.total > 0 && verboseLog(`Redacted ${output.redactions.total} value(s) from AI advice (${Object.keys(output.redactions.kinds).join(', ')})`);
+      return { ...output.advice, promptRedactions: redactions, adviceRedactions: output.redactions };
+    } catch (analysisError) {
+      // A refused prompt is expected in strict mode, not a failure to report
+      if (analysisError instanceof PromptRedactionError) {
+        recordRedactionStats('prompts', analysisError.redactions, true);
+        throw analysisError;
       }
-      
-      if (errorPrompt.length < MIN_PROMPT_LENGTH) {
-        verboseLog(`Error prompt too short (${errorPrompt.length} chars), may be empty or无效`);
-        return null;
+      qerrors(analysisError, 'aiModelManager.analyzeError.analysis', {
+        operation: 'ai_error_analysis',
+        provider: this.currentProvider,
+        model: this.currentModel
+      });
+      throw analysisError;
+    }
+  }
+
+  /**
+   * Try each healthy chain entry in order until one returns advice
+   *
+   * Entries whose circuit is open are skipped, as are hosted entries once an
+   * AI budget is spent. Every failure is classified
+   * and recorded against the entry's health before moving on. The advice
+   * records which provider produced it, and which entries were passed over:
+   *
+   *   advice.analyzedBy = { provider: 'openai', model: 'gpt-4o-mini', skipped: [{ provider: 'google', model: null, reason: 'rate_limit' }] }
+   *
+   * @param {string|object} errorPrompt - Validated prompt
+   * @param {{fingerprint?: string, onStream?: Function}} [options]
+   * @returns {Promise<Object|null>} Advice, or null when every entry failed or was skipped
+   */
+  async analyzeWithFallback (errorPrompt, options = {}) {
+    const skipped = [];
+    for (const entry of this.providerChain) {
+      const key = providerKey(entry);
+      if (!this.budget.canSpend(entry)) {
+        skipped.push({ provider: entry.provider, model: entry.model, reason: 'budget' });
+        continue;
       }
-      
-      // Check for dangerous patterns
-      const matchedPatterns = dangerousPatterns.filter(pattern => pattern.test(errorPrompt));
-      if (matchedPatterns.length > 0) {
-        verboseLog(`Error prompt contains ${matchedPatterns.length} potentially dangerous patterns, blocking request`);
-        
-        // Log sanitized version for debugging (remove sensitive data)
-        const sanitizedPrompt = errorPrompt
-          .replace(/password[=:]\s*\S+/gi, 'password=***')
-          .replace(/token[=:]\s*\S+/gi, 'token=***')
-          .replace(/key[=:]\s*\S+/gi, 'key=***')
-          .substring(0, 200); // First 200 chars only
-          
-        console.warn('AI prompt injection attempt detected:', {
-          patternCount: matchedPatterns.length,
-          sanitizedPrompt: sanitizedPrompt,
-          timestamp: new Date().toISOString()
-        });
-        
-        return null;
+      if (!this.providerHealth.canAttempt(key)) {
+        skipped.push({ provider: entry.provider, model: entry.model, reason: 'unhealthy' });
+        continue;
       }
-      
+
+      try {
+        verboseLog(`Analyzing error with ${key}`);
+        const advice = await this.invokeProvider(entry, errorPrompt, options);
+        this.providerHealth.recordSuccess(key);
+        verboseLog(`AI analysis completed successfully with ${key}`);
+        advice.analyzedBy = { provider: entry.provider, model: entry.model || MODEL_CONFIGS[entry.provider]?.defaultModel || null, skipped };
+        return advice;
+      } catch (attemptError) {
+        // A missing strict fixture fails the test rather than falling back
+        if (attemptError instanceof MockFixtureError) throw attemptError;
+        const classification = classifyProviderError(attemptError);
+        this.providerHealth.recordFailure(key, classification, attemptError, retryAfterMs(attemptError));
+        verboseLog(`AI provider ${key} failed (${classification}): ${attemptError.message}`);
+        skipped.push({ provider: entry.provider, model: entry.model, reason: classification });
+      }
+    }
+
+    verboseLog(`No AI provider produced advice (${skipped.map(item => `${item.provider}: ${item.reason}`).join(', ')})`);
+    return null;
+  }
+
+  /**
+   * Run one chain entry: create its model, invoke it with a timeout and validate the reply
+   *
+   * A reply that parses but does not match the advice schema is sent back to
+   * the same model with the validation errors, up to `maxAdviceRepairs` times.
+   *
+   * @returns {Promise<Object>} Schema-valid advice
+   * @throws {Error} Tagged with qerrorsClassification for configuration, timeout and unusable replies
+   */
+  async invokeProvider (entry, errorPrompt, options = {}) {
+    const analysisModel = this.getAnalysisModel(entry);
+    if (!analysisModel) {
+      throw Object.assign(new Error(`AI model for ${providerKey(entry)} could not be created`), { qerrorsClassification: 'configuration' });
+    }
+
+    let response = await this.invokeWithTimeout(analysisModel, errorPrompt, entry, options);
+    let result = validateAdvice(this.parseAdvice(response?.content, entry));
+    for (let repair = 0; !result.valid && repair < this.maxAdviceRepairs; repair++) {
+      verboseLog(`Re-asking ${providerKey(entry)} for schema-valid advice: ${result.errors.join('; ')}`);
+      response = await this.invokeWithTimeout(analysisModel, buildRepairPrompt(errorPrompt, response?.content, result.errors), entry, options);
+      result = validateAdvice(this.parseAdvice(response?.content, entry));
+    }
+
+    if (!result.valid) {
+      throw Object.assign(
+        new Error(`AI provider ${providerKey(entry)} returned no usable advice: ${result.errors.join('; ')}`),
+        { qerrorsClassification: 'invalid_response' }
+      );
+    }
+    return result.advice;
+  }
+
+  /**
+   * Invoke a model with one prompt, failing after attemptTimeoutMs; calls are accounted against the budget, failed ones included
+   *
+   * With `options.onStream` and a model that can stream (LangChain `stream()`),
+   * the reply is streamed: onStream receives `{ type: 'attempt', provider, model }`
+   * when the call starts, `{ type: 'token', text }` for every chunk and
+   * `{ type: 'end' }` when the reply is complete, failed or timed out.
+   *
+   * A call that times out is aborted through the `signal` call option, and
+   * nothing more of it reaches onStream. It keeps its budget reservation
+   * until it actually ends, since the provider may have billed it meanwhile.
+   */
+  async invokeWithTimeout (analysisModel, prompt, entry, options = {}) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const timeoutError = Object.assign(
+          new Error(`AI provider ${providerKey(entry)} timed out after ${this.attemptTimeoutMs}ms`),
+          { qerrorsClassification: 'timeout' }
+        );
+        reject(timeoutError);
+        controller.abort(timeoutError);
+      }, this.attemptTimeoutMs);
+      timer.unref && timer.unref();
+    });
+
+    const reservation = this.budget.reserve(entry, promptText(prompt));
+    const callOptions = { signal: controller.signal };
+    options.fingerprint && (callOptions.metadata = { qerrorsFingerprint: options.fingerprint });
+    let invocation = null;
+    let response = null;
+    try {
+      const messages = toMessages(prompt);
+      invocation = typeof options.onStream === 'function' && typeof analysisModel.stream === 'function'
+        ? this.streamReply(analysisModel, messages, callOptions, entry, options.onStream)
+        : analysisModel.invoke(messages, callOptions);
+      response = await Promise.race([invocation, timeout]);
+      return response;
+    } finally {
+      clearTimeout(timer);
+      if (controller.signal.aborted && invocation) {
+        Promise.resolve(invocation).then(
+          late => this.budget.settle(reservation, late, true),
+          () => this.budget.settle(reservation, null)
+        );
+      } else {
+        this.budget.settle(reservation, response);
+      }
+    }
+  }
+
+  /**
+   * Stream a model reply to onStream, resolving with the whole reply like invoke would
+   */
+  async streamReply (analysisModel, messages, callOptions, entry, onStream) {
+    const { signal } = callOptions;
+    // Cleared once the attempt ends or is aborted, so a dead attempt's tokens never follow a newer one's
+    let current = true;
+    const notify = (event) => {
+      if (!current) return;
       try {
-        verboseLog(`Analyzing error with ${this.currentProvider} model`);
+        onStream(event);
+      } catch (listenerError) {
+        verboseLog(`qerrors advice stream listener failed: ${listenerError.message}`);
+      }
+    };
+    const end = () => {
+      notify({ type: 'end' });
+      current = false;
+    };
+    signal.addEventListener('abort', end, { once: true });
+    notify({ type: 'attempt', provider: entry.provider, model: entry.model || MODEL_CONFIGS[entry.provider]?.defaultModel || null });
+
+    let reply = null;
+    let content = '';
+    try {
+      for await (const chunk of await analysisModel.stream(messages, callOptions)) {
+        if (signal.aborted) break;
+        const text = typeof chunk?.content === 'string'
+          ? chunk.content
+          : (Array.isArray(chunk?.content) ? chunk.content.map(part => part?.text || '').join('') : '');
+        content += text;
+        text && notify({ type: 'token', text });
+        // Message chunks concat into one message, merging usage metadata for the budget
+        reply = reply && typeof reply.concat === 'function' ? reply.concat(chunk) : (reply ? { ...reply, ...chunk } : chunk);
+      }
+    } finally {
+      signal.removeEventListener('abort', end);
+      end();
+    }
+    return typeof reply?.concat === 'function' ? reply : { ...reply, content };
+  }
+
+  /**
+   * Extract structured advice from a model reply
+   * @param {*} content - Reply content (usually a string)
+   * @param {{provider: string, model: string|null}} entry - Chain entry, for logging
+   * @returns {Object|null} Parsed advice or null
+   */
+  parseAdvice (content, entry) {
+    let advice = content;
+    
+    // Process string responses to extract structured JSON data
+    if (typeof advice === 'string') {
+      try {
+        // Limit response size to prevent memory issues
+        const MAX_RESPONSE_SIZE = 50 * 1024; // 50KB limit
+        if (advice.length > MAX_RESPONSE_SIZE) {
+          verboseLog(`AI response too large (${advice.length} bytes), truncating`);
+          advice = advice.substring(0, MAX_RESPONSE_SIZE);
+        }
         
-        // Create analysis-optimized model instance with enhanced creativity settings
-        const analysisModel = this.createAnalysisModel();
+        // Remove leading/trailing whitespace for consistent parsing
+        let cleanedAdvice = advice.trim();
         
-        // Format the error prompt for LangChain message structure
-        const messages = [new HumanMessage(errorPrompt)];
+        // Code block detection with single pass
+        const codeBlockStart = cleanedAdvice.indexOf('```');
+        const codeBlockEnd = cleanedAdvice.lastIndexOf('```');
         
-        // Invoke AI model - this is the actual API call to the AI provider
-        const response = await analysisModel.invoke(messages);
-        let advice = response.content;
+        if (codeBlockStart !== -1 && codeBlockEnd > codeBlockStart + 3) {
+          // Extract content between code blocks
+          const blockContent = cleanedAdvice.substring(codeBlockStart + 3, codeBlockEnd).trim();
+          
+          // Check if it's a JSON block
+          if (blockContent.startsWith('json')) {
+            cleanedAdvice = blockContent.slice(4).trim();
+          } else {
+            cleanedAdvice = blockContent;
+          }
+        }
         
-        // Process string responses to extract structured JSON data
-        if (typeof advice === 'string') {
-          try {
-            // Limit response size to prevent memory issues
-            const MAX_RESPONSE_SIZE = 50 * 1024; // 50KB limit
-            if (advice.length > MAX_RESPONSE_SIZE) {
-              verboseLog(`AI response too large (${advice.length} bytes), truncating`);
-              advice = advice.substring(0, MAX_RESPONSE_SIZE);
-            }
-            
-            // Remove leading/trailing whitespace for consistent parsing
-            let cleanedAdvice = advice.trim();
-            
-            // Code block detection with single pass
-            const codeBlockStart = cleanedAdvice.indexOf('```');
-            const codeBlockEnd = cleanedAdvice.lastIndexOf('```');
-            
-            if (codeBlockStart !== -1 && codeBlockEnd > codeBlockStart + 3) {
-              // Extract content between code blocks
-              const blockContent = cleanedAdvice.substring(codeBlockStart + 3, codeBlockEnd).trim();
-              
-              // Check if it's a JSON block
-              if (blockContent.startsWith('json')) {
-                cleanedAdvice = blockContent.slice(4).trim();
-              } else {
-                cleanedAdvice = blockContent;
-              }
-            }
-            
-            // Early validation for common JSON patterns
-            if (!cleanedAdvice.startsWith('{') || !cleanedAdvice.endsWith('}')) {
-              advice = null;
-            } else {
-              // Attempt to parse cleaned response as JSON
-              const parsedAdvice = JSON.parse(cleanedAdvice);
-              
-              // Validate parsed structure meets our expectations
-              if (parsedAdvice && typeof parsedAdvice === 'object' && !Array.isArray(parsedAdvice)) {
-                advice = parsedAdvice;
-              } else {
-                advice = null;
-              }
-            }
-          } catch (parseError) {
-            // JSON parsing failed - AI returned malformed or non-JSON response
-            qerrors(parseError, 'aiModelManager.analyzeError.parse', {
-              operation: 'ai_response_parsing',
-              provider: this.currentProvider,
-              model: this.currentModel,
-              responseLength: advice?.length || 0
-            });
-            verboseLog(`Failed to parse AI response as JSON: ${parseError.message}`);
+        // Early validation for common JSON patterns
+        if (!cleanedAdvice.startsWith('{') || !cleanedAdvice.endsWith('}')) {
+          advice = null;
+        } else {
+          // Attempt to parse cleaned response as JSON
+          const parsedAdvice = JSON.parse(cleanedAdvice);
+          
+          // Validate parsed structure meets our expectations
+          if (parsedAdvice && typeof parsedAdvice === 'object' && !Array.isArray(parsedAdvice)) {
+            advice = parsedAdvice;
+          } else {
             advice = null;
           }
         }
-        
-        verboseLog(`AI analysis completed successfully`);
-        return advice;
-      } catch (invokeError) {
-        qerrors(invokeError, 'aiModelManager.analyzeError.invoke', {
-          operation: 'ai_model_invocation',
-          provider: this.currentProvider,
-          model: this.currentModel,
-          promptLength: errorPrompt?.length || 0
+      } catch (parseError) {
+        // JSON parsing failed - AI returned malformed or non-JSON response
+        qerrors(parseError, 'aiModelManager.analyzeError.parse', {
+          operation: 'ai_response_parsing',
+          provider: entry.provider,
+          model: entry.model,
+          responseLength: advice?.length || 0
         });
-        throw invokeError;
+        verboseLog(`Failed to parse AI response as JSON: ${parseError.message}`);
+        advice = null;
       }
-    } catch (analysisError) {
-      qerrors(analysisError, 'aiModelManager.analyzeError.analysis', {
-        operation: 'ai_error_analysis',
-        provider: this.currentProvider,
-        model: this.currentModel
-      });
-      throw analysisError;
     }
+    
+    return advice;
+  }
+
+  /**
+   * Analysis model for a chain entry, cached between calls
+   */
+  getAnalysisModel (entry) {
+    const key = providerKey(entry);
+    const cached = this.analysisModelCache.get(key);
+    if (cached) return cached;
+    const analysisModel = this.createAnalysisModel(entry);
+    analysisModel && this.analysisModelCache.set(key, analysisModel);
+    return analysisModel;
   }
 
   /**
    * Create analysis model instance with optimized settings
    */
-  createAnalysisModel() {
+  createAnalysisModel(entry = { provider: this.currentProvider, model: this.currentModel }) {
     try {
       // Create model with analysis-specific settings
-      const analysisModel = createAnalysisModel(this.currentProvider, this.currentModel);
+      const analysisModel = createAnalysisModel(entry.provider, entry.model);
       
       // Configure for analysis (lower temperature for consistent responses)
       if (analysisModel && typeof analysisModel.temperature === 'undefined') {
@@ -348,8 +576,8 @@ class AIModelManager {
     } catch (error) {
       qerrors(error, 'aiModelManager.createAnalysisModel', {
         operation: 'analysis_model_creation',
-        provider: this.currentProvider,
-        model: this.currentModel
+        provider: entry.provider,
+        model: entry.model
       });
       return null;
     }
@@ -380,14 +608,15 @@ class AIModelManager {
   }
 
   /**
-   * Get cache statistics for monitoring
+   * Get cache statistics for monitoring, including AI token accounting (`budget`)
    */
   getCacheStats() {
     return {
       ...this.cacheStats,
       size: this.analysisModelCache.size,
       totalRequests: this.cacheStats.hits + this.cacheStats.misses,
-      hitRate: this.cacheStats.hits / (this.cacheStats.hits + this.cacheStats.misses) || 0
+      hitRate: this.cacheStats.hits / (this.cacheStats.hits + this.cacheStats.misses) || 0,
+      budget: this.getBudgetStatus()
     };
   }
 
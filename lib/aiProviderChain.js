@@ -0,0 +1,208 @@
+'use strict';
+
+/**
+ * AI Provider Chain - Ordered failover between AI providers
+ *
+ * Analysis walks an ordered list of provider/model entries, for example
+ *
+ *   QERRORS_AI_PROVIDERS=google:gemini-3-flash-preview,openai:gpt-4o-mini,local
+ *
+ * and returns the first usable advice. Each entry has its own health, kept as
+ * a small circuit breaker (CircuitState):
+ *
+ * - CLOSED: attempts pass through
+ * - OPEN: the entry is skipped until its cooldown ends (Retry-After when the
+ *   provider sent one)
+ * - HALF_OPEN: after the cooldown one trial attempt is let through; success
+ *   closes the circuit, failure opens it again
+ *
+ * Failures are classified before they count. Rate limits, rejected keys and
+ * broken configuration open the circuit at once; timeouts, network and server
+ * errors open it after `failureThreshold` in a row; a rejected request or an
+ * unparseable reply moves on to the next entry without counting against the
+ * provider's health.
+ */
+
+const { CircuitState, MODEL_CONFIGS } = require('../config/localVars');
+
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 60000;
+
+// Classifications that open the circuit immediately, and ones that never count
+const OPEN_IMMEDIATELY = new Set(['rate_limit', 'auth', 'configuration']);
+const NO_PENALTY = new Set(['bad_request', 'invalid_response']);
+
+const NETWORK_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE']);
+const TIMEOUT_CODES = new Set(['ETIMEDOUT', 'ECONNABORTED', 'ESOCKETTIMEDOUT']);
+
+/**
+ * Parse a provider chain
+ *
+ * Entries are `provider` or `provider:model`; everything after the first
+ * colon is the model, so Ollama tags such as `local:qwen2.5-coder:14b` work.
+ *
+ * @param {string|Array<string|{provider: string, model?: string|null}>} spec - Chain
+ * @returns {Array<{provider: string, model: string|null}>} Validated entries
+ * @throws {Error} When a provider or model is unknown, or the chain is empty
+ */
+const parseProviderChain = (spec) => {
+  const items = Array.isArray(spec) ? spec : String(spec || '').split(',');
+  const chain = items
+    .map(item => {
+      if (item && typeof item === 'object') return { provider: item.provider, model: item.model || null };
+      const text = String(item).trim();
+      if (!text) return null;
+      const separator = text.indexOf(':');
+      return separator === -1
+        ? { provider: text, model: null }
+        : { provider: text.substring(0, separator), model: text.substring(separator + 1) || null };
+    })
+    .filter(Boolean);
+
+  if (chain.length === 0) throw new Error('AI provider chain is empty');
+  for (const { provider, model } of chain) {
+    const providerConfig = MODEL_CONFIGS[provider];
+    if (!providerConfig) throw new Error(`Unsupported AI provider in chain: ${provider}`);
+    if (model && !providerConfig.models[model]) throw new Error(`Unsupported model ${model} for provider ${provider}`);
+  }
+  return chain;
+};
+
+/**
+ * Stable key of a chain entry, e.g. "openai:gpt-4o-mini" or "local:default"
+ */
+const providerKey = ({ provider, model }) => `${provider}:${model || 'default'}`;
+
+const statusOf = (error) => error?.status ?? error?.statusCode ?? error?.response?.status ?? null;
+
+/**
+ * Classify a failed provider attempt
+ * @param {Error} error - Error thrown by the attempt
+ * @returns {'rate_limit'|'auth'|'configuration'|'timeout'|'network'|'server'|'bad_request'|'invalid_response'|'unknown'}
+ */
+const classifyProviderError = (error) => {
+  if (error?.qerrorsClassification) return error.qerrorsClassification;
+  const status = Number(statusOf(error)) || null;
+  const message = String(error?.message || '');
+
+  if (status === 429 || /rate.?limit|quota|resource.?exhausted|too many requests/i.test(message)) return 'rate_limit';
+  if (status === 401 || status === 403 || /api key|unauthori[sz]ed|permission denied|forbidden/i.test(message)) return 'auth';
+  if (TIMEOUT_CODES.has(error?.code) || error?.name === 'TimeoutError' || /timed? ?out/i.test(message)) return 'timeout';
+  if (NETWORK_CODES.has(error?.code) || /network|socket hang up|fetch failed/i.test(message)) return 'network';
+  if (status >= 500) return 'server';
+  if (status >= 400) return 'bad_request';
+  return 'unknown';
+};
+
+/**
+ * Milliseconds the provider asked us to wait (Retry-After), or null
+ */
+const retryAfterMs = (error) => {
+  const headers = error?.response?.headers || error?.headers || {};
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+};
+
+/**
+ * Per-entry circuit breakers for a provider chain
+ */
+class ProviderHealth {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.failureThreshold=3] - Consecutive failures that open the circuit
+   * @param {number} [options.cooldownMs=60000] - How long an open circuit skips the entry
+   * @param {() => number} [options.now=Date.now] - Clock, injectable for tests
+   */
+  constructor (options = {}) {
+    this.failureThreshold = options.failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+    this.cooldownMs = options.cooldownMs || DEFAULT_COOLDOWN_MS;
+    this.now = options.now || Date.now;
+    this.entries = new Map();
+  }
+
+  entry (key) {
+    if (!this.entries.has(key)) {
+      this.entries.set(key, {
+        state: CircuitState.CLOSED,
+        consecutiveFailures: 0,
+        successes: 0,
+        failures: 0,
+        openUntil: null,
+        trialInFlight: false,
+        lastClassification: null,
+        lastError: null
+      });
+    }
+    return this.entries.get(key);
+  }
+
+  /**
+   * Whether the entry may be attempted now; moves OPEN to HALF_OPEN once cooled down
+   */
+  canAttempt (key) {
+    const health = this.entry(key);
+    if (health.state === CircuitState.OPEN) {
+      if (this.now() < health.openUntil) return false;
+      health.state = CircuitState.HALF_OPEN;
+    }
+    if (health.state === CircuitState.HALF_OPEN) {
+      if (health.trialInFlight) return false;
+      health.trialInFlight = true;
+    }
+    return true;
+  }
+
+  recordSuccess (key) {
+    const health = this.entry(key);
+    Object.assign(health, { state: CircuitState.CLOSED, consecutiveFailures: 0, openUntil: null, trialInFlight: false });
+    health.successes++;
+  }
+
+  /**
+   * @param {string} key - Entry key
+   * @param {string} classification - From classifyProviderError
+   * @param {Error} [error] - The failure, kept as lastError
+   * @param {number|null} [waitMs] - Provider-requested wait (Retry-After)
+   */
+  recordFailure (key, classification, error, waitMs = null) {
+    const health = this.entry(key);
+    const wasTrial = health.state === CircuitState.HALF_OPEN;
+    health.trialInFlight = false;
+    health.failures++;
+    health.lastClassification = classification;
+    health.lastError = error ? String(error.message || error) : null;
+
+    if (NO_PENALTY.has(classification)) {
+      // The provider answered; it just could not handle this request
+      wasTrial && (health.state = CircuitState.CLOSED);
+      return;
+    }
+
+    health.consecutiveFailures++;
+    if (wasTrial || OPEN_IMMEDIATELY.has(classification) || health.consecutiveFailures >= this.failureThreshold) {
+      health.state = CircuitState.OPEN;
+      health.openUntil = this.now() + (waitMs || this.cooldownMs);
+    }
+  }
+
+  /**
+   * Snapshot of one entry's health
+   */
+  getStatus (key) {
+    const { trialInFlight, ...status } = this.entry(key);
+    return { ...status };
+  }
+
+  reset () {
+    this.entries.clear();
+  }
+}
+
+module.exports = {
+  parseProviderChain,
+  providerKey,
+  classifyProviderError,
+  retryAfterMs,
+  ProviderHealth
+};
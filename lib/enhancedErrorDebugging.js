@@ -7,6 +7,7 @@
 
 const { randomUUID } = require('crypto');
 const { performance } = require('perf_hooks');
+const { parseStack } = require('./qerrorsStack');
 
 /**
  * Enhanced error handler with debugging capabilities
@@ -102,31 +103,14 @@ class EnhancedErrorHandler {
   analyzeStackTrace(stack) {
     if (!stack) return null;
     
-    const lines = stack.split('\\n').slice(0, 10);
-    const analyzed = lines.map((line, index) => {
-      const match = line.match(/at\s+(.+?)\s+\((.+?):(\d+):(\d+)\)/);
-      if (match) {
-        return {
-          index,
-          function: match[1],
-          file: match[2],
-          line: parseInt(match[3]),
-          column: parseInt(match[4]),
-          type: this.classifyStackLine(match[1])
-        };
-      }
-      
-      return {
-        index,
-        raw: line.trim(),
-        type: 'unknown'
-      };
-    });
+    const analyzed = parseStack(stack, { limit: 10 }).map((frame, index) => ({
+      index,
+      ...frame,
+      type: frame.async ? 'async' : this.classifyStackLine(frame.function || '')
+    }));
     
     // Extract key insights
-    const userCodeLines = analyzed.filter(line => 
-      line.type === 'user' && line.file && !line.file.includes('node_modules')
-    );
+    const userCodeLines = analyzed.filter(frame => frame.type === 'user' && frame.inApp);
     
     return {
       fullStack: analyzed,
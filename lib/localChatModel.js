@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Local Chat Model - Self-hosted LLM client for error analysis
+ *
+ * Talks to a model server inside your own network (vLLM, llama.cpp server,
+ * LM Studio, Ollama, ...) so stack traces never leave it. Two wire formats
+ * are supported:
+ *
+ * - 'openai': POST {baseUrl}/chat/completions (OpenAI chat-completions API)
+ * - 'ollama': POST {baseUrl}/api/chat (Ollama native API, non-streaming)
+ *
+ * The model exposes the same `invoke(messages)` shape as the LangChain chat
+ * models used for the hosted providers, resolving to `{ content }` plus
+ * LangChain-style `usage_metadata` when the server reports token counts, so
+ * the AI model manager treats it like any other provider. No API key is needed;
+ * when one is configured it is sent as a Bearer token.
+ */
+
+const axios = require('axios');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Convert LangChain messages (or plain strings) to chat API messages
+ */
+const toChatMessages = (messages) => (Array.isArray(messages) ? messages : [messages]).map(message => {
+  if (typeof message === 'string') return { role: 'user', content: message };
+  const type = typeof message._getType === 'function' ? message._getType() : message.role;
+  const role = type === 'system' ? 'system' : type === 'ai' || type === 'assistant' ? 'assistant' : 'user';
+  return { role, content: String(message.content) };
+});
+
+/**
+ * LangChain usage_metadata from server token counts, when reported
+ */
+const toUsageMetadata = (inputTokens, outputTokens) => {
+  if (!Number.isFinite(inputTokens) && !Number.isFinite(outputTokens)) return undefined;
+  const input = inputTokens || 0;
+  const output = outputTokens || 0;
+  return { input_tokens: input, output_tokens: output, total_tokens: input + output };
+};
+
+class LocalChatModel {
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl - Server base URL, e.g. http://llm.internal:8000/v1
+   * @param {string} options.model - Model name the server knows
+   * @param {'openai'|'ollama'} [options.api='openai'] - Wire format
+   * @param {string} [options.apiKey] - Optional Bearer token
+   * @param {number} [options.temperature]
+   * @param {number} [options.topP]
+   * @param {number} [options.maxTokens]
+   * @param {number} [options.timeoutMs=30000] - Request timeout
+   */
+  constructor (options = {}) {
+    if (!options.baseUrl) throw new Error('Local AI provider requires a base URL (QERRORS_LOCAL_BASE_URL)');
+    if (!options.model) throw new Error('Local AI provider requires a model name (QERRORS_LOCAL_MODELS)');
+
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.api = options.api === 'ollama' ? 'ollama' : 'openai';
+    this.model = options.model;
+    this.apiKey = options.apiKey || null;
+    this.temperature = options.temperature;
+    this.topP = options.topP;
+    this.maxTokens = options.maxTokens;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Send a chat request and return the reply text
+   * @param {Array<object>|string} messages - LangChain messages or a prompt
+   * @param {{signal?: AbortSignal}} [options] - LangChain call options; the signal cancels the request
+   * @returns {Promise<{content: string, usage_metadata?: object}>}
+   */
+  async invoke (messages, options = {}) {
+    const chatMessages = toChatMessages(messages);
+    const headers = { 'Content-Type': 'application/json' };
+    this.apiKey && (headers.Authorization = `Bearer ${this.apiKey}`);
+
+    if (this.api === 'ollama') {
+      const { data } = await axios.post(`${this.baseUrl}/api/chat`, {
+        model: this.model,
+        messages: chatMessages,
+        stream: false,
+        format: 'json',
+        options: { temperature: this.temperature, top_p: this.topP, num_predict: this.maxTokens }
+      }, { headers, timeout: this.timeoutMs, signal: options.signal });
+      return { content: data?.message?.content ?? '', usage_metadata: toUsageMetadata(data?.prompt_eval_count, data?.eval_count) };
+    }
+
+    const { data } = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages: chatMessages,
+      temperature: this.temperature,
+      top_p: this.topP,
+      max_tokens: this.maxTokens
+    }, { headers, timeout: this.timeoutMs, signal: options.signal });
+    return { content: data?.choices?.[0]?.message?.content ?? '', usage_metadata: toUsageMetadata(data?.usage?.prompt_tokens, data?.usage?.completion_tokens) };
+  }
+}
+
+module.exports = { LocalChatModel };
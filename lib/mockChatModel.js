@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * Mock Chat Model - Deterministic record/replay AI provider for tests
+ *
+ * With QERRORS_AI_PROVIDER=mock, analysis replies come from JSON fixtures
+ * instead of a hosted model, so the whole qerrors -> analyze -> cache ->
+ * respond flow runs offline and gives the same advice on every run.
+ *
+ * Fixtures live in QERRORS_MOCK_FIXTURES_DIR, one file per issue fingerprint
+ * (`<fingerprint>.json`, the id used by the issue store), holding the model
+ * reply as `content`. Fingerprints ignore line numbers and absolute paths, so
+ * fixtures recorded on one machine replay on another. Prompts sent without a
+ * fingerprint are keyed by a hash of the prompt.
+ *
+ * - replay (default): reply with the fixture. An unknown prompt fails the
+ *   attempt like a rejected request, so analysis falls back as usual; with
+ *   QERRORS_MOCK_STRICT=true it throws MockFixtureError instead, which is not
+ *   caught by failover: the record's advice is null, the error is logged and
+ *   a 'dropped' event carries it with code QERRORS_MOCK_FIXTURE_MISSING.
+ *   Either way the key is listed by getMissingMockFixtures, so a test
+ *   harness can fail the run.
+ * - record: forward the prompt to the QERRORS_MOCK_UPSTREAM provider and save
+ *   its reply as the fixture, replacing any earlier recording.
+ *
+ * Like LocalChatModel it exposes the LangChain `invoke(messages, options)`
+ * shape; the fingerprint arrives as `options.metadata.qerrorsFingerprint`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Thrown in strict replay mode for a prompt without a fixture
+ */
+class MockFixtureError extends Error {
+  constructor (message, fixtureFile, fixtureKey) {
+    super(message);
+    this.name = 'MockFixtureError';
+    this.code = 'QERRORS_MOCK_FIXTURE_MISSING';
+    this.fixtureFile = fixtureFile;
+    this.fixtureKey = fixtureKey;
+  }
+}
+
+// Keys replayed without a fixture since the last clear, in the order they were missed
+const missingFixtures = new Set();
+
+/**
+ * Fixture keys (issue fingerprints, or prompt hashes) replay found no fixture for
+ * @returns {string[]}
+ */
+const getMissingMockFixtures = () => [...missingFixtures];
+
+/**
+ * Forget the missing fixtures reported so far, e.g. between test files
+ */
+const clearMissingMockFixtures = () => missingFixtures.clear();
+
+/**
+ * Text of the prompt: the messages' contents, one after the other
+ */
+const promptOf = (messages) => (Array.isArray(messages) ? messages : [messages])
+  .map(message => (typeof message === 'string' ? message : String(message?.content ?? '')))
+  .join('\n\n');
+
+/**
+ * Fixture file name: the fingerprint, or a hash of the prompt
+ */
+const fixtureKey = (fingerprint, prompt) => (fingerprint
+  ? String(fingerprint).replace(/[^\w.-]/g, '_')
+  : `prompt-${crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 16)}`);
+
+/**
+ * Replies that are JSON objects are stored parsed, so fixtures read and diff well
+ */
+const toFixtureContent = (content) => {
+  if (typeof content !== 'string') return content ?? '';
+  try {
+    const parsed = JSON.parse(content);
+    return parsed && typeof parsed === 'object' ? parsed : content;
+  } catch (parseError) {
+    return content;
+  }
+};
+
+class MockChatModel {
+  /**
+   * @param {object} options
+   * @param {string} options.fixturesDir - Directory holding `<key>.json` fixtures
+   * @param {'replay'|'record'} [options.mode='replay']
+   * @param {boolean} [options.strict=false] - Throw MockFixtureError for unknown prompts
+   * @param {() => {invoke: Function}} [options.createUpstream] - Real model used in record mode
+   * @param {string} [options.upstreamKey] - provider:model of the upstream, stored in recordings
+   */
+  constructor (options = {}) {
+    if (!options.fixturesDir) throw new Error('Mock AI provider requires a fixtures directory (QERRORS_MOCK_FIXTURES_DIR)');
+    this.mode = options.mode === 'record' ? 'record' : 'replay';
+    if (this.mode === 'record' && typeof options.createUpstream !== 'function') {
+      throw new Error('Mock AI provider needs an upstream provider to record (QERRORS_MOCK_UPSTREAM)');
+    }
+    this.fixturesDir = path.resolve(options.fixturesDir);
+    this.strict = options.strict === true;
+    this.createUpstream = options.createUpstream;
+    this.upstreamKey = options.upstreamKey || null;
+    this.upstream = null;
+  }
+
+  /**
+   * Reply from the fixture for these messages, recording it first in record mode
+   * @param {Array<object>|string} messages - LangChain messages or a prompt
+   * @param {{metadata?: {qerrorsFingerprint?: string}}} [options]
+   * @returns {Promise<{content: *}>}
+   * @throws {MockFixtureError} In strict replay mode when no fixture exists
+   */
+  async invoke (messages, options = {}) {
+    const prompt = promptOf(messages);
+    const key = fixtureKey(options.metadata?.qerrorsFingerprint, prompt);
+    const file = path.join(this.fixturesDir, `${key}.json`);
+    if (this.mode === 'record') return this.record(messages, options, { key, file, prompt });
+
+    let fixture;
+    try {
+      fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (readError) {
+      readError.code === 'ENOENT' && missingFixtures.add(key);
+      const message = readError.code === 'ENOENT'
+        ? `No qerrors mock fixture for ${key} (${file}); record it with QERRORS_MOCK_MODE=record`
+        : `Unreadable qerrors mock fixture ${file}: ${readError.message}`;
+      if (this.strict) throw new MockFixtureError(message, file, key);
+      throw Object.assign(new Error(message), { qerrorsClassification: 'bad_request' });
+    }
+    return { content: fixture?.content ?? '' };
+  }
+
+  /**
+   * Ask the upstream model and save its reply as the fixture
+   */
+  async record (messages, options, { key, file, prompt }) {
+    this.upstream = this.upstream || this.createUpstream();
+    if (!this.upstream) throw new Error(`Mock AI provider could not create upstream model ${this.upstreamKey}`);
+    const response = await this.upstream.invoke(messages, options);
+    const fixture = {
+      key,
+      recordedWith: this.upstreamKey,
+      recordedAt: new Date().toISOString(),
+      prompt,
+      content: toFixtureContent(response?.content)
+    };
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+    return response;
+  }
+}
+
+module.exports = { MockChatModel, MockFixtureError, fixtureKey, getMissingMockFixtures, clearMissingMockFixtures };
@@ -8,6 +8,7 @@
 const { performance } = require('perf_hooks');
 const EventEmitter = require('events');
 const os = require('os');
+const { getRedactionStats } = require('./qerrorsRedaction');
 
 class ProductionMonitor extends EventEmitter {
   constructor(options = {}) {
@@ -435,7 +436,8 @@ class ProductionMonitor extends EventEmitter {
       alerts: {
         active: Array.from(this.alerts.values()).filter(alert => !alert.resolved),
         total: this.alerts.size
-      }
+      },
+      redaction: getRedactionStats() // Messages and advice checked, redacted and refused
     };
   }
 
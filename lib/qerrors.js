@@ -9,10 +9,38 @@
  */
 
 const { randomUUID } = require('crypto');
+const { STATUS_CODES } = require('http');
 const { ScalableErrorHandler } = require('./scalabilityFixes');
+const { getErrorEvents } = require('./qerrorsReporters');
+const { getIssueStore } = require('./qerrorsIssues');
+const { parseStack, getStackFrames, formatStack, formatFrame } = require('./qerrorsStack');
+const { attachSourceContext, formatSourceContext } = require('./qerrorsSourceContext');
+const { configureSourceMaps } = require('./qerrorsSourceMaps');
+const { validateAdvice, ADVICE_SCHEMA } = require('./qerrorsAdviceSchema');
+const { registerPromptTemplate, removePromptTemplate, getPromptTemplates } = require('./qerrorsPromptTemplates');
+const { addAdviceRule, removeAdviceRule, ruleBasedAdvice } = require('./qerrorsRuleAdvice');
+const { getAdviceQualityStats, createFeedbackHandler } = require('./qerrorsFeedback');
+const { createAdviceRouter } = require('./qerrorsAdviceStream');
+const { getRedactionStats } = require('./qerrorsRedaction');
+const { getMissingMockFixtures } = require('./mockChatModel');
+const { sanitizeMessage, sanitizeContext } = require('./sanitization');
+const { addNormalizationRule, removeNormalizationRule, normalizeMessage } = require('./qerrorsNormalization');
 const { getQueueRejectCount, getQueueLength } = require('./queueMetrics');
 const { clearAdviceCache, purgeExpiredAdvice, startAdviceCleanup, stopAdviceCleanup } = require('./qerrorsCache');
 const escapeHtml = require('escape-html');
+const logger = require('./logger');
+const { collectFieldErrors, createProblemDetails, wantsProblemDetails, sendProblemDetails } = require('./shared/problemDetails');
+const { ErrorSeverity, ERROR_STATUS_MAP, ERROR_SEVERITY_MAP, DEFAULT_MESSAGES } = require('../config/localVars');
+
+/**
+ * Winston level used for each error severity
+ */
+const SEVERITY_LOG_LEVELS = {
+  [ErrorSeverity.LOW]: 'info',
+  [ErrorSeverity.MEDIUM]: 'warn',
+  [ErrorSeverity.HIGH]: 'error',
+  [ErrorSeverity.CRITICAL]: 'error'
+};
 
 let scalableErrorHandler;
 let shutdownListenersAdded = false;
@@ -92,7 +120,7 @@ const generateErrorId = () => {
  *       requestId: req.id 
  *     };
  *     const safeContext = extractContext(error, context);
- *     // safeContext includes: timestamp, errorType, message, stack, userId, endpoint, requestId
+ *     // safeContext includes: timestamp, errorType, message, frames (parsed stack), userId, endpoint, requestId
  *     // safeContext excludes: password, token, apiKey (if present in context)
  *   }
  * });
@@ -107,7 +135,7 @@ const extractContext = (error, context = {}) => {
       timestamp: new Date().toISOString(),
       errorType: error.constructor.name,
       message: error.message,
-      stack: error.stack?.split('\n').slice(0, 10) || [],
+      frames: getStackFrames(error, 10),
       ...context
     };
 
@@ -126,39 +154,321 @@ const extractContext = (error, context = {}) => {
   }
 };
 
+/**
+ * Log a failure of qerrors itself along with the error it was handling
+ * @param {Error} handlingError - Failure raised while handling
+ * @param {Error} error - The original error
+ */
+const reportHandlingFailure = (handlingError, error) => {
+  console.error('qerrors failed to handle error:', handlingError.message);
+  if (error?.message) {
+    console.error('Original error:', error.message);
+  }
+  if (error?.stack) {
+    console.error(error.stack);
+  }
+};
+
 /**
  * Main qerrors error handler function
+ *
+ * Resolves with the stored error record without waiting for AI analysis.
+ * Analysis (fingerprinting, advice cache, AI model) continues in the
+ * background; its result is available via `record.adviceReady` or the
+ * `context.onAdvice(advice, record)` callback.
+ *
+ * @example
+ * const record = await qerrors(error, 'userService.load', { userId });
+ * const advice = await record.adviceReady; // null when no advice is available
+ *
  * @param {Error} error - The error to handle
  * @param {string} location - Where the error occurred
- * @param {object} context - Additional context
- * @returns {Promise<object|null>} Error analysis result
+ * @param {object} context - Additional context; `onAdvice` is taken as a callback and
+ *   `skipAnalysis: true` records the error without AI analysis
+ * @returns {Promise<object|null>} Error record, or null if handling failed
  */
 const qerrors = (error, location, context = {}) => {
   try {
     const handler = getScalableErrorHandler();
-    return handler.handleError(error, { ...context, location });
+    return handler.handleError(error, { ...context, location })
+      .catch(handlingError => {
+        reportHandlingFailure(handlingError, error);
+        return null;
+      });
   } catch (handlingError) {
-    console.error('qerrors failed to handle error:', handlingError.message);
-    if (error?.message) {
-      console.error('Original error:', error.message);
+    reportHandlingFailure(handlingError, error);
+    return Promise.resolve(null);
+  }
+};
+
+/**
+ * Resolve the HTTP status for an error
+ * Honors explicit statusCode/status values, then the ServiceError type mapping
+ * @param {Error} error - The error to inspect
+ * @returns {number} HTTP status code (400-599)
+ */
+const resolveStatusCode = (error) => {
+  const explicit = Number(error?.statusCode || error?.status);
+  if (Number.isInteger(explicit) && explicit >= 400 && explicit <= 599) {
+    return explicit;
+  }
+  return ERROR_STATUS_MAP[error?.type] || 500;
+};
+
+/**
+ * Resolve the severity for an error
+ * Uses an explicit severity, then ERROR_SEVERITY_MAP for typed errors; other
+ * client (4xx) errors are low severity.
+ * @param {Error} error - The error to inspect
+ * @param {number} [statusCode] - Resolved HTTP status, when known
+ * @returns {string} Severity from ErrorSeverity
+ */
+const resolveSeverity = (error, statusCode) => {
+  if (error?.severity && SEVERITY_LOG_LEVELS[error.severity]) {
+    return error.severity;
+  }
+  if (ERROR_SEVERITY_MAP[error?.type]) {
+    return ERROR_SEVERITY_MAP[error.type];
+  }
+  return statusCode && statusCode < 500 ? ErrorSeverity.LOW : ErrorSeverity.MEDIUM;
+};
+
+/**
+ * Log an error at the winston level matching its severity, then hand it to qerrors
+ *
+ * @example
+ * await logErrorWithSeverity(error, 'billing.charge', { invoiceId }, ErrorSeverity.HIGH);
+ *
+ * @param {Error} error - The error to log
+ * @param {string} functionName - Function or location where the error occurred
+ * @param {object} context - Additional context
+ * @param {string} [severity] - Severity from ErrorSeverity (derived from the error when omitted)
+ * @returns {Promise<object|null>} Error record from qerrors
+ */
+const logErrorWithSeverity = async (error, functionName, context = {}, severity) => {
+  const resolvedSeverity = SEVERITY_LOG_LEVELS[severity] ? severity : resolveSeverity(error);
+  const level = SEVERITY_LOG_LEVELS[resolvedSeverity];
+
+  try {
+    logger.log(level, `[${functionName}] ${error?.message || String(error)}`, {
+      severity: resolvedSeverity,
+      functionName,
+      errorName: error?.name,
+      stack: formatStack(getStackFrames(error, 20))
+    });
+  } catch (logError) {
+    console.error('Severity logging failed:', logError.message);
+  }
+
+  return qerrors(error, functionName, { ...context, severity: resolvedSeverity });
+};
+
+/**
+ * Log a controller error and send a typed JSON response
+ * Status comes from the error (statusCode/status or ServiceError type); 5xx
+ * messages are replaced unless a user message is supplied, and 5xx codes are
+ * always INTERNAL_ERROR so driver codes such as ECONNREFUSED stay server-side.
+ *
+ * @example
+ * catch (error) {
+ *   await handleControllerError(res, error, 'users.create', { body: req.body }, 'Could not create user');
+ * }
+ *
+ * @param {object} res - Express response object
+ * @param {Error} error - The error to handle
+ * @param {string} functionName - Controller where the error occurred
+ * @param {object} context - Additional context
+ * @param {string} [userMessage] - Message shown to the client
+ * @returns {Promise<{statusCode: number, response: object}>} The response that was (or would have been) sent
+ */
+const handleControllerError = async (res, error, functionName, context = {}, userMessage) => {
+  const statusCode = resolveStatusCode(error);
+  const severity = resolveSeverity(error, statusCode);
+  const record = await logErrorWithSeverity(error, functionName, context, severity);
+
+  const fallbackMessage = statusCode >= 500 ? DEFAULT_MESSAGES.INTERNAL_ERROR : error?.message;
+  const response = {
+    success: false,
+    error: {
+      code: statusCode >= 500 ? 'INTERNAL_ERROR' : error?.code || 'REQUEST_ERROR',
+      message: (typeof userMessage === 'string' && userMessage) || fallbackMessage || DEFAULT_MESSAGES.INTERNAL_ERROR,
+      type: error?.type || (statusCode >= 500 ? 'system' : 'client'),
+      severity,
+      errorId: record?.id,
+      timestamp: new Date().toISOString()
     }
-    if (error?.stack) {
-      console.error(error.stack);
+  };
+
+  if (res && !res.headersSent) {
+    res.status(statusCode).json(response);
+  }
+  return { statusCode, response };
+};
+
+/**
+ * Run an operation and capture its failure with location metadata
+ * Rethrows the original error unless a fallback value is supplied.
+ *
+ * @example
+ * const profile = await withErrorHandling(() => api.getProfile(id), 'profile.load', { id }, null);
+ *
+ * @param {Function} operation - Sync or async function to run
+ * @param {string} operationName - Location reported to qerrors
+ * @param {object} context - Additional context
+ * @param {*} [fallback] - Value returned on failure; the error is rethrown when undefined
+ * @returns {Promise<*>} Operation result or fallback
+ */
+const withErrorHandling = async (operation, operationName, context = {}, fallback) => {
+  try {
+    return await operation();
+  } catch (error) {
+    await logErrorWithSeverity(error, operationName, {
+      ...context,
+      operation: operationName,
+      fallbackUsed: fallback !== undefined
+    });
+    if (fallback !== undefined) {
+      return fallback;
     }
-    return null;
+    throw error;
+  }
+};
+
+/**
+ * Normalize middleware options
+ * @param {object} options - Options passed to qerrorsMiddleware
+ * @returns {object} Resolved settings
+ */
+const resolveMiddlewareOptions = (options = {}) => {
+  const env = process.env.NODE_ENV;
+  const exposeMessages = options.exposeMessages === undefined
+    ? (_error, statusCode) => statusCode < 500 || env !== 'production'
+    : options.exposeMessages;
+
+  return {
+    exposeMessages: typeof exposeMessages === 'function' ? exposeMessages : () => Boolean(exposeMessages),
+    includeAdvice: options.includeAdvice === undefined ? env === 'development' : Boolean(options.includeAdvice),
+    includeStack: options.includeStack === undefined ? env === 'development' : Boolean(options.includeStack),
+    adviceTimeoutMs: Number.isFinite(options.adviceTimeoutMs) ? options.adviceTimeoutMs : 2000,
+    skipAnalysisFor4xx: Boolean(options.skipAnalysisFor4xx),
+    format: options.format || 'auto',
+    typeBaseUri: options.typeBaseUri,
+    renderers: options.renderers || {}
+  };
+};
+
+/**
+ * Wait for advice on a record, giving up after the timeout
+ * @param {object} record - Error record from the handler
+ * @param {number} timeoutMs - Maximum wait
+ * @returns {Promise<object|null>} Advice or null
+ */
+const waitForAdvice = (record, timeoutMs) => {
+  if (record?.advice) return Promise.resolve(record.advice);
+  if (!record?.adviceReady) return Promise.resolve(null);
+
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), timeoutMs);
+    timer.unref && timer.unref();
+  });
+  return Promise.race([record.adviceReady, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Build the renderer-agnostic error payload
+ *
+ * Exposed messages and field errors go through the redaction policy, like logs.
+ *
+ * @param {Error} error - The error being handled
+ * @param {object} record - Error record from the handler
+ * @param {object} details - Resolved statusCode and severity
+ * @param {object} settings - Resolved middleware settings
+ * @returns {Promise<object>} Error payload
+ */
+const buildErrorPayload = async (error, record, { statusCode, severity }, settings) => {
+  const title = STATUS_CODES[statusCode] || 'Error';
+  const payload = {
+    statusCode,
+    severity,
+    title,
+    message: settings.exposeMessages(error, statusCode) ? sanitizeMessage(String(error?.message || title)) : title,
+    errorId: record?.id,
+    timestamp: new Date().toISOString(),
+    error
+  };
+  error?.type && (payload.errorType = error.type);
+  const fieldErrors = collectFieldErrors(error);
+  fieldErrors && (payload.errors = sanitizeContext(fieldErrors));
+  settings.includeStack && (payload.frames = record?.frames || attachSourceContext(getStackFrames(error, 10)));
+  if (settings.includeAdvice) {
+    const advice = await waitForAdvice(record, settings.adviceTimeoutMs);
+    advice && (payload.advice = advice);
+  }
+  return payload;
+};
+
+/**
+ * Send the payload through a custom renderer or the built-in HTML/JSON/problem ones
+ *
+ * Problem details win when forced by `format: 'problem'` or when the Accept
+ * header lists application/problem+json; otherwise HTML or JSON is negotiated.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {object} payload - Error payload
+ * @param {object} settings - Resolved middleware settings
+ */
+const renderError = (req, res, payload, settings) => {
+  const format = wantsProblemDetails(req, settings.format)
+    ? 'problem'
+    : (settings.format !== 'problem' && req.accepts('html') ? 'html' : 'json');
+  const renderer = settings.renderers[format];
+  if (typeof renderer === 'function') {
+    renderer(req, res, payload);
+  } else if (format === 'problem') {
+    sendProblemError(req, res, payload, settings);
+  } else if (format === 'html') {
+    sendHtmlError(res, payload);
+  } else {
+    sendJsonError(res, payload);
   }
 };
 
 /**
  * Express middleware for error handling
+ *
+ * Responds with the error's own status (`statusCode`/`status`, or the
+ * ServiceError type mapping) instead of a blanket 500.
+ *
+ * @example
+ * app.use(qerrors.middleware({
+ *   exposeMessages: (err, status) => status < 500,
+ *   includeAdvice: process.env.NODE_ENV === 'development',
+ *   skipAnalysisFor4xx: true,
+ *   format: 'auto',
+ *   renderers: { html: (req, res, payload) => res.status(payload.statusCode).render('error', payload) }
+ * }));
+ *
  * @param {object} options - Middleware options
+ * @param {boolean|function} [options.exposeMessages] - Show error messages to clients; a function receives (error, statusCode). Defaults to 4xx always, 5xx outside production
+ * @param {boolean} [options.includeAdvice] - Include AI advice in responses (defaults to NODE_ENV === 'development')
+ * @param {boolean} [options.includeStack] - Include parsed stack frames in the payload and HTML page (defaults to NODE_ENV === 'development')
+ * @param {number} [options.adviceTimeoutMs=2000] - How long to wait for advice when includeAdvice is on
+ * @param {boolean} [options.skipAnalysisFor4xx=false] - Record client errors without AI analysis
+ * @param {'auto'|'problem'|'json'} [options.format='auto'] - 'problem' always sends RFC 9457 problem details, 'json' never does, 'auto' follows the Accept header
+ * @param {string} [options.typeBaseUri] - Base URI for problem `type` members (joined with the error type); 'about:blank' when unset
+ * @param {{html?: function, json?: function, problem?: function}} [options.renderers] - Custom renderers called with (req, res, payload)
  * @returns {function} Express middleware function
  */
 const qerrorsMiddleware = (options = {}) => {
   const handler = getScalableErrorHandler();
+  const settings = resolveMiddlewareOptions(options);
 
   return (error, req, res, next) => {
     try {
+      const statusCode = resolveStatusCode(error);
+      const severity = resolveSeverity(error, statusCode);
       const context = extractContext(error, {
         url: req.url,
         method: req.method,
@@ -166,17 +476,24 @@ const qerrorsMiddleware = (options = {}) => {
         ip: req.ip || req.connection.remoteAddress
       });
 
-      handler.handleError(error, { location: 'express.middleware', ...context })
-        .then(result => {
+      handler.handleError(error, {
+        location: 'express.middleware',
+        ...context,
+        statusCode,
+        severity,
+        skipAnalysis: settings.skipAnalysisFor4xx && statusCode < 500
+      })
+        .then(async record => {
           if (res.headersSent) {
             if (next) next(error);
             return;
           }
-          if (req.accepts('html')) {
-            sendHtmlError(res, error, result);
-          } else {
-            sendJsonError(res, error, result);
+          const payload = await buildErrorPayload(error, record, { statusCode, severity }, settings);
+          if (res.headersSent) {
+            if (next) next(error);
+            return;
           }
+          renderError(req, res, payload, settings);
         })
         .catch(middlewareError => {
           console.error('Middleware error:', middlewareError);
@@ -200,12 +517,20 @@ const qerrorsMiddleware = (options = {}) => {
 /**
  * Send HTML error response
  * @param {object} res - Express response object
- * @param {Error} error - The error
- * @param {object} analysis - Error analysis
+ * @param {object} payload - Error payload from buildErrorPayload
  */
-const sendHtmlError = (res, error, analysis) => {
-  const errorId = analysis?.errorId || 'N/A';
-  res.status(500)
+const sendHtmlError = (res, payload) => {
+  const adviceBlock = payload.advice
+    ? `\n  <h2>Advice</h2>\n  <pre>${escapeHtml(JSON.stringify(payload.advice, null, 2))}</pre>`
+    : '';
+  const stackBlock = payload.frames?.length
+    ? `\n  <h2>Stack</h2>\n  <pre>${escapeHtml(formatStack(payload.frames))}</pre>`
+    : '';
+  const sourceBlock = (payload.frames || [])
+    .filter(frame => frame.sourceContext)
+    .map(frame => `\n  <h3>${escapeHtml(formatFrame(frame))}</h3>\n  <pre>${escapeHtml(formatSourceContext(frame))}</pre>`)
+    .join('');
+  res.status(payload.statusCode)
     .set('Content-Type', 'text/html')
     .send(`<!DOCTYPE html>
 <html>
@@ -213,9 +538,9 @@ const sendHtmlError = (res, error, analysis) => {
   <title>Error</title>
 </head>
 <body>
-  <h1>Internal Server Error</h1>
-  <p>Error ID: ${errorId}</p>
-  <pre>${escapeHtml(error.message || 'Unknown error')}</pre>
+  <h1>${escapeHtml(payload.title)}</h1>
+  <p>Error ID: ${escapeHtml(payload.errorId || 'N/A')}</p>
+  <pre>${escapeHtml(payload.message)}</pre>${stackBlock}${sourceBlock}${adviceBlock}
 </body>
 </html>`);
 };
@@ -226,22 +551,52 @@ const sendHtmlError = (res, error, analysis) => {
  * 
  * @example
  * // Usage in Express route
- * const error = new Error('Database connection failed');
- * const analysis = { errorId: 'abc123' };
- * sendJsonError(res, error, analysis);
- * // Response: { "error": "Internal Server Error", "errorId": "abc123", "message": "...", "timestamp": "..." }
+ * sendJsonError(res, { statusCode: 404, title: 'Not Found', message: 'User not found', errorId: 'err_...' });
+ * // Response: { "error": "Not Found", "errorId": "err_...", "message": "User not found", "statusCode": 404, "timestamp": "..." }
  * 
  * @param {object} res - Express response object
- * @param {Error} error - The error to send
- * @param {object} analysis - Error analysis with errorId and AI suggestions
- */
-const sendJsonError = (res, error, analysis) => {
-  res.status(500).json({
-    error: 'Internal Server Error',
-    errorId: analysis?.errorId,
-    message: error.message,
-    timestamp: new Date().toISOString()
-  });
+ * @param {object} payload - Error payload from buildErrorPayload
+ */
+const sendJsonError = (res, payload) => {
+  const body = {
+    error: payload.title,
+    errorId: payload.errorId,
+    message: payload.message,
+    statusCode: payload.statusCode,
+    severity: payload.severity,
+    timestamp: payload.timestamp
+  };
+  payload.advice && (body.advice = payload.advice);
+  res.status(payload.statusCode).json(body);
+};
+
+/**
+ * Send RFC 9457 problem details for the payload
+ *
+ * @example
+ * // Response (application/problem+json):
+ * // { "type": "about:blank", "title": "Not Found", "status": 404, "detail": "User not found",
+ * //   "instance": "/users/42", "errorId": "...", "errorType": "not_found", "severity": "low", "timestamp": "..." }
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {object} payload - Error payload from buildErrorPayload
+ * @param {object} settings - Resolved middleware settings
+ */
+const sendProblemError = (req, res, payload, settings) => {
+  const extensions = { severity: payload.severity, timestamp: payload.timestamp };
+  payload.advice && (extensions.advice = payload.advice);
+  sendProblemDetails(res, createProblemDetails({
+    status: payload.statusCode,
+    title: payload.title,
+    detail: payload.message,
+    typeBaseUri: settings.typeBaseUri,
+    instance: req.originalUrl || req.url,
+    errorId: payload.errorId,
+    errorType: payload.errorType,
+    errors: payload.errors,
+    extensions
+  }));
 };
 
 /**
@@ -259,29 +614,177 @@ const sendJsonError = (res, error, analysis) => {
  * @param {Error} error - The error to send
  */
 const sendFallbackError = (res, error) => {
+  const statusCode = resolveStatusCode(error);
   try {
     const errorId = generateErrorId();
     const contentType = res.get('Content-Type') || '';
     
     if (contentType.includes('html')) {
-      res.status(500).send(`Error ID: ${errorId}`);
+      res.status(statusCode).send(`Error ID: ${errorId}`);
     } else {
-      res.status(500).json({
-        error: 'Internal Server Error',
+      res.status(statusCode).json({
+        error: STATUS_CODES[statusCode] || 'Error',
         errorId
       });
     }
   } catch (fallbackError) {
     console.error('Failed to send fallback error:', fallbackError);
-    res.status(500).end('Internal Server Error');
+    res.status(statusCode).end(STATUS_CODES[statusCode] || 'Error');
   }
 };
+/**
+ * Subscribe to error events
+ *
+ * Listeners run asynchronously with a frozen, sanitized record; failures and
+ * slow listeners never affect error handling.
+ *
+ * @example
+ * qerrors.on('analyzed', ({ record, advice }) => chat.post(`${record.message}: ${advice.summary}`));
+ * qerrors.on('dropped', ({ record, reason }) => console.warn(record.id, reason));
+ *
+ * @param {'captured'|'analyzed'|'dropped'} type - Event type
+ * @param {function} listener - Called with { type, record, advice?, reason?, timestamp }
+ * @param {object} [options] - { maxPending=100, timeoutMs=5000 }
+ * @returns {function} Unsubscribe function
+ */
+const on = (type, listener, options) => getErrorEvents().on(type, listener, options);
+
+/**
+ * Remove a listener added with on()
+ * @returns {boolean} Whether a listener was removed
+ */
+const off = (type, listener) => getErrorEvents().off(type, listener);
+
+/**
+ * Register a named reporter that receives every error event (or the ones in `events`)
+ *
+ * @example
+ * qerrors.addReporter({
+ *   name: 'tickets',
+ *   events: ['analyzed'],
+ *   report: async ({ record, advice }) => tickets.create({ title: record.message, body: advice.summary })
+ * });
+ *
+ * @param {object} reporter - { name, report(event), events?, maxPending?, timeoutMs? }
+ * @returns {function} Function that removes the reporter
+ */
+const addReporter = (reporter) => getErrorEvents().addReporter(reporter);
+
+/**
+ * Remove a reporter by name
+ * @returns {boolean} Whether a reporter was removed
+ */
+const removeReporter = (name) => getErrorEvents().removeReporter(name);
+
+/**
+ * Delivery statistics (delivered, failed, dropped, pending) for hooks and reporters
+ * @returns {Array<object>} One entry per hook or reporter
+ */
+const getReporterStats = () => getErrorEvents().getStats();
+
+/**
+ * Query grouped issues
+ *
+ * @example
+ * // "this error happened 4,213 times since yesterday"
+ * qerrors.getIssues({ since: Date.now() - 24 * 60 * 60 * 1000, sortBy: 'count', limit: 10 })
+ *   .forEach(issue => console.log(issue.countInRange, issue.message, issue.routes));
+ *
+ * @param {object} [query] - { since, until, route, name, severity, minCount, sortBy, limit }
+ * @returns {Array<object>} Issue snapshots
+ */
+const getIssues = (query) => getIssueStore().getIssues(query);
+
+/**
+ * Get one issue by id (the record's issueId)
+ * @param {string} issueId - Issue fingerprint
+ * @returns {object|null} Issue snapshot
+ */
+const getIssue = (issueId) => getIssueStore().getIssue(issueId);
+
+/**
+ * Rate the advice given for an error
+ *
+ * 'wrong' evicts the advice from the caches, as do QERRORS_FEEDBACK_EVICT_UNHELPFUL
+ * 'unhelpful' ratings outnumbering the 'helpful' ones; the issue is analyzed
+ * again on its next occurrence, or right away with `regenerate: true`.
+ *
+ * @example
+ * qerrors.rateAdvice({ errorId: 'err_1718000000000_1a2b3c4d', rating: 'wrong', comment: 'The index exists already' });
+ *
+ * @param {object} feedback - { errorId | issueId, rating: 'helpful'|'unhelpful'|'wrong', comment?, regenerate? }
+ * @returns {object|null} { issueId, errorId, rating, source, ratings, evicted, regenerating }, or null when there is no advice to rate
+ * @throws {TypeError} For an unknown rating or missing errorId/issueId
+ */
+const rateAdvice = (feedback) => getScalableErrorHandler().rateAdvice(feedback);
+
+/**
+ * Advice ratings per provider, model and prompt template version
+ * @param {object} [query] - { groupBy: ['provider', 'model', 'promptTemplate'] subset }
+ * @returns {Array<object>} { provider, model, promptTemplate, helpful, unhelpful, wrong, total, helpfulRate, evictions }, most rated first
+ */
+const getAdviceQuality = (query) => getAdviceQualityStats().getStats(query);
+
+/**
+ * Express handler for rating advice over HTTP: POST rates, GET returns quality stats
+ *
+ * @example
+ * app.use('/qerrors/feedback', express.json(), qerrors.feedbackHandler());
+ *
+ * @returns {function} Request handler
+ */
+const feedbackHandler = () => createFeedbackHandler(rateAdvice, getAdviceQuality);
+
+/**
+ * Express middleware streaming advice over Server-Sent Events at `GET /qerrors/advice/:errorId/stream`
+ *
+ * Sends the issue's advice at once when it has some, else streams the model
+ * reply as the analysis runs (see qerrorsAdviceStream for the events).
+ *
+ * @example
+ * app.use(requireAdmin, qerrors.adviceRouter());
+ * // or under your own prefix: app.use('/internal/errors', qerrors.adviceRouter({ basePath: '' }));
+ *
+ * @param {object} [options] - { basePath = '/qerrors', maxWaitMs = 60000, heartbeatMs = 15000 }
+ * @returns {function} Express middleware
+ */
+const adviceRouter = (options) => createAdviceRouter(getScalableErrorHandler(), options);
+
 // Initialize shutdown listeners
 addShutdownListeners();
 
 // Export the main function and utilities
 module.exports = qerrors;
 module.exports.middleware = qerrorsMiddleware;
+module.exports.logErrorWithSeverity = logErrorWithSeverity;
+module.exports.handleControllerError = handleControllerError;
+module.exports.withErrorHandling = withErrorHandling;
+module.exports.on = on;
+module.exports.off = off;
+module.exports.addReporter = addReporter;
+module.exports.removeReporter = removeReporter;
+module.exports.getReporterStats = getReporterStats;
+module.exports.getIssues = getIssues;
+module.exports.getIssue = getIssue;
+module.exports.rateAdvice = rateAdvice;
+module.exports.getAdviceQuality = getAdviceQuality;
+module.exports.feedbackHandler = feedbackHandler;
+module.exports.adviceRouter = adviceRouter;
+module.exports.getRedactionStats = getRedactionStats;
+module.exports.getMissingMockFixtures = getMissingMockFixtures;
+module.exports.addNormalizationRule = addNormalizationRule;
+module.exports.removeNormalizationRule = removeNormalizationRule;
+module.exports.normalizeMessage = normalizeMessage;
+module.exports.parseStack = parseStack;
+module.exports.configureSourceMaps = configureSourceMaps;
+module.exports.validateAdvice = validateAdvice;
+module.exports.ADVICE_SCHEMA = ADVICE_SCHEMA;
+module.exports.registerPromptTemplate = registerPromptTemplate;
+module.exports.removePromptTemplate = removePromptTemplate;
+module.exports.getPromptTemplates = getPromptTemplates;
+module.exports.addAdviceRule = addAdviceRule;
+module.exports.removeAdviceRule = removeAdviceRule;
+module.exports.ruleBasedAdvice = ruleBasedAdvice;
 module.exports.generateErrorId = generateErrorId;
 module.exports.extractContext = extractContext;
 module.exports.cleanup = cleanup;
@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * Qerrors Advice Schema Module
+ *
+ * Defines the versioned shape of AI advice so dashboards and ticket
+ * automation can rely on its fields:
+ *
+ *   {
+ *     schemaVersion: 1,
+ *     summary: 'order is undefined when the id is unknown',
+ *     probableRootCause: 'orders.get(id) returns undefined for ids that were never stored',
+ *     fixSteps: ['Check the lookup result', 'Return 404 when the order is missing'],
+ *     confidence: 0.8,
+ *     relatedDocs: ['https://developer.mozilla.org/docs/Web/JavaScript/Reference/Errors/Cant_access_property'],
+ *     category: 'not_found',
+ *     isUserError: false
+ *   }
+ *
+ * Replies are validated with JSON Schema (ajv). Before validation a reply is
+ * repaired where its intent is unambiguous: known aliases (advice, rootCause,
+ * steps, ...) are renamed, percentages become 0-1 confidences, single values
+ * are wrapped in arrays, numeric strings are coerced and unknown fields are
+ * dropped. Whatever still fails is reported back so the caller can re-ask the
+ * model (see AIModelManager.invokeProvider).
+ */
+
+const Ajv = require('ajv');
+const { ErrorTypes } = require('../config/localVars');
+
+const ADVICE_SCHEMA_VERSION = 1;
+const ADVICE_CATEGORIES = Object.values(ErrorTypes);
+
+const ADVICE_SCHEMA = {
+  $id: 'qerrors-advice-v1',
+  type: 'object',
+  additionalProperties: false,
+  required: ['schemaVersion', 'summary', 'probableRootCause', 'fixSteps', 'confidence', 'relatedDocs', 'category', 'isUserError'],
+  properties: {
+    schemaVersion: { const: ADVICE_SCHEMA_VERSION },
+    summary: { type: 'string', minLength: 1, maxLength: 500 },
+    probableRootCause: { type: 'string', minLength: 1, maxLength: 1000 },
+    fixSteps: { type: 'array', minItems: 1, maxItems: 10, items: { type: 'string', minLength: 1, maxLength: 500 } },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    relatedDocs: { type: 'array', maxItems: 10, items: { type: 'string', minLength: 1, maxLength: 500 }, default: [] },
+    category: { type: 'string', enum: ADVICE_CATEGORIES },
+    isUserError: { type: 'boolean' }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: 'array', removeAdditional: true, useDefaults: true });
+const validateSchema = ajv.compile(ADVICE_SCHEMA);
+
+// Names models commonly use instead of the schema's, including the pre-schema `advice` field
+const ALIASES = {
+  summary: ['advice', 'message', 'description'],
+  probableRootCause: ['rootCause', 'root_cause', 'probable_root_cause', 'cause'],
+  fixSteps: ['fix_steps', 'steps', 'fixes', 'solution', 'solutions'],
+  relatedDocs: ['related_docs', 'docs', 'references', 'links'],
+  isUserError: ['is_user_error', 'userError', 'user_error']
+};
+
+/**
+ * Rename aliases and normalize values whose meaning is unambiguous
+ */
+const repairAdvice = (candidate) => {
+  const advice = { ...candidate };
+  for (const [field, aliases] of Object.entries(ALIASES)) {
+    if (advice[field] !== undefined) continue;
+    const alias = aliases.find(name => advice[name] !== undefined);
+    alias && (advice[field] = advice[alias]);
+  }
+
+  const confidence = Number(advice.confidence);
+  Number.isFinite(confidence) && confidence > 1 && confidence <= 100 && (advice.confidence = confidence / 100);
+  typeof advice.category === 'string' && (advice.category = advice.category.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  advice.schemaVersion = ADVICE_SCHEMA_VERSION;
+  return advice;
+};
+
+const describeError = ({ instancePath, message, params }) => {
+  const field = instancePath ? instancePath.substring(1).replace(/\//g, '.') : params?.missingProperty || 'advice';
+  return params?.missingProperty ? `${params.missingProperty} is required` : `${field} ${message}`;
+};
+
+/**
+ * Repair and validate a parsed reply against the advice schema
+ * @param {*} candidate - Parsed JSON from the model
+ * @returns {{valid: boolean, advice: Object|null, errors: string[]}} The repaired advice when valid
+ */
+const validateAdvice = (candidate) => {
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return { valid: false, advice: null, errors: ['reply must be a JSON object'] };
+  }
+  const advice = repairAdvice(candidate);
+  if (validateSchema(advice)) {
+    // Schema field order, so stored and logged advice reads the same every time
+    const ordered = Object.fromEntries(Object.keys(ADVICE_SCHEMA.properties).map(field => [field, advice[field]]));
+    return { valid: true, advice: ordered, errors: [] };
+  }
+  return { valid: false, advice: null, errors: validateSchema.errors.map(describeError) };
+};
+
+/**
+ * Single-line instructions telling the model the schema
+ */
+const describeAdviceSchema = () => 'Respond with only a JSON object with these fields: ' +
+  '"summary" (string, one sentence), ' +
+  '"probableRootCause" (string), ' +
+  '"fixSteps" (array of strings, in the order to apply them), ' +
+  '"confidence" (number from 0 to 1), ' +
+  '"relatedDocs" (array of documentation URLs or references, may be empty), ' +
+  `"category" (one of ${ADVICE_CATEGORIES.join(', ')}), ` +
+  '"isUserError" (boolean, true when invalid input from the end user caused the error rather than a bug).';
+
+/**
+ * Text of a reply's content: a string, LangChain content parts, or parsed JSON
+ */
+const textOfReply = (content) => {
+  if (typeof content === 'string') return content;
+  if (content === null || content === undefined) return '';
+  if (Array.isArray(content)) return content.map(part => (typeof part === 'string' ? part : part?.text || '')).join('');
+  try {
+    return JSON.stringify(content);
+  } catch (stringifyError) {
+    return String(content);
+  }
+};
+
+/**
+ * Repair conversation for a reply that failed validation: the analysis prompt,
+ * the rejected reply as the model's message, then the validation errors
+ * @param {string|object} originalPrompt - The analysis prompt; a plain prompt becomes the instructions
+ * @param {string|Array|undefined} previousReply - Content of the rejected reply
+ * @param {string[]} errors - From validateAdvice
+ * @returns {object} Structured prompt with previousReply and followUp
+ */
+const buildRepairPrompt = (originalPrompt, previousReply, errors) => {
+  const followUp = `Your previous reply was not valid: ${errors.slice(0, 5).join('; ')}. ${describeAdviceSchema()}`;
+  const base = typeof originalPrompt === 'string' ? { instructions: originalPrompt } : originalPrompt;
+  return { ...base, previousReply: textOfReply(previousReply), followUp };
+};
+
+module.exports = {
+  ADVICE_SCHEMA_VERSION,
+  ADVICE_SCHEMA,
+  ADVICE_CATEGORIES,
+  validateAdvice,
+  describeAdviceSchema,
+  buildRepairPrompt
+};
@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * Qerrors Advice Stream Module
+ *
+ * Delivers advice after the error response has gone out, over Server-Sent
+ * Events: `GET /qerrors/advice/:errorId/stream`.
+ *
+ * - Advice the issue already has (cached or analyzed earlier) is sent at once
+ * - While the issue is being analyzed, the model reply is streamed token by
+ *   token when the provider supports LangChain streaming, followed by the
+ *   validated advice. Clients joining mid-reply first get the text so far.
+ *
+ * Model replies are only streamed once an advice router exists (or someone
+ * subscribed to the issue); otherwise analysis keeps using plain invoke calls.
+ *
+ * Events:
+ * - `attempt` `{ provider, model }`: a model call started (again after a failover or re-ask: clear earlier tokens)
+ * - `token`   `{ text }`: a chunk of the model reply, redacted like the advice
+ * - `advice`  `{ errorId, issueId, advice, cached }`: the final advice, or null; the stream then closes
+ * - `timeout` `{ errorId, issueId }`: no advice within maxWaitMs; the stream closes
+ *
+ * Subscriptions are per issue, so every client watching an occurrence of the
+ * issue sees the same analysis.
+ */
+
+const { EventEmitter } = require('events');
+const { createProblemDetails, sendProblemDetails } = require('./shared/problemDetails');
+const { redactModelOutput } = require('./qerrorsRedaction');
+
+const STREAM_PATH = /^\/advice\/([^/]+)\/stream\/?$/;
+const DEFAULT_MAX_WAIT_MS = 60000;
+const DEFAULT_HEARTBEAT_MS = 15000;
+const MAX_PARTIAL_LENGTH = 64 * 1024;
+
+const streams = new EventEmitter();
+streams.setMaxListeners(0);
+// Reply text so far of each issue's running model call, for clients joining late
+const partials = new Map();
+let streamingEnabled = false;
+
+/**
+ * Follow the model output of an issue's analyses
+ * @param {string} issueId - Issue fingerprint
+ * @param {function} listener - Receives `{ type: 'attempt' | 'token' | 'end', ... }` events
+ * @returns {function} Unsubscribe
+ */
+const subscribeAdviceStream = (issueId, listener) => {
+  streams.on(issueId, listener);
+  return () => streams.off(issueId, listener);
+};
+
+/**
+ * Model call in progress for an issue, with its reply so far
+ * @param {string} issueId - Issue fingerprint
+ * @returns {{provider: string, model: string|null, text: string}|null}
+ */
+const currentAdviceStream = (issueId) => partials.get(issueId) || null;
+
+/**
+ * Stream callback for an issue's analysis, or undefined when streaming is off
+ *
+ * Tokens are redacted like the final advice before anyone sees them. The last
+ * word of the reply so far is held back until it is complete, since a secret
+ * is only recognizable whole; should redaction change text already sent, the
+ * rest of the reply only arrives as the (redacted) advice event.
+ *
+ * @param {string} issueId - Issue fingerprint
+ * @returns {function|undefined} onStream option for the AI model manager
+ */
+const adviceStreamFor = (issueId) => {
+  if (!streamingEnabled && streams.listenerCount(issueId) === 0) return undefined;
+  let reply = '';
+  const release = (text) => {
+    const partial = partials.get(issueId);
+    const safe = redactModelOutput(text);
+    if (!partial || !safe.startsWith(partial.text) || safe.length === partial.text.length) return;
+    const token = safe.slice(partial.text.length);
+    partial.text = safe;
+    streams.emit(issueId, { type: 'token', text: token });
+  };
+  return (event) => {
+    if (event.type === 'attempt') {
+      reply = '';
+      partials.set(issueId, { provider: event.provider, model: event.model, text: '' });
+      streams.emit(issueId, event);
+    } else if (event.type === 'token') {
+      if (reply.length >= MAX_PARTIAL_LENGTH) return;
+      reply += event.text;
+      release(reply.slice(0, reply.search(/\S*$/)));
+    } else if (event.type === 'end') {
+      release(reply);
+      partials.delete(issueId);
+      streams.emit(issueId, event);
+    }
+  };
+};
+
+/**
+ * Write one Server-Sent Event, flushing through compression middleware
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  typeof res.flush === 'function' && res.flush();
+};
+
+/**
+ * Middleware serving `GET <basePath>/advice/:errorId/stream`; other requests pass through
+ *
+ * @param {object} handler - ScalableErrorHandler (issues plus pending analyses)
+ * @param {object} [options]
+ * @param {string} [options.basePath='/qerrors'] - Prefix of the stream route; '' when mounting under a path
+ * @param {number} [options.maxWaitMs=60000] - Close with `timeout` when no advice arrives in time
+ * @param {number} [options.heartbeatMs=15000] - Comment line interval that keeps proxies from closing the stream
+ * @returns {function} Express middleware `(req, res, next)`
+ */
+const createAdviceRouter = (handler, options = {}) => {
+  const basePath = String(options.basePath ?? '/qerrors').replace(/\/+$/, '');
+  const maxWaitMs = Number.isFinite(options.maxWaitMs) ? options.maxWaitMs : DEFAULT_MAX_WAIT_MS;
+  const heartbeatMs = Number.isFinite(options.heartbeatMs) ? options.heartbeatMs : DEFAULT_HEARTBEAT_MS;
+  streamingEnabled = true;
+
+  return (req, res, next) => {
+    const path = (req.path || String(req.url || '').split('?')[0]);
+    const match = req.method === 'GET' && path.startsWith(basePath) ? STREAM_PATH.exec(path.slice(basePath.length)) : null;
+    if (!match) return next && next();
+
+    let errorId;
+    try {
+      errorId = decodeURIComponent(match[1]);
+    } catch (decodeError) {
+      errorId = match[1];
+    }
+    const issueId = handler.issues.issueIdForError(errorId);
+    if (!issueId) {
+      return sendProblemDetails(res, createProblemDetails({ status: 404, detail: 'Unknown errorId', instance: req.originalUrl || req.url }));
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    typeof res.flushHeaders === 'function' && res.flushHeaders();
+
+    let closed = false;
+    const timers = [];
+    // Subscribe before looking for advice so no token between the two is missed
+    const unsubscribe = subscribeAdviceStream(issueId, (event) => {
+      if (closed) return;
+      if (event.type === 'attempt') {
+        writeEvent(res, 'attempt', { provider: event.provider, model: event.model });
+      } else if (event.type === 'token') {
+        writeEvent(res, 'token', { text: event.text });
+      }
+    });
+    const close = (event, data) => {
+      if (closed) return;
+      closed = true;
+      unsubscribe();
+      timers.forEach(timer => clearTimeout(timer));
+      event && writeEvent(res, event, data);
+      res.end();
+    };
+    // The response closes when the client goes away (the request closes as soon as it is read)
+    typeof res.on === 'function' && res.on('close', () => close());
+
+    // Evicted advice was rated wrong or unhelpful; wait for its replacement instead
+    const issue = handler.issues.getIssue(issueId);
+    const ready = issue?.advice && !issue.feedback.evicted ? issue.advice : null;
+    const pending = handler.pendingAdvice(issueId);
+    if (ready || !pending) {
+      return close('advice', { errorId, issueId, advice: ready, cached: Boolean(ready) });
+    }
+
+    const partial = currentAdviceStream(issueId);
+    if (partial) {
+      writeEvent(res, 'attempt', { provider: partial.provider, model: partial.model });
+      partial.text && writeEvent(res, 'token', { text: partial.text });
+    }
+
+    const heartbeat = setInterval(() => !closed && res.write(': keep-alive\n\n'), heartbeatMs);
+    const deadline = setTimeout(() => close('timeout', { errorId, issueId }), maxWaitMs);
+    [heartbeat, deadline].forEach(timer => timer.unref && timer.unref());
+    timers.push(heartbeat, deadline);
+
+    pending
+      .then(advice => close('advice', { errorId, issueId, advice: advice || null, cached: false }))
+      .catch(() => close('advice', { errorId, issueId, advice: null, cached: false }));
+  };
+};
+
+module.exports = {
+  subscribeAdviceStream,
+  currentAdviceStream,
+  adviceStreamFor,
+  createAdviceRouter
+};
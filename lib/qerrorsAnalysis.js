@@ -8,52 +8,31 @@
  * with various AI models for intelligent debugging suggestions.
  */
 
-const crypto = require('crypto');
 const config = require('./config');
 const { getAIModelManager } = require('./aiModelManager');
 const { ADVICE_CACHE_LIMIT } = require('./qerrorsConfig');
 const { getAdviceFromCache, setAdviceInCache } = require('./qerrorsCache');
+const { fingerprintError } = require('./qerrorsIssues');
+const { parseStack, formatStack, formatFrame } = require('./qerrorsStack');
+const { attachSourceContext, formatSourceContext } = require('./qerrorsSourceContext');
+const { selectPromptTemplate, describeTarget, buildAnalysisPrompt, promptCacheKey } = require('./qerrorsPromptTemplates');
+const { ruleBasedAdvice } = require('./qerrorsRuleAdvice');
+const { MockFixtureError } = require('./mockChatModel');
+const { PromptRedactionError } = require('./qerrorsRedaction');
+const { adviceStreamFor } = require('./qerrorsAdviceStream');
+const { LRUCache } = require('lru-cache');
+const localVars = require('../config/localVars');
 const { commonImports } = require('./shared/imports');
-const { stringifyContext, verboseLog, sanitizeErrorMessage, sanitizeContextForLog } = commonImports.logging();
-
-/**
- * Generates a unique fingerprint for an error based on message and stack
- * @param {string} message - Error message
- * @param {string} stack - Error stack trace
- * @returns {string} Hex fingerprint hash
- */
-const generateErrorFingerprint = (message, stack) => {
-  const msg = message || '', stk = stack || '';
-  if (!msg && !stk) return '00000000';
-  const MAX_MSG_LENGTH = 200, MAX_STACK_LENGTH = 300;
-  const truncatedMsg = msg.length > MAX_MSG_LENGTH ? msg.substring(0, MAX_MSG_LENGTH) : msg;
-  const truncatedStk = stk.length > MAX_STACK_LENGTH ? stk.substring(0, MAX_STACK_LENGTH) : stk;
-  let hash = 2166136261;
-  const msgLen = Math.min(truncatedMsg.length, 50);
-  for (let i = 0; i < msgLen; i++) {
-    hash ^= truncatedMsg.charCodeAt(i);
-    hash = (hash * 16777619) | 0;
-  }
-  const stackLen = Math.min(truncatedStk.length, 30);
-  stackLen > 0 && (hash ^= 0xFF, (() => {
-    for (let i = 0; i < stackLen; i++) {
-      hash ^= truncatedStk.charCodeAt(i);
-      hash = (hash * 16777619) | 0;
-    }
-  })());
-  return (hash & 0x7fffffff).toString(16).padStart(8, '0');
-};
-
-/**
- * Generates a secure SHA256 hash for error fingerprinting
- * @param {string} message - Error message
- * @param {string} stack - Error stack trace
- * @returns {string} SHA256 hex hash
- */
-const generateSecureHash = (message, stack) => crypto.createHash('sha256').update(`${message}${stack}`).digest('hex');
+const { stringifyContext, verboseLog } = commonImports.logging();
+const { sanitizeErrorMessage, sanitizeContextForLog } = commonImports.security();
 
 let warnedMissingToken = false;
 
+// Keys whose last analysis produced nothing (expire after the cooldown) with what
+// that analysis fell back to: 'rules' or 'none'
+const ANALYSIS_COOLDOWN_MS = Math.max(parseInt(localVars.QERRORS_ANALYSIS_COOLDOWN_MS, 10) || 0, 0);
+const failedAnalyses = ANALYSIS_COOLDOWN_MS > 0 ? new LRUCache({ max: 5000, ttl: ANALYSIS_COOLDOWN_MS }) : null;
+
 /**
  * Validate error input for security and stability
  * @param {*} error - Error object to validate
@@ -75,8 +54,8 @@ function validateErrorInput(error) {
     return false;
   }
   
-  // Check for null bytes and dangerous characters
-  if (error.message.includes('\0') || error.message.includes('\r') || error.message.includes('\n')) {
+  // Check for null bytes; line breaks are fine, the message is JSON-quoted in the prompt
+  if (error.message.includes('\0')) {
     return false;
   }
   
@@ -145,61 +124,72 @@ function sanitizeContextString(context) {
     .substring(0, 1000); // Limit length
 }
 
-const analyzeError = async (error, contextString) => {
-  // Input validation for security and stability
-  if (!validateErrorInput(error)) {
-    verboseLog(`Invalid error input detected, skipping AI analysis`);
-    return null;
-  }
-  
-  if (typeof error.name === 'string' && error.name.includes('AxiosError')) {
-    verboseLog(`Axios Error - skipping AI analysis to prevent infinite loops`);
-    return null;
-  }
-  
-  // Validate context string
-  if (contextString && !validateContextInput(contextString)) {
-    verboseLog(`Invalid context detected, using sanitized context`);
-    contextString = sanitizeContextString(contextString);
-  }
-  
-  verboseLog(`qerrors analysis: ${String(error.uniqueErrorName || "").substring(0, 50)} - ${sanitizeErrorMessage(error)}`);
-  
-  if (ADVICE_CACHE_LIMIT !== 0 && !error.qerrorsKey) {
-    try {
-      error.qerrorsKey = generateErrorFingerprint(error.message, error.stack);
-      config.getBool('QERRORS_USE_SECURE_CACHE_KEYS', false) && (error.qerrorsKey = generateSecureHash(error.message, error.stack));
-    } catch (hashError) {
-      verboseLog(`Cache key generation failed, using fallback: ${hashError.message}`);
-      error.qerrorsKey = `${error.message?.substring(0, 50)}_${error.stack?.substring(0, 50)}`.replace(/[^a-zA-Z0-9_]/g, '');
-    }
-  }
-  
-  if (ADVICE_CACHE_LIMIT !== 0) {
-    const cached = getAdviceFromCache(error.qerrorsKey);
-    if (cached) {
-      verboseLog(`cache hit for ${error.uniqueErrorName}`);
-      return cached;
-    }
+/**
+ * Context object behind a serialized context string, for template selection
+ * @param {string} contextString
+ * @returns {object} The parsed context, or an empty object when it is not a JSON object
+ */
+function parseContextString(contextString) {
+  try {
+    const parsed = JSON.parse(contextString);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (parseError) {
+    return {};
   }
-  
+}
+
+/**
+ * Offline rule-based advice when AI analysis cannot answer, unless QERRORS_RULE_ADVICE=false
+ * @param {Error|object} error
+ * @param {object} contextObject - Parsed context, passed to the rules
+ * @param {string} reason - no_api_key, unavailable, cooldown, budget or redaction
+ * @returns {object|null}
+ */
+const fallbackAdvice = (error, contextObject, reason) => {
+  if (!localVars.QERRORS_RULE_ADVICE) return null;
+  verboseLog(`qerrors rule-based advice (${reason}) for: ${String(error.uniqueErrorName || "").substring(0, 50)}`);
+  return ruleBasedAdvice(error, contextObject, reason);
+};
+
+/**
+ * Ask the AI model manager for advice on an error that missed the cache
+ * @param {Error|object} error - Validated error, tagged with qerrorsKey when caching is enabled
+ * @param {string} contextString - Validated context
+ * @param {object} contextObject - Parsed context
+ * @param {object} promptTemplate - Template to render the prompt with
+ * @returns {Promise<object|null>} AI advice, else rule-based advice when enabled
+ */
+const requestAdvice = async (error, contextString, contextObject, promptTemplate) => {
+  let aiManager;
   try {
-    const aiManager = getAIModelManager();
+    aiManager = getAIModelManager();
     const currentProvider = aiManager.getCurrentModelInfo().provider;
-    let requiredApiKey, missingKeyMessage;
-    
-    currentProvider === 'google' ? (requiredApiKey = config.getEnv('GEMINI_API_KEY'), missingKeyMessage = 'Missing GEMINI_API_KEY in environment variables.') : (requiredApiKey = config.getEnv('OPENAI_API_KEY'), missingKeyMessage = 'Missing OPENAI_API_KEY in environment variables.');
+    const chainProviders = typeof aiManager.getProviderChain === 'function'
+      ? aiManager.getProviderChain().map(entry => entry.provider)
+      : [currentProvider];
+    // Self-hosted models and fixtures need no key
+    const keyEnvVar = (provider) => provider === 'local' || provider === 'mock' ? null : provider === 'google' ? 'GEMINI_API_KEY' : 'OPENAI_API_KEY';
+    // Any provider in the failover chain with its key is enough to try
+    const requiredApiKey = chainProviders.some(provider => !keyEnvVar(provider) || config.getEnv(keyEnvVar(provider)));
+    const missingKeyMessage = `Missing ${keyEnvVar(currentProvider)} in environment variables.`;
     
     if (!requiredApiKey) {
       !warnedMissingToken && (console.error(missingKeyMessage), warnedMissingToken = true);
-      return null;
+      return fallbackAdvice(error, contextObject, 'no_api_key');
     }
   } catch (managerError) {
     console.warn('AI model manager not available:', managerError.message);
-    return null;
+    return fallbackAdvice(error, contextObject, 'unavailable');
   }
   
-  const truncatedStack = (error.stack || '').split('\n').slice(0, 20).join('\n');
+  // Parsed frames keep whole lines, unlike slicing the raw stack text
+  const stackFrames = parseStack(error.stack, { limit: 20 });
+  const truncatedStack = formatStack(stackFrames);
+
+  // Failing source lines: from the error record when it has them, else read now
+  const sourceFrames = (Array.isArray(error.frames) ? error.frames : attachSourceContext(stackFrames))
+    .filter(frame => frame.sourceContext);
+  const sourceCode = sourceFrames.map(frame => `${formatFrame(frame)} ${formatSourceContext(frame)}`).join('\n');
   
   // Validate input sizes before processing
   const validateInputSize = (name, message, context, stack) => {
@@ -245,58 +235,126 @@ const analyzeError = async (error, contextString) => {
     validateInputSize(error.name, error.message, contextString, truncatedStack);
   } catch (validationError) {
     verboseLog(`Input size validation failed: ${validationError.message}`);
-    return null;
+    return fallbackAdvice(error, contextObject, 'unavailable');
   }
   
-  const sanitizePromptInput = (input, maxLength = 1000) => {
-    if (!input || typeof input !== 'string') return '';
-    
-    // Truncate first to prevent memory issues
-    if (input.length > maxLength) {
-      input = input.substring(0, maxLength);
-    }
-    
-    return input
-      // Remove dangerous characters and patterns
-      .replace(/[<>]/g, '')                    // Remove HTML tags
-      .replace(/[\r\n]/g, ' ')                // Convert line breaks to spaces
-      .replace(/[\x00-\x08\x0B-\x0C\x0E-\x1F\x7F]/g, '') // Remove control characters (except tab)
-      .replace(/[\t]{2,}/g, ' ')              // Limit consecutive tabs
-      .replace(/[ ]{3,}/g, ' ')               // Limit consecutive spaces
-      // Remove potential injection patterns
-      .replace(/javascript:/gi, '')            // Remove JavaScript protocol
-      .replace(/data:/gi, '')                  // Remove data protocol
-      .replace(/vbscript:/gi, '')              // Remove VBScript protocol
-      .replace(/on\w+\s*=/gi, '')             // Remove event handlers
-      .replace(/expression\s*\(/gi, '')        // Remove CSS expressions
-      // Remove excessive repeating characters
-      .replace(/(.)\1{5,}/g, '$1')            // Limit character repetition
-      .trim();
-  };
-  
-  const sanitizedName = sanitizePromptInput(error.name || 'Unknown', 100);
-  const sanitizedMessage = sanitizePromptInput(error.message || 'No message', 500);
-  const sanitizedContext = sanitizePromptInput(contextString || 'No context', 800);
-  const sanitizedStack = sanitizePromptInput(truncatedStack || 'No stack', 1500);
+  // Error data goes into the prompt's quoted error report (see buildAnalysisPrompt), so it is only clipped
+  const clip = (input, maxLength) => (typeof input === 'string' ? input.substring(0, maxLength).trim() : '');
+  const target = describeTarget({ error, context: contextObject });
   
-  const errorPrompt = `Analyze this error and provide debugging advice. You must respond with a valid JSON object containing an "advice" field with a concise solution. Error: ${sanitizedName} - ${sanitizedMessage} Context: ${sanitizedContext} Stack: ${sanitizedStack}`;
+  const errorPrompt = buildAnalysisPrompt(promptTemplate, {
+    errorName: clip(error.name || 'Unknown', 100),
+    message: clip(error.message, 500),
+    // Within the validated size, so a serialized context stays parseable for outbound redaction
+    context: clip(contextString, 2000),
+    stack: clip(truncatedStack, 1500),
+    source: clip(sourceCode, 1500),
+    location: clip(target.location, 200),
+    route: clip(target.route, 300),
+    errorType: clip(target.errorType, 100)
+  });
   
   try {
-    const advice = await aiManager.analyzeError(errorPrompt);
+    // Clients following the issue's advice stream get the reply token by token
+    const fingerprint = error.issueId || fingerprintError(error);
+    const modelAdvice = await aiManager.analyzeError(errorPrompt, { fingerprint, onStream: adviceStreamFor(fingerprint) });
     
-    if (advice) {
+    if (modelAdvice) {
+      const advice = { ...modelAdvice, promptTemplate: { name: promptTemplate.name, version: promptTemplate.version } };
       verboseLog(`qerrors advice returned for: ${String(error.uniqueErrorName || "").substring(0, 50)}`);
       verboseLog(`${error.uniqueErrorName} ${JSON.stringify(advice)}`);
       error.qerrorsKey && (await setAdviceInCache(error.qerrorsKey, advice));
       return advice;
-    } else {
-      verboseLog(`qerrors no advice for: ${String(error.uniqueErrorName || "").substring(0, 50)}`);
-      return null;
     }
+
+    // Over budget: cache-only returns nothing, 'rules' degrades to uncached rule-based advice
+    const budget = typeof aiManager.getBudgetStatus === 'function' ? aiManager.getBudgetStatus() : null;
+    if (budget?.exhausted) {
+      verboseLog(`qerrors AI budget spent (${budget.exhaustedLimits.join(', ')})`);
+      return budget.fallback === 'rules' ? fallbackAdvice(error, contextObject, 'budget') : null;
+    }
+    verboseLog(`qerrors no advice for: ${String(error.uniqueErrorName || "").substring(0, 50)}`);
+    return fallbackAdvice(error, contextObject, 'unavailable');
   } catch (aiError) {
+    if (aiError instanceof MockFixtureError) throw aiError;
+    if (aiError instanceof PromptRedactionError) {
+      console.warn(`qerrors did not send the analysis prompt: ${aiError.message}`);
+      return fallbackAdvice(error, contextObject, 'redaction');
+    }
     verboseLog(`qerrors analysis failed for: ${String(error.uniqueErrorName || "").substring(0, 50)}`);
+    return fallbackAdvice(error, contextObject, 'unavailable');
+  }
+};
+
+/**
+ * Run AI analysis for an error, consulting the advice cache first
+ *
+ * Concurrent calls for one issue are not coalesced here; the error handler
+ * (scalabilityFixes) joins them to its pending analysis before calling this.
+ * When the AI fails to answer, the issue gets rule-based advice (see
+ * qerrorsRuleAdvice) or null without a model call for
+ * QERRORS_ANALYSIS_COOLDOWN_MS (0 disables the cooldown).
+ *
+ * @param {Error|object} error - Error (or error-like object) to analyze; receives its issue fingerprint and prompt template version as qerrorsKey when caching is enabled.
+ *   A `promptTemplate` from selectPromptTemplate overrides template selection; `issueId` is the fingerprint passed to the model
+ * @param {string} [contextString] - Serialized context passed to the model
+ * @returns {Promise<object|null>} Parsed advice (rule-based when the AI is unavailable or over budget), or null when analysis is skipped
+ */
+const analyzeError = async (error, contextString) => {
+  // Input validation for security and stability
+  if (!validateErrorInput(error)) {
+    verboseLog(`Invalid error input detected, skipping AI analysis`);
     return null;
   }
+  
+  if (typeof error.name === 'string' && error.name.includes('AxiosError')) {
+    verboseLog(`Axios Error - skipping AI analysis to prevent infinite loops`);
+    return null;
+  }
+  
+  // Validate context string
+  if (contextString && !validateContextInput(contextString)) {
+    verboseLog(`Invalid context detected, using sanitized context`);
+    contextString = sanitizeContextString(contextString);
+  }
+  
+  verboseLog(`qerrors analysis: ${String(error.uniqueErrorName || "").substring(0, 50)} - ${sanitizeErrorMessage(error)}`);
+  
+  const contextObject = parseContextString(contextString);
+  const promptTemplate = error.promptTemplate || selectPromptTemplate({ error, context: contextObject });
+
+  // Same identity as the issue store, so cached advice is shared per issue;
+  // the template version is part of the key so changing a template re-analyzes
+  if (ADVICE_CACHE_LIMIT !== 0 && !error.qerrorsKey) {
+    error.qerrorsKey = promptCacheKey(fingerprintError(error), promptTemplate);
+  }
+  
+  if (ADVICE_CACHE_LIMIT !== 0) {
+    const cached = getAdviceFromCache(error.qerrorsKey);
+    if (cached) {
+      verboseLog(`cache hit for ${error.uniqueErrorName}`);
+      return cached;
+    }
+  }
+  
+  const cooldownKey = error.qerrorsKey || promptCacheKey(fingerprintError(error), promptTemplate);
+  // An issue whose analysis came back empty or failed is not retried until its cooldown ends;
+  // it falls back as that analysis did, so a cache-only budget keeps returning nothing
+  const cooldown = failedAnalyses && failedAnalyses.get(cooldownKey);
+  if (cooldown) {
+    verboseLog(`analysis cooling down for ${error.uniqueErrorName}`);
+    return cooldown === 'rules' ? fallbackAdvice(error, contextObject, 'cooldown') : null;
+  }
+
+  const markFailed = (fallback) => failedAnalyses && failedAnalyses.set(cooldownKey, fallback);
+  return requestAdvice(error, contextString, contextObject, promptTemplate)
+    .then(advice => {
+      !advice ? markFailed('none') : advice.analyzedBy?.reason === 'unavailable' && markFailed('rules');
+      return advice;
+    }, analysisError => {
+      !(analysisError instanceof MockFixtureError) && markFailed('rules');
+      throw analysisError;
+    });
 };
 
 module.exports = { analyzeError };
\ No newline at end of file
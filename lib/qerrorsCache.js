@@ -158,6 +158,22 @@ const purgeExpiredAdvice = () => {
  */
 const getAdviceFromCache = (key) => adviceCache.get(key);
 
+/**
+ * Removes every cached advice entry of an issue, whatever its prompt template version
+ * @param {string} issueId - Issue fingerprint (keys are `<issueId>` or `<issueId>|<template>@<version>`)
+ * @returns {number} Number of entries removed
+ */
+const evictIssueAdvice = (issueId) => {
+  let removed = 0;
+  for (const key of [...adviceCache.keys()]) {
+    if (key === issueId || key.startsWith(`${issueId}|`)) {
+      adviceCache.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+};
+
 /**
  * Adjusts cache size and TTL based on current memory pressure
  * Implements dynamic sizing to prevent memory exhaustion
@@ -292,6 +308,7 @@ module.exports = {
   stopAdviceCleanup,
   getAdviceFromCache,
   setAdviceInCache,
+  evictIssueAdvice,
   adjustCacheSize,
   getCacheStats,
   calculateMemoryAwareCacheSize
@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * Qerrors Detector Library
+ *
+ * Built-in detectors of the redaction policy (see qerrorsRedactionPolicy.js),
+ * in the order they run. Each has:
+ * - pattern: global RegExp finding candidates; lookbehinds keep labels ('password=', 'Bearer ')
+ * - hint: cheap RegExp a text must match before the pattern runs, so clean
+ *   messages cost a few substring checks (see scripts/bench-redaction.js)
+ * - validate: checksum or format check of a candidate (Luhn for cards, mod 97
+ *   for IBANs, SSA ranges for social security numbers, a JSON header for JWTs)
+ * - confidence: how likely a match is really sensitive (0-1); policies can
+ *   skip detectors below a `minConfidence`
+ * - enabled: false for detectors a policy has to turn on. IP addresses are
+ *   off: version strings (build 1.2.3.4) look like them, and the host in
+ *   `ECONNREFUSED 10.0.0.5:5432` is what a log reader needs to see
+ *
+ * Credentials in URLs run first, so `postgres://app:pw@db` is not read as an
+ * email address; PEM blocks run before anything can split them.
+ */
+
+const net = require('net');
+
+/**
+ * Luhn checksum of a card number, separators ignored
+ * @param {string} value
+ * @returns {boolean}
+ */
+const luhnValid = (value) => {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      digit > 9 && (digit -= 9);
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * ISO 13616 mod 97 check of an IBAN, spaces ignored
+ * @param {string} value
+ * @returns {boolean}
+ */
+const ibanValid = (value) => {
+  const iban = value.replace(/\s/g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) return false;
+  const numeric = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of numeric) remainder = (remainder * 10 + Number(digit)) % 97;
+  return remainder === 1;
+};
+
+/**
+ * Social security number ranges: no 000, 666 or 9xx area, 00 group or 0000 serial
+ * @param {string} value
+ * @returns {boolean}
+ */
+const ssnValid = (value) => {
+  const digits = value.replace(/\D/g, '');
+  return digits.length === 9 && !/^(?:000|666|9)/.test(digits) && digits.slice(3, 5) !== '00' && digits.slice(5) !== '0000';
+};
+
+/**
+ * Whether a JWT's header decodes to a JSON object
+ * @param {string} value
+ * @returns {boolean}
+ */
+const jwtValid = (value) => {
+  try {
+    const header = JSON.parse(Buffer.from(value.split('.')[0], 'base64url').toString('utf8'));
+    return Boolean(header) && typeof header === 'object';
+  } catch (parseError) {
+    return false;
+  }
+};
+
+// Loopback and unspecified addresses say nothing about anyone
+const ipv4Valid = (value) => net.isIPv4(value) && !value.startsWith('127.') && value !== '0.0.0.0';
+const ipv6Valid = (value) => net.isIPv6(value) && value !== '::1' && value !== '::';
+
+const BUILT_IN_DETECTORS = Object.freeze([
+  {
+    name: 'url_password',
+    kind: 'secret',
+    confidence: 0.95,
+    hint: /:\/\//,
+    pattern: /(?<=\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s/@]+(?=@)/gi
+  },
+  {
+    name: 'private_key',
+    kind: 'private_key',
+    confidence: 1,
+    hint: /-----BEGIN/,
+    pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?(?:-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----|$)/g,
+    replacement: '[PRIVATE-KEY-REDACTED]'
+  },
+  {
+    name: 'jwt',
+    kind: 'jwt',
+    confidence: 0.95,
+    hint: /eyJ/,
+    pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g,
+    validate: jwtValid,
+    replacement: '[JWT-REDACTED]'
+  },
+  {
+    name: 'bearer',
+    kind: 'secret',
+    confidence: 0.9,
+    hint: /bearer/i,
+    pattern: /(?<=\bbearer\s+)[A-Za-z0-9._~+/-]+=*/gi
+  },
+  {
+    name: 'github_token',
+    kind: 'github_token',
+    confidence: 0.99,
+    hint: /gh[pousr]_|github_pat_/,
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g,
+    replacement: '[GITHUB-TOKEN-REDACTED]'
+  },
+  {
+    name: 'aws_access_key',
+    kind: 'aws_key',
+    confidence: 0.95,
+    hint: /A[KS]IA|ABIA|ACCA/,
+    pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[A-Z0-9]{16}\b/g,
+    replacement: '[AWS-KEY-REDACTED]'
+  },
+  {
+    name: 'aws_secret_key',
+    kind: 'aws_key',
+    confidence: 0.9,
+    hint: /secret/i,
+    pattern: /(?<=\baws_?secret_?access_?key\W{1,3})[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/gi,
+    replacement: '[AWS-KEY-REDACTED]'
+  },
+  {
+    name: 'email',
+    kind: 'email',
+    confidence: 0.9,
+    hint: /@/,
+    pattern: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g,
+    replacement: '[EMAIL-REDACTED]'
+  },
+  { name: 'password', kind: 'secret', confidence: 0.85, hint: /password/i, pattern: /(?<=password[:=]\s*)[^\s}]+/gi },
+  { name: 'token', kind: 'secret', confidence: 0.85, hint: /token/i, pattern: /(?<=token[:=]\s*)[^\s}]+/gi },
+  { name: 'api_key', kind: 'secret', confidence: 0.85, hint: /api/i, pattern: /(?<=api[_-]?key[:=]\s*)[^\s}]+/gi },
+  { name: 'secret', kind: 'secret', confidence: 0.85, hint: /secret/i, pattern: /(?<=secret[:=]\s*)[^\s}]+/gi },
+  {
+    name: 'card',
+    kind: 'card',
+    confidence: 0.9,
+    hint: /\d{4}/,
+    pattern: /\b[2-6]\d{3}(?:[ -]?\d){9,15}\b/g,
+    validate: luhnValid,
+    replacement: '[CARD-REDACTED]'
+  },
+  {
+    name: 'iban',
+    kind: 'iban',
+    confidence: 0.9,
+    hint: /[A-Z]{2}\d{2}/,
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    validate: ibanValid,
+    replacement: '[IBAN-REDACTED]'
+  },
+  {
+    name: 'ssn',
+    kind: 'ssn',
+    confidence: 0.7,
+    hint: /\d{4}/,
+    // Separated (078-05-1120) or labelled (ssn: 078051120); bare 9-digit numbers are usually ids
+    pattern: /\b\d{3}([ -])\d{2}\1\d{4}\b|(?<=\bssn\W{0,3})\d{9}\b/gi,
+    validate: ssnValid,
+    replacement: '[SSN-REDACTED]'
+  },
+  { name: 'cvv', kind: 'secret', confidence: 0.8, hint: /cvv?[:=]/i, pattern: /(?<=cvv?[:=]\s*)\d{3,4}/gi },
+  {
+    name: 'phone',
+    kind: 'phone',
+    confidence: 0.6,
+    hint: /\d{4}/,
+    // Grouped (555) 123-4567 / 555-123-4567 or E.164 +15551234567; bare 10-digit runs are usually ids or timestamps
+    pattern: /(?<![\w+])\+[1-9]\d{9,14}\b|(?:(?<![\w+])\+?1[-.\s])?(?:\(\d{3}\)\s?|\b\d{3}[-.\s])\d{3}[-.\s]\d{4}\b/g,
+    replacement: '[PHONE-REDACTED]'
+  },
+  {
+    name: 'ipv4',
+    kind: 'ip',
+    confidence: 0.6,
+    enabled: false,
+    hint: /\d\.\d/,
+    pattern: /\b\d{1,3}(?:\.\d{1,3}){3}\b/g,
+    validate: ipv4Valid,
+    replacement: '[IP-REDACTED]'
+  },
+  {
+    name: 'ipv6',
+    kind: 'ip',
+    confidence: 0.6,
+    enabled: false,
+    hint: /[0-9a-fA-F]:[0-9a-fA-F]*:/,
+    pattern: /(?<![\w:.])(?:[0-9a-fA-F]{0,4}:){2,7}[0-9a-fA-F]{0,4}(?![\w:])/g,
+    validate: ipv6Valid,
+    replacement: '[IP-REDACTED]'
+  }
+].map(detector => Object.freeze(detector)));
+
+module.exports = {
+  BUILT_IN_DETECTORS,
+  luhnValid,
+  ibanValid,
+  ssnValid
+};
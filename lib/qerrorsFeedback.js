@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * Qerrors Feedback Module
+ *
+ * Lets people rate the advice qerrors gave for an error as 'helpful',
+ * 'unhelpful' or 'wrong', by the errorId of one occurrence or by the issue
+ * fingerprint. Ratings are kept with the issue's advice (see qerrorsIssues)
+ * and decide whether that advice stays cached:
+ * - one 'wrong' rating evicts it
+ * - QERRORS_FEEDBACK_EVICT_UNHELPFUL 'unhelpful' ratings evict it once they
+ *   outnumber the 'helpful' ones
+ * Evicted advice is regenerated on the issue's next occurrence, or right away
+ * when the rating asks for it.
+ *
+ * Every rating also counts towards quality stats per provider, model and
+ * prompt template version, which outlive the advice they were given for.
+ */
+
+const { sanitizeMessage } = require('./sanitization');
+const { createProblemDetails, sendProblemDetails } = require('./shared/problemDetails');
+const localVars = require('../config/localVars');
+
+const ADVICE_RATINGS = Object.freeze(['helpful', 'unhelpful', 'wrong']);
+const STATS_DIMENSIONS = Object.freeze(['provider', 'model', 'promptTemplate']);
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_BODY_BYTES = 16 * 1024;
+const UNHELPFUL_LIMIT = Math.max(parseInt(localVars.QERRORS_FEEDBACK_EVICT_UNHELPFUL, 10) || 0, 1);
+
+/**
+ * TypeError for bad feedback input, answered with 400 by the HTTP handler
+ */
+const invalidFeedback = (message) => Object.assign(new TypeError(message), { statusCode: 400 });
+
+/**
+ * Validate and normalize a rating
+ * @param {object} feedback - { errorId?, issueId?, rating, comment?, regenerate? }
+ * @returns {{errorId: string|null, issueId: string|null, rating: string, comment: string|null, regenerate: boolean}}
+ * @throws {TypeError} For an unknown rating or a rating without errorId/issueId
+ */
+const normalizeFeedback = (feedback) => {
+  if (!feedback || typeof feedback !== 'object') throw invalidFeedback('Advice feedback must be an object');
+  const { errorId, issueId, rating, comment } = feedback;
+  if (!ADVICE_RATINGS.includes(rating)) {
+    throw invalidFeedback(`Advice rating must be one of ${ADVICE_RATINGS.join(', ')}`);
+  }
+  const idOf = (value) => (typeof value === 'string' && value.length > 0 ? value.substring(0, 100) : null);
+  if (!idOf(errorId) && !idOf(issueId)) throw invalidFeedback('Advice feedback needs an errorId or an issueId');
+  if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+    throw invalidFeedback('Advice feedback comment must be a string');
+  }
+  return {
+    errorId: idOf(errorId),
+    issueId: idOf(issueId),
+    rating,
+    comment: comment ? sanitizeMessage(comment.substring(0, MAX_COMMENT_LENGTH)) : null,
+    regenerate: feedback.regenerate === true
+  };
+};
+
+/**
+ * Whether an issue's ratings call for evicting its advice
+ * @param {{helpful: number, unhelpful: number, wrong: number}} ratings - Ratings of the current advice
+ * @returns {boolean}
+ */
+const shouldEvictAdvice = (ratings) => ratings.wrong > 0 ||
+  (ratings.unhelpful >= UNHELPFUL_LIMIT && ratings.unhelpful > ratings.helpful);
+
+/**
+ * Provider, model and prompt template version that produced some advice
+ * @param {object} advice
+ * @returns {{provider: string|null, model: string|null, promptTemplate: string|null}}
+ */
+const adviceSource = (advice) => {
+  const template = advice?.promptTemplate;
+  return {
+    provider: advice?.analyzedBy?.provider || null,
+    model: advice?.analyzedBy?.model || null,
+    // Rule-based advice has no prompt; its rule stands in for one
+    promptTemplate: template?.name
+      ? `${template.name}@${template.version}`
+      : (advice?.analyzedBy?.rule ? `rule:${advice.analyzedBy.rule}` : null)
+  };
+};
+
+/**
+ * Rating counts per provider, model and prompt template version
+ */
+class AdviceQualityStats {
+  constructor () {
+    this.entries = new Map();
+  }
+
+  /**
+   * Count one rating of some advice
+   * @param {object} advice - The rated advice
+   * @param {string} rating - One of ADVICE_RATINGS
+   * @param {boolean} [evicted=false] - Whether the rating evicted the advice
+   */
+  record (advice, rating, evicted = false) {
+    const source = adviceSource(advice);
+    const key = STATS_DIMENSIONS.map(dimension => source[dimension]).join('|');
+    let entry = this.entries.get(key);
+    if (!entry) {
+      entry = { ...source, helpful: 0, unhelpful: 0, wrong: 0, evictions: 0 };
+      this.entries.set(key, entry);
+    }
+    entry[rating]++;
+    evicted && entry.evictions++;
+  }
+
+  /**
+   * Rating totals, most rated first
+   * @param {object} [query]
+   * @param {Array<'provider'|'model'|'promptTemplate'>} [query.groupBy] - Dimensions to group by; default all three
+   * @returns {Array<object>} `{ provider?, model?, promptTemplate?, helpful, unhelpful, wrong, total, helpfulRate, evictions }`
+   */
+  getStats (query = {}) {
+    const groupBy = Array.isArray(query.groupBy) && query.groupBy.length > 0
+      ? STATS_DIMENSIONS.filter(dimension => query.groupBy.includes(dimension))
+      : STATS_DIMENSIONS;
+    const groups = new Map();
+    for (const entry of this.entries.values()) {
+      const key = groupBy.map(dimension => entry[dimension]).join('|');
+      let group = groups.get(key);
+      if (!group) {
+        group = { helpful: 0, unhelpful: 0, wrong: 0, evictions: 0 };
+        groupBy.forEach(dimension => { group[dimension] = entry[dimension]; });
+        groups.set(key, group);
+      }
+      ADVICE_RATINGS.forEach(rating => { group[rating] += entry[rating]; });
+      group.evictions += entry.evictions;
+    }
+    return [...groups.values()]
+      .map(group => {
+        const total = group.helpful + group.unhelpful + group.wrong;
+        return { ...group, total, helpfulRate: total > 0 ? Math.round((group.helpful / total) * 1000) / 1000 : 0 };
+      })
+      .sort((a, b) => b.total - a.total);
+  }
+
+  clear () {
+    this.entries.clear();
+  }
+}
+
+const qualityStats = new AdviceQualityStats();
+
+/**
+ * Shared stats behind qerrors.getAdviceQuality
+ * @returns {AdviceQualityStats}
+ */
+const getAdviceQualityStats = () => qualityStats;
+
+/**
+ * JSON request body: Express' parsed `req.body`, else read from the stream
+ */
+const readJsonBody = (req) => {
+  if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) return Promise.resolve(req.body);
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      size <= MAX_BODY_BYTES && chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) return reject(invalidFeedback(`Feedback body exceeds ${MAX_BODY_BYTES} bytes`));
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (parseError) {
+        reject(invalidFeedback('Feedback body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+};
+
+/**
+ * HTTP handler for rating advice and reading quality stats
+ *
+ * POST takes `{ errorId | issueId, rating, comment?, regenerate? }` and
+ * answers with the rating result, 400 for invalid feedback or 404 when the
+ * error has no advice to rate. GET answers `{ stats }`; `?groupBy=provider,model`
+ * rolls the stats up. Errors are sent as problem details.
+ *
+ * @param {function} rateAdvice - Rates advice (qerrors.rateAdvice)
+ * @param {function} getAdviceQuality - Reads quality stats (qerrors.getAdviceQuality)
+ * @returns {function} Express request handler `(req, res)`
+ */
+const createFeedbackHandler = (rateAdvice, getAdviceQuality) => async (req, res) => {
+  const fail = (status, detail) => sendProblemDetails(res, createProblemDetails({ status, detail, instance: req.originalUrl || req.url }));
+  try {
+    if (req.method === 'GET') {
+      const groupBy = typeof req.query?.groupBy === 'string' ? req.query.groupBy.split(',') : undefined;
+      return res.status(200).json({ stats: getAdviceQuality({ groupBy }) });
+    }
+    if (req.method !== 'POST') {
+      res.set('Allow', 'GET, POST');
+      return fail(405, 'Use POST to rate advice or GET for quality stats');
+    }
+    const result = rateAdvice(await readJsonBody(req));
+    return result ? res.status(200).json(result) : fail(404, 'No advice found for this errorId or issueId');
+  } catch (error) {
+    if (error.statusCode === 400) return fail(400, error.message);
+    console.error('qerrors feedback handler failed:', error.message);
+    return fail(500, 'Feedback could not be recorded');
+  }
+};
+
+module.exports = {
+  ADVICE_RATINGS,
+  normalizeFeedback,
+  shouldEvictAdvice,
+  adviceSource,
+  AdviceQualityStats,
+  getAdviceQualityStats,
+  createFeedbackHandler
+};
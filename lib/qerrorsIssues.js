@@ -0,0 +1,332 @@
+'use strict';
+
+/**
+ * Qerrors Issues Module
+ *
+ * Groups captured errors into issues. Every error gets one fingerprint
+ * (error name, normalized message and the top normalized application frames),
+ * which is also the key for the advice caches and queue deduplication, so
+ * the same error has the same identity everywhere in qerrors.
+ *
+ * Each issue tracks:
+ * - firstSeen / lastSeen timestamps and the total occurrence count
+ * - hourly occurrence buckets, so counts can be asked for a time window
+ * - affected routes with per-route counts
+ * - a few recent sample events
+ * - the latest AI advice, with the ratings it got (see qerrorsFeedback)
+ *
+ * The store is bounded: the least recently seen issue is evicted when full.
+ */
+
+const crypto = require('crypto');
+const { sanitizeMessage, sanitizeContext } = require('./sanitization');
+const { normalizeMessage, normalizeFrames } = require('./qerrorsNormalization');
+
+const HOUR_MS = 60 * 60 * 1000;
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+const DEFAULTS = {
+  maxIssues: 500,
+  maxSamples: 5,
+  maxRoutes: 20,
+  maxFeedback: 20,
+  maxErrorIds: 5000,
+  bucketHours: 7 * 24
+};
+const OTHER_ROUTES = '(other)';
+
+/**
+ * Compute the grouping fingerprint for an error
+ *
+ * Messages and frames are normalized first (see qerrorsNormalization), so
+ * 'User 1234 not found' and 'User 5678 not found' share a fingerprint.
+ *
+ * @param {Error|object} error - Error or error record ({ name, message, stack })
+ * @returns {string} 16-character hex fingerprint
+ */
+const fingerprintError = (error) => {
+  const name = String(error?.name || 'Error').substring(0, 50);
+  const message = normalizeMessage(error?.message || '').substring(0, 200);
+  const identity = `${name}|${message}|${normalizeFrames(error?.stack)}`;
+  return crypto.createHash('sha256').update(identity).digest('hex').substring(0, 16);
+};
+
+/**
+ * Route an error record belongs to: "METHOD /path" for requests, else its location
+ * @param {object} context - Record context
+ * @returns {string|null} Route label
+ */
+const resolveRoute = (context = {}) => {
+  const url = context.route || context.path || context.url;
+  if (typeof url === 'string' && url.length > 0) {
+    const path = url.split('?')[0];
+    return context.method ? `${String(context.method).toUpperCase()} ${path}` : path;
+  }
+  return typeof context.location === 'string' && context.location.length > 0 ? context.location : null;
+};
+
+/**
+ * Convert a time filter (number, Date or ISO string) to epoch milliseconds
+ */
+const toTime = (value) => {
+  if (value === undefined || value === null) return null;
+  const time = value instanceof Date ? value.getTime() : (typeof value === 'number' ? value : Date.parse(value));
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * Ratings of an issue's current advice
+ */
+const emptyFeedback = () => ({ helpful: 0, unhelpful: 0, wrong: 0, evicted: false, entries: [] });
+
+/**
+ * Bounded store of issues keyed by fingerprint
+ */
+class IssueStore {
+  constructor (options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.issues = new Map();
+    // Recent error ids to their issue, so advice can be rated by errorId
+    this.errorIds = new Map();
+  }
+
+  /**
+   * Record one occurrence of an error
+   * @param {object} record - Error record from ScalableErrorHandler
+   * @param {Error|object} [error] - Original error (used for the full stack)
+   * @returns {object} The updated issue (internal; use getIssue for a snapshot)
+   */
+  record (record, error = record) {
+    const fingerprint = record.issueId || fingerprintError(error);
+    const timestamp = record.timestamp || Date.now();
+    let issue = this.issues.get(fingerprint);
+
+    if (issue) {
+      // Re-insert so Map order stays least-recently-seen first
+      this.issues.delete(fingerprint);
+    } else {
+      issue = {
+        id: fingerprint,
+        name: record.name,
+        message: sanitizeMessage(record.message),
+        severity: record.severity,
+        firstSeen: timestamp,
+        lastSeen: timestamp,
+        count: 0,
+        buckets: new Map(),
+        routes: new Map(),
+        samples: [],
+        advice: null,
+        adviceAt: null,
+        adviceOrigin: null,
+        feedback: emptyFeedback()
+      };
+    }
+    this.issues.set(fingerprint, issue);
+
+    issue.count++;
+    issue.lastSeen = Math.max(issue.lastSeen, timestamp);
+    if ((SEVERITY_RANK[record.severity] ?? -1) > (SEVERITY_RANK[issue.severity] ?? -1)) {
+      issue.severity = record.severity;
+    }
+    this.countOccurrence(issue, timestamp);
+
+    const route = resolveRoute(record.context);
+    if (route) this.countRoute(issue, route);
+
+    issue.samples.push({
+      errorId: record.id,
+      timestamp,
+      message: sanitizeMessage(record.message),
+      route,
+      context: sanitizeContext(record.context || {})
+    });
+    if (issue.samples.length > this.options.maxSamples) issue.samples.shift();
+
+    this.errorIds.set(record.id, fingerprint);
+    if (this.errorIds.size > this.options.maxErrorIds) {
+      this.errorIds.delete(this.errorIds.keys().next().value);
+    }
+
+    while (this.issues.size > this.options.maxIssues) {
+      this.issues.delete(this.issues.keys().next().value);
+    }
+    return issue;
+  }
+
+  countOccurrence (issue, timestamp) {
+    const bucket = Math.floor(timestamp / HOUR_MS) * HOUR_MS;
+    issue.buckets.set(bucket, (issue.buckets.get(bucket) || 0) + 1);
+    while (issue.buckets.size > this.options.bucketHours) {
+      issue.buckets.delete(issue.buckets.keys().next().value);
+    }
+  }
+
+  countRoute (issue, route) {
+    const key = issue.routes.has(route) || issue.routes.size < this.options.maxRoutes ? route : OTHER_ROUTES;
+    issue.routes.set(key, (issue.routes.get(key) || 0) + 1);
+  }
+
+  /**
+   * Store the latest advice for an issue
+   * @param {string} issueId - Issue fingerprint
+   * @param {object} advice - AI advice
+   */
+  setAdvice (issueId, advice) {
+    const issue = this.issues.get(issueId);
+    if (!issue || !advice) return;
+    // Ratings belong to one piece of advice; cache hits hand back the same object
+    if (issue.adviceOrigin !== advice) {
+      issue.adviceOrigin = advice;
+      issue.feedback = emptyFeedback();
+    }
+    // Copied: cache eviction empties the cached object
+    issue.advice = { ...advice };
+    issue.adviceAt = Date.now();
+  }
+
+  /**
+   * Issue an error record was grouped into
+   * @param {string} errorId - Error record id
+   * @returns {string|null} Issue fingerprint, unless unknown or evicted
+   */
+  issueIdForError (errorId) {
+    const issueId = this.errorIds.get(errorId);
+    return issueId && this.issues.has(issueId) ? issueId : null;
+  }
+
+  /**
+   * Rate an issue's current advice
+   * @param {string} issueId - Issue fingerprint
+   * @param {{rating: string, comment?: string|null, errorId?: string|null}} entry
+   * @returns {{advice: object, feedback: object}|null} The rated advice and its ratings, or null without advice
+   */
+  addFeedback (issueId, { rating, comment = null, errorId = null }) {
+    const issue = this.issues.get(issueId);
+    if (!issue || !issue.advice) return null;
+    issue.feedback[rating]++;
+    issue.feedback.entries.push({ rating, comment, errorId, timestamp: Date.now() });
+    if (issue.feedback.entries.length > this.options.maxFeedback) issue.feedback.entries.shift();
+    return { advice: issue.advice, feedback: issue.feedback };
+  }
+
+  /**
+   * Note that an issue's advice was evicted from the caches after its ratings
+   * @param {string} issueId - Issue fingerprint
+   */
+  markAdviceEvicted (issueId) {
+    const issue = this.issues.get(issueId);
+    if (issue) issue.feedback.evicted = true;
+  }
+
+  /**
+   * Occurrences within a time window, at hour granularity
+   * @param {object} issue - Internal issue
+   * @param {number|null} since - Window start (epoch ms)
+   * @param {number|null} until - Window end (epoch ms)
+   * @returns {number} Occurrence count
+   */
+  countBetween (issue, since, until) {
+    if (since === null && until === null) return issue.count;
+    const from = since === null ? -Infinity : Math.floor(since / HOUR_MS) * HOUR_MS;
+    const to = until === null ? Infinity : until;
+    let total = 0;
+    for (const [bucket, count] of issue.buckets) {
+      if (bucket >= from && bucket <= to) total += count;
+    }
+    return total;
+  }
+
+  /**
+   * Plain, detached view of an issue
+   */
+  toSnapshot (issue, since = null, until = null) {
+    return {
+      id: issue.id,
+      name: issue.name,
+      message: issue.message,
+      severity: issue.severity,
+      firstSeen: new Date(issue.firstSeen).toISOString(),
+      lastSeen: new Date(issue.lastSeen).toISOString(),
+      count: issue.count,
+      countInRange: this.countBetween(issue, since, until),
+      routes: [...issue.routes].map(([route, count]) => ({ route, count })).sort((a, b) => b.count - a.count),
+      samples: issue.samples.map(sample => ({ ...sample, timestamp: new Date(sample.timestamp).toISOString() })),
+      advice: issue.advice,
+      adviceAt: issue.adviceAt === null ? null : new Date(issue.adviceAt).toISOString(),
+      feedback: {
+        ...issue.feedback,
+        entries: issue.feedback.entries.map(entry => ({ ...entry, timestamp: new Date(entry.timestamp).toISOString() }))
+      }
+    };
+  }
+
+  /**
+   * @param {string} issueId - Issue fingerprint
+   * @returns {object|null} Issue snapshot
+   */
+  getIssue (issueId) {
+    const issue = this.issues.get(issueId);
+    return issue ? this.toSnapshot(issue) : null;
+  }
+
+  /**
+   * Query issues
+   * @param {object} [query] - Filters
+   * @param {number|Date|string} [query.since] - Only issues seen since; countInRange covers the window
+   * @param {number|Date|string} [query.until] - Window end
+   * @param {string} [query.route] - Only issues that affected this route
+   * @param {string} [query.name] - Only issues with this error name
+   * @param {string} [query.severity] - Only issues with this severity
+   * @param {number} [query.minCount=1] - Minimum occurrences in the window
+   * @param {'count'|'lastSeen'|'firstSeen'} [query.sortBy='lastSeen'] - Sort order (descending)
+   * @param {number} [query.limit=50] - Maximum issues returned
+   * @returns {Array<object>} Issue snapshots
+   */
+  getIssues (query = {}) {
+    const since = toTime(query.since);
+    const until = toTime(query.until);
+    const minCount = Number.isFinite(query.minCount) ? query.minCount : 1;
+    const limit = Number.isInteger(query.limit) && query.limit > 0 ? query.limit : 50;
+    const sortKey = {
+      count: issue => issue.countInRange,
+      firstSeen: issue => Date.parse(issue.firstSeen),
+      lastSeen: issue => Date.parse(issue.lastSeen)
+    }[query.sortBy] || (issue => Date.parse(issue.lastSeen));
+
+    const results = [];
+    for (const issue of this.issues.values()) {
+      if (since !== null && issue.lastSeen < since) continue;
+      if (until !== null && issue.firstSeen > until) continue;
+      if (query.name && issue.name !== query.name) continue;
+      if (query.severity && issue.severity !== query.severity) continue;
+      if (query.route && !issue.routes.has(query.route)) continue;
+      const snapshot = this.toSnapshot(issue, since, until);
+      if (snapshot.countInRange >= minCount) results.push(snapshot);
+    }
+    return results.sort((a, b) => sortKey(b) - sortKey(a)).slice(0, limit);
+  }
+
+  get size () {
+    return this.issues.size;
+  }
+
+  clear () {
+    this.issues.clear();
+    this.errorIds.clear();
+  }
+}
+
+const issueStore = new IssueStore();
+
+/**
+ * Shared store behind qerrors.getIssues / qerrors.getIssue
+ * @returns {IssueStore} Process-wide issue store
+ */
+const getIssueStore = () => issueStore;
+
+module.exports = {
+  fingerprintError,
+  resolveRoute,
+  IssueStore,
+  getIssueStore
+};
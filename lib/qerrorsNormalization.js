@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Qerrors Normalization Module
+ *
+ * Normalizes error messages and stack frames before fingerprinting so that
+ * occurrences differing only in variable data (ids, numbers, timestamps,
+ * paths...) share one fingerprint, one issue and one cached advice entry:
+ *
+ *   'User 1234 not found'  -> 'User <num> not found'
+ *   'User 5678 not found'  -> 'User <num> not found'
+ *
+ * Custom rules added with addNormalizationRule run before the built-in ones,
+ * so domain-specific identifiers (order numbers, tenant slugs...) can be
+ * replaced before the generic number rule splits them apart.
+ */
+
+const { parseStack, formatFrame } = require('./qerrorsStack');
+
+/**
+ * Built-in rules, applied in order; more specific patterns come first
+ */
+const DEFAULT_RULES = Object.freeze([
+  { name: 'quoted', pattern: /(?<!\w)(["'`])(?:(?!\1)[^\n])*\1(?!\w)/g, replacement: '<str>' },
+  { name: 'uuid', pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, replacement: '<uuid>' },
+  { name: 'timestamp', pattern: /\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?(?![\w:])/g, replacement: '<timestamp>' },
+  { name: 'email', pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g, replacement: '<email>' },
+  { name: 'path', pattern: /(?<![\w/.])(?:[A-Za-z]:\\|\/)(?:[\w.@-]+[\\/])+[\w.@-]+/g, replacement: '<path>' },
+  { name: 'hex', pattern: /\b(?:0x[0-9a-f]+|(?=[0-9a-f]*\d)[0-9a-f]{8,})\b/gi, replacement: '<hex>' },
+  { name: 'number', pattern: /\b\d+(?:\.\d+)?\b/g, replacement: '<num>' }
+]);
+
+const customRules = new Map();
+
+/**
+ * Register a custom normalization rule
+ * @param {object} rule - { name, pattern: RegExp, replacement?: string|function }
+ * @returns {function} Function that removes the rule
+ */
+const addNormalizationRule = (rule) => {
+  if (!rule || typeof rule.name !== 'string' || rule.name.length === 0) {
+    throw new TypeError('qerrors normalization rule requires a non-empty name');
+  }
+  if (!(rule.pattern instanceof RegExp)) {
+    throw new TypeError(`qerrors normalization rule "${rule.name}" requires a RegExp pattern`);
+  }
+  if (rule.replacement !== undefined && typeof rule.replacement !== 'string' && typeof rule.replacement !== 'function') {
+    throw new TypeError(`qerrors normalization rule "${rule.name}" replacement must be a string or function`);
+  }
+  if (customRules.has(rule.name) || DEFAULT_RULES.some(builtIn => builtIn.name === rule.name)) {
+    throw new Error(`qerrors normalization rule "${rule.name}" is already registered`);
+  }
+  // Always replace every match, whether or not the caller passed the g flag
+  const flags = rule.pattern.flags.includes('g') ? rule.pattern.flags : `${rule.pattern.flags}g`;
+  customRules.set(rule.name, {
+    name: rule.name,
+    pattern: new RegExp(rule.pattern.source, flags),
+    replacement: rule.replacement === undefined ? `<${rule.name}>` : rule.replacement
+  });
+  return () => removeNormalizationRule(rule.name);
+};
+
+/**
+ * @returns {boolean} Whether a custom rule was removed
+ */
+const removeNormalizationRule = (name) => customRules.delete(name);
+
+/**
+ * Remove every custom rule
+ */
+const clearNormalizationRules = () => customRules.clear();
+
+/**
+ * Replace variable data in a message with placeholders
+ * @param {string} message - Raw error message
+ * @returns {string} Normalized message
+ */
+const normalizeMessage = (message) => {
+  let normalized = String(message ?? '');
+  for (const rule of [...customRules.values(), ...DEFAULT_RULES]) {
+    normalized = normalized.replace(rule.pattern, rule.replacement);
+  }
+  return normalized;
+};
+
+/**
+ * Top stack frames used for grouping
+ *
+ * Frames come from the shared stack parser. Only in-app frames are used when
+ * the stack has any, since node internals and library frames differ between
+ * sync and async call paths. Line numbers and the async marker are dropped and
+ * paths are relative to the working directory, so the same code deployed
+ * elsewhere or shifted by an unrelated edit fingerprints the same.
+ *
+ * @param {string} stack - Raw stack trace
+ * @param {number} [limit=5] - Frames kept
+ * @returns {string} Normalized frames joined with '|'
+ */
+const normalizeFrames = (stack, limit = 5) => {
+  const frames = parseStack(stack);
+  const appFrames = frames.filter(frame => frame.inApp);
+  return (appFrames.length > 0 ? appFrames : frames)
+    .slice(0, limit)
+    .map(frame => formatFrame(frame, { lineNumbers: false }))
+    .join('|');
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  addNormalizationRule,
+  removeNormalizationRule,
+  clearNormalizationRules,
+  normalizeMessage,
+  normalizeFrames
+};
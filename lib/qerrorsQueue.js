@@ -13,6 +13,7 @@ const { CONCURRENCY_LIMIT, QUEUE_LIMIT } = require('./qerrorsConfig');
 const config = require('./config');
 const { getCurrentMemoryPressure } = require('./shared/memoryMonitor');
 const { calculateQueueSize } = require('./shared/adaptiveSizing');
+const { fingerprintError } = require('./qerrorsIssues');
 
 const logAsync = async (level, message) => {
   try {
@@ -106,6 +107,7 @@ const estimateItemMemoryUsage = (err, ctx) => {
 
 /**
  * Creates normalized error signature for deduplication
+ * The fingerprint is the shared issue fingerprint used by the advice caches and issue store
  * @param {Error} err - Error object
  * @returns {Object} Error signature with truncated fields
  */
@@ -114,57 +116,16 @@ const createErrorSignature = (err) => ({
   name: err.name ? err.name.substring(0, 50) : 'Error',
   code: err.code || '',
   timestamp: err.timestamp || Date.now(),
-  stackHash: err.stack ? createStackHash(err.stack) : ''
+  fingerprint: fingerprintError(err)
 });
 
-/**
- * Generates unique ID from error signature
- * @param {Object} signature - Error signature object
- * @returns {string} 16-character hex identifier
- */
-const generateSignatureId = (signature) => {
-  const crypto = require('crypto');
-  const signatureString = `${signature.name}:${signature.message}:${signature.code}:${signature.stackHash}`;
-  return crypto.createHash('sha256').update(signatureString).digest('hex').substring(0, 16);
-};
-
-/**
- * Creates normalized hash from stack trace for deduplication
- * @param {string} stack - Stack trace string
- * @returns {string} Normalized stack hash
- */
-const createStackHash = (stack) => {
-  if (!stack) return '';
-  
-  if (!stack || typeof stack !== 'string') {
-    return 'unknown-error';
-  }
-  
-  const maxStackLength = 1000;
-  const sanitizedStack = stack.length > maxStackLength 
-    ? stack.substring(0, maxStackLength) + '...[truncated]'
-    : stack;
-  
-  const stackLines = sanitizedStack.split('\n').slice(0, 5);
-  
-  const normalizedLines = stackLines.map(line => {
-    const cleanLine = line.replace(/[\x00-\x1F\x7F-\x9F]/g, '');
-    return cleanLine.trim().replace(/\d+/, 'N');
-  });
-  
-  const normalizedStack = normalizedLines.join('|');
-  
-  const crypto = require('crypto');
-  return crypto.createHash('md5').update(normalizedStack).digest('hex').substring(0, 8);
-};
-
 const estimateSignatureMemoryUsage = (signature) => {
   let estimatedSize = 256;
   
   estimatedSize += (signature.message || '').length * 2;
   estimatedSize += (signature.name || '').length * 2;
   estimatedSize += (signature.code || '').length * 2;
-  estimatedSize += (signature.stackHash || '').length * 2;
+  estimatedSize += (signature.fingerprint || '').length * 2;
   estimatedSize += 8;
   
   return estimatedSize;
@@ -300,7 +261,7 @@ async function scheduleAnalysis(err, ctx, analyzeErrorFn) {
   startAdviceCleanup();
   
   const errorSignature = createErrorSignature(err);
-  const signatureId = generateSignatureId(errorSignature);
+  const signatureId = errorSignature.fingerprint;
   
   const { setAdviceInCache } = require('./qerrorsCache');
   const cacheKey = `error_full_${signatureId}`;
@@ -0,0 +1,244 @@
+'use strict';
+
+/**
+ * Qerrors Outbound Redaction Module
+ *
+ * Every prompt passes through redactPrompt before any AI provider sees it
+ * (see AIModelManager.analyzeError). It applies the redaction policy logs
+ * use (lib/sanitization.js, lib/qerrorsRedactionPolicy.js):
+ * - each error report field goes through sanitizeMessage; the context field,
+ *   when it is a serialized object, through sanitizeContext, so sensitive
+ *   keys are redacted as they are in logs
+ * - the analysis instructions and plain string prompts go through sanitizeMessage
+ *
+ * Each redaction counts towards a record of the request, by kind (email,
+ * card, ssn, jwt, secret, ..., or a configured detector's name) and by field,
+ * whatever the rule's strategy. The record is attached to the advice as
+ * `promptRedactions`. Values themselves are never recorded.
+ *
+ * With QERRORS_AI_REDACTION_STRICT=true, prompts that still contain
+ * high-entropy tokens after redaction (likely API keys or credentials the
+ * patterns missed) are not sent: redactPrompt throws a PromptRedactionError
+ * and the error gets offline advice instead.
+ *
+ * Models can echo what they were given, so advice goes through redactAdvice
+ * before it is cached or returned: the same policy, plus the high-entropy
+ * secret detector. Its record is attached as
+ * `adviceRedactions`. Both stages count towards getRedactionStats; advice
+ * that needed redaction points at input rules to tighten.
+ */
+
+const { redactMessage, redactContext } = require('./sanitization');
+const { parseErrorReport, formatErrorReport } = require('./qerrorsPromptTemplates');
+const localVars = require('../config/localVars');
+
+const HIGH_ENTROPY_MARKER = '[SECRET-REDACTED]';
+const MIN_SECRET_LENGTH = 24;
+const MIN_SECRET_ENTROPY = 4;
+const SECRET_CANDIDATE = /[A-Za-z0-9+=_-]{24,}/g;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HEX_KEY = /^[0-9a-f]{32,}$/i;
+const ADVICE_TEXT_FIELDS = ['summary', 'probableRootCause', 'fixSteps', 'relatedDocs'];
+
+/**
+ * Thrown in strict mode for a prompt that still contains likely secrets
+ */
+class PromptRedactionError extends Error {
+  constructor (message, redactions, findings) {
+    super(message);
+    this.name = 'PromptRedactionError';
+    this.code = 'QERRORS_PROMPT_SECRETS';
+    this.redactions = redactions;
+    this.findings = findings;
+  }
+}
+
+/**
+ * Shannon entropy in bits per character
+ */
+const entropyOf = (text) => {
+  const counts = new Map();
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const share = count / text.length;
+    entropy -= share * Math.log2(share);
+  }
+  return entropy;
+};
+
+/**
+ * Entropy of a token that looks like a secret (a long letter-and-digit run with
+ * high entropy, or a long hex key), else null
+ */
+const secretEntropy = (token) => {
+  if (token.length < MIN_SECRET_LENGTH || !/\d/.test(token) || !/[A-Za-z]/.test(token) || UUID.test(token)) return null;
+  const entropy = entropyOf(token);
+  return entropy >= MIN_SECRET_ENTROPY || HEX_KEY.test(token) ? entropy : null;
+};
+
+/**
+ * Tokens that look like secrets
+ * @param {string} text
+ * @returns {Array<{length: number, entropy: number}>} One finding per token, without the token itself
+ */
+const findHighEntropySecrets = (text) => (String(text || '').match(SECRET_CANDIDATE) || [])
+  .map(token => ({ length: token.length, entropy: secretEntropy(token) }))
+  .filter(finding => finding.entropy !== null)
+  .map(finding => ({ ...finding, entropy: Math.round(finding.entropy * 100) / 100 }));
+
+/**
+ * Secret detector: hides high-entropy tokens
+ * @param {string} text
+ * @param {function} [onRedact] - Called with the kind of each redacted value
+ * @returns {string}
+ */
+const redactSecrets = (text, onRedact) => String(text).replace(SECRET_CANDIDATE, token => {
+  if (secretEntropy(token) === null) return token;
+  onRedact && onRedact('high_entropy');
+  return HIGH_ENTROPY_MARKER;
+});
+
+/**
+ * Model output pipeline: the log policy, then the secret detector for tokens
+ * no detector recognised
+ * @param {string} text
+ * @param {function} [onRedact] - Called with the kind of each redacted value
+ * @returns {string}
+ */
+const redactModelOutput = (text, onRedact) => redactSecrets(redactMessage(text, onRedact), onRedact);
+
+/**
+ * Redaction record, counting per kind and per field what a redactor replaced
+ */
+const createRedactionRecord = () => {
+  const record = { total: 0, kinds: {}, fields: {} };
+  const apply = (field, value, redactor) => {
+    const text = String(value);
+    return text.length > 0
+      ? redactor(text, (kind) => {
+        record.kinds[kind] = (record.kinds[kind] || 0) + 1;
+        record.fields[field] = (record.fields[field] || 0) + 1;
+        record.total++;
+      })
+      : text;
+  };
+  return { record, apply };
+};
+
+/**
+ * Serialized context object with the log policy applied; other text as a message
+ */
+const redactSerializedContext = (value, onRedact) => {
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed && typeof parsed === 'object') return JSON.stringify(redactContext(parsed, onRedact));
+  } catch (parseError) {
+    // Not JSON: redact it like any message
+  }
+  return redactMessage(value, onRedact);
+};
+
+/**
+ * Redact everything a prompt sends to the provider
+ *
+ * @param {string|{system: string, instructions: string, report: string}} prompt - Plain or structured prompt
+ * @param {object} [options]
+ * @param {boolean} [options.strict=QERRORS_AI_REDACTION_STRICT] - Refuse prompts that still contain likely secrets
+ * @returns {{prompt: string|object, redactions: {total: number, kinds: object, fields: object}}}
+ *   The redacted prompt and what was redacted: counts per kind and per field
+ * @throws {PromptRedactionError} In strict mode, when likely secrets remain
+ */
+const redactPrompt = (prompt, options = {}) => {
+  const strict = options.strict ?? localVars.QERRORS_AI_REDACTION_STRICT;
+  const { record: redactions, apply } = createRedactionRecord();
+  const findings = [];
+  const redact = (field, value, redactor = redactMessage) => {
+    const redacted = apply(field, value, redactor);
+    strict && findHighEntropySecrets(redacted).forEach(finding => findings.push({ field, ...finding }));
+    return redacted;
+  };
+
+  let redactedPrompt;
+  if (typeof prompt === 'string') {
+    redactedPrompt = redact('prompt', prompt);
+  } else {
+    // Reports not built by buildAnalysisPrompt are redacted as a whole
+    const report = parseErrorReport(prompt.report);
+    redactedPrompt = {
+      ...prompt,
+      instructions: redact('instructions', prompt.instructions),
+      report: report
+        ? formatErrorReport(Object.fromEntries(Object.entries(report)
+          .map(([field, value]) => [field, redact(field, value, field === 'context' ? redactSerializedContext : redactMessage)])))
+        : redact('report', prompt.report)
+    };
+  }
+
+  if (findings.length > 0) {
+    throw new PromptRedactionError(
+      `AI prompt still contains ${findings.length} likely secret(s) after redaction (${[...new Set(findings.map(finding => finding.field))].join(', ')})`,
+      redactions,
+      findings
+    );
+  }
+  return { prompt: redactedPrompt, redactions };
+};
+
+/**
+ * Redact the text of AI advice before it is cached or returned
+ * @param {object} advice - Schema-valid advice
+ * @returns {{advice: object, redactions: {total: number, kinds: object, fields: object}}} A redacted copy and what was redacted
+ */
+const redactAdvice = (advice) => {
+  const { record: redactions, apply } = createRedactionRecord();
+  const redact = (field, value) => (typeof value === 'string' ? apply(field, value, redactModelOutput) : value);
+  const redacted = { ...advice };
+  ADVICE_TEXT_FIELDS.forEach(field => {
+    redacted[field] = Array.isArray(advice[field]) ? advice[field].map(item => redact(field, item)) : redact(field, advice[field]);
+  });
+  return { advice: redacted, redactions };
+};
+
+const emptyStageStats = () => ({ checked: 0, redacted: 0, total: 0, kinds: {}, fields: {} });
+let redactionStats = { prompts: { ...emptyStageStats(), refused: 0 }, advice: emptyStageStats() };
+
+/**
+ * Count one redaction record towards the stats of its stage
+ * @param {'prompts'|'advice'} stage
+ * @param {{total: number, kinds: object, fields: object}} redactions
+ * @param {boolean} [refused=false] - Whether strict mode refused the prompt
+ */
+const recordRedactionStats = (stage, redactions, refused = false) => {
+  const stats = redactionStats[stage];
+  stats.checked++;
+  redactions.total > 0 && stats.redacted++;
+  refused && stats.refused++;
+  stats.total += redactions.total;
+  ['kinds', 'fields'].forEach(group => Object.entries(redactions[group]).forEach(([name, count]) => {
+    stats[group][name] = (stats[group][name] || 0) + count;
+  }));
+};
+
+/**
+ * Redactions so far: prompts checked, redacted and refused, and advice checked and redacted,
+ * with counts per kind and per field
+ * @returns {{prompts: object, advice: object}}
+ */
+const getRedactionStats = () => JSON.parse(JSON.stringify(redactionStats));
+
+const resetRedactionStats = () => {
+  redactionStats = { prompts: { ...emptyStageStats(), refused: 0 }, advice: emptyStageStats() };
+};
+
+module.exports = {
+  PromptRedactionError,
+  findHighEntropySecrets,
+  redactSecrets,
+  redactModelOutput,
+  redactPrompt,
+  redactAdvice,
+  recordRedactionStats,
+  getRedactionStats,
+  resetRedactionStats
+};
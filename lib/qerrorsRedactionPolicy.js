@@ -0,0 +1,419 @@
+'use strict';
+
+/**
+ * Qerrors Redaction Policy Module
+ *
+ * One policy decides what sanitizeMessage and sanitizeContext hide, so logs,
+ * error responses and AI prompts are redacted alike. A policy has:
+ * - keys.deny: matchers for keys whose values are replaced wherever they appear
+ * - keys.allow: matchers for keys never redacted by name (values still go through the detectors)
+ * - paths: JSON-path rules for one place in a context object:
+ *   `$.user.ssn`, `$.items[*].card`, `$['x-api-key']`, `$..password` (any depth)
+ * - detectors: patterns that find sensitive values inside any text (the
+ *   built-in ones are in qerrorsDetectors.js); each can be disabled, and
+ *   `minConfidence` skips those less sure than it
+ *
+ * Key matchers:
+ * - plain strings match whole words of the key, whatever its case or separators:
+ *   'auth' matches auth, authToken and x-auth-token but not author; 'api_key'
+ *   matches apiKey, API-KEY and apikeys
+ * - the built-in terms that are never part of an innocent word ('password',
+ *   'token', 'secret', ...) match anywhere in the key, so userpassword and
+ *   clientsecret are denied as well as userPassword
+ * - strings with * or ? are globs over the whole key, case-insensitive
+ * - RegExps (or '/source/flags' strings in JSON) are tested against the key
+ *
+ * Every rule has a strategy:
+ * - redact: a marker ('[REDACTED]', or the detector's, e.g. '[EMAIL-REDACTED]')
+ * - mask: the first `keep` characters (4) followed by '***', like maskKey
+ * - hash: '[HASH-<12 hex>]', so equal values stay correlatable (an HMAC when QERRORS_REDACTION_HASH_KEY is set)
+ * - drop: the property is removed, or the matched text
+ * - truncate: the first `length` characters (8) followed by '...'
+ *
+ * The built-in policy is extended by QERRORS_REDACTION_POLICY (path of a JSON
+ * file, or inline JSON) at load and by configureRedaction at runtime.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { BUILT_IN_DETECTORS } = require('./qerrorsDetectors');
+const { QERRORS_REDACTION_POLICY, QERRORS_REDACTION_HASH_KEY } = require('../config/localVars');
+
+const STRATEGIES = ['redact', 'mask', 'hash', 'drop', 'truncate'];
+const DEFAULT_REPLACEMENT = '[REDACTED]';
+const DEFAULT_KEEP = 4;
+const DEFAULT_LENGTH = 8;
+// Output of an earlier rule, left alone by later detectors
+const REDACTED_OUTPUT = /^\[(?:(?:[A-Z]+-)*REDACTED|HASH-[0-9a-f]+)\]$/;
+const DROP = Symbol('drop');
+
+// Short terms that are also parts of ordinary words (author, spin, classname): whole words only
+const DEFAULT_DENY_KEYS = ['auth', 'ssn', 'cvv', 'cvc', 'pin'];
+// Unambiguous terms, denied anywhere in a key so all-lowercase compounds (userpassword, accesstoken) are too
+const DEFAULT_DENY_TERMS = [
+  'password', 'token', 'secret', 'credential', 'authorization', 'authentication',
+  'apikey', 'privatekey', 'accesscode', 'socialsecurity', 'creditcard', 'cardnumber'
+];
+
+/**
+ * RegExp from a RegExp or a '/source/flags' string; plain strings are taken as a source
+ */
+const toRegExp = (pattern, flags = '') => {
+  if (pattern instanceof RegExp) return new RegExp(pattern.source, [...new Set(pattern.flags + flags)].join(''));
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(pattern);
+  return literal
+    ? new RegExp(literal[1], [...new Set(literal[2] + flags)].join(''))
+    : new RegExp(pattern, flags);
+};
+
+/**
+ * Lower-case words of a key: camelCase, snake_case, kebab-case and dotted keys alike
+ */
+const wordsOf = (key) => String(key)
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+/**
+ * Key matcher function for a plain word, glob or RegExp
+ */
+const keyMatcher = (matcher) => {
+  if (matcher instanceof RegExp || (typeof matcher === 'string' && /^\/.+\/[a-z]*$/s.test(matcher))) {
+    const pattern = toRegExp(matcher);
+    return (key) => {
+      pattern.lastIndex = 0;
+      return pattern.test(key);
+    };
+  }
+  if (typeof matcher !== 'string' || matcher.length === 0) {
+    throw new TypeError('qerrors redaction key matchers must be non-empty strings or RegExps');
+  }
+  if (/[*?]/.test(matcher)) {
+    const glob = new RegExp(`^${matcher.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+    return (key) => glob.test(key);
+  }
+  const term = wordsOf(matcher).join('');
+  // Any run of whole words, joined, equals the term (or its plural)
+  return (key) => {
+    const words = wordsOf(key);
+    for (let start = 0; start < words.length; start++) {
+      let run = '';
+      for (let end = start; end < words.length && run.length < term.length; end++) {
+        run += words[end];
+        if (run === term || run === `${term}s`) return true;
+      }
+    }
+    return false;
+  };
+};
+
+/**
+ * Key matcher for a built-in term found anywhere in the key, separators and case ignored
+ */
+const termMatcher = (term) => (key) => wordsOf(key).join('').includes(term);
+
+/**
+ * Segments of a JSON path: `{ name, deep }` where name is a key, an index or '*'
+ */
+const parsePath = (path) => {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw new TypeError(`qerrors redaction path "${path}" must start with $`);
+  }
+  const segments = [];
+  const token = /(\.\.|\.)(\*|[^.[\]]+)|\[(\*|\d+|'[^']*'|"[^"]*")\]/y;
+  let position = 1;
+  let deep = false;
+  while (position < path.length) {
+    if (path.startsWith('..[', position)) {
+      deep = true;
+      position += 2;
+      continue;
+    }
+    token.lastIndex = position;
+    const match = token.exec(path);
+    if (!match) throw new TypeError(`qerrors redaction path "${path}" is invalid at "${path.slice(position)}"`);
+    const name = match[2] ?? match[3].replace(/^(['"])(.*)\1$/, '$2');
+    segments.push({ name, deep: deep || match[1] === '..' });
+    deep = false;
+    position = token.lastIndex;
+  }
+  if (segments.length === 0) throw new TypeError(`qerrors redaction path "${path}" selects the whole context`);
+  return segments;
+};
+
+/**
+ * Whether a concrete path (keys and indexes from the root) matches the segments
+ */
+const matchesPath = (segments, path, segment = 0, position = 0) => {
+  if (segment === segments.length) return position === path.length;
+  const { name, deep } = segments[segment];
+  const fits = (index) => (name === '*' || name === String(path[index])) && matchesPath(segments, path, segment + 1, index + 1);
+  if (!deep) return position < path.length && fits(position);
+  for (let index = position; index < path.length; index++) {
+    if (fits(index)) return true;
+  }
+  return false;
+};
+
+/**
+ * Validated strategy settings of a rule, with its defaults
+ */
+const strategyOf = (rule, defaults) => {
+  const strategy = rule.strategy || defaults.strategy || 'redact';
+  if (!STRATEGIES.includes(strategy)) {
+    throw new TypeError(`qerrors redaction strategy "${strategy}" must be one of ${STRATEGIES.join(', ')}`);
+  }
+  return {
+    strategy,
+    kind: rule.kind || defaults.kind || 'secret',
+    replacement: rule.replacement ?? defaults.replacement ?? DEFAULT_REPLACEMENT,
+    keep: Number.isInteger(rule.keep) && rule.keep >= 0 ? rule.keep : DEFAULT_KEEP,
+    length: Number.isInteger(rule.length) && rule.length >= 0 ? rule.length : DEFAULT_LENGTH
+  };
+};
+
+const compileKeyRule = (entry, defaults) => {
+  const plain = typeof entry === 'string' || entry instanceof RegExp;
+  return { ...strategyOf(plain ? {} : entry, defaults), matches: keyMatcher(plain ? entry : entry.key) };
+};
+
+/**
+ * Compile a detector; a built-in one supplies what the configuration leaves out,
+ * its hint and validation only while its pattern is kept
+ */
+const compileDetector = (detector, builtIn = {}) => {
+  if (!detector || typeof detector.name !== 'string' || detector.name.length === 0) {
+    throw new TypeError('qerrors redaction detectors require a non-empty name');
+  }
+  const pattern = detector.pattern ?? builtIn.pattern;
+  if (!pattern) throw new TypeError(`qerrors redaction detector "${detector.name}" requires a pattern`);
+  if (detector.validate !== undefined && typeof detector.validate !== 'function') {
+    throw new TypeError(`qerrors redaction detector "${detector.name}" validate must be a function`);
+  }
+  const confidence = detector.confidence ?? builtIn.confidence ?? 1;
+  if (typeof confidence !== 'number' || !(confidence >= 0 && confidence <= 1)) {
+    throw new TypeError(`qerrors redaction detector "${detector.name}" confidence must be between 0 and 1`);
+  }
+  const ownPattern = detector.pattern !== undefined;
+  return {
+    name: detector.name,
+    ...strategyOf(detector, { kind: builtIn.kind || detector.name, replacement: builtIn.replacement }),
+    pattern: toRegExp(pattern, 'g'),
+    hint: ownPattern ? null : builtIn.hint || null,
+    validate: detector.validate || (ownPattern ? null : builtIn.validate) || null,
+    confidence,
+    // Built-in detectors that are off by default (IP addresses) stay off until enabled
+    enabled: detector.enabled === undefined ? ownPattern || builtIn.enabled !== false : detector.enabled !== false
+  };
+};
+
+/**
+ * Compile a policy configuration
+ *
+ * @param {object} [config]
+ * @param {boolean} [config.useDefaults=true] - Start from the built-in keys and detectors
+ * @param {object} [config.keys] - `{ deny, allow, strategy }`; deny entries are matchers or `{ key, strategy, ... }`
+ * @param {Array<object>} [config.paths] - `{ path, strategy, ... }` JSON-path rules
+ * @param {Array<object>} [config.detectors] - `{ name, pattern, strategy, validate, confidence, enabled, ... }`; a built-in name without a pattern changes that detector's settings
+ * @param {number} [config.minConfidence=0] - Detectors less confident than this do not run
+ * @returns {object} Compiled policy
+ * @throws {TypeError} For an invalid matcher, path, pattern or strategy
+ */
+const compileRedactionPolicy = (config = {}) => {
+  const useDefaults = config.useDefaults !== false;
+  const keys = config.keys || {};
+  const keyDefaults = { strategy: keys.strategy, kind: 'secret' };
+
+  const minConfidence = config.minConfidence ?? 0;
+  if (typeof minConfidence !== 'number' || !(minConfidence >= 0 && minConfidence <= 1)) {
+    throw new TypeError('qerrors redaction minConfidence must be between 0 and 1');
+  }
+
+  const detectors = useDefaults ? BUILT_IN_DETECTORS.map(detector => compileDetector({ name: detector.name }, detector)) : [];
+  (config.detectors || []).forEach(detector => {
+    const index = detectors.findIndex(existing => existing.name === detector?.name);
+    const builtIn = index === -1 ? {} : BUILT_IN_DETECTORS.find(existing => existing.name === detector.name) || {};
+    const compiled = compileDetector(detector, builtIn);
+    index === -1 ? detectors.push(compiled) : (detectors[index] = compiled);
+  });
+
+  return {
+    minConfidence,
+    deny: [
+      ...(useDefaults ? DEFAULT_DENY_TERMS.map(term => ({ ...strategyOf({}, keyDefaults), matches: termMatcher(term) })) : []),
+      ...[...(useDefaults ? DEFAULT_DENY_KEYS : []), ...(keys.deny || [])].map(entry => compileKeyRule(entry, keyDefaults))
+    ],
+    allow: (keys.allow || []).map(keyMatcher),
+    paths: (config.paths || []).map(rule => ({ ...strategyOf(rule, { kind: 'secret' }), segments: parsePath(rule.path) })),
+    detectors
+  };
+};
+
+/**
+ * The rule deciding a property's value, or null to sanitize it as usual
+ * @param {object} policy - Compiled policy
+ * @param {string} key - Property name
+ * @param {Array<string|number>} path - Keys and indexes from the context root, ending with key
+ */
+const ruleFor = (policy, key, path) => {
+  const pathRule = policy.paths.find(rule => matchesPath(rule.segments, path));
+  if (pathRule) return pathRule;
+  if (typeof key !== 'string' || policy.allow.some(matches => matches(key))) return null;
+  return policy.deny.find(rule => rule.matches(key)) || null;
+};
+
+const digest = (text) => (QERRORS_REDACTION_HASH_KEY
+  ? crypto.createHmac('sha256', QERRORS_REDACTION_HASH_KEY)
+  : crypto.createHash('sha256')).update(text).digest('hex').substring(0, 12);
+
+const textOf = (value) => {
+  if (typeof value === 'string') return value;
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch (stringifyError) {
+    return '[Object]';
+  }
+};
+
+/**
+ * Replacement of a value under a rule's strategy
+ * @returns {string|symbol} The replacement, or DROP
+ */
+const applyStrategy = (value, rule) => {
+  const text = textOf(value);
+  switch (rule.strategy) {
+    case 'mask': return text.length <= rule.keep ? '***' : `${text.slice(0, rule.keep)}***`;
+    case 'hash': return `[HASH-${digest(text)}]`;
+    case 'drop': return DROP;
+    case 'truncate': return text.length <= rule.length ? text : `${text.slice(0, rule.length)}...`;
+    default: return rule.replacement;
+  }
+};
+
+/**
+ * Detectors of a policy that run on a text: enabled, confident enough, and hinted at
+ */
+const runnableDetectors = (policy, text) => policy.detectors.filter(detector => detector.enabled &&
+  detector.confidence >= policy.minConfidence &&
+  (!detector.hint || detector.hint.test(text)));
+
+/**
+ * Run the policy's detectors over a text
+ * @param {object} policy - Compiled policy
+ * @param {string} text
+ * @param {function} [onRedact] - Called with the kind of every value replaced
+ * @returns {string}
+ */
+const detectInText = (policy, text, onRedact) => runnableDetectors(policy, text).reduce((current, detector) => current.replace(detector.pattern, (match) => {
+  if (REDACTED_OUTPUT.test(match) || (detector.validate && !detector.validate(match))) return match;
+  const replaced = applyStrategy(match, detector);
+  if (replaced === match) return match;
+  onRedact && onRedact(detector.kind);
+  return replaced === DROP ? '' : replaced;
+}), text);
+
+/**
+ * Sensitive values the policy's detectors find in a text, without the values
+ *
+ * Every detector looks at the original text, so findings can overlap (an email
+ * inside a URL password, a JWT after 'Bearer ').
+ *
+ * @param {object} policy - Compiled policy
+ * @param {string} text
+ * @returns {Array<{detector: string, kind: string, confidence: number, index: number, length: number}>} Sorted by index
+ */
+const scanText = (policy, text) => runnableDetectors(policy, text).flatMap(detector => [...text.matchAll(detector.pattern)]
+  .filter(match => !REDACTED_OUTPUT.test(match[0]) && (!detector.validate || detector.validate(match[0])))
+  .map(match => ({ detector: detector.name, kind: detector.kind, confidence: detector.confidence, index: match.index, length: match[0].length })))
+  .sort((a, b) => a.index - b.index);
+
+const loadConfiguredPolicy = (source) => {
+  if (!source) return {};
+  try {
+    const text = source.trim().startsWith('{') ? source : fs.readFileSync(source, 'utf8');
+    const config = JSON.parse(text);
+    compileRedactionPolicy(config);
+    return config;
+  } catch (error) {
+    console.warn(`Ignoring QERRORS_REDACTION_POLICY: ${error.message}`);
+    return {};
+  }
+};
+
+const startupConfig = loadConfiguredPolicy(QERRORS_REDACTION_POLICY);
+let activePolicy = compileRedactionPolicy(startupConfig);
+const customDetectors = [];
+
+/**
+ * Replace the redaction policy
+ *
+ * The configuration extends the built-in policy (unless `useDefaults: false`)
+ * and replaces any earlier one, including QERRORS_REDACTION_POLICY; null goes
+ * back to the policy loaded at startup. Patterns added with
+ * addCustomSanitizationPattern are kept.
+ *
+ * @example
+ * qerrors.configureRedaction({
+ *   keys: { deny: ['session*', /^x-.*-signature$/i], allow: ['tokenizer'] },
+ *   paths: [{ path: '$.user.email', strategy: 'hash' }, { path: '$..rawBody', strategy: 'truncate', length: 64 }],
+ *   detectors: [{ name: 'orderRef', pattern: /\bORD-\d{8}\b/g, strategy: 'mask' }, { name: 'phone', strategy: 'drop' }]
+ * });
+ *
+ * @param {object|null} config - See compileRedactionPolicy
+ * @throws {TypeError} For an invalid configuration; the current policy stays
+ */
+const configureRedaction = (config) => {
+  activePolicy = compileRedactionPolicy(config || startupConfig);
+};
+
+/**
+ * The compiled policy in force, custom patterns included
+ */
+const getActivePolicy = () => (customDetectors.length === 0
+  ? activePolicy
+  : { ...activePolicy, detectors: [...activePolicy.detectors, ...customDetectors] });
+
+/**
+ * Detectors of the policy in force, in the order they run
+ * @returns {Array<{name: string, kind: string, confidence: number, strategy: string, enabled: boolean}>}
+ */
+const getRedactionDetectors = () => getActivePolicy().detectors.map(detector => ({
+  name: detector.name,
+  kind: detector.kind,
+  confidence: detector.confidence,
+  strategy: detector.strategy,
+  enabled: detector.enabled && detector.confidence >= activePolicy.minConfidence
+}));
+
+/**
+ * Add a detector to every policy, replacing matches with a marker
+ * @param {RegExp|string} pattern - RegExp, '/source/flags' string or source
+ * @param {string} [replacement='[REDACTED]']
+ */
+const addCustomSanitizationPattern = (pattern, replacement = DEFAULT_REPLACEMENT) => {
+  customDetectors.push(compileDetector({ name: `custom-${customDetectors.length + 1}`, kind: 'custom', pattern, replacement }));
+};
+
+/**
+ * Remove every pattern added with addCustomSanitizationPattern
+ */
+const clearCustomSanitizationPatterns = () => {
+  customDetectors.length = 0;
+};
+
+module.exports = {
+  DROP,
+  STRATEGIES,
+  compileRedactionPolicy,
+  configureRedaction,
+  getActivePolicy,
+  ruleFor,
+  applyStrategy,
+  detectInText,
+  scanText,
+  getRedactionDetectors,
+  addCustomSanitizationPattern,
+  clearCustomSanitizationPatterns
+};
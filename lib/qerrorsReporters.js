@@ -0,0 +1,269 @@
+'use strict';
+
+/**
+ * Qerrors Reporters Module
+ *
+ * Public hook and reporter API for captured errors. The ScalableErrorHandler
+ * emits three events:
+ * - 'captured': an error record was stored
+ * - 'analyzed': advice is available for a record (fresh or cached)
+ * - 'dropped':  analysis could not run (queue full, timed out or shut down)
+ *
+ * Every subscriber receives `{ type, record, advice?, reason?, timestamp }`
+ * where `record` is a frozen, sanitized copy of the error record.
+ *
+ * Isolation and backpressure:
+ * - Emitting never throws and never waits; deliveries run on a later tick
+ * - Each subscriber has its own bounded queue processed one event at a time,
+ *   so a slow reporter only delays itself; when its queue is full the oldest
+ *   pending event is dropped and counted
+ * - Each delivery has a timeout, and thrown or rejected errors are counted
+ *   and kept as `lastError` instead of propagating
+ */
+
+const { sanitizeMessage, sanitizeContext } = require('./sanitization');
+
+const ERROR_EVENTS = Object.freeze(['captured', 'analyzed', 'dropped']);
+const DEFAULT_MAX_PENDING = 100;
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Resolve a delivery promise or reject after the timeout
+ * @param {Promise} promise - Delivery in progress
+ * @param {number} timeoutMs - Maximum wait
+ * @returns {Promise} The delivery result
+ */
+const withTimeout = (promise, timeoutMs) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Delivery timed out after ${timeoutMs}ms`)), timeoutMs);
+    timer.unref && timer.unref();
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Frozen copy of a stack frame, including its source lines
+ */
+const snapshotFrame = (frame) => {
+  const copy = { ...frame };
+  frame.sourceContext && (copy.sourceContext = Object.freeze({
+    pre: Object.freeze([...frame.sourceContext.pre]),
+    line: frame.sourceContext.line,
+    post: Object.freeze([...frame.sourceContext.post])
+  }));
+  return Object.freeze(copy);
+};
+
+/**
+ * Create the frozen, sanitized copy of an error record handed to subscribers
+ * @param {object} record - Error record from ScalableErrorHandler
+ * @returns {object} Read-only record snapshot
+ */
+const snapshotRecord = (record) => {
+  const snapshot = {
+    id: record.id,
+    timestamp: record.timestamp,
+    name: record.name,
+    message: sanitizeMessage(record.message),
+    stack: record.stack === undefined ? undefined : sanitizeMessage(record.stack),
+    severity: record.severity,
+    issueId: record.issueId,
+    frames: Object.freeze((record.frames || []).map(snapshotFrame)),
+    context: Object.freeze(sanitizeContext(record.context || {}))
+  };
+  record.cached && (snapshot.cached = true);
+  return Object.freeze(snapshot);
+};
+
+/**
+ * Bounded, serial delivery queue for one subscriber
+ */
+class ReporterChannel {
+  constructor (name, deliver, options = {}) {
+    this.name = name;
+    this.deliver = deliver;
+    this.events = new Set(options.events || ERROR_EVENTS);
+    this.maxPending = Number.isInteger(options.maxPending) && options.maxPending > 0 ? options.maxPending : DEFAULT_MAX_PENDING;
+    this.timeoutMs = Number.isFinite(options.timeoutMs) && options.timeoutMs > 0 ? options.timeoutMs : DEFAULT_TIMEOUT_MS;
+    this.pending = [];
+    this.active = false;
+    this.delivered = 0;
+    this.failed = 0;
+    this.dropped = 0;
+    this.lastError = null;
+  }
+
+  /**
+   * Queue an event, dropping the oldest pending one when full
+   */
+  push (event) {
+    if (!this.events.has(event.type)) return;
+    if (this.pending.length >= this.maxPending) {
+      this.pending.shift();
+      this.dropped++;
+    }
+    this.pending.push(event);
+    if (!this.active) {
+      this.active = true;
+      setImmediate(() => this.drain());
+    }
+  }
+
+  /**
+   * Deliver pending events one at a time
+   */
+  async drain () {
+    while (this.pending.length > 0) {
+      const event = this.pending.shift();
+      try {
+        await withTimeout(Promise.resolve().then(() => this.deliver(event)), this.timeoutMs);
+        this.delivered++;
+      } catch (error) {
+        this.failed++;
+        this.lastError = String(error?.message || error).substring(0, 200);
+      }
+    }
+    this.active = false;
+  }
+
+  getStats () {
+    return {
+      name: this.name,
+      events: [...this.events],
+      pending: this.pending.length,
+      delivered: this.delivered,
+      failed: this.failed,
+      dropped: this.dropped,
+      lastError: this.lastError
+    };
+  }
+}
+
+/**
+ * Registry of event hooks and named reporters
+ */
+class ErrorEventRegistry {
+  constructor () {
+    this.hooks = [];
+    this.reporters = new Map();
+  }
+
+  /**
+   * Subscribe to one event type
+   * @param {string} type - 'captured', 'analyzed' or 'dropped'
+   * @param {function} listener - Called with the event object
+   * @param {object} [options] - { maxPending, timeoutMs }
+   * @returns {function} Unsubscribe function
+   */
+  on (type, listener, options = {}) {
+    if (!ERROR_EVENTS.includes(type)) {
+      throw new TypeError(`Unknown qerrors event "${type}"; expected one of ${ERROR_EVENTS.join(', ')}`);
+    }
+    if (typeof listener !== 'function') {
+      throw new TypeError('qerrors event listener must be a function');
+    }
+    const channel = new ReporterChannel(`on:${type}`, listener, { ...options, events: [type] });
+    channel.listener = listener;
+    this.hooks.push(channel);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Remove a listener added with on()
+   * @returns {boolean} Whether a listener was removed
+   */
+  off (type, listener) {
+    const index = this.hooks.findIndex(channel => channel.listener === listener && channel.events.has(type));
+    if (index === -1) return false;
+    this.hooks.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Register a named reporter
+   * @param {object} reporter - { name, report(event), events?, maxPending?, timeoutMs? }
+   * @returns {function} Function that removes the reporter
+   */
+  addReporter (reporter) {
+    if (!reporter || typeof reporter.name !== 'string' || reporter.name.length === 0) {
+      throw new TypeError('qerrors reporter requires a non-empty name');
+    }
+    if (typeof reporter.report !== 'function') {
+      throw new TypeError(`qerrors reporter "${reporter.name}" requires a report function`);
+    }
+    if (this.reporters.has(reporter.name)) {
+      throw new Error(`qerrors reporter "${reporter.name}" is already registered`);
+    }
+    const unknown = (reporter.events || []).filter(type => !ERROR_EVENTS.includes(type));
+    if (unknown.length > 0) {
+      throw new TypeError(`qerrors reporter "${reporter.name}" lists unknown events: ${unknown.join(', ')}`);
+    }
+    const channel = new ReporterChannel(reporter.name, event => reporter.report(event), reporter);
+    this.reporters.set(reporter.name, channel);
+    return () => this.removeReporter(reporter.name);
+  }
+
+  /**
+   * @returns {boolean} Whether a reporter was removed
+   */
+  removeReporter (name) {
+    return this.reporters.delete(name);
+  }
+
+  hasSubscribers () {
+    return this.hooks.length > 0 || this.reporters.size > 0;
+  }
+
+  /**
+   * Fan an event out to every subscriber; never throws
+   * @param {string} type - Event type
+   * @param {object} record - Error record
+   * @param {object} [details] - { advice } or { reason }
+   */
+  emit (type, record, details = {}) {
+    if (!this.hasSubscribers()) return;
+    try {
+      const event = Object.freeze({
+        type,
+        record: snapshotRecord(record),
+        ...details,
+        timestamp: new Date().toISOString()
+      });
+      for (const channel of [...this.hooks, ...this.reporters.values()]) {
+        channel.push(event);
+      }
+    } catch (error) {
+      console.error(`qerrors ${type} event could not be dispatched:`, error.message);
+    }
+  }
+
+  /**
+   * Delivery statistics for every hook and reporter
+   */
+  getStats () {
+    return [...this.hooks, ...this.reporters.values()].map(channel => channel.getStats());
+  }
+
+  /**
+   * Remove all hooks and reporters
+   */
+  clear () {
+    this.hooks = [];
+    this.reporters.clear();
+  }
+}
+
+const errorEvents = new ErrorEventRegistry();
+
+/**
+ * Shared registry behind qerrors.on / qerrors.addReporter
+ * @returns {ErrorEventRegistry} Process-wide registry
+ */
+const getErrorEvents = () => errorEvents;
+
+module.exports = {
+  ERROR_EVENTS,
+  ErrorEventRegistry,
+  getErrorEvents
+};
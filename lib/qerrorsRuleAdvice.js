@@ -0,0 +1,534 @@
+'use strict';
+
+/**
+ * Qerrors Rule Advice Module
+ *
+ * Offline advice engine used when AI analysis cannot answer: no API key is
+ * configured, every provider failed, the issue is cooling down after a failed
+ * analysis, or an AI budget is spent (QERRORS_AI_BUDGET_FALLBACK=rules).
+ *
+ * Rules are tried in order: custom rules added with addAdviceRule, the
+ * built-in rules below (system error codes, TLS and DNS failures, JSON parse
+ * errors, undefined property access...), and finally a generic rule built
+ * from the heuristics qerrors already has (errorFiltering.classifyError and
+ * EnhancedErrorHandler.generateDebugSuggestions), which always answers.
+ *
+ * A rule is { name, match, advice }:
+ *
+ *   match  - function (error, context) => boolean, or an object whose fields
+ *            must all match; each is a string, RegExp or array of either:
+ *              code    error.code, error.cause.code, error.errno and codes
+ *                      named in the message (ECONNREFUSED, ERR_...)
+ *              name    error.name or the constructor name
+ *              message error.message or error.cause.message
+ *              status  error.status, error.statusCode or error.response status
+ *   advice - advice fields, or function (error, context) returning them (or
+ *            null to pass to the next rule). confidence, relatedDocs,
+ *            isUserError and category get defaults.
+ *
+ * The result has the advice schema shape and
+ * `analyzedBy: { provider: 'rules', model: null, skipped: [], rule, reason }`.
+ * It is never cached, so AI analysis takes over again once it is available.
+ */
+
+const { enhancedErrorHandler } = require('./enhancedErrorDebugging');
+const { classifyError } = require('./errorFiltering');
+const { validateAdvice, ADVICE_CATEGORIES } = require('./qerrorsAdviceSchema');
+
+const RULE_CONFIDENCE = 0.6;
+const GENERIC_CONFIDENCE = 0.3;
+const MATCH_FIELDS = ['code', 'name', 'message', 'status'];
+const SYSTEM_ERRORS_DOC = 'https://nodejs.org/api/errors.html#common-system-errors';
+
+// classifyError types that are not advice categories
+const CATEGORY_ALIASES = { timeout: 'network', critical: 'system', server: 'system', client: 'validation' };
+
+const GENERIC_STEP = 'Inspect the top application frame of the stack trace and the values it reads';
+
+const statusOf = (error) => Number(error.status || error.statusCode || error.response?.status || error.response?.statusCode);
+
+/**
+ * Values each match field is compared against
+ */
+const candidates = {
+  code: (error) => [
+    error.code,
+    error.cause?.code,
+    error.errno,
+    ...(String(error.message || '').match(/\b(?:E[A-Z]{3,}|ERR_[A-Z_]+)\b/g) || [])
+  ],
+  name: (error) => [error.name, error.constructor?.name],
+  message: (error) => [error.message, error.cause?.message],
+  status: (error) => [statusOf(error)]
+};
+
+const matchesValue = (expected, actual) => {
+  if (actual === undefined || actual === null || actual === '' || Number.isNaN(actual)) return false;
+  if (Array.isArray(expected)) return expected.some(item => matchesValue(item, actual));
+  if (expected instanceof RegExp) {
+    expected.lastIndex = 0;
+    return expected.test(String(actual));
+  }
+  return String(expected) === String(actual);
+};
+
+const hasCode = (error, codes) => candidates.code(error).some(code => matchesValue(codes, code));
+
+/**
+ * Whether an error satisfies a rule's match
+ */
+const matchesRule = (rule, error, context) => {
+  if (typeof rule.match === 'function') return Boolean(rule.match(error, context));
+  return Object.entries(rule.match)
+    .filter(([field]) => MATCH_FIELDS.includes(field))
+    .every(([field, expected]) => candidates[field](error).some(actual => matchesValue(expected, actual)));
+};
+
+/**
+ * Interpolated detail, bounded so advice stays within the schema limits
+ */
+const detail = (value, fallback) => (value === undefined || value === null || value === '' ? fallback : String(value).substring(0, 200));
+
+const fromMessage = (error, pattern) => String(error.message || '').match(pattern)?.[1];
+
+/**
+ * Category derived from the existing classifier, for rules that do not set one
+ */
+const categoryOf = (error) => {
+  const { type } = classifyError(error);
+  return ADVICE_CATEGORIES.includes(type) ? type : CATEGORY_ALIASES[type] || 'system';
+};
+
+/**
+ * 4xx answered to our own caller rather than received from an upstream service
+ */
+const isClientStatus = (error) => {
+  const status = statusOf(error);
+  return status >= 400 && status < 500 && !error.response;
+};
+
+/**
+ * Built-in rules, tried in order after the custom ones
+ */
+const DEFAULT_ADVICE_RULES = Object.freeze([
+  {
+    name: 'connection-refused',
+    match: { code: 'ECONNREFUSED' },
+    advice: (error) => {
+      const target = error.address && error.port ? `${error.address}:${error.port}` : detail(fromMessage(error, /ECONNREFUSED\s+(\S+)/), 'the remote service');
+      return {
+        summary: `Connection refused by ${target}`,
+        probableRootCause: 'Nothing is accepting connections at that address: the service is down or still starting, or the configured host or port is wrong',
+        fixSteps: [
+          `Check that the service behind ${target} is running and listening on that port`,
+          'Verify the host and port in configuration; inside a container, localhost is the container itself, not the host machine',
+          'Retry with backoff while dependencies start instead of failing on the first attempt'
+        ],
+        relatedDocs: [SYSTEM_ERRORS_DOC],
+        category: 'network'
+      };
+    }
+  },
+  {
+    name: 'dns-lookup',
+    match: { code: ['ENOTFOUND', 'EAI_AGAIN'] },
+    advice: (error) => ({
+      summary: `DNS lookup failed for ${detail(error.hostname || fromMessage(error, /(?:ENOTFOUND|EAI_AGAIN)\s+(\S+)/), 'the host')}`,
+      probableRootCause: hasCode(error, 'EAI_AGAIN')
+        ? 'The DNS server did not answer in time, a temporary resolver or network failure'
+        : 'The hostname does not resolve: it is misspelled, not configured for this environment, or only resolvable on another network',
+      fixSteps: [
+        'Check the hostname in configuration for typos and environment-specific values',
+        'Resolve it from the same host or container (nslookup or dig) to confirm DNS works there',
+        'Retry EAI_AGAIN failures with backoff; they are usually transient'
+      ],
+      relatedDocs: ['https://nodejs.org/api/dns.html#error-codes'],
+      category: 'network'
+    })
+  },
+  {
+    name: 'tls-certificate',
+    match: {
+      code: [
+        /^(?:CERT_|ERR_TLS_|ERR_SSL_)/, 'UNABLE_TO_VERIFY_LEAF_SIGNATURE', 'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+        'DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN', 'EPROTO'
+      ]
+    },
+    advice: (error) => {
+      const code = String(error.code || error.cause?.code || 'TLS error');
+      const causes = {
+        CERT_HAS_EXPIRED: 'The server certificate has expired',
+        ERR_TLS_CERT_ALTNAME_INVALID: 'The certificate does not cover the hostname being connected to',
+        DEPTH_ZERO_SELF_SIGNED_CERT: 'The server uses a self-signed certificate that Node does not trust',
+        SELF_SIGNED_CERT_IN_CHAIN: 'The certificate chain ends in a root Node does not trust (a private CA or a TLS-intercepting proxy)',
+        UNABLE_TO_GET_ISSUER_CERT_LOCALLY: 'The issuing CA is not in the trust store (a private CA or a TLS-intercepting proxy)',
+        UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'The server does not send its intermediate certificates, so the chain cannot be verified'
+      };
+      return {
+        summary: `TLS handshake failed (${detail(code)})`,
+        probableRootCause: causes[code] || 'The TLS handshake was rejected: an untrusted or invalid certificate, or a protocol or cipher mismatch',
+        fixSteps: [
+          'Inspect the certificate chain the server presents (openssl s_client -connect host:443 -servername host)',
+          'For a private CA, trust it with NODE_EXTRA_CA_CERTS or the ca option rather than disabling certificate verification',
+          'Renew expired certificates and make sure the hostname is among the certificate subject names'
+        ],
+        relatedDocs: ['https://nodejs.org/api/tls.html'],
+        category: 'configuration'
+      };
+    }
+  },
+  {
+    name: 'timeout',
+    match: (error) => error.name === 'TimeoutError' ||
+      hasCode(error, ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNABORTED', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT']),
+    advice: {
+      summary: 'Timed out waiting for a remote service',
+      probableRootCause: 'The remote side did not answer within the timeout: it is overloaded, unreachable (firewall, wrong network), or the timeout is too short for the operation',
+      fixSteps: [
+        'Check the latency and health of the dependency that timed out',
+        'Make sure firewalls and security groups allow the connection; dropped packets show up as timeouts',
+        'Set explicit timeouts and retry idempotent requests with backoff'
+      ],
+      relatedDocs: [SYSTEM_ERRORS_DOC],
+      category: 'network'
+    }
+  },
+  {
+    name: 'connection-reset',
+    match: (error) => hasCode(error, ['ECONNRESET', 'EPIPE']) || /socket hang up/i.test(String(error.message)),
+    advice: {
+      summary: 'The connection was closed by the other side',
+      probableRootCause: 'The peer or a proxy closed the socket mid-request: a keep-alive socket reused after the server dropped it, a crash or restart on the other side, or a load balancer idle timeout',
+      fixSteps: [
+        'Retry idempotent requests once when the connection is reset',
+        'Keep the client keep-alive timeout shorter than the idle timeout of the server or load balancer',
+        'Check the logs on the other side for crashes or restarts at the same time'
+      ],
+      relatedDocs: [SYSTEM_ERRORS_DOC],
+      category: 'network'
+    }
+  },
+  {
+    name: 'address-in-use',
+    match: { code: 'EADDRINUSE' },
+    advice: (error) => {
+      const port = error.port || fromMessage(error, /:(\d+)\s*$/);
+      return {
+        summary: port ? `Port ${detail(port)} is already in use` : 'The port is already in use',
+        probableRootCause: 'Another process, often an earlier instance of this app that did not exit, is already listening on that port',
+        fixSteps: [
+          'Find the process holding the port (lsof -i :PORT or ss -ltnp) and stop it',
+          'Read the port from configuration (e.g. PORT) so instances can use different ones',
+          'Close the server on shutdown and hot reload so the port is released'
+        ],
+        relatedDocs: [SYSTEM_ERRORS_DOC],
+        category: 'configuration'
+      };
+    }
+  },
+  {
+    name: 'file-not-found',
+    match: { code: 'ENOENT' },
+    advice: (error) => {
+      const spawned = String(error.syscall || '').startsWith('spawn');
+      return {
+        summary: `${spawned ? 'Executable' : 'File or directory'} not found: ${detail(error.path || fromMessage(error, /'([^']+)'/), 'unknown path')}`,
+        probableRootCause: spawned
+          ? 'The program is not installed in this environment or not on the PATH of the process'
+          : 'The path does not exist where the process looks for it; relative paths resolve against process.cwd(), not the source file',
+        fixSteps: spawned
+          ? ['Install the program in the runtime image or host', 'Check the PATH the process runs with, or spawn it by absolute path']
+          : [
+              'Check that the file is created or deployed before it is read',
+              'Build paths from __dirname (or import.meta.url) instead of the working directory',
+              'Check the exact case of the path; Linux file systems are case-sensitive'
+            ],
+        relatedDocs: [SYSTEM_ERRORS_DOC],
+        category: 'system'
+      };
+    }
+  },
+  {
+    name: 'permission-denied',
+    match: { code: ['EACCES', 'EPERM'] },
+    advice: (error) => {
+      const listening = error.syscall === 'listen';
+      return {
+        summary: `Permission denied${error.path ? `: ${detail(error.path)}` : listening ? ' binding a port' : ''}`,
+        probableRootCause: listening
+          ? 'Binding to a port below 1024 requires elevated privileges'
+          : 'The user the process runs as lacks permission for this file or operation',
+        fixSteps: listening
+          ? ['Listen on a port above 1024 and put a proxy or port mapping in front', 'Avoid running the app as root to get low ports']
+          : [
+              'Check the owner and mode of the path against the user the process runs as',
+              'In containers, make sure mounted volumes are writable by the container user'
+            ],
+        relatedDocs: [SYSTEM_ERRORS_DOC],
+        category: 'configuration'
+      };
+    }
+  },
+  {
+    name: 'too-many-open-files',
+    match: { code: ['EMFILE', 'ENFILE'] },
+    advice: {
+      summary: 'Too many open files',
+      probableRootCause: 'The process hit its file descriptor limit, usually through leaked sockets or file handles or unbounded parallel I/O',
+      fixSteps: [
+        'Look for streams, sockets or file handles that are never closed',
+        'Limit the concurrency of file and network operations',
+        'Raise the limit (ulimit -n) only after ruling out a leak'
+      ],
+      relatedDocs: [SYSTEM_ERRORS_DOC],
+      category: 'system'
+    }
+  },
+  {
+    name: 'module-not-found',
+    match: { code: ['MODULE_NOT_FOUND', 'ERR_MODULE_NOT_FOUND'] },
+    advice: (error) => ({
+      summary: `Cannot find module ${detail(fromMessage(error, /Cannot find (?:module|package) '([^']+)'/), 'required by the application')}`,
+      probableRootCause: 'The module is not installed in this environment or the import path is wrong',
+      fixSteps: [
+        'Run npm install (npm ci in CI) and check that production dependencies are not only in devDependencies',
+        'Check relative import paths; ES module imports need the file extension',
+        'Check the exact case of the file name'
+      ],
+      relatedDocs: ['https://nodejs.org/api/modules.html'],
+      category: 'configuration'
+    })
+  },
+  {
+    name: 'json-parse',
+    match: (error) => error.type === 'entity.parse.failed' ||
+      (error.name === 'SyntaxError' && /JSON|Unexpected token|Unexpected end of input|Unexpected non-whitespace/.test(String(error.message))),
+    advice: (error) => {
+      const requestBody = error.type === 'entity.parse.failed';
+      const message = String(error.message);
+      let cause = 'The text is not valid JSON';
+      if (requestBody) {
+        cause = 'The client sent a malformed JSON request body';
+      } else if (/Unexpected token '?<|<!DOCTYPE|"<!/i.test(message)) {
+        cause = 'The text parsed as JSON is HTML, typically an error page or login redirect returned instead of the expected API response';
+      } else if (/Unexpected end of (?:JSON )?input/.test(message)) {
+        cause = 'The JSON text was empty or truncated: an empty response body or a partially read stream';
+      }
+      return {
+        summary: requestBody ? 'The request body is not valid JSON' : 'Invalid JSON could not be parsed',
+        probableRootCause: cause,
+        fixSteps: [
+          'Log the status, content type and first bytes of the text before parsing it',
+          'Check the response status and Content-Type before calling JSON.parse or response.json()',
+          'Wrap parsing of external input in try/catch and answer malformed client input with 400'
+        ],
+        relatedDocs: ['https://developer.mozilla.org/docs/Web/JavaScript/Reference/Errors/JSON_bad_parse'],
+        category: 'validation',
+        isUserError: requestBody
+      };
+    }
+  },
+  {
+    name: 'undefined-property',
+    match: { name: 'TypeError', message: /Cannot (?:read|set) propert(?:y|ies) of (?:undefined|null)|(?:undefined|null) is not an object/ },
+    advice: (error) => {
+      const property = fromMessage(error, /\((?:reading|setting) '([^']+)'\)/) || fromMessage(error, /propert(?:y|ies) '([^']+)' of/);
+      const holder = /\bnull\b/.test(error.message) ? 'null' : 'undefined';
+      return {
+        summary: property ? `Accessed '${detail(property)}' on ${holder}` : `Property access on ${holder}`,
+        probableRootCause: `An object expected at this point is ${holder}: data that was never loaded or returned, a missing await, or an optional field assumed to be present`,
+        fixSteps: [
+          `Find the expression ${property ? `reading '${detail(property)}'` : 'accessing the property'} in the top application frame and trace where its object comes from`,
+          'Check for a missing await, or a lookup that can return nothing (find, get, query results)',
+          'Validate input at the boundary, or use optional chaining (?.) with a fallback where the value is truly optional'
+        ],
+        relatedDocs: ['https://developer.mozilla.org/docs/Web/JavaScript/Reference/Errors/Cant_access_property'],
+        category: 'system'
+      };
+    }
+  },
+  {
+    name: 'not-a-function',
+    match: { name: 'TypeError', message: /is not a (?:function|constructor)/ },
+    advice: (error) => ({
+      summary: detail(fromMessage(error, /^(.+? is not a (?:function|constructor))/), 'A value called is not a function'),
+      probableRootCause: 'The value called is not a function: a wrong import (default vs named export, CommonJS vs ESM), a misspelled method, a missing await, or a changed dependency API',
+      fixSteps: [
+        'Log typeof the value just before the call',
+        'Check the import or require against what the module actually exports',
+        'Check the installed dependency version for API changes'
+      ],
+      relatedDocs: ['https://developer.mozilla.org/docs/Web/JavaScript/Reference/Errors/Not_a_function'],
+      category: 'system'
+    })
+  },
+  {
+    name: 'not-defined',
+    match: { name: 'ReferenceError', message: /is not defined/ },
+    advice: (error) => ({
+      summary: detail(fromMessage(error, /^(\S+ is not defined)/), 'A variable is not defined'),
+      probableRootCause: 'The identifier is misspelled, not declared or imported in this module, or used outside its scope; in ES modules require and __dirname are not defined',
+      fixSteps: [
+        'Check the spelling and that the variable is declared or imported in this module',
+        'In ES modules, use import and import.meta.url instead of require and __dirname',
+        'Check for code relying on a global that only exists in another runtime (browser vs Node)'
+      ],
+      relatedDocs: ['https://developer.mozilla.org/docs/Web/JavaScript/Reference/Errors/Not_defined'],
+      category: 'system'
+    })
+  },
+  {
+    name: 'stack-overflow',
+    match: { name: 'RangeError', message: /Maximum call stack size exceeded/ },
+    advice: {
+      summary: 'Maximum call stack size exceeded',
+      probableRootCause: 'Unbounded recursion: a function calls itself, directly or through others, without reaching a base case; often a getter, setter, toJSON or event handler that triggers itself',
+      fixSteps: [
+        'Find the repeating frames in the stack trace',
+        'Check the base case of the recursion and guard against cyclic data',
+        'Rewrite deep recursion over large inputs as a loop'
+      ],
+      relatedDocs: ['https://developer.mozilla.org/docs/Web/JavaScript/Reference/Errors/Too_much_recursion'],
+      category: 'system'
+    }
+  },
+  {
+    name: 'http-unauthorized',
+    match: { status: [401, 403] },
+    advice: (error) => {
+      const forbidden = statusOf(error) === 403;
+      return {
+        summary: `Request rejected with HTTP ${forbidden ? 403 : 401}`,
+        probableRootCause: forbidden
+          ? 'The credentials are valid but lack permission for this resource'
+          : 'Credentials are missing, invalid or expired',
+        fixSteps: [
+          'Check the credentials or token sent with the request and whether they expired',
+          'Check the scopes or roles granted to this identity',
+          'Refresh tokens before they expire instead of after a failure'
+        ],
+        category: forbidden ? 'authorization' : 'authentication',
+        isUserError: isClientStatus(error)
+      };
+    }
+  },
+  {
+    name: 'rate-limited',
+    match: { status: 429 },
+    advice: (error) => ({
+      summary: 'Rate limit exceeded (HTTP 429)',
+      probableRootCause: 'Requests exceeded the rate allowed for this client',
+      fixSteps: [
+        'Honor the Retry-After header and retry with exponential backoff',
+        'Reduce request volume by batching, caching or queueing calls',
+        'Check whether a single caller or loop is flooding the endpoint'
+      ],
+      category: 'rate_limit',
+      isUserError: isClientStatus(error)
+    })
+  }
+]);
+
+/**
+ * Last resort: the existing heuristics, which always produce advice
+ */
+const GENERIC_RULE = Object.freeze({
+  name: 'generic',
+  match: () => true,
+  advice: (error) => {
+    const category = categoryOf(error);
+    const steps = enhancedErrorHandler.generateDebugSuggestions(error).map(suggestion => suggestion.message);
+    const status = statusOf(error);
+    return {
+      summary: `${String(error.name || 'Error').substring(0, 100)} looks like a ${category.replace(/_/g, ' ')} error (rule-based, no AI analysis)`,
+      probableRootCause: steps.length > 0 ? steps[0] : 'Not determined without AI analysis',
+      fixSteps: [...steps, GENERIC_STEP],
+      confidence: GENERIC_CONFIDENCE,
+      category,
+      isUserError: status >= 400 && status < 500
+    };
+  }
+});
+
+const customRules = new Map();
+
+/**
+ * Register a custom advice rule, tried before the built-in ones
+ * @param {object} rule - { name, match: object|function, advice: object|function }
+ * @returns {function} Function that removes the rule
+ */
+const addAdviceRule = (rule) => {
+  if (!rule || typeof rule.name !== 'string' || rule.name.length === 0) {
+    throw new TypeError('qerrors advice rule requires a non-empty name');
+  }
+  const matchObject = rule.match && typeof rule.match === 'object' && !Array.isArray(rule.match);
+  if (typeof rule.match !== 'function' && !(matchObject && MATCH_FIELDS.some(field => rule.match[field] !== undefined))) {
+    throw new TypeError(`qerrors advice rule "${rule.name}" match must be a function or an object with ${MATCH_FIELDS.join(', ')}`);
+  }
+  if (typeof rule.advice !== 'function' && !(rule.advice && typeof rule.advice === 'object')) {
+    throw new TypeError(`qerrors advice rule "${rule.name}" advice must be an object or a function`);
+  }
+  if (customRules.has(rule.name) || rule.name === GENERIC_RULE.name || DEFAULT_ADVICE_RULES.some(builtIn => builtIn.name === rule.name)) {
+    throw new Error(`qerrors advice rule "${rule.name}" is already registered`);
+  }
+  customRules.set(rule.name, { name: rule.name, match: rule.match, advice: rule.advice });
+  return () => removeAdviceRule(rule.name);
+};
+
+/**
+ * @returns {boolean} Whether a custom rule was removed
+ */
+const removeAdviceRule = (name) => customRules.delete(name);
+
+/**
+ * Remove every custom rule
+ */
+const clearAdviceRules = () => customRules.clear();
+
+/**
+ * Schema-valid advice from a rule, or null when it does not match or declines
+ */
+const applyRule = (rule, error, context) => {
+  try {
+    if (!matchesRule(rule, error, context)) return null;
+    const produced = typeof rule.advice === 'function' ? rule.advice(error, context) : rule.advice;
+    if (!produced) return null;
+    const { advice, errors } = validateAdvice({
+      confidence: RULE_CONFIDENCE,
+      relatedDocs: [],
+      isUserError: false,
+      category: categoryOf(error),
+      ...produced
+    });
+    !advice && console.warn(`qerrors advice rule "${rule.name}" produced invalid advice: ${errors.join('; ')}`);
+    return advice;
+  } catch (ruleError) {
+    console.warn(`qerrors advice rule "${rule.name}" failed: ${ruleError.message}`);
+    return null;
+  }
+};
+
+/**
+ * Rule-based advice for an error
+ * @param {Error|object} error - Error with at least a message
+ * @param {object} [context={}] - Parsed qerrors context, passed to rules
+ * @param {string} [reason] - Why AI analysis did not answer (no_api_key, unavailable, cooldown, budget, redaction)
+ * @returns {Object} Schema-valid advice marked as produced by rules
+ */
+const ruleBasedAdvice = (error, context = {}, reason) => {
+  for (const rule of [...customRules.values(), ...DEFAULT_ADVICE_RULES, GENERIC_RULE]) {
+    const advice = applyRule(rule, error, context);
+    if (advice) {
+      return { ...advice, analyzedBy: { provider: 'rules', model: null, skipped: [], rule: rule.name, reason: reason || null } };
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  DEFAULT_ADVICE_RULES,
+  addAdviceRule,
+  removeAdviceRule,
+  clearAdviceRules,
+  ruleBasedAdvice
+};
@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * Qerrors Source Context Module
+ *
+ * Reads the lines of source around in-app stack frames so AI prompts and
+ * error pages show the failing code instead of only a file name and line:
+ *
+ *   frame.sourceContext = { pre: ['...'], line: 'return order.total;', post: ['...'] }
+ *
+ * Reads are bounded: only in-app frames (never node_modules), files up to
+ * MAX_FILE_BYTES, lines cut to MAX_LINE_LENGTH characters and a few frames
+ * per error. File contents are cached in an LRU whose capacity follows
+ * memory pressure (calculateCacheSize), so repeated errors do not touch the
+ * disk. Every line goes through sanitizeMessage before it is attached.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sanitizeMessage } = require('./sanitization');
+const { calculateCacheSize } = require('./shared/adaptiveSizing');
+
+const BASE_CACHE_LIMIT = 50;
+const MAX_FILE_BYTES = 1024 * 1024;
+const MAX_LINE_LENGTH = 200;
+const DEFAULT_CONTEXT_LINES = 3;
+const DEFAULT_MAX_FRAMES = 3;
+const MISS = false;
+
+const cache = new Map();
+
+/**
+ * Lines of a source file, cached; MISS when it cannot be read
+ */
+const readLines = (file) => {
+  if (cache.has(file)) {
+    const entry = cache.get(file);
+    // Re-insert so Map order stays least-recently-used first
+    cache.delete(file);
+    cache.set(file, entry);
+    return entry;
+  }
+
+  let entry = MISS;
+  try {
+    if (fs.statSync(file).size <= MAX_FILE_BYTES) {
+      entry = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+    }
+  } catch (error) {
+    entry = MISS;
+  }
+
+  cache.set(file, entry);
+  const capacity = calculateCacheSize(BASE_CACHE_LIMIT);
+  while (cache.size > capacity) {
+    cache.delete(cache.keys().next().value);
+  }
+  return entry;
+};
+
+const prepareLine = (line) => sanitizeMessage(line.length > MAX_LINE_LENGTH ? `${line.substring(0, MAX_LINE_LENGTH)}...` : line);
+
+/**
+ * Whether a frame's source may be read
+ */
+const isReadable = (frame) => frame.inApp && !frame.native && frame.line !== null &&
+  typeof frame.file === 'string' && path.isAbsolute(frame.file) &&
+  !/[\\/]node_modules[\\/]/.test(frame.file);
+
+/**
+ * Source lines around one frame
+ * @param {object} frame - Parsed frame
+ * @param {number} [contextLines=3] - Lines before and after the failing line
+ * @returns {{pre: string[], line: string, post: string[]}|null} Sanitized lines, or null
+ */
+const getSourceContext = (frame, contextLines = DEFAULT_CONTEXT_LINES) => {
+  if (!isReadable(frame)) return null;
+  const lines = readLines(frame.file);
+  const index = frame.line - 1;
+  if (lines === MISS || index < 0 || index >= lines.length) return null;
+
+  return {
+    pre: lines.slice(Math.max(0, index - contextLines), index).map(prepareLine),
+    line: prepareLine(lines[index]),
+    post: lines.slice(index + 1, index + 1 + contextLines).map(prepareLine)
+  };
+};
+
+/**
+ * Attach `sourceContext` to the top in-app frames
+ * @param {Array<object>} frames - Parsed frames (modified in place)
+ * @param {object} [options]
+ * @param {number} [options.maxFrames=3] - In-app frames that get context
+ * @param {number} [options.contextLines=3] - Lines before and after
+ * @returns {Array<object>} The same frames
+ */
+const attachSourceContext = (frames, options = {}) => {
+  const maxFrames = Number.isInteger(options.maxFrames) ? options.maxFrames : DEFAULT_MAX_FRAMES;
+  let attached = 0;
+  for (const frame of frames) {
+    if (attached >= maxFrames) break;
+    if (!isReadable(frame)) continue;
+    const sourceContext = getSourceContext(frame, options.contextLines);
+    if (sourceContext) {
+      frame.sourceContext = sourceContext;
+      attached++;
+    }
+  }
+  return frames;
+};
+
+/**
+ * Render a frame's source context with line numbers, marking the failing line
+ * @param {object} frame - Frame with sourceContext
+ * @returns {string} e.g. "  10 | const order = find(id);\n* 11 | return order.total;"
+ */
+const formatSourceContext = (frame) => {
+  const { pre, line, post } = frame.sourceContext || {};
+  if (line === undefined) return '';
+  const first = frame.line - pre.length;
+  const width = String(frame.line + post.length).length;
+  return [...pre, line, ...post]
+    .map((text, offset) => {
+      const number = first + offset;
+      return `${number === frame.line ? '*' : ' '} ${String(number).padStart(width)} | ${text}`;
+    })
+    .join('\n');
+};
+
+/**
+ * Drop every cached file
+ */
+const clearSourceContextCache = () => cache.clear();
+
+module.exports = {
+  getSourceContext,
+  attachSourceContext,
+  formatSourceContext,
+  clearSourceContextCache
+};
@@ -0,0 +1,198 @@
+'use strict';
+
+/**
+ * Qerrors Source Maps Module
+ *
+ * Rewrites stack frames of compiled or bundled code (dist/*.js) to their
+ * original sources, so fingerprints, logs and AI prompts point at the
+ * TypeScript or pre-bundle line that actually failed.
+ *
+ * A frame's map is looked up, in order:
+ * 1. the compiled file's `//# sourceMappingURL=` comment (file or inline data: URL)
+ * 2. `<file>.map` next to the compiled file
+ * 3. the configured directory (QERRORS_SOURCE_MAP_DIR or configureSourceMaps),
+ *    by path relative to the working directory and then by file name
+ *
+ * Parsed maps, and misses, are cached per compiled file in an LRU whose
+ * capacity follows memory pressure (calculateCacheSize), so a crash loop
+ * reads each map once. Lookups are synchronous and only touch the disk on
+ * the first error from a given file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SourceMap } = require('module');
+const { fileURLToPath } = require('url');
+const { calculateCacheSize } = require('./shared/adaptiveSizing');
+const { QERRORS_SOURCE_MAPS, QERRORS_SOURCE_MAP_DIR } = require('../config/localVars');
+
+const BASE_CACHE_LIMIT = 100;
+const MAX_MAP_BYTES = 20 * 1024 * 1024;
+const TAIL_BYTES = 4096;
+const MAPPING_URL = /\/[/*][#@]\s*sourceMappingURL=([^\s*]+)\s*(?:\*\/)?\s*$/;
+const MISS = false;
+
+const settings = {
+  enabled: QERRORS_SOURCE_MAPS,
+  directory: QERRORS_SOURCE_MAP_DIR || null
+};
+const cache = new Map();
+
+/**
+ * Configure source map resolution
+ * @param {object} options
+ * @param {boolean} [options.enabled] - Rewrite frames through source maps (default true)
+ * @param {string|null} [options.directory] - Extra directory searched for .map files
+ */
+const configureSourceMaps = (options = {}) => {
+  options.enabled !== undefined && (settings.enabled = Boolean(options.enabled));
+  options.directory !== undefined && (settings.directory = options.directory ? path.resolve(options.directory) : null);
+  cache.clear();
+};
+
+/**
+ * Last bytes of a file, where the sourceMappingURL comment lives
+ */
+const readTail = (file) => {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const { size } = fs.fstatSync(fd);
+    const length = Math.min(size, TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, size - length);
+    return buffer.toString('utf8');
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+const readMapFile = (mapFile) => {
+  if (!fs.existsSync(mapFile) || fs.statSync(mapFile).size > MAX_MAP_BYTES) return null;
+  return { payload: JSON.parse(fs.readFileSync(mapFile, 'utf8')), mapFile };
+};
+
+/**
+ * Find and read the raw map for a compiled file
+ * @returns {{payload: object, mapFile: string}|null}
+ */
+const locateMap = (file) => {
+  const comment = fs.existsSync(file) ? readTail(file).trimEnd().match(MAPPING_URL) : null;
+  if (comment) {
+    const url = comment[1];
+    const inline = url.match(/^data:application\/json[^,]*?(;base64)?,(.*)$/);
+    if (inline) {
+      const json = inline[1] ? Buffer.from(inline[2], 'base64').toString('utf8') : decodeURIComponent(inline[2]);
+      return { payload: JSON.parse(json), mapFile: file };
+    }
+    const mapFile = url.startsWith('file://') ? fileURLToPath(url) : path.resolve(path.dirname(file), url);
+    const found = readMapFile(mapFile);
+    if (found) return found;
+  }
+
+  const candidates = [`${file}.map`];
+  if (settings.directory) {
+    candidates.push(path.join(settings.directory, `${path.relative(process.cwd(), file)}.map`));
+    candidates.push(path.join(settings.directory, `${path.basename(file)}.map`));
+  }
+  for (const candidate of candidates) {
+    const found = readMapFile(candidate);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * Parsed map for a compiled file, cached; MISS when there is none
+ */
+const loadMap = (file) => {
+  if (cache.has(file)) {
+    const entry = cache.get(file);
+    // Re-insert so Map order stays least-recently-used first
+    cache.delete(file);
+    cache.set(file, entry);
+    return entry;
+  }
+
+  let entry = MISS;
+  try {
+    const located = locateMap(file);
+    if (located) {
+      entry = {
+        map: new SourceMap(located.payload),
+        mapDir: path.dirname(located.mapFile),
+        sourceRoot: located.payload.sourceRoot || ''
+      };
+    }
+  } catch (error) {
+    // A broken or unreadable map leaves the frame as it is
+    entry = MISS;
+  }
+
+  cache.set(file, entry);
+  const capacity = calculateCacheSize(BASE_CACHE_LIMIT);
+  while (cache.size > capacity) {
+    cache.delete(cache.keys().next().value);
+  }
+  return entry;
+};
+
+/**
+ * Absolute path of an original source listed in a map
+ */
+const resolveSource = (source, { mapDir, sourceRoot }) => {
+  if (source.startsWith('file://')) return fileURLToPath(source);
+  // Bundler schemes such as webpack://app/src/a.ts are project-relative
+  const relative = source.replace(/^[a-z][\w+.-]*:\/\/[^/]*\//i, '');
+  if (path.isAbsolute(relative)) return relative;
+  return relative === source
+    ? path.resolve(mapDir, sourceRoot, relative)
+    : path.resolve(process.cwd(), relative);
+};
+
+/**
+ * Rewrite one parsed frame to its original source position
+ *
+ * The compiled position is kept as `frame.generated`. Frames without a map,
+ * or outside the mapped ranges, are returned unchanged.
+ *
+ * @param {object} frame - Frame from qerrorsStack.parseFrame
+ * @returns {object} The same frame, rewritten when a mapping was found
+ */
+const applySourceMap = (frame) => {
+  if (!settings.enabled || !frame.file || frame.line === null || frame.native || !path.isAbsolute(frame.file)) {
+    return frame;
+  }
+  const entry = loadMap(frame.file);
+  if (entry === MISS) return frame;
+
+  const mapped = entry.map.findEntry(frame.line - 1, Math.max((frame.column || 1) - 1, 0));
+  if (!mapped || typeof mapped.originalSource !== 'string') return frame;
+
+  frame.generated = { file: frame.file, line: frame.line, column: frame.column };
+  frame.file = resolveSource(mapped.originalSource, entry);
+  frame.line = mapped.originalLine + 1;
+  frame.column = mapped.originalColumn + 1;
+  return frame;
+};
+
+/**
+ * Drop every cached map
+ */
+const clearSourceMapCache = () => cache.clear();
+
+/**
+ * @returns {{enabled: boolean, directory: string|null, cached: number, capacity: number}}
+ */
+const getSourceMapStats = () => ({
+  enabled: settings.enabled,
+  directory: settings.directory,
+  cached: cache.size,
+  capacity: calculateCacheSize(BASE_CACHE_LIMIT)
+});
+
+module.exports = {
+  applySourceMap,
+  configureSourceMaps,
+  clearSourceMapCache,
+  getSourceMapStats
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * Qerrors Stack Module
+ *
+ * One parser for V8 stack traces, shared by fingerprinting, AI prompts,
+ * error pages and logs. Each "at ..." line becomes a structured frame:
+ *
+ *   { function, file, line, column, inApp, async, native, eval }
+ *
+ * Handled forms:
+ * - at fn (/app/src/a.js:10:5)          named frame
+ * - at /app/src/a.js:10:5               anonymous frame
+ * - at async fn (/app/src/a.js:10:5)    async frame
+ * - at eval (eval at fn (/app/a.js:1:22), <anonymous>:1:27)
+ *                                       eval and new Function frames; the location
+ *                                       is where the code was evaluated
+ * - at Array.map (<anonymous>)          native frames, also (native) and (index 0)
+ * - at fn (node:internal/...:95:5)      node internals, never in-app
+ * - file:// URLs from ES modules        reported as paths
+ *
+ * Frames of compiled code are rewritten to their original sources through
+ * source maps (see qerrorsSourceMaps); the compiled position is kept as
+ * `generated`. A frame is in-app when its (original) file is not a node
+ * internal, a native location or inside node_modules.
+ */
+
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { applySourceMap } = require('./qerrorsSourceMaps');
+
+const MAX_FRAMES = 50;
+const NATIVE_LOCATIONS = /^(native|<anonymous>|index \d+)$/;
+const EVAL_ORIGIN = /\(([^()]+?):(\d+):(\d+)\)/;
+
+/**
+ * Convert file:// URLs to paths; other locations are returned unchanged
+ */
+const toPath = (file) => {
+  if (!file.startsWith('file://')) return file;
+  try {
+    return fileURLToPath(file);
+  } catch (error) {
+    return file.slice('file://'.length);
+  }
+};
+
+/**
+ * Whether a frame location belongs to the application
+ * @param {string|null} file - Frame file
+ * @returns {boolean} True for application code
+ */
+const isInAppFile = (file) => typeof file === 'string' && file.length > 0 &&
+  !file.startsWith('node:') &&
+  !/^internal[\\/]/.test(file) &&
+  !/[\\/]node_modules[\\/]/.test(file) &&
+  !NATIVE_LOCATIONS.test(file);
+
+/**
+ * Split "file:line:column" into its parts
+ */
+const parseLocation = (location) => {
+  const match = location.match(/^(.*?):(\d+)(?::(\d+))?$/);
+  if (!match) return { file: toPath(location), line: null, column: null };
+  return { file: toPath(match[1]), line: Number(match[2]), column: match[3] === undefined ? null : Number(match[3]) };
+};
+
+/**
+ * Parse one stack line
+ * @param {string} line - Stack line
+ * @param {object} [options]
+ * @param {boolean} [options.sourceMaps=true] - Rewrite the frame through its source map
+ * @returns {object|null} Frame, or null for lines that are not frames
+ */
+const parseFrame = (line, options = {}) => {
+  const match = typeof line === 'string' && line.match(/^\s*at\s+(.*)$/);
+  if (!match) return null;
+
+  let rest = match[1].trim();
+  const isAsync = rest.startsWith('async ');
+  isAsync && (rest = rest.slice('async '.length));
+
+  // "fn (location)" or a bare location
+  const named = rest.match(/^(.*?) \((.*)\)$/);
+  const fn = named ? named[1] : null;
+  const location = named ? named[2] : rest;
+
+  const frame = { function: fn, file: null, line: null, column: null, inApp: false, async: isAsync, native: false, eval: false };
+
+  if (location.startsWith('eval at ')) {
+    // Report where the code was evaluated: the innermost "(file:line:col)" is the real source
+    const origin = location.match(EVAL_ORIGIN);
+    frame.eval = true;
+    origin && Object.assign(frame, parseLocation(`${origin[1]}:${origin[2]}:${origin[3]}`));
+  } else if (NATIVE_LOCATIONS.test(location)) {
+    frame.native = true;
+  } else {
+    Object.assign(frame, parseLocation(location));
+  }
+
+  options.sourceMaps !== false && applySourceMap(frame);
+  frame.inApp = !frame.native && isInAppFile(frame.file);
+  return frame;
+};
+
+/**
+ * Parse a stack trace into frames
+ * @param {string} stack - Raw stack trace
+ * @param {object} [options]
+ * @param {number} [options.limit=50] - Maximum frames returned
+ * @param {boolean} [options.sourceMaps=true] - Rewrite frames through source maps
+ * @returns {Array<object>} Frames, innermost first
+ */
+const parseStack = (stack, options = {}) => {
+  if (typeof stack !== 'string' || stack.length === 0) return [];
+  const limit = Number.isInteger(options.limit) && options.limit > 0 ? options.limit : MAX_FRAMES;
+  const frames = [];
+  for (const line of stack.split('\n')) {
+    const frame = parseFrame(line, options);
+    frame && frames.push(frame);
+    if (frames.length >= limit) break;
+  }
+  return frames;
+};
+
+/**
+ * Frames of an error
+ * @param {Error|object} error - Error or record with a stack
+ * @param {number} [limit=10] - Maximum frames
+ * @returns {Array<object>} Frames
+ */
+const getStackFrames = (error, limit = 10) => parseStack(error?.stack, { limit });
+
+/**
+ * Display path: relative to the working directory when inside it
+ */
+const displayFile = (file) => {
+  if (!file) return null;
+  const cwd = process.cwd() + path.sep;
+  return file.startsWith(cwd) ? file.slice(cwd.length) : file;
+};
+
+/**
+ * Render a frame as a stack line
+ * @param {object} frame - Parsed frame
+ * @param {object} [options]
+ * @param {boolean} [options.lineNumbers=true] - Include line and column
+ * @returns {string} e.g. "at load (src/orders.js:10:5)"
+ */
+const formatFrame = (frame, options = {}) => {
+  const lineNumbers = options.lineNumbers !== false;
+  let location = frame.native ? 'native' : (displayFile(frame.file) || '<unknown>');
+  if (lineNumbers && frame.line !== null && !frame.native) {
+    location += `:${frame.line}${frame.column === null ? '' : `:${frame.column}`}`;
+  }
+  frame.eval && (location = `eval at ${location}`);
+  return frame.function ? `at ${frame.function} (${location})` : `at ${location}`;
+};
+
+/**
+ * Render frames as stack text, optionally under a "Name: message" header
+ * @param {Array<object>} frames - Parsed frames
+ * @param {string} [header] - First line
+ * @returns {string} Stack text
+ */
+const formatStack = (frames, header) => {
+  const lines = frames.map(frame => `    ${formatFrame(frame)}`);
+  return (header ? [header, ...lines] : lines).join('\n');
+};
+
+module.exports = {
+  parseFrame,
+  parseStack,
+  getStackFrames,
+  isInAppFile,
+  formatFrame,
+  formatStack
+};
@@ -19,8 +19,26 @@
  * - Recursive object handling ensures nested objects are properly sanitized
 * - Preserves data structure while only redacting sensitive content
  * - Memory efficient: bounded stringification and object traversal
+ *
+ * What counts as sensitive is the redaction policy's (lib/qerrorsRedactionPolicy.js),
+ * configurable with QERRORS_REDACTION_POLICY or configureRedaction.
  */
 
+const {
+  DROP,
+  getActivePolicy,
+  ruleFor,
+  applyStrategy,
+  detectInText,
+  scanText,
+  configureRedaction,
+  getRedactionDetectors,
+  addCustomSanitizationPattern,
+  clearCustomSanitizationPatterns
+} = require('./qerrorsRedactionPolicy');
+
+const MAX_ARRAY_SIZE = 50; // Limit array size for memory efficiency
+
 /**
  * Safe stringification with depth and length limits to prevent memory exhaustion
  * 
@@ -68,18 +86,13 @@ const safeStringify = (obj, maxDepth = 2, maxLength = 200) => {
 };
 
 /**
- * Sanitizes a message string by removing or replacing sensitive information
- * 
- * This function applies multiple regex patterns to detect and redact sensitive data
- * such as credit card numbers, social security numbers, passwords, API keys, emails,
- * and phone numbers. The patterns are designed to be comprehensive while avoiding
- * false positives that could obscure useful debugging information.
- * 
+ * Sanitizes a message, reporting every value the redaction policy replaced
+ *
  * @param {string|any} message - Message to sanitize (converted to string if not already)
- * @param {string} level - Log level (currently unused but reserved for future level-based rules)
- * @returns {string} Sanitized message with sensitive data redacted
+ * @param {function} [onRedact] - Called with the kind of each redacted value (email, card, ssn, phone, secret, ...)
+ * @returns {string} Sanitized message
  */
-const sanitizeMessage = (message, level = 'INFO') => {
+const redactMessage = (message, onRedact) => {
   // Convert non-string messages to string efficiently (avoid JSON.stringify in hot path)
   if (typeof message !== 'string') {
     if (message === null || message === undefined) {
@@ -101,143 +114,118 @@ const sanitizeMessage = (message, level = 'INFO') => {
     return message;
   }
   
-  // Quick check for common sensitive keywords before expensive regex operations
-  const hasSensitiveKeywords = /\b(password|token|secret|api|key|cvv|ssn|card|email|phone)\b/i.test(message);
-  if (!hasSensitiveKeywords) {
-    return message;
+  // Every detector runs: an email or card number needs no keyword next to it
+  return detectInText(getActivePolicy(), message, onRedact);
+};
+
+/**
+ * Sanitizes a message string by removing or replacing sensitive information
+ * 
+ * The detectors of the redaction policy (see qerrorsDetectors.js) find
+ * credentials (URL passwords, private keys, JWTs, bearer tokens, GitHub and
+ * AWS keys, labelled password=, token=, api_key=, secret=, cvv=) and personal
+ * data (emails, Luhn-valid card numbers, IBANs, social security numbers, phone
+ * numbers, IP addresses), plus any configured or custom patterns, and replace
+ * them following their strategy.
+ * 
+ * @param {string|any} message - Message to sanitize (converted to string if not already)
+ * @param {string} level - Log level (currently unused but reserved for future level-based rules)
+ * @returns {string} Sanitized message with sensitive data redacted
+ */
+const sanitizeMessage = (message, level = 'INFO') => redactMessage(message);
+
+/**
+ * Sanitize a property value: path rules replace any value, key rules (a denied
+ * key or one above it) replace strings, everything else is sanitized as usual
+ */
+const sanitizeEntry = (value, key, state, path, inherited) => {
+  const entryPath = [...path, key];
+  const rule = ruleFor(state.policy, key, entryPath);
+  const replace = (rule?.segments && value !== null && value !== undefined) || ((rule || inherited) && typeof value === 'string');
+  if (!replace) {
+    return sanitizeNode(value, state, entryPath, rule || inherited);
   }
-  
-  // Optimized sensitive data patterns with performance considerations
-  // Patterns ordered by likelihood of match for early exit optimization
-  const sensitivePatterns = [
-    // High-frequency patterns first (emails, passwords)
-    { pattern: /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g, replacement: '[EMAIL-REDACTED]' },
-    { pattern: /(password[:=]\s*)[^\s\}]+/gi, replacement: '$1[REDACTED]' },
-    
-    // Medium-frequency patterns
-    { pattern: /(token[:=]\s*)[^\s\}]+/gi, replacement: '$1[REDACTED]' },
-    { pattern: /(api[_-]?key[:=]\s*)[^\s\}]+/gi, replacement: '$1[REDACTED]' },
-    { pattern: /(secret[:=]\s*)[^\s\}]+/gi, replacement: '$1[REDACTED]' },
-    
-    // Lower-frequency patterns (more specific)
-    { pattern: /(\b\d{4}[\s-]?\d{4}[\s-]?\d{4}[\s-]?\d{4}\b)/g, replacement: '[CARD-REDACTED]' },
-    { pattern: /(\b\d{3}[\s-]?\d{2}[\s-]?\d{4}\b)/g, replacement: '[SSN-REDACTED]' },
-    { pattern: /(cvv?[:=]\s*)\d{3,4}/gi, replacement: '$1[REDACTED]' },
-    { pattern: /(\b(?:\+?1[-.\s]?)?\(?[0-9]{3}\)?[-.\s]?[0-9]{3}[-.\s]?[0-9]{4}\b)/g, replacement: '[PHONE-REDACTED]' }
-  ];
-  
-  // Apply patterns with early exit if no changes
-  let sanitized = message;
-  let hasChanges = false;
-  
-  for (const { pattern, replacement } of sensitivePatterns) {
-    const previous = sanitized;
-    sanitized = sanitized.replace(pattern, replacement);
-    if (sanitized !== previous) {
-      hasChanges = true;
-    }
+  const replaced = applyStrategy(value, rule || inherited);
+  replaced !== value && state.onRedact && state.onRedact((rule || inherited).kind);
+  return replaced;
+};
+
+/**
+ * Sanitize a nested value, keeping track of its path for the policy's rules
+ */
+const sanitizeNode = (value, state, path, inherited) => {
+  if (typeof value === 'string') {
+    return redactMessage(value, state.onRedact);
+  }
+  if (typeof value !== 'object' || value === null) {
+    return value; // Preserve non-object primitives
+  }
+  // Prevent infinite recursion and memory exhaustion
+  if (state.depth + path.length > state.maxDepth) {
+    return '[Depth-Limited]';
   }
   
-  // Return original if no changes (saves memory allocation)
-  return hasChanges ? sanitized : message;
+  if (Array.isArray(value)) {
+    // Truncate large arrays and indicate truncation
+    const sanitized = [];
+    value.slice(0, MAX_ARRAY_SIZE).forEach((item, index) => {
+      const entry = sanitizeEntry(item, index, state, path, inherited);
+      entry !== DROP && sanitized.push(entry);
+    });
+    value.length > MAX_ARRAY_SIZE && sanitized.push(`... and ${value.length - MAX_ARRAY_SIZE} more items`);
+    return sanitized;
+  }
   
+  const sanitized = {};
+  Object.keys(value).forEach(key => {
+    const entry = sanitizeEntry(value[key], key, state, path, inherited);
+    entry !== DROP && (sanitized[key] = entry);
+  });
   return sanitized;
 };
 
 /**
- * Helper function to sanitize individual context items with depth tracking
+ * Sanitizes a context object, reporting every value the redaction policy replaced
+ *
+ * @param {Object|Array|any} context - Context object to sanitize
+ * @param {function} [onRedact] - Called with the kind of each redacted value
+ * @param {number} [maxDepth=3] - Levels kept below the context; objects and arrays deeper than this become '[Depth-Limited]'
+ * @param {number} [currentDepth=0] - Depth of the context itself
+ * @returns {Object|Array|any} Sanitized context
  */
-const sanitizeContextItem = (item, level, maxDepth, currentDepth) => {
-  if (typeof item === 'string') {
-    return sanitizeMessage(item, level);
+const redactContext = (context, onRedact, maxDepth = 3, currentDepth = 0) => {
+  // Prevent infinite recursion and memory exhaustion
+  if (currentDepth > maxDepth) {
+    return '[Depth-Limited]';
   }
-  if (typeof item === 'object' && item !== null) {
-    return sanitizeContext(item, level, maxDepth, currentDepth + 1);
+  
+  // Handle primitive types or null/undefined
+  if (!context || typeof context !== 'object') {
+    return context;
   }
-  return item; // Preserve non-object primitives
+  
+  return sanitizeNode(context, { policy: getActivePolicy(), onRedact, maxDepth, depth: currentDepth }, []);
 };
 
 /**
  * Recursively sanitizes an object context by redacting sensitive data
  * 
- * This function traverses object structures and applies sanitization to:
- * 1. String values containing sensitive patterns (via sanitizeMessage)
- * 2. Object properties with sensitive key names (complete redaction)
- * 3. Nested objects and arrays (recursive processing)
+ * This function traverses object structures and applies the redaction policy:
+ * 1. JSON-path rules (`$.user.ssn`) replace the value at their path, whatever its type
+ * 2. String values under a denied key (`password`, `apiKey`, `x-auth-token`, ...),
+ *    directly or further down, are replaced; allowed keys are exempt
+ * 3. Other strings go through the policy's detectors (via sanitizeMessage)
+ * 4. Nested objects and arrays are processed recursively, up to maxDepth
  * 
- * The approach is conservative: if a key contains any sensitive keyword, its value is
- * completely redacted regardless of content. This prevents edge cases where sensitive
- * data might be stored under unusual key names.
+ * Short keys match by whole words, so `authToken` is denied by 'auth' but `author`
+ * is not; built-in terms like 'password' match anywhere (`dbpassword`). Numbers
+ * and booleans under denied keys are kept (counts, flags).
  * 
  * @param {Object|Array|string|any} context - Context object to sanitize
  * @param {string} level - Log level (currently unused but reserved for future rules)
  * @returns {Object|Array|string|any} Sanitized context with sensitive data redacted
  */
-const sanitizeContext = (context, level = 'INFO', maxDepth = 3, currentDepth = 0) => {
-  // Prevent infinite recursion and memory exhaustion
-  if (currentDepth >= maxDepth) {
-    return '[Depth-Limited]';
-  }
-  
-  // Handle primitive types or null/undefined
-  if (!context || typeof context !== 'object') {
-    return context;
-  }
-  
-  // Handle arrays with size limits to prevent memory exhaustion
-  if (Array.isArray(context)) {
-    const maxArraySize = 50; // Limit array size for memory efficiency
-    if (context.length > maxArraySize) {
-      // Truncate large arrays and indicate truncation
-      const truncated = context.slice(0, maxArraySize);
-      const sanitized = truncated.map(item => sanitizeContextItem(item, level, maxDepth, currentDepth));
-      sanitized.push(`... and ${context.length - maxArraySize} more items`);
-      return sanitized;
-    }
-    
-    return context.map(item => sanitizeContextItem(item, level, maxDepth, currentDepth));
-  }
-  
-  // Handle objects by processing each property
-  const sanitized = {};
-  
-  // Comprehensive list of sensitive key patterns
-  // Keywords are chosen to match common naming conventions across different APIs
-  const sensitiveKeys = [
-    'password', 'token', 'secret', 'auth', 'credential', 
-    'apikey', 'api_key', 'privatekey', 'private_key',
-    'ssn', 'socialsecurity', 'creditcard', 'cardnumber',
-    'cvv', 'cvc', 'pin', 'accesscode'
-  ];
-  
-  Object.keys(context).forEach(key => {
-    const value = context[key];
-    
-    // Check if key contains any sensitive keywords (case-insensitive)
-    const isSensitiveKey = sensitiveKeys.some(sensKey => 
-      key.toLowerCase().includes(sensKey.toLowerCase())
-    );
-    
-    if (isSensitiveKey && typeof value === 'string') {
-      // Completely redact string values with sensitive keys
-      sanitized[key] = '[REDACTED]';
-    } else if (isSensitiveKey && typeof value === 'object' && value !== null) {
-      // Recursively sanitize objects with sensitive keys
-      sanitized[key] = sanitizeContext(value, level);
-    } else if (typeof value === 'string') {
-      // Apply message sanitization to regular string values
-      sanitized[key] = sanitizeMessage(value, level);
-    } else if (typeof value === 'object' && value !== null) {
-      // Recursively process nested objects
-      sanitized[key] = sanitizeContext(value, level);
-    } else {
-      // Preserve non-string primitives as-is
-      sanitized[key] = value;
-    }
-  });
-  
-  return sanitized;
-};
+const sanitizeContext = (context, level = 'INFO', maxDepth = 3, currentDepth = 0) => redactContext(context, undefined, maxDepth, currentDepth);
 
 /**
  * Partially hides sensitive keys for logging, exposing only the first four characters.
@@ -256,9 +244,39 @@ const maskKey = (key) => {
   return key;
 };
 
+/**
+ * Sanitizes a message with the policy, custom patterns included
+ *
+ * sanitizeMessage applies custom patterns as well; this name is kept for
+ * existing callers.
+ *
+ * @param {string} message
+ * @returns {string}
+ */
+const sanitizeWithCustomPatterns = (message) => sanitizeMessage(message);
+
+/**
+ * Finds what the redaction policy would hide in a message, without changing it
+ *
+ * Findings carry the detector, its kind and confidence, and where the value
+ * is; never the value itself, so they can be logged or counted safely.
+ *
+ * @param {string} message
+ * @returns {Array<{detector: string, kind: string, confidence: number, index: number, length: number}>}
+ */
+const scanSensitiveData = (message) => (typeof message === 'string' ? scanText(getActivePolicy(), message) : []);
+
 // Export the sanitization functions for use throughout the application
 module.exports = {
   sanitizeMessage,
   sanitizeContext,
+  redactMessage,
+  redactContext,
+  configureRedaction,
+  getRedactionDetectors,
+  scanSensitiveData,
+  addCustomSanitizationPattern,
+  clearCustomSanitizationPatterns,
+  sanitizeWithCustomPatterns,
   maskKey
-};
\ No newline at end of file
+};
@@ -9,6 +9,21 @@
 
 const { performance } = require('perf_hooks');
 const { EventEmitter } = require('events');
+const { getErrorEvents } = require('./qerrorsReporters');
+const { getIssueStore, fingerprintError } = require('./qerrorsIssues');
+const { getStackFrames, formatStack } = require('./qerrorsStack');
+const { attachSourceContext } = require('./qerrorsSourceContext');
+const { selectPromptTemplate, promptCacheKey } = require('./qerrorsPromptTemplates');
+const { MockFixtureError } = require('./mockChatModel');
+const { evictIssueAdvice } = require('./qerrorsCache');
+const { normalizeFeedback, shouldEvictAdvice, adviceSource, getAdviceQualityStats } = require('./qerrorsFeedback');
+
+/**
+ * Locations reported from inside the analysis pipeline itself. The AI model
+ * manager reports its own failures through qerrors, so analyzing those would
+ * recurse.
+ */
+const INTERNAL_LOCATION_PATTERN = /^(aiModelManager|aiModelFactory|qerrorsAnalysis)\b/;
 
 /**
  * Memory-efficient queue manager with bounded resources
@@ -268,6 +283,8 @@ class ScalableCache {
        }
      };
      
+     this._cleanupHandler = cleanupHandler;
+
      // Register for all possible exit scenarios
      process.on('exit', cleanupHandler);
      process.on('SIGINT', cleanupHandler);
@@ -344,6 +361,13 @@ class ScalableCache {
     this.accessOrder.delete(key);
   }
 
+  /**
+   * Keys currently cached
+   */
+  keys () {
+    return [...this.cache.keys()];
+  }
+
   /**
    * Find oldest accessed key for LRU eviction
    */
@@ -545,6 +569,10 @@ class ScalableErrorHandler {
      this.errorHistory = new CircularErrorBuffer(this.maxErrorHistory);
      this.queueManager = new ScalableQueueManager(options.queue);
      this.cache = new ScalableCache(options.cache);
+     this.events = options.events || getErrorEvents();
+     this.issues = options.issues || getIssueStore();
+     // Advice promises of queued or running analyses, by cache key
+     this.pendingAnalyses = new Map();
      
      // Memory pressure monitoring with more frequent checks
      this.memoryCheckInterval = setInterval(() => {
@@ -558,42 +586,195 @@ class ScalableErrorHandler {
 
   /**
    * Handle error with memory-efficient processing
+   *
+   * Resolves with the error record as soon as it is stored; AI analysis runs in
+   * the background queue. The eventual advice (or null) is delivered through the
+   * record's non-enumerable `adviceReady` promise and, when supplied, the
+   * `context.onAdvice(advice, record)` callback. `context.skipAnalysis`
+   * records the error without queuing analysis.
+   *
+   * Emits 'captured' once the record is stored, 'analyzed' when advice is
+   * available and 'dropped' when analysis could not be queued or started.
+   * Every record is grouped into an issue; `record.issueId` is its fingerprint.
+   * While an issue's analysis is queued or running, further records of it
+   * share that analysis instead of queuing their own.
    */
   async handleError(error, context = {}) {
+    const { onAdvice, skipAnalysis, ...recordContext } = context;
     const errorId = this.generateErrorId();
     const timestamp = Date.now();
 
-    // Create bounded error object
+    // Create bounded error object; the stack keeps whole parsed frames instead of truncated text,
+    // and the top in-app frames carry the source lines around them
+    const name = String(error.name || 'Error').substring(0, 50);
+    const message = String(error.message || '').substring(0, 200);
+    const frames = attachSourceContext(getStackFrames(error, 10));
     const errorRecord = {
       id: errorId,
       timestamp,
-      message: String(error.message || '').substring(0, 200),
-      name: String(error.name || 'Error').substring(0, 50),
-      stack: error.stack ? error.stack.substring(0, 500) : undefined,
-      context: this.sanitizeContext(context),
-      severity: context.severity || 'medium'
+      message,
+      name,
+      // Kept so regenerated advice selects the same prompt template
+      ...(typeof error.type === 'string' && { type: error.type.substring(0, 50) }),
+      stack: frames.length > 0 ? formatStack(frames, `${name}: ${message}`) : undefined,
+      frames,
+      context: this.sanitizeContext(recordContext),
+      severity: context.severity || 'medium',
+      issueId: fingerprintError(error)
     };
 
-    // Add to history with size limit
+    // Add to history with size limit and group into its issue
     this.addToHistory(errorRecord);
+    this.issues.record(errorRecord, error);
+    this.events.emit('captured', errorRecord);
 
-    // Check cache for existing advice
-    const cacheKey = this.generateCacheKey(errorRecord);
+    // Check cache for existing advice; keys carry the prompt template version
+    const promptTemplate = selectPromptTemplate({ error, context: errorRecord.context });
+    const cacheKey = this.generateCacheKey(errorRecord, promptTemplate);
     const cachedAdvice = this.cache.get(cacheKey);
     
     if (cachedAdvice) {
-      return { ...errorRecord, advice: cachedAdvice, cached: true };
+      const cachedRecord = { ...errorRecord, advice: cachedAdvice, cached: true };
+      this.issues.setAdvice(errorRecord.issueId, cachedAdvice);
+      this.events.emit('analyzed', cachedRecord, { advice: cachedAdvice });
+      return this.attachAdvice(cachedRecord, Promise.resolve(cachedAdvice), onAdvice);
+    }
+
+    if (skipAnalysis || INTERNAL_LOCATION_PATTERN.test(String(context.location || ''))) {
+      return this.attachAdvice(errorRecord, Promise.resolve(null), onAdvice);
+    }
+
+    // Join a queued or running analysis of the same issue
+    const pending = this.pendingAnalyses.get(cacheKey);
+    if (pending) {
+      const joined = pending.then(advice => {
+        advice && this.events.emit('analyzed', errorRecord, { advice });
+        return advice;
+      });
+      return this.attachAdvice(errorRecord, joined, onAdvice);
     }
 
-    // Queue for AI analysis (non-blocking)
-    this.queueManager.enqueue(async () => {
-      const advice = await this.analyzeError(errorRecord);
-      this.cache.set(cacheKey, advice);
+    return this.attachAdvice(errorRecord, this.queueAnalysis(errorRecord, error, promptTemplate, cacheKey), onAdvice);
+  }
+
+  /**
+   * Queue AI analysis of a record (non-blocking); the advice is cached, stored
+   * on the issue and announced with 'analyzed'
+   * @returns {Promise<object|null>} Advice, or null when analysis failed or was dropped
+   */
+  queueAnalysis (errorRecord, error, promptTemplate, cacheKey) {
+    let started = false;
+    const advicePromise = this.queueManager.enqueue(async () => {
+      started = true;
+      const advice = await this.analyzeError(errorRecord, error, promptTemplate);
+      if (advice) {
+        // Rule-based (over budget) advice is not cached, so AI analysis resumes later
+        advice.analyzedBy?.provider !== 'rules' && this.cache.set(cacheKey, advice);
+        this.issues.setAdvice(errorRecord.issueId, advice);
+        this.events.emit('analyzed', errorRecord, { advice });
+      }
       return advice;
     }).catch(err => {
+      // Strict mock fixtures are missing: nobody may be awaiting adviceReady, so say
+      // which fixture to record; the test harness decides whether the run fails
+      if (err instanceof MockFixtureError) {
+        console.error(`qerrors strict mock replay: ${err.message}`);
+        this.events.emit('dropped', errorRecord, { reason: err.message, code: err.code });
+        return null;
+      }
       console.error('Error analysis failed:', err.message);
-    });
+      // Rejected before running: queue full, timed out or shut down
+      !started && this.events.emit('dropped', errorRecord, { reason: err.message });
+      return null;
+    }).finally(() => this.pendingAnalyses.delete(cacheKey));
+    this.pendingAnalyses.set(cacheKey, advicePromise);
+    return advicePromise;
+  }
+
+  /**
+   * Advice promise of an issue's queued or running analysis
+   * @param {string} issueId - Issue fingerprint
+   * @returns {Promise<object|null>|null} Pending advice, or null when the issue is not being analyzed
+   */
+  pendingAdvice (issueId) {
+    for (const [cacheKey, advicePromise] of this.pendingAnalyses) {
+      if (cacheKey === issueId || cacheKey.startsWith(`${issueId}|`)) return advicePromise;
+    }
+    return null;
+  }
+
+  /**
+   * Rate an issue's current advice (see qerrorsFeedback)
+   *
+   * The rating is stored with the advice and counted in the quality stats.
+   * Advice rated 'wrong', or 'unhelpful' often enough, is evicted from the
+   * caches so the issue's next occurrence is analyzed again; `regenerate`
+   * with a negative rating evicts it and re-analyzes the issue's latest
+   * recorded occurrence right away.
+   *
+   * @param {object} feedback - { errorId | issueId, rating, comment?, regenerate? }
+   * @returns {object|null} Rating result, or null when the error or issue has no advice
+   * @throws {TypeError} For invalid feedback
+   */
+  rateAdvice (feedback) {
+    const { errorId, issueId: givenIssueId, rating, comment, regenerate } = normalizeFeedback(feedback);
+    const issueId = givenIssueId || this.issues.issueIdForError(errorId);
+    const rated = issueId ? this.issues.addFeedback(issueId, { rating, comment, errorId }) : null;
+    if (!rated) return null;
+
+    const { advice, feedback: ratings } = rated;
+    const evict = !ratings.evicted && (shouldEvictAdvice(ratings) || (regenerate && rating !== 'helpful'));
+    getAdviceQualityStats().record(advice, rating, evict);
+    evict && this.evictAdvice(issueId);
+    const regenerating = regenerate && rating !== 'helpful' && ratings.evicted ? this.regenerateAdvice(issueId) : false;
+
+    return {
+      issueId,
+      errorId,
+      rating,
+      source: adviceSource(advice),
+      ratings: { helpful: ratings.helpful, unhelpful: ratings.unhelpful, wrong: ratings.wrong },
+      evicted: ratings.evicted,
+      regenerating
+    };
+  }
+
+  /**
+   * Remove an issue's advice from both advice caches
+   */
+  evictAdvice (issueId) {
+    this.cache.keys()
+      .filter(key => key === issueId || key.startsWith(`${issueId}|`))
+      .forEach(key => this.cache.delete(key));
+    evictIssueAdvice(issueId);
+    this.issues.markAdviceEvicted(issueId);
+  }
 
+  /**
+   * Re-analyze the latest recorded occurrence of an issue
+   * @returns {boolean} Whether an analysis is queued or running
+   */
+  regenerateAdvice (issueId) {
+    const errorRecord = this.errorHistory.getAll().reverse().find(record => record.issueId === issueId);
+    if (!errorRecord) return false;
+    const promptTemplate = selectPromptTemplate({ error: errorRecord, context: errorRecord.context });
+    const cacheKey = this.generateCacheKey(errorRecord, promptTemplate);
+    if (!this.pendingAnalyses.has(cacheKey)) {
+      this.queueAnalysis(errorRecord, errorRecord, promptTemplate, cacheKey);
+    }
+    return true;
+  }
+
+  /**
+   * Expose pending advice on a record and notify the optional callback
+   */
+  attachAdvice(errorRecord, advicePromise, onAdvice) {
+    Object.defineProperty(errorRecord, 'adviceReady', { value: advicePromise, enumerable: false });
+    if (typeof onAdvice === 'function') {
+      advicePromise
+        .then(advice => onAdvice(advice, errorRecord))
+        .catch(err => console.error('onAdvice callback failed:', err.message));
+    }
     return errorRecord;
   }
 
@@ -691,24 +872,34 @@ enforceHistoryLimit(customLimit = null) {
   }
 
   /**
-   * Generate cache key for error
+   * Generate cache key for error (its issue fingerprint, plus the prompt template version when given)
    */
-  generateCacheKey(errorRecord) {
-    return `${errorRecord.name}_${errorRecord.message.substring(0, 50)}`;
+  generateCacheKey(errorRecord, promptTemplate) {
+    const issueId = errorRecord.issueId || fingerprintError(errorRecord);
+    return promptTemplate ? promptCacheKey(issueId, promptTemplate) : issueId;
   }
 
   /**
-   * Analyze error (placeholder for AI analysis)
+   * Analyze error through the AI pipeline (fingerprinting, advice cache, model)
    */
-  async analyzeError(errorRecord) {
-    // Simulate AI analysis delay
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    return {
-      suggestion: `Consider checking ${errorRecord.name} in ${errorRecord.context.function || 'unknown function'}`,
-      severity: errorRecord.severity,
-      timestamp: Date.now()
+  async analyzeError(errorRecord, error = errorRecord, promptTemplate = selectPromptTemplate({ error, context: errorRecord.context })) {
+    // Loaded lazily: the AI model manager requires qerrors, which requires this module
+    const { analyzeError } = require('./qerrorsAnalysis');
+
+    // Analyze a copy so the caller's error object is not tagged with cache keys
+    const target = {
+      name: errorRecord.name,
+      message: typeof error.message === 'string' ? error.message : errorRecord.message,
+      stack: typeof error.stack === 'string' ? error.stack : errorRecord.stack,
+      frames: errorRecord.frames,
+      type: error.type,
+      uniqueErrorName: errorRecord.id,
+      issueId: errorRecord.issueId,
+      qerrorsKey: this.generateCacheKey(errorRecord, promptTemplate),
+      promptTemplate
     };
+
+    return analyzeError(target, JSON.stringify(errorRecord.context));
   }
 
 /**
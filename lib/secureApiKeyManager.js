@@ -346,7 +346,8 @@ function getApiKeyFromEnv(provider) {
     openai: 'OPENAI_API_KEY',
     google: 'GEMINI_API_KEY',
     anthropic: 'ANTHROPIC_API_KEY',
-    azure: 'AZURE_OPENAI_API_KEY'
+    azure: 'AZURE_OPENAI_API_KEY',
+    local: 'QERRORS_LOCAL_API_KEY'
   };
   
   const envVar = envVars[provider.toLowerCase()];
@@ -25,6 +25,8 @@ const validateEnvironment = () => {
     requiredEnvVars.push('OPENAI_API_KEY');
   } else if (aiProvider === localVars?.MODEL_PROVIDERS?.GEMINI) {
     requiredEnvVars.push('GEMINI_API_KEY');
+  } else if (aiProvider === localVars?.MODEL_PROVIDERS?.LOCAL && !localVars.QERRORS_LOCAL_MODELS.length) {
+    errors.push('QERRORS_LOCAL_MODELS must list at least one model for the local AI provider');
   }
 
   requiredEnvVars.forEach(envVar => {
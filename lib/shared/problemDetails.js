@@ -0,0 +1,159 @@
+'use strict';
+
+/**
+ * Problem Details Module - RFC 9457 Error Bodies
+ *
+ * Purpose: Builds and sends `application/problem+json` error bodies so the
+ * qerrors middleware, the standardized responses and the shared response
+ * helpers can all answer API gateways and client SDKs in the same format.
+ *
+ * Body Structure:
+ * {
+ *   "type": "about:blank",           // or `${typeBaseUri}${errorType}`
+ *   "title": "Not Found",            // HTTP reason phrase
+ *   "status": 404,
+ *   "detail": "User 42 not found",   // omitted when the message is hidden
+ *   "instance": "/users/42",
+ *   "errorId": "...",                // extension members
+ *   "errorType": "not_found",
+ *   "errors": [{ "field": "email", "message": "Invalid format" }]
+ * }
+ *
+ * Format Selection:
+ * - 'problem': always send problem details
+ * - 'json': always send the caller's own JSON envelope
+ * - 'auto': send problem details when the Accept header asks for them
+ */
+
+const { STATUS_CODES } = require('http');
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Normalize field errors to an array of `{ field, message }` entries
+ *
+ * Accepts arrays (as produced by validators) or `{ field: message }` maps,
+ * and falls back to the `context.field` of a validation ServiceError.
+ *
+ * @param {Error|Object} error - Error that may carry field errors
+ * @returns {Array<Object>|undefined} Field errors, or undefined when there are none
+ */
+function collectFieldErrors (error) {
+  if (!error || typeof error !== 'object') return undefined;
+
+  const source = error.errors || error.validationErrors || (Array.isArray(error.details) ? error.details : null);
+  if (Array.isArray(source)) {
+    return source.length > 0 ? source : undefined;
+  }
+  if (source && typeof source === 'object') {
+    const entries = Object.entries(source).map(([field, value]) => ({
+      field,
+      message: typeof value === 'string' ? value : String(value?.message || value)
+    }));
+    return entries.length > 0 ? entries : undefined;
+  }
+  if (error.type === 'validation' && typeof error.context?.field === 'string') {
+    return [{ field: error.context.field, message: error.message }];
+  }
+  return undefined;
+}
+
+/**
+ * Create an RFC 9457 problem details object
+ *
+ * @param {Object} options - Problem members
+ * @param {number} options.status - HTTP status code
+ * @param {string} [options.title] - Short summary; defaults to the HTTP reason phrase
+ * @param {string} [options.detail] - Occurrence-specific explanation
+ * @param {string} [options.type] - Problem type URI; defaults to 'about:blank'
+ * @param {string} [options.typeBaseUri] - Base URI joined with errorType when no type is given
+ * @param {string} [options.instance] - URI reference for this occurrence (usually the request path)
+ * @param {string} [options.errorId] - qerrors error identifier
+ * @param {string} [options.errorType] - qerrors error type (e.g. 'validation')
+ * @param {Array<Object>} [options.errors] - Field errors
+ * @param {Object} [options.extensions] - Additional extension members
+ * @returns {Object} Problem details body
+ */
+function createProblemDetails (options = {}) {
+  const status = Number.isInteger(options.status) ? options.status : 500;
+  const title = options.title || STATUS_CODES[status] || 'Error';
+  const type = options.type ||
+    (options.typeBaseUri && options.errorType ? `${options.typeBaseUri}${options.errorType}` : 'about:blank');
+
+  const problem = { type, title, status };
+  if (options.detail && options.detail !== title) problem.detail = String(options.detail);
+  if (options.instance) problem.instance = options.instance;
+  if (options.errorId) problem.errorId = options.errorId;
+  if (options.errorType) problem.errorType = options.errorType;
+  if (Array.isArray(options.errors) && options.errors.length > 0) problem.errors = options.errors;
+  for (const [key, value] of Object.entries(options.extensions || {})) {
+    // Extensions never override the standard members
+    if (value !== undefined && !(key in problem)) problem[key] = value;
+  }
+  return problem;
+}
+
+/**
+ * Read the q-value the Accept header gives a media type
+ * @param {string} accept - Raw Accept header
+ * @param {string} mediaType - Exact media type to look for
+ * @returns {number} q-value, or -1 when the type is not listed
+ */
+function acceptQuality (accept, mediaType) {
+  for (const range of accept.split(',')) {
+    const [type, ...params] = range.trim().toLowerCase().split(';');
+    if (type.trim() !== mediaType) continue;
+    const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    const quality = q ? Number.parseFloat(q.slice(2)) : 1;
+    return Number.isFinite(quality) ? quality : 1;
+  }
+  return -1;
+}
+
+/**
+ * Whether the request explicitly asks for problem details
+ *
+ * Wildcards do not count: clients only get problem+json through
+ * negotiation when they list it at least as high as application/json.
+ *
+ * @param {Object} req - Express request object
+ * @returns {boolean} True when application/problem+json is preferred
+ */
+function acceptsProblemDetails (req) {
+  const accept = req?.headers?.accept;
+  if (typeof accept !== 'string' || accept.length === 0) return false;
+  const problemQuality = acceptQuality(accept, PROBLEM_CONTENT_TYPE);
+  return problemQuality > 0 && problemQuality >= acceptQuality(accept, 'application/json');
+}
+
+/**
+ * Resolve a response format option against the request
+ * @param {Object} req - Express request object (may be undefined)
+ * @param {string} [format='auto'] - 'auto', 'problem' or 'json'
+ * @returns {boolean} True when problem details should be sent
+ */
+function wantsProblemDetails (req, format = 'auto') {
+  if (format === 'problem') return true;
+  if (format === 'json') return false;
+  return acceptsProblemDetails(req);
+}
+
+/**
+ * Send a problem details body with the problem+json content type
+ * @param {Object} res - Express response object
+ * @param {Object} problem - Body from createProblemDetails
+ * @returns {Object} Express response object
+ */
+function sendProblemDetails (res, problem) {
+  if (res.headersSent) return res;
+  return res.status(problem.status).set('Content-Type', PROBLEM_CONTENT_TYPE).json(problem);
+}
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  collectFieldErrors,
+  createProblemDetails,
+  acceptsProblemDetails,
+  wantsProblemDetails,
+  sendProblemDetails
+};
@@ -3,6 +3,7 @@
 const localVars = require('../../config/localVars');
 const { HTTP_STATUS, DEFAULT_MESSAGES } = localVars;
 const { safeQerrors } = require('./safeWrappers');
+const { createProblemDetails, wantsProblemDetails, sendProblemDetails } = require('./problemDetails');
 
 /**
  * Response Builder Class - Fluent API for HTTP Response Construction
@@ -59,6 +60,7 @@ class ResponseBuilder {
     this.success = true; // Success flag
     this.metadata = {}; // Additional response metadata
     this.headers = {}; // Custom HTTP headers
+    this.format = 'auto'; // Error body format: 'auto', 'problem' or 'json'
   }
 
   /**
@@ -154,6 +156,23 @@ class ResponseBuilder {
     return this;
   }
 
+  /**
+   * Choose the body format used for error responses
+   *
+   * 'problem' sends RFC 9457 application/problem+json, 'json' always sends
+   * the builder envelope, and 'auto' (default) follows the request's Accept header.
+   *
+   * @param {string} format - 'auto', 'problem' or 'json'
+   * @returns {ResponseBuilder} Returns this instance for method chaining
+   *
+   * Example:
+   * builder.setFormat('problem').notFound('User not found');
+   */
+  setFormat (format) {
+    this.format = format;
+    return this;
+  }
+
   /**
    * Set the response message
    *
@@ -436,6 +455,37 @@ class ResponseBuilder {
     return response;
   }
 
+  /**
+   * Build an RFC 9457 problem details body from the current builder state
+   *
+   * Validation errors become the `errors` member, a string error becomes
+   * `errorType`, and remaining metadata is kept as extension members.
+   *
+   * @returns {Object} Problem details body
+   *
+   * Example:
+   * {
+   *   "type": "about:blank",
+   *   "title": "Not Found",
+   *   "status": 404,
+   *   "detail": "User not found",
+   *   "instance": "/users/42",
+   *   "requestId": "req-123"
+   * }
+   */
+  buildProblem () {
+    const { errors, ...extensions } = this.metadata;
+    const req = this.res.req;
+    return createProblemDetails({
+      status: this.status,
+      detail: this.message,
+      instance: req ? req.originalUrl || req.url : undefined,
+      errorType: typeof this.error === 'string' ? this.error : undefined,
+      errors: Array.isArray(errors) ? errors : undefined,
+      extensions
+    });
+  }
+
   /**
    * Send the configured response via Express
    *
@@ -464,6 +514,10 @@ class ResponseBuilder {
       this.res.set(key, value);
     }
 
+    if (!this.success && wantsProblemDetails(this.res.req, this.format)) {
+      return sendProblemDetails(this.res, this.buildProblem());
+    }
+
     // Build the final response object and send with status code
     const response = this.build();
     return this.res.status(this.status).json(response);
@@ -763,10 +817,32 @@ const sendCreatedResponse = (res, data) => {
   return sendJsonResponse(res, HTTP_STATUS.CREATED, responseData);
 };
 
+/**
+ * Problem details for the functional error helpers
+ * Array details on a 400 become field errors, anything else a `details` extension
+ */
+const createProblemResponseData = (req, status, message, details, options = {}) => {
+  const fieldErrors = status === HTTP_STATUS.BAD_REQUEST && Array.isArray(details) ? details : undefined;
+  return createProblemDetails({
+    status,
+    detail: typeof message === 'string' ? message : undefined,
+    instance: req ? req.originalUrl || req.url : undefined,
+    errors: fieldErrors,
+    extensions: {
+      details: fieldErrors ? undefined : (details || undefined),
+      requestId: options.requestId || undefined
+    }
+  });
+};
+
 /**
  * Generic error response with metadata
+ * Sends application/problem+json when `options.format` is 'problem', or is 'auto' (default) and the client asks for it
  */
 const sendErrorResponse = (res, status, message, details = null, options = {}) => {
+  if (wantsProblemDetails(res.req, options.format)) {
+    return sendProblemDetails(res, createProblemResponseData(res.req, status, message, details, options));
+  }
   const responseData = createResponseData(false, message, options);
   addResponseMetadata(responseData, { ...options, details });
   return sendJsonResponse(res, status, responseData);
@@ -813,6 +889,7 @@ const globalErrorHandler = (err, req, res, _next) => {
   const status = err.status || err.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR;
   const expose = err.expose !== false && status < HTTP_STATUS.INTERNAL_SERVER_ERROR;
   const message = expose ? err.message : 'Internal Server Error';
+  const details = err.details || (expose && err instanceof Error ? err.message : undefined);
 
   // Log error using shared utilities
   safeQerrors(err, 'globalErrorHandler', {
@@ -821,10 +898,11 @@ const globalErrorHandler = (err, req, res, _next) => {
     method: req.method
   }).catch(() => {});
 
-  sendJsonResponse(res, status, {
-    error: message,
-    details: err.details || (expose && err instanceof Error ? err.message : undefined)
-  });
+  if (wantsProblemDetails(req)) {
+    return sendProblemDetails(res, createProblemResponseData(req, status, message, err.details || err.errors));
+  }
+
+  sendJsonResponse(res, status, { error: message, details });
 };
 
 /**
@@ -864,6 +942,7 @@ module.exports = {
   // Functional helpers
   sendJsonResponse,
   createResponseData,
+  createProblemResponseData,
   addResponseMetadata,
   sendSuccessResponse,
   sendCreatedResponse,
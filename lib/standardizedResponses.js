@@ -13,7 +13,8 @@
  */
 
 const crypto = require('crypto');
-const { sanitizeErrorMessage, classifyError, createUserFriendlyMessage } = require('./errorFiltering');
+const { sanitizeErrorMessage } = require('./errorFiltering');
+const { collectFieldErrors, createProblemDetails, wantsProblemDetails, sendProblemDetails } = require('./shared/problemDetails');
 
 /**
  * Standard error response structure
@@ -49,70 +50,6 @@ function generateErrorId() {
   return `err_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
 }
 
-
-  
-  // Remove potentially sensitive information with comprehensive patterns
-  let sanitized = message;
-  
-  // Remove file paths (Windows and Unix)
-  sanitized = sanitized.replace(/[a-zA-Z]:\\\\[^\\\\s]*\\\\/g, '[PATH]');
-  sanitized = sanitized.replace(/\/[^\\s]*\//g, '[PATH]');
-  sanitized = sanitized.replace(/[a-zA-Z]:\\\\[^\\\\s]*/g, '[PATH]');
-  
-  // Remove potential secrets and tokens
-  sanitized = sanitized.replace(/[A-Za-z0-9+\/]{20,}={0,2}/g, '[REDACTED]'); // Base64 patterns
-  sanitized = sanitized.replace(/[A-Fa-f0-9]{32,}/g, '[REDACTED]'); // Hash patterns
-  sanitized = sanitized.replace(/[A-Z0-9]{15,}/g, '[REDACTED]'); // API keys/tokens
-  
-  // Remove database connection strings
-  sanitized = sanitized.replace(/(mongodb|mysql|postgres|redis):\/\/[^\\s]*/gi, '[DB_CONNECTION]');
-  sanitized = sanitized.replace(/(password|pwd|pass)[\\s]*[:=][\\s]*[^\\s,;}\)]+/gi, '$1 [REDACTED]');
-  
-  // Remove API keys and tokens
-  sanitized = sanitized.replace(/(api[_-]?key|token|secret|auth)[\\s]*[:=][\\s]*['\"]?[^\\s'\"]*/gi, '$1 [REDACTED]');
-  
-  // Remove environment variable references
-  sanitized = sanitized.replace(/\\$\\{[^}]+\\}/g, '[ENV_VAR]');
-  
-  // Remove IP addresses (unless clearly localhost)
-  sanitized = sanitized.replace(/\\b(?!127\\.0\\.0\\.1\\b)(?!localhost\\b)(\\d{1,3}\\.){3}\\d{1,3}\\b/g, '[IP_ADDRESS]');
-  
-  // Remove URLs with potential sensitive data
-  sanitized = sanitized.replace(/https?:\/\/[^\\s]*[\\?\\#][^\\s]*/gi, '[URL_WITH_PARAMS]');
-  
-  // Remove SQL injection attempts from error messages
-  sanitized = sanitized.replace(/(['\\\\']|[;]|--|\\s+(or|and)\\s+[\\d\\s=]+|\\s+(union|select|insert|update|delete|drop|create|alter|exec)\\s+/gi, '[SQL_ATTEMPT]');
-  
-  // Remove email addresses
-  sanitized = sanitized.replace(/\\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}\\b/g, '[EMAIL]');
-  
-  // Remove phone numbers
-  sanitized = sanitized.replace(/\\b\\d{3}[-.]?\\d{3}[-.]?\\d{4}\\b/g, '[PHONE]');
-  
-  // Remove sensitive configuration keys
-  sanitized = sanitized.replace(/(jwt_secret|private_key|access_key|secret_key)[\\s]*[:=][\\s]*[^\\s,;}\)]+/gi, '$1 [REDACTED]');
-  
-  // Remove excessive repeated characters that might indicate data leakage
-  .replace(/(.)\1{10,}/g, '$1$1$1');
-  
-  // Truncate very long messages to prevent information disclosure
-  if (sanitized.length > 500) {
-    sanitized = sanitized.substring(0, 497) + '...';
-  }
-  
-  // Additional cleanup for common error patterns that shouldn't be exposed
-  sanitized = sanitized
-    // Remove stack trace line numbers from error messages
-    .replace(/:\d+:\d+/g, ':LINE:COL')
-    // Remove internal module paths
-    .replace(/node_modules[\\\/][^\\\/]*[\\\/]/g, 'node_modules/')
-    .replace(/@[^\\\/]*[\\\/]/g, '@/');
-    // Remove build/compile paths
-    .replace(/[\\\/](dist|build|out)[\\\/]/g, '/build/');
-  
-  return sanitized.trim();
-}
-
 /**
  * Create standardized error response object
  * @param {Error} error - The error object
@@ -170,6 +107,34 @@ function createErrorResponse(error, options = {}) {
   return response;
 }
 
+/**
+ * Create RFC 9457 problem details for an error
+ * Uses the same sanitization and error ID as createErrorResponse
+ * @param {Error} error - The error object
+ * @param {Object} options - createErrorResponse options plus httpStatus, instance and typeBaseUri
+ * @returns {Object} Problem details body
+ */
+function createProblemResponse(error, options = {}) {
+  const { httpStatus = 500, instance, typeBaseUri, ...responseOptions } = options;
+  const { error: details } = createErrorResponse(error, { ...responseOptions, additionalContext: {} });
+
+  return createProblemDetails({
+    status: httpStatus,
+    detail: details.message,
+    typeBaseUri,
+    instance,
+    errorId: details.errorId,
+    errorType: details.type,
+    errors: collectFieldErrors(error),
+    extensions: {
+      severity: details.severity,
+      timestamp: details.timestamp,
+      code: details.code,
+      stack: details.stack
+    }
+  });
+}
+
 /**
  * Create success response object
  * @param {Object} data - Response data
@@ -221,12 +186,22 @@ function wantsJson(req) {
  * @param {Object} res - Express response object
  * @param {Error} error - The error object
  * @param {Object} options - Response options
+ * @param {string} [options.format='auto'] - 'problem' sends application/problem+json, 'json' never does, 'auto' follows the Accept header
  */
 function sendErrorResponse(res, error, options = {}) {
-  const { httpStatus = 500, ...responseOptions } = options;
-  
+  const { httpStatus = 500, format = 'auto', instance, typeBaseUri, ...responseOptions } = options;
+
+  if (wantsProblemDetails(res.req, format)) {
+    return sendProblemDetails(res, createProblemResponse(error, {
+      ...responseOptions,
+      httpStatus,
+      typeBaseUri,
+      instance: instance || res.req?.originalUrl || res.req?.url
+    }));
+  }
+
   const errorResponse = createErrorResponse(error, responseOptions);
-  
+
   if (wantsJson(res.req)) {
     return res.status(httpStatus).json(errorResponse);
   } else {
@@ -237,7 +212,7 @@ function sendErrorResponse(res, error, options = {}) {
       .replace(/>/g, '&gt;')
       .replace(/"/g, '&quot;')
       .replace(/'/g, '&#39;');
-    
+
     return res.status(httpStatus).send(`<!DOCTYPE html>
 <html>
 <head>
@@ -306,20 +281,22 @@ function createErrorHandler(options = {}) {
     includeStack = false,
     sanitize = true,
     defaultType = ERROR_TYPES.SERVER,
-    defaultSeverity = SEVERITY_LEVELS.MEDIUM
+    defaultSeverity = SEVERITY_LEVELS.MEDIUM,
+    format = 'auto',
+    typeBaseUri
   } = options;
-  
+
   return (error, req, res, next) => {
     // Skip if headers already sent
     if (res.headersSent) {
       return next(error);
     }
-    
+
     // Determine error type and HTTP status
     let type = defaultType;
     let severity = defaultSeverity;
     let httpStatus = 500;
-    
+
     // Classify error based on properties
     if (error.name === 'ValidationError') {
       type = ERROR_TYPES.VALIDATION;
@@ -346,7 +323,7 @@ function createErrorHandler(options = {}) {
       severity = SEVERITY_LEVELS.CRITICAL;
       httpStatus = 500;
     }
-    
+
     // Additional context from request
     const additionalContext = {
       path: req.path,
@@ -354,14 +331,17 @@ function createErrorHandler(options = {}) {
       userAgent: req.get('User-Agent'),
       ip: req.ip || req.connection.remoteAddress
     };
-    
+
     sendErrorResponse(res, error, {
       httpStatus,
       type,
       severity,
       includeStack,
       sanitize,
-      additionalContext
+      additionalContext,
+      format,
+      typeBaseUri,
+      instance: req.originalUrl || req.url
     });
   };
 }
@@ -372,6 +352,7 @@ module.exports = {
   generateErrorId,
   sanitizeErrorMessage,
   createErrorResponse,
+  createProblemResponse,
   createSuccessResponse,
   wantsJson,
   sendErrorResponse,
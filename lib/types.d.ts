@@ -58,6 +58,36 @@ export interface ResponseOptions {
   startTime?: number | null;
   requestId?: string | null;
   processingTime?: number | null;
+  /** Error body format: 'problem' sends application/problem+json, 'auto' follows the Accept header */
+  format?: ResponseFormat;
+}
+
+export type ResponseFormat = 'auto' | 'problem' | 'json';
+
+/** RFC 9457 problem details body */
+export interface ProblemDetails {
+  type: string;
+  title: string;
+  status: number;
+  detail?: string;
+  instance?: string;
+  errorId?: string;
+  errorType?: string;
+  errors?: Array<{ field?: string; message?: string; [key: string]: unknown }>;
+  [extension: string]: unknown;
+}
+
+export interface ProblemDetailsOptions {
+  status: number;
+  title?: string;
+  detail?: string;
+  type?: string;
+  typeBaseUri?: string;
+  instance?: string;
+  errorId?: string;
+  errorType?: string;
+  errors?: ProblemDetails['errors'];
+  extensions?: Record<string, unknown>;
 }
 
 export interface ResponseHelper {
@@ -340,6 +370,12 @@ export interface ErrorTypesModule {
 export interface SanitizationModule {
   sanitizeMessage(message: string): string;
   sanitizeContext(context: Record<string, unknown>): Record<string, unknown>;
+  configureRedaction(policy: QerrorsRedactionPolicy | null): void;
+  getRedactionDetectors(): QerrorsRedactionDetectorInfo[];
+  scanSensitiveData(message: string): QerrorsSensitiveDataFinding[];
+  addCustomSanitizationPattern(pattern: RegExp | string, replacement?: string): void;
+  clearCustomSanitizationPatterns(): void;
+  sanitizeWithCustomPatterns(message: string): string;
   maskKey(key: string): string;
 }
 
@@ -459,16 +495,115 @@ export interface ModelConfig {
   requiredEnvVars: string[];
 }
 
+/** Analysis prompt: system instructions, analysis instructions and the error report quoted as untrusted JSON, each sent as its own message */
+export interface AIAnalysisPrompt {
+  system: string;
+  instructions: string;
+  report: string;
+  /** Reply that failed validation, sent back as the model's own message before followUp */
+  previousReply?: string;
+  /** Repair request sent after the report when a reply failed validation */
+  followUp?: string;
+}
+
+/** One entry of the provider failover chain; a null model means the provider default */
+export interface AIProviderChainEntry {
+  provider: string;
+  model: string | null;
+}
+
+/** Health of a chain entry (circuit breaker state) */
+export interface AIProviderStatus extends AIProviderChainEntry {
+  state: 'CLOSED' | 'OPEN' | 'HALF_OPEN';
+  consecutiveFailures: number;
+  successes: number;
+  failures: number;
+  /** Epoch ms when an open circuit lets a trial attempt through */
+  openUntil: number | null;
+  lastClassification: string | null;
+  lastError: string | null;
+}
+
+/** Set on advice as `advice.analyzedBy`; provider is 'rules' for rule-based advice */
+export interface AIAdviceProvenance extends AIProviderChainEntry {
+  /** Entries passed over before this one, with the failure classification, 'unhealthy' or 'budget' */
+  skipped: Array<AIProviderChainEntry & { reason: string }>;
+  /** Rule that produced rule-based advice */
+  rule?: string;
+  /** Why rule-based advice was used: 'no_api_key', 'unavailable', 'cooldown', 'budget' or 'redaction' */
+  reason?: string | null;
+}
+
+/** Hourly and daily AI budgets; null means no limit */
+export interface AIBudgetLimits {
+  hourlyTokens: number | null;
+  dailyTokens: number | null;
+  /** Estimated cost, in the currency of the price table (USD by default) */
+  hourlyCost: number | null;
+  dailyCost: number | null;
+}
+
+export interface AIBudgetOptions extends Partial<AIBudgetLimits> {
+  /** What analysis degrades to once a budget is spent */
+  fallback?: 'cache-only' | 'rules';
+  /** Prices per million tokens keyed by provider:model */
+  pricing?: Record<string, { input: number; output: number }>;
+}
+
+/** Usage of hosted providers in the current clock hour or UTC day */
+export interface AIBudgetWindow {
+  /** Epoch ms the window started */
+  start: number;
+  tokens: number;
+  cost: number;
+  requests: number;
+  remainingTokens: number | null;
+  remainingCost: number | null;
+}
+
+/** Token accounting for one provider:model */
+export interface AIProviderUsage {
+  requests: number;
+  inputTokens: number;
+  outputTokens: number;
+  totalTokens: number;
+  /** Replies without usage metadata, whose tokens were estimated from text length */
+  estimatedRequests: number;
+  /** Calls that failed or timed out; their reserved tokens are counted as estimated */
+  failedRequests: number;
+  estimatedCost: number;
+}
+
+export interface AIBudgetStatus {
+  limits: AIBudgetLimits;
+  hour: AIBudgetWindow;
+  day: AIBudgetWindow;
+  exhausted: boolean;
+  exhaustedLimits: Array<keyof AIBudgetLimits>;
+  fallback: 'cache-only' | 'rules';
+  /** Keyed by provider:model */
+  providers: Record<string, AIProviderUsage>;
+}
+
 export declare class AIModelManager {
   constructor();
   initializeModel(): void;
   switchModel(provider: string, modelName?: string | null): boolean;
+  setProviderChain(chain: string | Array<string | { provider: string; model?: string | null }>): AIProviderChainEntry[];
+  getProviderChain(): AIProviderChainEntry[];
+  getProviderStatus(): AIProviderStatus[];
+  setBudget(options: AIBudgetOptions): AIBudgetStatus;
+  getBudgetStatus(): AIBudgetStatus;
   getCurrentModelInfo(): ModelInfo;
   getAvailableModels(provider?: string): string[];
-  analyzeError(errorPrompt: string): Promise<Record<string, unknown> | null>;
-  createAnalysisModel(): object | null;
+  /** `fingerprint` keys record/replay fixtures of the mock provider; `onStream` streams the reply from models that support it */
+  analyzeError(errorPrompt: string | AIAnalysisPrompt, options?: {
+    fingerprint?: string;
+    onStream?: (event: { type: 'attempt'; provider: string; model: string | null } | { type: 'token'; text: string } | { type: 'end' }) => void;
+  }): Promise<QerrorsAdvice | null>;
+  createAnalysisModel(entry?: AIProviderChainEntry): object | null;
   initializeCacheTracking(): void;
-  getCacheStats(): Record<string, unknown>;
+  getCacheStats(): Record<string, unknown> & { budget: AIBudgetStatus };
   cleanup(): Promise<void>;
 }
 
@@ -551,7 +686,9 @@ export declare class ResponseBuilder {
   setProcessingTime(startTime: number): this;
   setPagination(page: number, limit: number, total: number): this;
   setValidationErrors(errors: any[]): this;
+  setFormat(format: ResponseFormat): this;
   build(): object;
+  buildProblem(): ProblemDetails;
   send(): any;
   success(data: any, options?: ResponseOptions): any;
   created(data: any, options?: ResponseOptions): any;
@@ -569,6 +706,7 @@ export interface ResponseHelpersModule {
   responseBuilderMiddleware(req: any, res: any, next: Function): void;
   sendJsonResponse(res: any, status: number, data: any): any;
   createResponseData(success: boolean, data: any, options?: ResponseOptions): object;
+  createProblemResponseData(req: any, status: number, message: string, details?: any, options?: ResponseOptions): ProblemDetails;
   addResponseMetadata(data: object, options?: ResponseOptions): object;
   sendSuccessResponse(res: any, data: any, options?: ResponseOptions): any;
   sendCreatedResponse(res: any, data: any): any;
@@ -604,9 +742,65 @@ export declare const entityGuards: EntityGuardsModule;
 export declare const responseHelpers: ResponseHelpersModule;
 export declare const circuitBreaker: CircuitBreakerModule;
 
-export declare function logErrorWithSeverity(options: LogErrorWithSeverityDIOptions): Promise<void>;
-export declare function handleControllerError(res: any, error: Error, context?: string, meta?: object): any;
-export declare function withErrorHandling(fn: Function, context?: string): Function;
+export interface ControllerErrorResult {
+  statusCode: number;
+  response: {
+    success: false;
+    error: {
+      code: string;
+      message: string;
+      type: string;
+      severity: string;
+      errorId?: string;
+      timestamp: string;
+    };
+  };
+}
+
+export declare function logErrorWithSeverity(
+  error: unknown,
+  functionName: string,
+  context?: Record<string, unknown>,
+  severity?: string
+): Promise<QerrorsErrorRecord | null>;
+export declare function handleControllerError(
+  res: any,
+  error: unknown,
+  functionName: string,
+  context?: Record<string, unknown>,
+  userMessage?: string
+): Promise<ControllerErrorResult>;
+export declare function withErrorHandling<T, F = never>(
+  operation: () => T | Promise<T>,
+  operationName: string,
+  context?: Record<string, unknown>,
+  fallback?: F
+): Promise<T | F>;
+export declare function addReporter(reporter: QerrorsReporter): () => boolean;
+export declare function removeReporter(name: string): boolean;
+export declare function getReporterStats(): QerrorsReporterStats[];
+export declare function getIssues(query?: QerrorsIssueQuery): QerrorsIssue[];
+export declare function getIssue(issueId: string): QerrorsIssue | null;
+export declare function rateAdvice(feedback: QerrorsAdviceFeedback): QerrorsAdviceRating | null;
+export declare function getAdviceQuality(query?: QerrorsAdviceQualityQuery): QerrorsAdviceQuality[];
+export declare function feedbackHandler(): (req: any, res: any) => Promise<void>;
+export declare function adviceRouter(options?: QerrorsAdviceRouterOptions): (req: any, res: any, next?: Function) => void;
+export declare function getRedactionStats(): QerrorsRedactionStats;
+/** Fixture keys (issue fingerprints) the mock provider found no fixture for; fail a test run on them */
+export declare function getMissingMockFixtures(): string[];
+export declare function addNormalizationRule(rule: QerrorsNormalizationRule): () => boolean;
+export declare function removeNormalizationRule(name: string): boolean;
+export declare function normalizeMessage(message: string): string;
+export declare function parseStack(stack: string | undefined, options?: { limit?: number; sourceMaps?: boolean }): QerrorsStackFrame[];
+export declare function configureSourceMaps(options: QerrorsSourceMapOptions): void;
+export declare function validateAdvice(candidate: unknown): QerrorsAdviceValidation;
+export declare const ADVICE_SCHEMA: Readonly<Record<string, unknown>>;
+export declare function registerPromptTemplate(definition: QerrorsPromptTemplate): { name: string; version: string };
+export declare function removePromptTemplate(name: string): boolean;
+export declare function getPromptTemplates(): QerrorsPromptTemplateInfo[];
+export declare function addAdviceRule(rule: QerrorsAdviceRule): () => boolean;
+export declare function removeAdviceRule(name: string): boolean;
+export declare function ruleBasedAdvice(error: Error | { message: string; [key: string]: unknown }, context?: Record<string, unknown>, reason?: string): QerrorsAdvice | null;
 export declare function generateErrorId(): string;
 export declare function extractContext(req: any): Record<string, unknown>;
 export declare function cleanup(): Promise<void>;
@@ -637,9 +831,81 @@ export declare function createSimpleWinstonLogger(options?: object): WinstonLogg
 
 export declare function sanitizeMessage(message: string): string;
 export declare function sanitizeContext(context: Record<string, unknown>): Record<string, unknown>;
-export declare function addCustomSanitizationPattern(pattern: RegExp | string): void;
+export declare function addCustomSanitizationPattern(pattern: RegExp | string, replacement?: string): void;
 export declare function clearCustomSanitizationPatterns(): void;
 export declare function sanitizeWithCustomPatterns(message: string): string;
+export declare function configureRedaction(policy: QerrorsRedactionPolicy | null): void;
+export declare function getRedactionDetectors(): QerrorsRedactionDetectorInfo[];
+export declare function scanSensitiveData(message: string): QerrorsSensitiveDataFinding[];
+
+/** How a redaction rule replaces a value */
+export type QerrorsRedactionStrategy = 'redact' | 'mask' | 'hash' | 'drop' | 'truncate';
+
+export interface QerrorsRedactionRule {
+  /** Default 'redact' (or keys.strategy for key rules) */
+  strategy?: QerrorsRedactionStrategy;
+  /** Marker of the 'redact' strategy (default '[REDACTED]', or the built-in detector's) */
+  replacement?: string;
+  /** Characters kept by 'mask' (default 4) */
+  keep?: number;
+  /** Characters kept by 'truncate' (default 8) */
+  length?: number;
+  /** Kind counted in redaction records (default 'secret', or the detector name) */
+  kind?: string;
+}
+
+/** Plain words ('api_key' matches apiKey), globs ('session*') or RegExps ('/^x-.*$/i' in JSON) */
+export type QerrorsKeyMatcher = string | RegExp;
+
+export interface QerrorsRedactionDetector extends QerrorsRedactionRule {
+  name: string;
+  /**
+   * Required unless name is a built-in detector: url_password, private_key, jwt, bearer, github_token,
+   * aws_access_key, aws_secret_key, email, password, token, api_key, secret, card, iban, ssn, cvv, phone, ipv4, ipv6
+   */
+  pattern?: RegExp | string;
+  /** Matches it returns false for are kept; a built-in check (Luhn, mod 97, ...) is dropped with its pattern */
+  validate?: (match: string) => boolean;
+  /** How likely a match is sensitive, 0 to 1 (default 1, or the built-in detector's) */
+  confidence?: number;
+  /** false turns the detector off (default true; false for ipv4 and ipv6) */
+  enabled?: boolean;
+}
+
+/** From getRedactionDetectors, in the order detectors run */
+export interface QerrorsRedactionDetectorInfo {
+  name: string;
+  kind: string;
+  confidence: number;
+  strategy: QerrorsRedactionStrategy;
+  /** false when disabled or below the policy's minConfidence */
+  enabled: boolean;
+}
+
+/** From scanSensitiveData; the value itself is never included */
+export interface QerrorsSensitiveDataFinding {
+  detector: string;
+  kind: string;
+  confidence: number;
+  index: number;
+  length: number;
+}
+
+/** Redaction policy for logs, error responses and AI prompts (also QERRORS_REDACTION_POLICY, as JSON) */
+export interface QerrorsRedactionPolicy {
+  /** Start from the built-in keys and detectors (default true) */
+  useDefaults?: boolean;
+  keys?: {
+    deny?: Array<QerrorsKeyMatcher | (QerrorsRedactionRule & { key: QerrorsKeyMatcher })>;
+    allow?: QerrorsKeyMatcher[];
+    strategy?: QerrorsRedactionStrategy;
+  };
+  /** JSON paths into context objects: '$.user.ssn', '$.items[*].card', '$..password' */
+  paths?: Array<QerrorsRedactionRule & { path: string }>;
+  detectors?: QerrorsRedactionDetector[];
+  /** Detectors less confident than this (0 to 1) do not run; default 0 */
+  minConfidence?: number;
+}
 
 export declare function createLimiter(options?: object): any;
 export declare function getQueueRejectCount(): number;
@@ -700,6 +966,10 @@ export declare function sendServerErrorResponse(res: any, message?: string): any
 export declare function createResponseHelper(res: any, startTime?: number | null): ResponseHelper;
 
 export declare function globalErrorHandler(err: Error, req: any, res: any, next: Function): void;
+export declare const PROBLEM_CONTENT_TYPE: 'application/problem+json';
+export declare function createProblemDetails(options: ProblemDetailsOptions): ProblemDetails;
+export declare function sendProblemDetails(res: any, problem: ProblemDetails): any;
+export declare function acceptsProblemDetails(req: any): boolean;
 export declare function generateUniqueId(): string;
 export declare function verboseLog(message: string, meta?: Record<string, unknown>): void;
 
@@ -722,8 +992,385 @@ export declare function safeJsonStringify(value: any, fallback?: string): string
 /*  Default export – the callable qerrors function                     */
 /* ------------------------------------------------------------------ */
 
+/** One parsed V8 stack frame */
+export interface QerrorsStackFrame {
+  function: string | null;
+  /** Absolute path (file:// URLs converted); for eval frames, where the code was evaluated */
+  file: string | null;
+  line: number | null;
+  column: number | null;
+  /** Application code: not node internals, native code or node_modules */
+  inApp: boolean;
+  async: boolean;
+  native: boolean;
+  eval: boolean;
+  /** Compiled position, present when the frame was rewritten through a source map */
+  generated?: { file: string; line: number; column: number | null };
+  /** Sanitized source lines around the frame; set on the top in-app frames of error records */
+  sourceContext?: { pre: string[]; line: string; post: string[] };
+}
+
+export interface QerrorsSourceMapOptions {
+  /** Rewrite frames through source maps (default true; QERRORS_SOURCE_MAPS=false disables) */
+  enabled?: boolean;
+  /** Extra directory searched for .map files (QERRORS_SOURCE_MAP_DIR) */
+  directory?: string | null;
+}
+
+/** Error categories used by advice (the ErrorTypes values) */
+export type QerrorsAdviceCategory = 'validation' | 'authentication' | 'authorization' | 'not_found' | 'rate_limit' | 'network' | 'database' | 'system' | 'configuration';
+
+/** Schema-validated AI advice (schemaVersion 1, see ADVICE_SCHEMA) */
+export interface QerrorsAdvice {
+  schemaVersion: 1;
+  /** One-sentence summary */
+  summary: string;
+  probableRootCause: string;
+  /** Ordered steps, at least one */
+  fixSteps: string[];
+  /** 0 to 1 */
+  confidence: number;
+  /** Documentation URLs or references; may be empty */
+  relatedDocs: string[];
+  category: QerrorsAdviceCategory;
+  /** True when invalid end-user input caused the error rather than a bug */
+  isUserError: boolean;
+  /** Which provider produced the advice */
+  analyzedBy?: AIAdviceProvenance;
+  /** Prompt template (and version) the advice was produced with */
+  promptTemplate?: { name: string; version: string };
+  /** What outbound redaction removed from the prompt before it was sent */
+  promptRedactions?: QerrorsRedactions;
+  /** What was redacted from the model's reply before the advice was cached or returned */
+  adviceRedactions?: QerrorsRedactions;
+}
+
+/** Redactions counted per kind and per prompt or advice field; values are never kept */
+export interface QerrorsRedactions {
+  total: number;
+  /** e.g. { email: 1, secret: 2 }; the built-in detector kinds, high_entropy, or configured ones */
+  kinds: Record<string, number>;
+  /** e.g. { message: 1, context: 2 } */
+  fields: Record<string, number>;
+}
+
+/** Redaction totals of one stage */
+export interface QerrorsRedactionStageStats extends QerrorsRedactions {
+  /** Prompts or advice checked */
+  checked: number;
+  /** Checked with at least one redaction */
+  redacted: number;
+}
+
+/** From getRedactionStats */
+export interface QerrorsRedactionStats {
+  /** Prompts before sending; refused counts strict-mode refusals */
+  prompts: QerrorsRedactionStageStats & { refused: number };
+  /** Advice before caching; redactions here point at input rules to tighten */
+  advice: QerrorsRedactionStageStats;
+}
+
+/** Built-in values available to every prompt template; error details are references like '[message]' to the quoted error report ('' when absent) */
+export interface QerrorsPromptVariables {
+  errorName: string;
+  message: string;
+  context: string;
+  stack: string;
+  source: string;
+  /** Advice schema instructions; appended when a string template omits it */
+  schema: string;
+  location: string;
+  route: string;
+  errorType: string;
+  [variable: string]: unknown;
+}
+
+export type QerrorsPromptMatcher = string | RegExp | Array<string | RegExp>;
+
+export interface QerrorsPromptTemplate {
+  /** Unique name; 'default' replaces the fallback prompt */
+  name: string;
+  /** Text with {{variable}} placeholders, or a render function */
+  template: string | ((variables: QerrorsPromptVariables) => string);
+  /** Selection criteria; the template matching the most criteria wins */
+  match?: {
+    /** error.type (e.g. 'database') or error.name (e.g. 'TypeError') */
+    errorType?: QerrorsPromptMatcher;
+    location?: QerrorsPromptMatcher;
+    /** 'METHOD /path' or '/path'; strings match a path and everything below it */
+    route?: QerrorsPromptMatcher;
+  };
+  /** Extra values available to the template */
+  variables?: Record<string, string | number | boolean>;
+  /** Explicit version; defaults to a hash of the template and variables. Required for function templates */
+  version?: string | number;
+}
+
+export interface QerrorsPromptTemplateInfo {
+  name: string;
+  version: string;
+  match: { errorType?: Array<string | RegExp>; location?: Array<string | RegExp>; route?: Array<string | RegExp> };
+}
+
+export type QerrorsAdviceRuleMatcher = string | number | RegExp | Array<string | number | RegExp>;
+
+/** Offline advice rule; custom rules run before the built-in ones */
+export interface QerrorsAdviceRule {
+  name: string;
+  /** Predicate, or fields that must all match */
+  match: ((error: any, context: Record<string, unknown>) => boolean) | {
+    /** error.code, error.cause.code, error.errno or a code named in the message */
+    code?: QerrorsAdviceRuleMatcher;
+    name?: QerrorsAdviceRuleMatcher;
+    message?: QerrorsAdviceRuleMatcher;
+    /** error.status, error.statusCode or error.response status */
+    status?: QerrorsAdviceRuleMatcher;
+  };
+  /** Advice fields (confidence, relatedDocs, isUserError and category have defaults), or a function returning them or null to pass */
+  advice: QerrorsAdviceRuleResult | ((error: any, context: Record<string, unknown>) => QerrorsAdviceRuleResult | null);
+}
+
+export type QerrorsAdviceRuleResult = Pick<QerrorsAdvice, 'summary' | 'probableRootCause' | 'fixSteps'> &
+  Partial<Pick<QerrorsAdvice, 'confidence' | 'relatedDocs' | 'category' | 'isUserError'>>;
+
+export interface QerrorsAdviceValidation {
+  valid: boolean;
+  /** Repaired advice when valid, otherwise null */
+  advice: QerrorsAdvice | null;
+  errors: string[];
+}
+
+export interface QerrorsErrorRecord {
+  id: string;
+  timestamp: number;
+  message: string;
+  name: string;
+  /** The error's `type` (e.g. from createTypedError), when it has one */
+  type?: string;
+  /** Stack text rendered from `frames` */
+  stack?: string;
+  /** Top parsed stack frames (at most 10) */
+  frames: QerrorsStackFrame[];
+  context: Record<string, string>;
+  severity: string;
+  /** Fingerprint of the issue this record was grouped into */
+  issueId: string;
+  advice?: QerrorsAdvice;
+  cached?: boolean;
+  /** Resolves with the AI advice once background analysis finishes (null if none) */
+  readonly adviceReady: Promise<QerrorsAdvice | null>;
+}
+
+/** Errors grouped by fingerprint, with occurrence tracking */
+export interface QerrorsIssue {
+  id: string;
+  name: string;
+  message: string;
+  severity: string;
+  firstSeen: string;
+  lastSeen: string;
+  count: number;
+  /** Occurrences within the queried window (hour granularity); equals count without since/until */
+  countInRange: number;
+  routes: Array<{ route: string; count: number }>;
+  samples: Array<{ errorId: string; timestamp: string; message: string; route: string | null; context: Record<string, unknown> }>;
+  advice: QerrorsAdvice | null;
+  adviceAt: string | null;
+  /** Ratings of the current advice; reset when new advice arrives */
+  feedback: QerrorsIssueFeedback;
+}
+
+export type QerrorsAdviceRatingValue = 'helpful' | 'unhelpful' | 'wrong';
+
+export interface QerrorsIssueFeedback {
+  helpful: number;
+  unhelpful: number;
+  wrong: number;
+  /** Whether the ratings evicted the advice from the caches */
+  evicted: boolean;
+  entries: Array<{ rating: QerrorsAdviceRatingValue; comment: string | null; errorId: string | null; timestamp: string }>;
+}
+
+/** Rating for qerrors.rateAdvice; needs an errorId or an issueId */
+export interface QerrorsAdviceFeedback {
+  errorId?: string;
+  issueId?: string;
+  rating: QerrorsAdviceRatingValue;
+  comment?: string;
+  /** With a negative rating, evict the advice and re-analyze now */
+  regenerate?: boolean;
+}
+
+/** Provider, model and prompt template version (`name@version`, or `rule:<name>`) behind some advice */
+export interface QerrorsAdviceSource {
+  provider: string | null;
+  model: string | null;
+  promptTemplate: string | null;
+}
+
+export interface QerrorsAdviceRating {
+  issueId: string;
+  errorId: string | null;
+  rating: QerrorsAdviceRatingValue;
+  source: QerrorsAdviceSource;
+  ratings: { helpful: number; unhelpful: number; wrong: number };
+  evicted: boolean;
+  regenerating: boolean;
+}
+
+/** Options of qerrors.adviceRouter, which serves `GET <basePath>/advice/:errorId/stream` */
+export interface QerrorsAdviceRouterOptions {
+  /** Defaults to '/qerrors'; use '' when mounting under your own path */
+  basePath?: string;
+  /** Close the stream with a `timeout` event after this long without advice (default 60000) */
+  maxWaitMs?: number;
+  /** Keep-alive comment interval (default 15000) */
+  heartbeatMs?: number;
+}
+
+export interface QerrorsAdviceQualityQuery {
+  /** Dimensions to group by; default all three */
+  groupBy?: Array<keyof QerrorsAdviceSource>;
+}
+
+export interface QerrorsAdviceQuality extends Partial<QerrorsAdviceSource> {
+  helpful: number;
+  unhelpful: number;
+  wrong: number;
+  total: number;
+  /** helpful / total */
+  helpfulRate: number;
+  /** Ratings that evicted advice */
+  evictions: number;
+}
+
+export interface QerrorsIssueQuery {
+  since?: number | Date | string;
+  until?: number | Date | string;
+  route?: string;
+  name?: string;
+  severity?: string;
+  minCount?: number;
+  sortBy?: 'count' | 'lastSeen' | 'firstSeen';
+  limit?: number;
+}
+
+/** Custom message normalization rule; runs before the built-in rules */
+export interface QerrorsNormalizationRule {
+  name: string;
+  pattern: RegExp;
+  /** Defaults to `<name>` */
+  replacement?: string | ((match: string, ...groups: any[]) => string);
+}
+
+export type QerrorsEventType = 'captured' | 'analyzed' | 'dropped';
+
+/** Event delivered to qerrors.on listeners and reporters */
+export interface QerrorsErrorEvent {
+  type: QerrorsEventType;
+  /** Frozen, sanitized copy of the error record */
+  record: Readonly<Omit<QerrorsErrorRecord, 'adviceReady' | 'advice'>>;
+  /** Present on 'analyzed' events */
+  advice?: QerrorsAdvice;
+  /** Present on 'dropped' events */
+  reason?: string;
+  /** 'QERRORS_MOCK_FIXTURE_MISSING' when strict mock replay had no fixture */
+  code?: string;
+  timestamp: string;
+}
+
+export interface QerrorsDeliveryOptions {
+  /** Pending events kept per subscriber before the oldest is dropped (default 100) */
+  maxPending?: number;
+  /** Per-delivery timeout in milliseconds (default 5000) */
+  timeoutMs?: number;
+}
+
+export interface QerrorsReporter extends QerrorsDeliveryOptions {
+  name: string;
+  report(event: QerrorsErrorEvent): void | Promise<void>;
+  /** Event types to receive; defaults to all */
+  events?: QerrorsEventType[];
+}
+
+export interface QerrorsReporterStats {
+  name: string;
+  events: QerrorsEventType[];
+  pending: number;
+  delivered: number;
+  failed: number;
+  dropped: number;
+  lastError: string | null;
+}
+
+export interface QerrorsContext extends Record<string, unknown> {
+  onAdvice?: (advice: QerrorsAdvice | null, record: QerrorsErrorRecord) => void;
+  skipAnalysis?: boolean;
+}
+
+export interface QerrorsErrorPayload {
+  statusCode: number;
+  severity: string;
+  title: string;
+  message: string;
+  errorId?: string;
+  timestamp: string;
+  errorType?: string;
+  errors?: ProblemDetails['errors'];
+  advice?: QerrorsAdvice;
+  /** Present when includeStack is on */
+  frames?: QerrorsStackFrame[];
+  error: unknown;
+}
+
+export type QerrorsRenderer = (req: any, res: any, payload: QerrorsErrorPayload) => void;
+
+export interface QerrorsMiddlewareOptions {
+  /** Show error messages to clients; defaults to 4xx always and 5xx outside production */
+  exposeMessages?: boolean | ((error: unknown, statusCode: number) => boolean);
+  /** Include AI advice in responses; defaults to NODE_ENV === 'development' */
+  includeAdvice?: boolean;
+  /** Include parsed stack frames in the payload and HTML page; defaults to NODE_ENV === 'development' */
+  includeStack?: boolean;
+  adviceTimeoutMs?: number;
+  /** Record client (4xx) errors without AI analysis */
+  skipAnalysisFor4xx?: boolean;
+  /** 'problem' always sends RFC 9457 problem details, 'json' never does, 'auto' (default) follows the Accept header */
+  format?: ResponseFormat;
+  /** Base URI joined with the error type to form problem `type` members; 'about:blank' when unset */
+  typeBaseUri?: string;
+  renderers?: { html?: QerrorsRenderer; json?: QerrorsRenderer; problem?: QerrorsRenderer };
+}
+
 export interface QerrorsCallable {
-  (error: any, context: string, ...args: any[]): void;
+  (error: any, location?: string, context?: QerrorsContext): Promise<QerrorsErrorRecord | null>;
+  middleware(options?: QerrorsMiddlewareOptions): (error: any, req: any, res: any, next?: Function) => void;
+  on(type: QerrorsEventType, listener: (event: QerrorsErrorEvent) => void | Promise<void>, options?: QerrorsDeliveryOptions): () => boolean;
+  off(type: QerrorsEventType, listener: (event: QerrorsErrorEvent) => void | Promise<void>): boolean;
+  addReporter(reporter: QerrorsReporter): () => boolean;
+  removeReporter(name: string): boolean;
+  getReporterStats(): QerrorsReporterStats[];
+  getIssues(query?: QerrorsIssueQuery): QerrorsIssue[];
+  getIssue(issueId: string): QerrorsIssue | null;
+  rateAdvice(feedback: QerrorsAdviceFeedback): QerrorsAdviceRating | null;
+  getAdviceQuality(query?: QerrorsAdviceQualityQuery): QerrorsAdviceQuality[];
+  feedbackHandler(): (req: any, res: any) => Promise<void>;
+  adviceRouter(options?: QerrorsAdviceRouterOptions): (req: any, res: any, next?: Function) => void;
+  getRedactionStats(): QerrorsRedactionStats;
+  getMissingMockFixtures(): string[];
+  addNormalizationRule(rule: QerrorsNormalizationRule): () => boolean;
+  removeNormalizationRule(name: string): boolean;
+  normalizeMessage(message: string): string;
+  parseStack(stack: string | undefined, options?: { limit?: number; sourceMaps?: boolean }): QerrorsStackFrame[];
+  configureSourceMaps(options: QerrorsSourceMapOptions): void;
+  validateAdvice(candidate: unknown): QerrorsAdviceValidation;
+  readonly ADVICE_SCHEMA: Readonly<Record<string, unknown>>;
+  registerPromptTemplate(definition: QerrorsPromptTemplate): { name: string; version: string };
+  removePromptTemplate(name: string): boolean;
+  getPromptTemplates(): QerrorsPromptTemplateInfo[];
+  addAdviceRule(rule: QerrorsAdviceRule): () => boolean;
+  removeAdviceRule(name: string): boolean;
+  ruleBasedAdvice(error: Error | { message: string; [key: string]: unknown }, context?: Record<string, unknown>, reason?: string): QerrorsAdvice | null;
 }
 
 declare const qerrorsDefault: QerrorsCallable;
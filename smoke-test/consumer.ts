@@ -4,6 +4,9 @@ import qerrors, {
   addCustomSanitizationPattern,
   clearCustomSanitizationPatterns,
   sanitizeWithCustomPatterns,
+  configureRedaction,
+  getRedactionDetectors,
+  scanSensitiveData,
   logDebug,
   logInfo,
   logWarn,
@@ -34,6 +37,10 @@ import qerrors, {
   sendServerErrorResponse,
   createResponseHelper,
   globalErrorHandler,
+  PROBLEM_CONTENT_TYPE,
+  createProblemDetails,
+  sendProblemDetails,
+  acceptsProblemDetails,
   generateUniqueId,
   getEnv,
   getInt,
@@ -72,6 +79,33 @@ import qerrors, {
   createLangChainModel,
   logModuleInit,
   simpleLogger,
+  logErrorWithSeverity,
+  handleControllerError,
+  withErrorHandling,
+  addReporter,
+  removeReporter,
+  getReporterStats,
+  getIssues,
+  getIssue,
+  rateAdvice,
+  getAdviceQuality,
+  feedbackHandler,
+  adviceRouter,
+  getRedactionStats,
+  getMissingMockFixtures,
+  addNormalizationRule,
+  removeNormalizationRule,
+  normalizeMessage,
+  parseStack,
+  configureSourceMaps,
+  validateAdvice,
+  ADVICE_SCHEMA,
+  registerPromptTemplate,
+  removePromptTemplate,
+  getPromptTemplates,
+  addAdviceRule,
+  removeAdviceRule,
+  ruleBasedAdvice,
   // namespace exports
   errorTypes,
   sanitization,
@@ -94,6 +128,9 @@ void sanitizeContext;
 void addCustomSanitizationPattern;
 void clearCustomSanitizationPatterns;
 void sanitizeWithCustomPatterns;
+void configureRedaction;
+void getRedactionDetectors;
+void scanSensitiveData;
 void logDebug;
 void logInfo;
 void logWarn;
@@ -124,6 +161,10 @@ void sendForbiddenResponse;
 void sendServerErrorResponse;
 void createResponseHelper;
 void globalErrorHandler;
+void PROBLEM_CONTENT_TYPE;
+void createProblemDetails;
+void sendProblemDetails;
+void acceptsProblemDetails;
 void generateUniqueId;
 void getEnv;
 void getInt;
@@ -175,6 +216,33 @@ void responseHelpers;
 void circuitBreaker;
 void logger;
 void simpleLogger;
+void logErrorWithSeverity;
+void handleControllerError;
+void withErrorHandling;
+void addReporter;
+void removeReporter;
+void getReporterStats;
+void getIssues;
+void getIssue;
+void rateAdvice;
+void getAdviceQuality;
+void feedbackHandler;
+void adviceRouter;
+void getRedactionStats;
+void getMissingMockFixtures;
+void addNormalizationRule;
+void removeNormalizationRule;
+void normalizeMessage;
+void parseStack;
+void configureSourceMaps;
+void validateAdvice;
+void ADVICE_SCHEMA;
+void registerPromptTemplate;
+void removePromptTemplate;
+void getPromptTemplates;
+void addAdviceRule;
+void removeAdviceRule;
+void ruleBasedAdvice;
 
 // ---- Call-site type checks: logger ----
 // logger.info accepts a string message
@@ -334,6 +402,27 @@ void _cleanupRes;
 type _AIMgrSwitchModel = ReturnType<typeof _aiMgr.switchModel>;
 const _switchModelRes: boolean = null as unknown as _AIMgrSwitchModel;
 void _switchModelRes;
+// Provider failover chain
+const _chain: Array<{ provider: string; model: string | null }> = _aiMgr.setProviderChain('google,openai:gpt-4o-mini');
+void _chain;
+const _providerState: 'CLOSED' | 'OPEN' | 'HALF_OPEN' | undefined = _aiMgr.getProviderStatus()[0]?.state;
+void _providerState;
+// @ts-expect-error - chain entries need a provider
+_aiMgr.setProviderChain([{ model: 'gpt-4o' }]);
+// AI budgets and token accounting
+const _budget = _aiMgr.setBudget({ hourlyTokens: 200000, dailyCost: 5, fallback: 'rules' });
+const _hourRemaining: number | null = _budget.hour.remainingTokens;
+void _hourRemaining;
+const _spent: boolean = _aiMgr.getCacheStats().budget.exhausted;
+void _spent;
+const _providerTokens: number | undefined = _aiMgr.getBudgetStatus().providers['openai:gpt-4o-mini']?.totalTokens;
+void _providerTokens;
+// @ts-expect-error - fallback is 'cache-only' or 'rules'
+_aiMgr.setBudget({ fallback: 'drop' });
+// Structured prompts quote the error report apart from the instructions
+void _aiMgr.analyzeError({ system: 'Only these are instructions', instructions: 'Analyze [message]', report: '<error_report>{}</error_report>' });
+// @ts-expect-error - structured prompts need the error report
+void _aiMgr.analyzeError({ system: 'Only these are instructions', instructions: 'Analyze [message]' });
 // resetAIModelManager returns Promise<void> | undefined
 type _ResetRes = ReturnType<typeof aiModelManager.resetAIModelManager>;
 const _resetRes: Promise<void> | undefined = null as unknown as _ResetRes;
@@ -664,5 +753,201 @@ void _miShouldInitStr;
 // @ts-expect-error - number is not assignable to string for moduleName parameter
 moduleInitializer.logModuleInit(42);
 
-export {};
+// ---- Call-site type checks: core error handling ----
+// qerrors resolves with the error record (or null) and exposes pending advice
+const _qerrorsRecord = qerrors(new Error('smoke'), 'smoke.test', { onAdvice: (advice) => void advice });
+void _qerrorsRecord.then(record => record?.adviceReady);
+// logErrorWithSeverity accepts an optional severity
+const _logSeverity = logErrorWithSeverity(new Error('smoke'), 'smoke.severity', {}, ErrorSeverity.HIGH);
+void _logSeverity;
+// handleControllerError resolves with the status code it sent
+const _controllerStatus: Promise<number> = handleControllerError({}, new Error('smoke'), 'smoke.controller')
+  .then(result => result.statusCode);
+void _controllerStatus;
+// withErrorHandling returns the operation result or the fallback
+const _withFallback: Promise<string | null> = withErrorHandling(async () => 'ok', 'smoke.wrapped', {}, null);
+void _withFallback;
+
+// middleware accepts status-aware options and custom renderers
+const _middleware = qerrors.middleware({
+  exposeMessages: (_error, status) => status < 500,
+  skipAnalysisFor4xx: true,
+  format: 'auto',
+  typeBaseUri: 'https://errors.example.com/',
+  renderers: { json: (_req, res, payload) => res.status(payload.statusCode).json({ id: payload.errorId }) }
+});
+void _middleware;
+
+// ---- Call-site type checks: error events and reporters ----
+const _unsubscribe: () => boolean = qerrors.on('analyzed', ({ record, advice }) => void [record.id, advice]);
+void _unsubscribe;
+const _removeReporter = addReporter({ name: 'smoke', events: ['captured'], report: async ({ record }) => void record.message });
+void _removeReporter;
+const _reporterFailures: number = getReporterStats()[0].failed;
+void _reporterFailures;
+
+// ---- @ts-expect-error: unknown event types are rejected ----
+// @ts-expect-error - 'resolved' is not a QerrorsEventType
+qerrors.on('resolved', () => undefined);
+
+// ---- Call-site type checks: issues ----
+const _topIssues: number[] = getIssues({ since: new Date(), sortBy: 'count', limit: 5 }).map(issue => issue.countInRange);
+void _topIssues;
+const _issueRoutes = getIssue('abc')?.routes.map(entry => entry.route);
+void _issueRoutes;
+
+// ---- @ts-expect-error: issues sort only by known keys ----
+// @ts-expect-error - 'severity' is not a sort key
+getIssues({ sortBy: 'severity' });
+
+// ---- Call-site type checks: advice feedback ----
+const _rated: boolean | undefined = rateAdvice({ errorId: 'err_1', rating: 'wrong', comment: 'Index exists' })?.evicted;
+void _rated;
+const _helpfulRates: number[] = getAdviceQuality({ groupBy: ['provider', 'model'] }).map(entry => entry.helpfulRate);
+void _helpfulRates;
+const _issueRatings: number | undefined = getIssue('abc')?.feedback.wrong;
+void _issueRatings;
+void feedbackHandler();
+const _refusedPrompts: number = getRedactionStats().prompts.refused;
+void _refusedPrompts;
+// @ts-expect-error - advice is never refused, only redacted
+void getRedactionStats().advice.refused;
+void adviceRouter({ basePath: '', maxWaitMs: 30000 });
+const _missingFixtures: string[] = getMissingMockFixtures();
+void _missingFixtures;
+
+// ---- @ts-expect-error: ratings are helpful, unhelpful or wrong ----
+// @ts-expect-error - 'great' is not a rating
+rateAdvice({ issueId: 'abc', rating: 'great' });
+
+// ---- @ts-expect-error: advice router paths are strings ----
+// @ts-expect-error - basePath must be a string
+adviceRouter({ basePath: 42 });
+
+// ---- Call-site type checks: message normalization ----
+const _removeRule: () => boolean = addNormalizationRule({ name: 'order', pattern: /ORD-\d+/ });
+void _removeRule;
+const _normalized: string = normalizeMessage('User 1234 not found');
+void _normalized;
+const _ruleRemoved: boolean = removeNormalizationRule('order');
+void _ruleRemoved;
+
+// ---- @ts-expect-error: normalization patterns must be RegExp ----
+// @ts-expect-error - pattern must be a RegExp, not a string
+addNormalizationRule({ name: 'tenant', pattern: 'tenant-\\d+' });
+
+// ---- Call-site type checks: stack frames ----
+const _appFiles: Array<string | null> = parseStack(new Error('x').stack, { limit: 5 }).filter(frame => frame.inApp).map(frame => frame.file);
+void _appFiles;
+qerrors.middleware({ includeStack: true });
+configureSourceMaps({ directory: './maps' });
+const _generatedLine: number | undefined = parseStack('', { sourceMaps: false })[0]?.generated?.line;
+void _generatedLine;
+const _failingLine: string | undefined = parseStack('')[0]?.sourceContext?.line;
+void _failingLine;
+
+// ---- @ts-expect-error: frame lines are numbers ----
+// @ts-expect-error - line is number | null, not string
+const _frameLine: string = parseStack('')[0].line;
+void _frameLine;
+
+// ---- Call-site type checks: advice schema ----
+const _checked = validateAdvice(JSON.parse('{}'));
+const _fixSteps: string[] | undefined = _checked.advice?.fixSteps;
+void _fixSteps;
+qerrors(new Error('x'), 'smoke.advice', {
+  onAdvice: (advice) => {
+    const _confidence: number | undefined = advice?.confidence;
+    const _adviceProvider: string | undefined = advice?.analyzedBy?.provider;
+    const _redactedEmails: number | undefined = advice?.promptRedactions?.kinds.email;
+    const _echoedSecrets: number | undefined = advice?.adviceRedactions?.total;
+    void _echoedSecrets;
+    void _confidence;
+    void _adviceProvider;
+    void _redactedEmails;
+  }
+});
+
+// ---- @ts-expect-error: advice categories are the ErrorTypes values ----
+// @ts-expect-error - 'cosmic_rays' is not a QerrorsAdviceCategory
+const _category: NonNullable<typeof _checked.advice>['category'] = 'cosmic_rays';
+void _category;
+
+// ---- Call-site type checks: prompt templates ----
+const _templateVersion: string = registerPromptTemplate({
+  name: 'smoke.database',
+  match: { errorType: ['database', /^Knex/], route: '/orders' },
+  variables: { database: 'Postgres 15' },
+  template: 'We use {{database}}. Analyze: {{errorName}} - {{message}} Stack: {{stack}}'
+}).version;
+void _templateVersion;
+registerPromptTemplate({ name: 'smoke.fn', version: 1, template: (vars) => `Analyze ${vars.errorName} at ${vars.location}` });
+const _templateNames: string[] = getPromptTemplates().map(template => template.name);
+void _templateNames;
+const _removedTemplate: boolean = removePromptTemplate('smoke.fn');
+void _removedTemplate;
+
+// ---- @ts-expect-error: template match only knows errorType, location and route ----
+// @ts-expect-error - 'severity' is not a match criterion
+registerPromptTemplate({ name: 'smoke.bad', template: 'x', match: { severity: 'high' } });
+
+// ---- Call-site type checks: advice rules ----
+const _removeAdviceRule: () => boolean = addAdviceRule({
+  name: 'smoke.stripe',
+  match: { code: /^card_/, status: [402] },
+  advice: { summary: 'The card was declined', probableRootCause: 'The issuer rejected the charge', fixSteps: ['Show the decline reason'], isUserError: true }
+});
+void _removeAdviceRule;
+addAdviceRule({
+  name: 'smoke.fn',
+  match: (error) => error.name === 'KnexTimeoutError',
+  advice: (error, context) => (context.route ? { summary: String(error.message), probableRootCause: 'Pool exhausted', fixSteps: ['Raise the pool size'], category: 'database' } : null)
+});
+const _removedAdviceRule: boolean = removeAdviceRule('smoke.fn');
+void _removedAdviceRule;
+const _ruleAdvice = ruleBasedAdvice(new Error('connect ECONNREFUSED 127.0.0.1:5432'), {}, 'no_api_key');
+const _adviceRule: string | undefined = _ruleAdvice?.analyzedBy?.rule;
+void _adviceRule;
+
+// ---- @ts-expect-error: rule advice categories are the ErrorTypes values ----
+// @ts-expect-error - 'cosmic_rays' is not a QerrorsAdviceCategory
+addAdviceRule({ name: 'smoke.bad', match: { code: 'EX' }, advice: { summary: 's', probableRootCause: 'c', fixSteps: ['f'], category: 'cosmic_rays' } });
+
+// ---- Call-site type checks: redaction policy ----
+configureRedaction({
+  keys: { deny: ['session*', /^x-.*-signature$/i, { key: 'email', strategy: 'hash' }], allow: ['tokenizer'] },
+  paths: [{ path: '$..rawBody', strategy: 'truncate', length: 64 }],
+  detectors: [{ name: 'orderRef', pattern: /\bORD-\d{8}\b/g, strategy: 'mask', validate: (match) => match !== 'ORD-00000000' }, { name: 'phone', strategy: 'drop' }]
+});
+configureRedaction({ minConfidence: 0.8, detectors: [{ name: 'ipv4', enabled: false }, { name: 'card', confidence: 0.99 }] });
+const _detectorEnabled: boolean = getRedactionDetectors()[0].enabled;
+void _detectorEnabled;
+const _findingConfidence: number | undefined = scanSensitiveData('mail jane@example.com')[0]?.confidence;
+void _findingConfidence;
+configureRedaction(null);
+addCustomSanitizationPattern(/internal-[a-z0-9]+/g, '[HOST]');
+const _customSanitized: string = sanitizeWithCustomPatterns('db internal-db1 down');
+void _customSanitized;
+
+// ---- @ts-expect-error: redaction strategies are a fixed set ----
+// @ts-expect-error - 'encrypt' is not a QerrorsRedactionStrategy
+configureRedaction({ paths: [{ path: '$.user.ssn', strategy: 'encrypt' }] });
+// @ts-expect-error - confidence is a number
+configureRedaction({ detectors: [{ name: 'phone', confidence: 'high' }] });
+
+// ---- Call-site type checks: problem details ----
+const _problem = createProblemDetails({ status: 404, detail: 'User not found', errorType: 'not_found' });
+const _problemStatus: number = _problem.status;
+void _problemStatus;
+const _problemType: 'application/problem+json' = PROBLEM_CONTENT_TYPE;
+void _problemType;
+
+// ---- @ts-expect-error: middleware format only accepts known formats ----
+// @ts-expect-error - 'xml' is not a ResponseFormat
+qerrors.middleware({ format: 'xml' });
+
+// ---- @ts-expect-error: withErrorHandling requires an operation name ----
+// @ts-expect-error - operationName is required
+withErrorHandling(async () => 'ok');
 
+export {};
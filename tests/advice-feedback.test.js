@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-gemini-key';
+process.env.QERRORS_FEEDBACK_EVICT_UNHELPFUL = '2';
+
+const qerrors = require('../index.js');
+const { getAdviceQualityStats } = require('../lib/qerrorsFeedback');
+const { adviceReply, fakeModel, useFakeModel, delay } = require('./helpers/fakeModel');
+
+/**
+ * Fake model answering with numbered advice, counting its calls
+ */
+const useModel = () => {
+  const model = fakeModel((messages, call) => adviceReply({
+    summary: 'Advice take ' + call,
+    probableRootCause: 'The orders table has no index on user_id',
+    fixSteps: ['Add an index on orders.user_id'],
+    category: 'database'
+  }));
+  useFakeModel(model);
+  return model.calls;
+};
+
+const slowQuery = () => new Error('Orders query exceeded 5000ms');
+const deadlock = () => new Error('Deadlock found when trying to get lock');
+const timeoutError = () => new Error('Session refresh timed out');
+
+const mockReqRes = (method, body, query = {}) => {
+  const req = { method, body, query, url: '/qerrors/feedback', originalUrl: '/qerrors/feedback' };
+  const res = { headersSent: false, statusCode: null, headers: {}, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.set = (key, value) => { res.headers[key] = value; return res; };
+  res.json = (payload) => { res.body = payload; res.headersSent = true; return res; };
+  return { req, res };
+};
+
+test.beforeEach(() => getAdviceQualityStats().clear());
+
+test('ratings are stored with the issue advice and counted per provider, model and prompt version', async () => {
+  const calls = useModel();
+  const record = await qerrors(slowQuery(), 'orders.list');
+  const advice = await record.adviceReady;
+
+  const helpful = qerrors.rateAdvice({ errorId: record.id, rating: 'helpful', comment: 'Spot on' });
+  assert.deepEqual([helpful.issueId, helpful.rating, helpful.evicted], [record.issueId, 'helpful', false]);
+  assert.deepEqual(helpful.source, { provider: 'google', model: advice.analyzedBy.model, promptTemplate: 'default@' + advice.promptTemplate.version });
+  qerrors.rateAdvice({ issueId: record.issueId, rating: 'unhelpful' });
+
+  const issue = qerrors.getIssue(record.issueId);
+  assert.deepEqual([issue.feedback.helpful, issue.feedback.unhelpful, issue.feedback.evicted], [1, 1, false]);
+  assert.deepEqual(issue.feedback.entries.map(entry => [entry.rating, entry.comment, entry.errorId]), [['helpful', 'Spot on', record.id], ['unhelpful', null, null]]);
+
+  // Still cached: one unhelpful rating does not outnumber the helpful one
+  assert.equal((await qerrors(slowQuery(), 'orders.list')).cached, true);
+  assert.equal(calls.length, 1);
+
+  const [quality] = qerrors.getAdviceQuality();
+  assert.deepEqual([quality.provider, quality.helpful, quality.unhelpful, quality.total, quality.helpfulRate], ['google', 1, 1, 2, 0.5]);
+  assert.deepEqual(Object.keys(qerrors.getAdviceQuality({ groupBy: ['provider'] })[0]).sort(),
+    ['evictions', 'helpful', 'helpfulRate', 'provider', 'total', 'unhelpful', 'wrong']);
+
+  assert.throws(() => qerrors.rateAdvice({ errorId: record.id, rating: 'great' }), TypeError);
+  assert.throws(() => qerrors.rateAdvice({ rating: 'helpful' }), /errorId or an issueId/);
+  assert.equal(qerrors.rateAdvice({ errorId: 'err_unknown', rating: 'helpful' }), null);
+});
+
+test('wrong advice, or advice rated unhelpful often enough, is evicted and regenerated on the next occurrence', async () => {
+  const calls = useModel();
+  const first = await qerrors(deadlock(), 'orders.update');
+  const firstAdvice = await first.adviceReady;
+
+  const wrong = qerrors.rateAdvice({ errorId: first.id, rating: 'wrong', comment: 'Not a missing index' });
+  assert.equal(wrong.evicted, true);
+  assert.equal(qerrors.getIssue(first.issueId).feedback.evicted, true);
+
+  const second = await qerrors(deadlock(), 'orders.update');
+  assert.equal(second.cached, undefined);
+  const secondAdvice = await second.adviceReady;
+  assert.notEqual(secondAdvice.summary, firstAdvice.summary);
+  assert.equal(calls.length, 2);
+  // New advice starts without ratings
+  assert.deepEqual(qerrors.getIssue(first.issueId).feedback.entries, []);
+
+  qerrors.rateAdvice({ errorId: second.id, rating: 'unhelpful' });
+  assert.equal((await qerrors(deadlock(), 'orders.update')).cached, true);
+  assert.equal(qerrors.rateAdvice({ errorId: second.id, rating: 'unhelpful' }).evicted, true);
+  assert.equal((await qerrors(deadlock(), 'orders.update')).cached, undefined);
+
+  const quality = qerrors.getAdviceQuality({ groupBy: ['provider'] })[0];
+  assert.deepEqual([quality.wrong, quality.unhelpful, quality.evictions], [1, 2, 2]);
+});
+
+test('regenerate re-analyzes right away and the HTTP handler rates and reports', async () => {
+  const calls = useModel();
+  const record = await qerrors(timeoutError(), 'sessions.refresh');
+  await record.adviceReady;
+  const handle = qerrors.feedbackHandler();
+
+  const rated = mockReqRes('POST', { errorId: record.id, rating: 'unhelpful', regenerate: true });
+  await handle(rated.req, rated.res);
+  assert.equal(rated.res.statusCode, 200);
+  assert.deepEqual([rated.res.body.evicted, rated.res.body.regenerating], [true, true]);
+  // The new advice arrives through the analysis queue
+  for (let i = 0; i < 50 && qerrors.getIssue(record.issueId).advice.summary !== 'Advice take 2'; i++) await delay(10);
+  assert.equal(calls.length, 2);
+  assert.equal(qerrors.getIssue(record.issueId).advice.summary, 'Advice take 2');
+
+  const invalid = mockReqRes('POST', { errorId: record.id, rating: 'meh' });
+  await handle(invalid.req, invalid.res);
+  assert.equal(invalid.res.statusCode, 400);
+  assert.equal(invalid.res.headers['Content-Type'], 'application/problem+json');
+  assert.match(invalid.res.body.detail, /helpful, unhelpful, wrong/);
+
+  const unknown = mockReqRes('POST', { issueId: 'ffffffffffffffff', rating: 'wrong' });
+  await handle(unknown.req, unknown.res);
+  assert.equal(unknown.res.statusCode, 404);
+
+  const stats = mockReqRes('GET', undefined, { groupBy: 'provider,model' });
+  await handle(stats.req, stats.res);
+  assert.deepEqual([stats.res.body.stats[0].unhelpful, stats.res.body.stats[0].promptTemplate], [1, undefined]);
+
+  const other = mockReqRes('DELETE');
+  await handle(other.req, other.res);
+  assert.deepEqual([other.res.statusCode, other.res.headers.Allow], [405, 'GET, POST']);
+});
+
+test('regenerated advice uses the prompt template of the error type', async () => {
+  qerrors.registerPromptTemplate({ name: 'database', match: { errorType: 'database' }, template: 'Database failure {{errorName}}' });
+  try {
+    const calls = useModel();
+    const record = await qerrors(Object.assign(deadlock(), { type: 'database' }), 'orders.update');
+    assert.equal((await record.adviceReady).promptTemplate.name, 'database');
+
+    assert.equal(qerrors.rateAdvice({ errorId: record.id, rating: 'wrong', regenerate: true }).regenerating, true);
+    for (let i = 0; i < 50 && qerrors.getIssue(record.issueId).advice.summary !== 'Advice take 2'; i++) await delay(10);
+    assert.equal(calls.length, 2);
+    assert.match(calls[1][1].content, /^Database failure/);
+    assert.equal(qerrors.getIssue(record.issueId).advice.promptTemplate.name, 'database');
+    // Cached under the key the next occurrence looks up
+    assert.equal((await qerrors(Object.assign(deadlock(), { type: 'database' }), 'orders.update')).cached, true);
+  } finally {
+    qerrors.removePromptTemplate('database');
+  }
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-gemini-key';
+
+const qerrors = require('../index.js');
+const { AIModelManager } = require('../lib/aiModelManager');
+const { validateAdvice } = require('../lib/qerrorsAdviceSchema');
+const { fakeModel, useFakeModel } = require('./helpers/fakeModel');
+
+const VALID = {
+  summary: 'The order id is not in the store',
+  probableRootCause: 'orders.get(id) returns undefined for unknown ids',
+  fixSteps: ['Check the lookup result', 'Return 404 when the order is missing'],
+  confidence: 0.8,
+  relatedDocs: ['https://nodejs.org/api/errors.html'],
+  category: 'not_found',
+  isUserError: true
+};
+
+const promptOf = (messages) => messages.map(message => message.content).join('\n');
+
+test('replies are repaired where unambiguous and validated against the schema', () => {
+  const repaired = validateAdvice({
+    advice: 'The order id is not in the store',
+    rootCause: 'orders.get(id) returns undefined for unknown ids',
+    steps: 'Return 404 when the order is missing',
+    confidence: '85',
+    category: 'Not Found',
+    isUserError: 'true',
+    mood: 'optimistic'
+  });
+  assert.equal(repaired.valid, true);
+  assert.deepEqual(repaired.advice, {
+    schemaVersion: 1,
+    summary: 'The order id is not in the store',
+    probableRootCause: 'orders.get(id) returns undefined for unknown ids',
+    fixSteps: ['Return 404 when the order is missing'],
+    confidence: 0.85,
+    relatedDocs: [],
+    category: 'not_found',
+    isUserError: true
+  });
+
+  const invalid = validateAdvice({ ...VALID, fixSteps: [], category: 'cosmic_rays', confidence: 3000 });
+  assert.equal(invalid.valid, false);
+  assert.equal(invalid.advice, null);
+  assert.ok(invalid.errors.includes('fixSteps must NOT have fewer than 1 items'));
+  assert.ok(invalid.errors.some(error => error.startsWith('category must be equal to one of the allowed values')));
+  assert.ok(invalid.errors.some(error => error.startsWith('confidence must be <= 1')));
+  assert.deepEqual(validateAdvice('plain text').errors, ['reply must be a JSON object']);
+});
+
+test('a malformed reply is sent back to the model with the validation errors', async () => {
+  const manager = new AIModelManager();
+  manager.setProviderChain('google');
+  const model = fakeModel([JSON.stringify({ advice: 'Check the order id' }), `\`\`\`json\n${JSON.stringify(VALID)}\n\`\`\``]);
+  useFakeModel(model, manager);
+
+  const advice = await manager.analyzeError('Analyze this error and provide debugging advice. Error: TypeError - order is undefined');
+  assert.equal(advice.schemaVersion, 1);
+  assert.deepEqual(advice.fixSteps, VALID.fixSteps);
+  assert.equal(advice.analyzedBy.provider, 'google');
+  assert.equal(model.calls.length, 2);
+  assert.match(promptOf(model.calls[1]), /Your previous reply was not valid: probableRootCause is required; fixSteps is required/);
+
+  // The model sees the reply it is asked to fix, then what was wrong with it
+  const conversations = model.calls.map(messages => messages.map(message => [message._getType(), message.content]));
+  assert.deepEqual(conversations[1].map(([type]) => type), ['human', 'ai', 'human']);
+  assert.deepEqual(conversations[1].slice(0, 2), [conversations[0][0], ['ai', JSON.stringify({ advice: 'Check the order id' })]]);
+  assert.match(conversations[1][2][1], /^Your previous reply was not valid: /);
+});
+
+test('a provider that keeps replying off-schema is failed over', async () => {
+  const manager = new AIModelManager();
+  manager.setProviderChain('google,openai');
+  const models = {
+    google: fakeModel(['not json', 'still not json']),
+    openai: fakeModel(JSON.stringify(VALID))
+  };
+  useFakeModel(entry => models[entry.provider], manager);
+
+  const advice = await manager.analyzeError('Analyze this error and provide debugging advice. Error: TypeError - order is undefined');
+  assert.equal(advice.analyzedBy.provider, 'openai');
+  assert.deepEqual(advice.analyzedBy.skipped, [{ provider: 'google', model: null, reason: 'invalid_response' }]);
+  assert.deepEqual([models.google.calls.length, models.openai.calls.length], [2, 1]);
+});
+
+test('the analysis prompt describes the schema and reaches the model', async () => {
+  const model = fakeModel(JSON.stringify(VALID));
+  useFakeModel(model);
+
+  const record = await qerrors(new Error('Order 42 is undefined'), 'orders.schema');
+  const advice = await record.adviceReady;
+
+  assert.equal(advice.category, 'not_found');
+  assert.match(promptOf(model.calls[0]), /"probableRootCause" \(string\)/);
+  assert.match(promptOf(model.calls[0]), /"category" \(one of validation, authentication, .*configuration\)/);
+});
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-gemini-key';
+
+const qerrors = require('../index.js');
+const { AIModelManager } = require('../lib/aiModelManager');
+const { currentAdviceStream, subscribeAdviceStream, adviceStreamFor } = require('../lib/qerrorsAdviceStream');
+const { adviceReply, fakeModel, useFakeModel, delay } = require('./helpers/fakeModel');
+
+const REPLY = adviceReply({
+  summary: 'The payment gateway rejected the API key',
+  probableRootCause: 'The key was rotated without updating the deployment',
+  fixSteps: ['Update PAYMENT_API_KEY', 'Redeploy the payments service'],
+  confidence: 0.7,
+  category: 'authentication'
+});
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 100 && !condition(); i++) await delay(10);
+  assert.ok(condition());
+};
+
+const gatewayError = () => new Error('Payment gateway rejected credentials');
+const ledgerError = () => new Error('Ledger entry could not be reconciled');
+
+/**
+ * Read a whole SSE response into its events
+ */
+const readStream = (port, path) => new Promise((resolve, reject) => {
+  http.get({ port, path }, res => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => resolve({
+      status: res.statusCode,
+      type: res.headers['content-type'],
+      body,
+      events: body.split('\n\n').filter(block => block.startsWith('event: ')).map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+      })
+    }));
+  }).on('error', reject);
+});
+
+let server;
+let port;
+const requests = [];
+
+test.before(async () => {
+  const app = express();
+  app.use((req, res, next) => { requests.push(req.url); next(); });
+  app.use(qerrors.adviceRouter({ heartbeatMs: 5 }));
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  port = server.address().port;
+});
+
+test.after(() => server.close());
+
+test('existing advice is sent at once and unknown ids get a 404', async () => {
+  useFakeModel(fakeModel(REPLY));
+
+  const record = await qerrors(gatewayError(), 'payments.charge');
+  await record.adviceReady;
+
+  const stream = await readStream(port, '/qerrors/advice/' + record.id + '/stream');
+  assert.equal(stream.status, 200);
+  assert.equal(stream.type, 'text/event-stream');
+  assert.deepEqual(stream.events.map(item => item.event), ['advice']);
+  assert.deepEqual([stream.events[0].data.issueId, stream.events[0].data.cached], [record.issueId, true]);
+  assert.equal(stream.events[0].data.advice.summary, 'The payment gateway rejected the API key');
+
+  const unknown = await readStream(port, '/qerrors/advice/err_missing/stream');
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.type, 'application/problem+json; charset=utf-8');
+  assert.equal((await readStream(port, '/qerrors/advice/' + record.id)).status, 404);
+});
+
+test('a timed-out attempt is aborted and its late tokens never reach the next attempt', async () => {
+  const manager = new AIModelManager();
+  manager.setProviderChain('google,openai:gpt-4o-mini');
+  manager.attemptTimeoutMs = 50;
+  const signals = [];
+  useFakeModel(entry => ({
+    invoke: async () => assert.fail('streaming models are not invoked'),
+    stream: async function * (messages, options) {
+      signals.push(options.signal);
+      if (entry.provider === 'google') {
+        yield { content: 'Slow ' };
+        await delay(150);
+        for (const piece of ['late ', 'tokens ', 'here']) yield { content: piece };
+        return;
+      }
+      for (const piece of REPLY.match(/.{1,40}/g)) yield { content: piece };
+    }
+  }), manager);
+
+  const events = [];
+  const unsubscribe = subscribeAdviceStream('stream-timeout', event => events.push(event));
+  const advice = await manager.analyzeError('Analyze: payment gateway rejected credentials', { onStream: adviceStreamFor('stream-timeout') });
+  assert.equal(advice.analyzedBy.provider, 'openai');
+  await delay(200);
+  unsubscribe();
+
+  assert.deepEqual(signals.map(signal => signal.aborted), [true, false]);
+  const second = events.findIndex((event, index) => index > 0 && event.type === 'attempt');
+  assert.deepEqual(events.slice(0, second), [
+    { type: 'attempt', provider: 'google', model: 'gemini-3-flash-preview' },
+    { type: 'token', text: 'Slow ' },
+    { type: 'end' }
+  ]);
+  assert.equal(events[second].provider, 'openai');
+  assert.equal(events.slice(second).filter(event => event.type === 'token').map(event => event.text).join(''), REPLY);
+  assert.deepEqual(events.slice(second + 1).map(event => event.type).filter(type => type !== 'token'), ['end']);
+});
+
+test('a running analysis streams the model reply token by token, including to late joiners', async () => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const pieces = REPLY.match(/.{1,40}/g);
+  useFakeModel({
+    invoke: async () => assert.fail('streaming models are not invoked while an advice router exists'),
+    stream: async function * () {
+      yield { content: pieces[0] };
+      await gate;
+      for (const piece of pieces.slice(1)) yield { content: piece };
+    }
+  });
+
+  const record = await qerrors(ledgerError(), 'ledger.reconcile');
+  // The last, possibly incomplete word is held back for redaction
+  await waitFor(() => currentAdviceStream(record.issueId)?.text === pieces[0].slice(0, pieces[0].lastIndexOf(' ') + 1));
+
+  const seen = requests.length;
+  const streaming = readStream(port, '/qerrors/advice/' + record.id + '/stream');
+  await waitFor(() => requests.length > seen);
+  await delay(20);
+  release();
+  const stream = await streaming;
+
+  const names = stream.events.map(item => item.event);
+  assert.equal(names[0], 'attempt');
+  assert.equal(names[names.length - 1], 'advice');
+  assert.deepEqual(stream.events[0].data, { provider: 'google', model: 'gemini-3-flash-preview' });
+  // The first piece is replayed for the late joiner, the rest arrive live
+  const text = stream.events.filter(item => item.event === 'token').map(item => item.data.text).join('');
+  assert.equal(text, REPLY);
+  assert.ok(names.filter(name => name === 'token').length > 2);
+  assert.match(stream.body, /: keep-alive/);
+
+  const final = stream.events[names.length - 1].data;
+  assert.deepEqual([final.cached, final.advice.summary], [false, 'The payment gateway rejected the API key']);
+  assert.equal(currentAdviceStream(record.issueId), null);
+});
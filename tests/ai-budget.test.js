@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-gemini-key';
+
+const qerrors = require('../index.js');
+const { AIModelManager, getAIModelManager } = require('../lib/aiModelManager');
+const { AIBudget, usageFromResponse } = require('../lib/aiBudget');
+const { adviceReply, useFakeModel } = require('./helpers/fakeModel');
+
+const HOUR = 60 * 60 * 1000;
+const PROMPT = 'Analyze this error and provide debugging advice. Error: Error - Payment provider declined';
+const ADVICE = adviceReply({
+  summary: 'The payment provider rejected the card',
+  probableRootCause: 'The card was declined upstream',
+  fixSteps: ['Surface the decline reason to the user'],
+  confidence: 0.7
+});
+
+/**
+ * Model reply carrying LangChain usage metadata
+ */
+const reply = (inputTokens, outputTokens) => ({
+  content: ADVICE,
+  usage_metadata: { input_tokens: inputTokens, output_tokens: outputTokens, total_tokens: inputTokens + outputTokens }
+});
+
+test('usage comes from response metadata, is estimated when missing and priced per provider', () => {
+  let clock = 10 * HOUR;
+  const budget = new AIBudget({ hourlyTokens: 1000, dailyCost: '0.01', pricing: '{"openai:gpt-4o-mini":{"input":1,"output":2}}', now: () => clock });
+
+  assert.deepEqual(usageFromResponse({ response_metadata: { tokenUsage: { promptTokens: 12, completionTokens: 3 } } }), { inputTokens: 12, outputTokens: 3 });
+  assert.equal(usageFromResponse({ content: 'no usage' }), null);
+
+  assert.deepEqual(budget.record({ provider: 'openai', model: 'gpt-4o-mini' }, reply(600, 200), PROMPT), { inputTokens: 600, outputTokens: 200, estimated: false, cost: 0.001 });
+  assert.equal(budget.record({ provider: 'google', model: null }, { content: 'x'.repeat(40) }, 'y'.repeat(80)).estimated, true);
+  budget.record({ provider: 'local', model: 'llama3.1' }, reply(5000, 5000), PROMPT);
+
+  const stats = budget.getStats();
+  assert.deepEqual(stats.providers['google:gemini-3-flash-preview'], { requests: 1, inputTokens: 20, outputTokens: 10, totalTokens: 30, estimatedRequests: 1, failedRequests: 0, estimatedCost: 0.00004 });
+  assert.equal(stats.providers['local:llama3.1'].totalTokens, 10000);
+  assert.deepEqual([stats.hour.tokens, stats.hour.remainingTokens, stats.exhausted], [830, 170, false]);
+
+  budget.record({ provider: 'openai', model: 'gpt-4o-mini' }, reply(200, 100), PROMPT);
+  assert.deepEqual(budget.getStats().exhaustedLimits, ['hourlyTokens']);
+  assert.equal(budget.canSpend({ provider: 'openai', model: 'gpt-4o-mini' }), false);
+  assert.equal(budget.canSpend({ provider: 'local', model: 'llama3.1' }), true);
+
+  clock += HOUR;
+  assert.equal(budget.canSpend({ provider: 'openai', model: 'gpt-4o-mini' }), true);
+  assert.equal(budget.getStats().day.tokens, 1130);
+});
+
+test('a spent budget skips hosted providers but not self-hosted ones', async () => {
+  const manager = new AIModelManager();
+  manager.setProviderChain('openai:gpt-4o-mini,local');
+  manager.setBudget({ hourlyTokens: 100 });
+  const calls = [];
+  useFakeModel(entry => ({
+    invoke: async () => {
+      calls.push(entry.provider);
+      return reply(90, 30);
+    }
+  }), manager);
+
+  assert.equal((await manager.analyzeError(PROMPT)).analyzedBy.provider, 'openai');
+  const advice = await manager.analyzeError(PROMPT);
+  assert.equal(advice.analyzedBy.provider, 'local');
+  assert.deepEqual(advice.analyzedBy.skipped, [{ provider: 'openai', model: 'gpt-4o-mini', reason: 'budget' }]);
+  assert.deepEqual(calls, ['openai', 'local']);
+
+  const { budget } = manager.getCacheStats();
+  assert.deepEqual([budget.exhausted, budget.hour.tokens, budget.providers['local:default'].totalTokens], [true, 120, 120]);
+});
+
+test('over budget, qerrors degrades to uncached rule-based advice or to cache-only', async () => {
+  const manager = getAIModelManager();
+  manager.setProviderChain('google');
+  manager.setBudget({ dailyTokens: 50, fallback: 'rules' });
+  let invocations = 0;
+  useFakeModel({
+    invoke: async () => {
+      invocations++;
+      return reply(40, 20);
+    }
+  });
+
+  const first = await (await qerrors(new Error('Payment provider declined'), 'budget.payments')).adviceReady;
+  assert.equal(first.analyzedBy.provider, 'google');
+
+  const timeout = await (await qerrors(new Error('Upstream request timeout after 30s'), 'budget.upstream')).adviceReady;
+  assert.equal(invocations, 1);
+  assert.deepEqual(timeout.analyzedBy, { provider: 'rules', model: null, skipped: [], rule: 'generic', reason: 'budget' });
+  assert.equal(timeout.category, 'system');
+  assert.ok(timeout.fixSteps.includes('Consider increasing timeout or adding retry logic'));
+  assert.equal(timeout.confidence, 0.3);
+
+  const again = await qerrors(new Error('Upstream request timeout after 30s'), 'budget.upstream');
+  assert.equal(again.cached, undefined);
+
+  manager.setBudget({ fallback: 'cache-only' });
+  assert.equal(await (await qerrors(new Error('Ledger write failed'), 'budget.ledger')).adviceReady, null);
+  // The issue is cooling down now, and still gets no rule-based advice
+  assert.equal(await (await qerrors(new Error('Ledger write failed'), 'budget.ledger')).adviceReady, null);
+  const cached = await qerrors(new Error('Payment provider declined'), 'budget.payments');
+  assert.equal(cached.cached, true);
+  assert.equal(invocations, 1);
+});
+
+test('concurrent calls reserve tokens up front, and failed or timed-out calls are still counted', async () => {
+  const manager = new AIModelManager();
+  manager.setProviderChain('openai:gpt-4o-mini');
+  manager.setBudget({ hourlyTokens: 1000 });
+  manager.attemptTimeoutMs = 50;
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  let invocations = 0;
+  useFakeModel({
+    invoke: async () => {
+      invocations++;
+      await gate;
+      return reply(100, 50);
+    }
+  }, manager);
+
+  // The first call's reservation (prompt + 1024 reply tokens) leaves no room for the rest
+  const running = [manager.analyzeError(PROMPT), manager.analyzeError(PROMPT), manager.analyzeError(PROMPT)];
+  const reserved = manager.getBudgetStatus().hour;
+  assert.deepEqual([invocations, reserved.requests, reserved.tokens > 1024], [1, 1, true]);
+  release();
+  const results = await Promise.all(running);
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.deepEqual([manager.getBudgetStatus().hour.tokens, manager.getBudgetStatus().hour.requests], [150, 1]);
+
+  // A timed-out call is aborted, and holds its reservation until it really ends
+  const signals = [];
+  useFakeModel({
+    invoke: (messages, options) => {
+      signals.push(options.signal);
+      return new Promise(resolve => setTimeout(() => resolve(reply(1, 1)), 200));
+    }
+  }, manager);
+  const hanging = PROMPT.replace('declined', 'unreachable');
+  assert.equal(await manager.analyzeError(hanging), null);
+  assert.deepEqual(signals.map(signal => signal.aborted), [true]);
+  assert.equal(manager.getBudgetStatus().exhausted, true);
+
+  // Once it ends, what it used counts as a failed request
+  await new Promise(resolve => setTimeout(resolve, 250));
+  const usage = manager.getBudgetStatus().providers['openai:gpt-4o-mini'];
+  assert.deepEqual([usage.requests, usage.failedRequests, usage.estimatedRequests, usage.totalTokens], [2, 1, 0, 152]);
+  assert.equal(manager.getBudgetStatus().exhausted, false);
+});
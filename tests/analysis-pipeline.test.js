@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-gemini-key';
+
+const qerrors = require('../lib/qerrors');
+const { getAIModelManager } = require('../lib/aiModelManager');
+
+const manager = getAIModelManager();
+const prompts = [];
+manager.analyzeError = async (prompt) => {
+  prompts.push(prompt);
+  return { advice: 'Check the database connection string' };
+};
+
+test('qerrors resolves with the record before analysis completes', async () => {
+  const record = await qerrors(new Error('Pipeline record check'), 'pipeline.record');
+  assert.ok(record.id);
+  assert.equal(record.message, 'Pipeline record check');
+  assert.ok(record.adviceReady instanceof Promise);
+  assert.equal(Object.keys(record).includes('adviceReady'), false);
+});
+
+test('advice from the AI model manager reaches the caller via adviceReady', async () => {
+  const record = await qerrors(new Error('Connection refused by upstream'), 'pipeline.promise', { userId: 7 });
+  const advice = await record.adviceReady;
+  assert.equal(advice.advice, 'Check the database connection string');
+  assert.equal(advice.promptTemplate.name, 'default');
+  assert.ok(prompts.some(prompt => prompt.report.includes('Connection refused by upstream')));
+});
+
+test('advice is delivered to the onAdvice callback', async () => {
+  const delivered = await new Promise(resolve => {
+    qerrors(new Error('Callback delivery check'), 'pipeline.callback', {
+      onAdvice: (advice, record) => resolve({ advice, record })
+    });
+  });
+  assert.equal(delivered.advice.advice, 'Check the database connection string');
+  assert.equal(delivered.record.context.onAdvice, undefined);
+});
+
+test('repeated errors are served from the advice cache', async () => {
+  const first = await qerrors(new Error('Repeated failure'), 'pipeline.cache');
+  await first.adviceReady;
+  const second = await qerrors(new Error('Repeated failure'), 'pipeline.cache');
+  assert.equal(second.cached, true);
+  assert.deepEqual(await second.adviceReady, second.advice);
+});
+
+test('errors reported from inside the AI pipeline are not analyzed', async () => {
+  const before = prompts.length;
+  const record = await qerrors(new Error('Model invocation failed'), 'aiModelManager.analyzeError.invoke');
+  assert.equal(await record.adviceReady, null);
+  assert.equal(prompts.length, before);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const qerrors = require('../index.js');
+const logger = require('../lib/logger');
+
+const createMockRes = () => {
+  const res = { headersSent: false, statusCode: null, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; res.headersSent = true; return res; };
+  return res;
+};
+
+test('convenience helpers are exported as functions', () => {
+  assert.equal(typeof qerrors.handleControllerError, 'function');
+  assert.equal(typeof qerrors.logErrorWithSeverity, 'function');
+  assert.equal(typeof qerrors.withErrorHandling, 'function');
+});
+
+test('handleControllerError uses the ServiceError status code and type', async () => {
+  const res = createMockRes();
+  const error = qerrors.createTypedError('Email is invalid', qerrors.ErrorTypes.VALIDATION, 'INVALID_EMAIL');
+  const result = await qerrors.handleControllerError(res, error, 'users.create', { field: 'email' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(result.statusCode, 400);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.error.code, 'INVALID_EMAIL');
+  assert.equal(res.body.error.type, 'validation');
+  assert.equal(res.body.error.message, 'Email is invalid');
+  assert.ok(res.body.error.errorId);
+});
+
+test('handleControllerError hides 5xx details unless a user message is given', async () => {
+  const hidden = createMockRes();
+  await qerrors.handleControllerError(hidden, new Error('db password mismatch'), 'orders.list');
+  assert.equal(hidden.statusCode, 500);
+  assert.equal(hidden.body.error.message, 'Internal server error');
+
+  const friendly = createMockRes();
+  await qerrors.handleControllerError(friendly, new Error('db down'), 'orders.list', {}, 'Orders are unavailable');
+  assert.equal(friendly.body.error.message, 'Orders are unavailable');
+});
+
+test('handleControllerError reports INTERNAL_ERROR instead of the error code for 5xx', async () => {
+  const res = createMockRes();
+  const error = Object.assign(new Error('connect ECONNREFUSED 10.0.0.5:5432'), { code: 'ECONNREFUSED' });
+  await qerrors.handleControllerError(res, error, 'orders.list');
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.error.code, 'INTERNAL_ERROR');
+
+  const conflict = createMockRes();
+  await qerrors.handleControllerError(conflict, Object.assign(new Error('Order exists'), { statusCode: 409, code: 'ORDER_EXISTS' }), 'orders.create');
+  assert.equal(conflict.body.error.code, 'ORDER_EXISTS');
+});
+
+test('handleControllerError does not write after headers are sent', async () => {
+  const res = createMockRes();
+  res.headersSent = true;
+  const result = await qerrors.handleControllerError(res, new Error('late failure'), 'late.controller');
+  assert.equal(res.statusCode, null);
+  assert.equal(result.statusCode, 500);
+});
+
+test('logErrorWithSeverity routes severities to winston levels', async () => {
+  const levels = [];
+  const originalLog = logger.log;
+  logger.log = (level) => { levels.push(level); };
+  try {
+    await qerrors.logErrorWithSeverity(new Error('low'), 'sev.test', {}, qerrors.ErrorSeverity.LOW);
+    await qerrors.logErrorWithSeverity(new Error('medium'), 'sev.test', {}, qerrors.ErrorSeverity.MEDIUM);
+    await qerrors.logErrorWithSeverity(new Error('critical'), 'sev.test', {}, qerrors.ErrorSeverity.CRITICAL);
+  } finally {
+    logger.log = originalLog;
+  }
+  assert.deepEqual(levels, ['info', 'warn', 'error']);
+});
+
+test('withErrorHandling returns results, fallbacks, or rethrows', async () => {
+  assert.equal(await qerrors.withErrorHandling(async () => 'success', 'wrap.ok'), 'success');
+  assert.equal(await qerrors.withErrorHandling(async () => { throw new Error('boom'); }, 'wrap.fallback', {}, 'fallback'), 'fallback');
+
+  const failure = new Error('rethrown');
+  await assert.rejects(qerrors.withErrorHandling(() => { throw failure; }, 'wrap.rethrow'), failure);
+});
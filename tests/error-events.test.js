@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-gemini-key';
+
+const qerrors = require('../index.js');
+const { getAIModelManager } = require('../lib/aiModelManager');
+const { ScalableErrorHandler } = require('../lib/scalabilityFixes');
+const { ErrorEventRegistry } = require('../lib/qerrorsReporters');
+
+getAIModelManager().analyzeError = async () => ({ advice: 'Retry with backoff' });
+
+const nextEvent = (type) => new Promise(resolve => {
+  const unsubscribe = qerrors.on(type, event => {
+    unsubscribe();
+    resolve(event);
+  });
+});
+
+test('captured and analyzed events carry a frozen, sanitized record and the advice', async () => {
+  const captured = nextEvent('captured');
+  const analyzed = nextEvent('analyzed');
+  const record = await qerrors(new Error('Login failed for password=hunter2'), 'events.login', { userId: 5 });
+
+  const capturedEvent = await captured;
+  assert.equal(capturedEvent.type, 'captured');
+  assert.equal(capturedEvent.record.id, record.id);
+  assert.equal(capturedEvent.record.message.includes('hunter2'), false);
+  assert.equal(Object.isFrozen(capturedEvent.record), true);
+
+  const analyzedEvent = await analyzed;
+  assert.equal(analyzedEvent.record.id, record.id);
+  assert.equal(analyzedEvent.advice.advice, 'Retry with backoff');
+  assert.equal(analyzedEvent.advice.promptTemplate.name, 'default');
+});
+
+test('reporters receive only the events they subscribe to', async () => {
+  const received = [];
+  const done = new Promise(resolve => {
+    qerrors.addReporter({
+      name: 'events-test',
+      events: ['analyzed'],
+      report: (event) => { received.push(event.type); resolve(); }
+    });
+  });
+  await qerrors(new Error('Reporter filtering check'), 'events.reporter');
+  await done;
+  assert.deepEqual(received, ['analyzed']);
+  assert.equal(qerrors.removeReporter('events-test'), true);
+});
+
+test('a failing reporter never breaks error handling', async () => {
+  const stats = () => qerrors.getReporterStats().find(entry => entry.name === 'broken');
+  qerrors.addReporter({ name: 'broken', events: ['captured'], report: () => { throw new Error('chat webhook down'); } });
+  try {
+    const record = await qerrors(new Error('Isolation check'), 'events.isolation', { skipAnalysis: true });
+    assert.ok(record.id);
+    for (let i = 0; i < 10 && stats().failed === 0; i++) await new Promise(setImmediate);
+    assert.equal(stats().failed, 1);
+    assert.equal(stats().lastError, 'chat webhook down');
+  } finally {
+    qerrors.removeReporter('broken');
+  }
+});
+
+test('reporter registration is validated', () => {
+  assert.throws(() => qerrors.addReporter({ name: 'no-report' }), TypeError);
+  assert.throws(() => qerrors.on('resolved', () => {}), TypeError);
+  qerrors.addReporter({ name: 'dup', report: () => {} });
+  assert.throws(() => qerrors.addReporter({ name: 'dup', report: () => {} }), /already registered/);
+  qerrors.removeReporter('dup');
+});
+
+test('slow subscribers drop their oldest pending events instead of growing', async () => {
+  const registry = new ErrorEventRegistry();
+  let release;
+  const blocked = new Promise(resolve => { release = resolve; });
+  const seen = [];
+  registry.addReporter({ name: 'slow', maxPending: 2, report: async (event) => { seen.push(event.record.id); await blocked; } });
+
+  for (const id of ['a', 'b', 'c', 'd']) registry.emit('captured', { id, message: id, context: {} });
+  await new Promise(setImmediate);
+  for (const id of ['e']) registry.emit('captured', { id, message: id, context: {} });
+  release();
+  for (let i = 0; i < 10 && registry.getStats()[0].pending > 0; i++) await new Promise(setImmediate);
+
+  assert.equal(registry.getStats()[0].dropped, 2);
+  assert.deepEqual(seen, ['c', 'd', 'e']);
+});
+
+test('dropped fires when the analysis queue rejects a record', async () => {
+  const registry = new ErrorEventRegistry();
+  const handler = new ScalableErrorHandler({ queue: { maxQueueSize: 1, maxConcurrency: 1 }, events: registry });
+  let finish;
+  const pending = new Promise(resolve => { finish = resolve; });
+  handler.analyzeError = () => pending;
+  const dropped = new Promise(resolve => registry.on('dropped', resolve));
+
+  await handler.handleError(new Error('first'), { location: 'events.queue' });
+  await new Promise(setImmediate);
+  await handler.handleError(new Error('second'), { location: 'events.queue' });
+  const third = await handler.handleError(new Error('third'), { location: 'events.queue' });
+
+  const event = await dropped;
+  assert.equal(event.record.id, third.id);
+  assert.match(event.reason, /capacity/);
+
+  finish(null);
+  await third.adviceReady;
+  handler.shutdown();
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * Fake AI models for tests
+ *
+ * Tests whose advice can be pinned by a fixture use the mock provider
+ * (QERRORS_AI_PROVIDER=mock, see mock-provider.test.js). Tests that need a
+ * model behaving in a particular way (slow, failing, streaming, one reply per
+ * call) back the manager's chain with a fake model through useFakeModel.
+ */
+
+const { getAIModelManager } = require('../../lib/aiModelManager');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Schema-valid advice reply as the model would send it (JSON text)
+ * @param {object} [fields] - Advice fields replacing the defaults
+ * @returns {string}
+ */
+const adviceReply = (fields = {}) => JSON.stringify({
+  summary: 'The upstream service refused the connection',
+  probableRootCause: 'The upstream service was restarting',
+  fixSteps: ['Retry with exponential backoff'],
+  confidence: 0.6,
+  relatedDocs: [],
+  category: 'network',
+  isUserError: false,
+  ...fields
+});
+
+/**
+ * Model answering with queued replies, the last one repeated, and recording the messages of every call
+ * @param {string|Array<string|function>|function} replies - Reply contents; a function receives the messages and the call number
+ * @param {object} [options]
+ * @param {number} [options.delayMs] - Answer this much later
+ * @returns {{calls: Array<Array<object>>, invoke: function}}
+ */
+const fakeModel = (replies, options = {}) => {
+  const queue = Array.isArray(replies) ? [...replies] : [replies];
+  const calls = [];
+  return {
+    calls,
+    invoke: async (messages) => {
+      calls.push(messages);
+      options.delayMs && await delay(options.delayMs);
+      const reply = queue.length > 1 ? queue.shift() : queue[0];
+      return { content: typeof reply === 'function' ? reply(messages, calls.length) : reply };
+    }
+  };
+};
+
+/**
+ * Back every chain entry of a manager with a fake model
+ * @param {object|function} model - `{ invoke, stream? }`, or `(entry) => model` per chain entry
+ * @param {object} [manager] - AIModelManager; the one qerrors uses by default
+ * @returns {function} Restores the manager's own models
+ */
+const useFakeModel = (model, manager = getAIModelManager()) => {
+  const patched = Object.prototype.hasOwnProperty.call(manager, 'createAnalysisModel');
+  const createAnalysisModel = manager.createAnalysisModel;
+  manager.analysisModelCache.clear();
+  manager.createAnalysisModel = typeof model === 'function' ? model : () => model;
+  return () => {
+    patched ? (manager.createAnalysisModel = createAnalysisModel) : delete manager.createAnalysisModel;
+    manager.analysisModelCache.clear();
+  };
+};
+
+module.exports = { adviceReply, fakeModel, useFakeModel, delay };
@@ -67,6 +67,48 @@ test('middleware: HTML escapes error message (XSS-safe)', async () => {
   assert.ok(!html.includes('<script>'));
 });
 
+test('middleware: responds with the ServiceError status code', async () => {
+  const { req, res } = makeMocks('application/json');
+  const middleware = qerrors.middleware();
+  middleware(qerrors.createTypedError('User not found', qerrors.ErrorTypes.NOT_FOUND), req, res);
+  await new Promise(setImmediate);
+  assert.ok(res.status.calledWith(404));
+  const body = res.json.calls[0]?.[0];
+  assert.equal(body.error, 'Not Found');
+  assert.equal(body.message, 'User not found');
+  assert.equal(body.severity, 'low');
+  assert.ok(body.errorId);
+});
+
+test('middleware: respects err.status and hides 5xx messages when configured', async () => {
+  const { req, res } = makeMocks('application/json');
+  const middleware = qerrors.middleware({ exposeMessages: false });
+  const error = new Error('upstream password leaked');
+  error.status = 503;
+  middleware(error, req, res);
+  await new Promise(setImmediate);
+  assert.ok(res.status.calledWith(503));
+  assert.equal(res.json.calls[0]?.[0].message, 'Service Unavailable');
+});
+
+test('middleware: custom renderers and skipped 4xx analysis', async () => {
+  const { req, res } = makeMocks('application/json');
+  const rendered = [];
+  const middleware = qerrors.middleware({
+    skipAnalysisFor4xx: true,
+    includeAdvice: true,
+    renderers: { json: (_req, _res, payload) => rendered.push(payload) }
+  });
+  const error = new Error('Unprocessable payload');
+  error.statusCode = 422;
+  middleware(error, req, res);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(rendered.length, 1);
+  assert.equal(rendered[0].statusCode, 422);
+  assert.equal(rendered[0].advice, undefined);
+  assert.equal(res.json.called(), false);
+});
+
 test('core: handles memory pressure scenarios', async () => {
   const originalMemory = process.memoryUsage;
   process.memoryUsage = () => ({ heapUsed: 800 * 1024 * 1024, heapTotal: 1000 * 1024 * 1024 });
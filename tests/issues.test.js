@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-gemini-key';
+
+const qerrors = require('../index.js');
+const { getAIModelManager } = require('../lib/aiModelManager');
+const { IssueStore, fingerprintError } = require('../lib/qerrorsIssues');
+
+getAIModelManager().analyzeError = async () => ({ advice: 'Add an index on orders.user_id' });
+
+const HOUR = 60 * 60 * 1000;
+const makeRecord = (overrides = {}) => ({
+  id: `err_${Math.random().toString(16).slice(2)}`,
+  timestamp: Date.now(),
+  name: 'TypeError',
+  message: 'Cannot read properties of undefined',
+  stack: 'TypeError: Cannot read properties of undefined\n    at load (/app/orders.js:10:5)',
+  context: {},
+  severity: 'medium',
+  ...overrides
+});
+
+test('fingerprints ignore line numbers but not messages', () => {
+  const base = { name: 'TypeError', message: 'x is undefined', stack: 'TypeError: x\n    at run (/app/a.js:10:5)' };
+  assert.equal(fingerprintError(base), fingerprintError({ ...base, stack: 'TypeError: x\n    at run (/app/a.js:42:7)' }));
+  assert.notEqual(fingerprintError(base), fingerprintError({ ...base, message: 'y is undefined' }));
+  assert.match(fingerprintError(base), /^[0-9a-f]{16}$/);
+});
+
+test('occurrences of the same error aggregate into one issue', () => {
+  const store = new IssueStore({ maxSamples: 2 });
+  const now = Date.now();
+  store.record(makeRecord({ timestamp: now - 2 * HOUR, context: { method: 'get', url: '/orders?page=2' } }));
+  store.record(makeRecord({ timestamp: now - HOUR, context: { method: 'GET', url: '/orders' } }));
+  const last = store.record(makeRecord({ timestamp: now, severity: 'high', context: { location: 'orders.worker' } }));
+
+  const issue = store.getIssue(last.id);
+  assert.equal(store.size, 1);
+  assert.equal(issue.count, 3);
+  assert.equal(issue.severity, 'high');
+  assert.equal(issue.firstSeen, new Date(now - 2 * HOUR).toISOString());
+  assert.equal(issue.lastSeen, new Date(now).toISOString());
+  assert.deepEqual(issue.routes, [{ route: 'GET /orders', count: 2 }, { route: 'orders.worker', count: 1 }]);
+  assert.equal(issue.samples.length, 2);
+});
+
+test('getIssues filters by time window, route and count', () => {
+  const store = new IssueStore();
+  const now = Date.now();
+  for (let i = 0; i < 4; i++) store.record(makeRecord({ timestamp: now - 30 * HOUR }));
+  for (let i = 0; i < 3; i++) store.record(makeRecord({ timestamp: now, context: { method: 'POST', url: '/pay' } }));
+  store.record(makeRecord({ message: 'Payment declined', timestamp: now - 48 * HOUR }));
+
+  const recent = store.getIssues({ since: now - 24 * HOUR, sortBy: 'count' });
+  assert.equal(recent.length, 1);
+  assert.equal(recent[0].count, 7);
+  assert.equal(recent[0].countInRange, 3);
+
+  assert.equal(store.getIssues({ route: 'POST /pay' }).length, 1);
+  assert.equal(store.getIssues({ minCount: 2 }).length, 1);
+  assert.equal(store.getIssues().length, 2);
+});
+
+test('the store evicts the least recently seen issue when full', () => {
+  const store = new IssueStore({ maxIssues: 2 });
+  const first = store.record(makeRecord({ message: 'first' }));
+  const second = store.record(makeRecord({ message: 'second' }));
+  store.record(makeRecord({ message: 'first' }));
+  store.record(makeRecord({ message: 'third' }));
+
+  assert.ok(store.getIssue(first.id));
+  assert.equal(store.getIssue(second.id), null);
+});
+
+test('qerrors groups captured errors and keeps the latest advice on the issue', async () => {
+  const fail = () => new Error('Order lookup timed out');
+  const first = await qerrors(fail(), 'orders.lookup', { userId: 1 });
+  await first.adviceReady;
+  const second = await qerrors(fail(), 'orders.lookup', { userId: 2 });
+
+  assert.equal(first.issueId, second.issueId);
+  const issue = qerrors.getIssue(first.issueId);
+  assert.equal(issue.count, 2);
+  assert.equal(issue.advice.advice, 'Add an index on orders.user_id');
+  assert.equal(issue.advice.promptTemplate.name, 'default');
+  assert.deepEqual(issue.routes, [{ route: 'orders.lookup', count: 2 }]);
+  assert.ok(qerrors.getIssues({ sortBy: 'count' }).some(entry => entry.id === first.issueId));
+});
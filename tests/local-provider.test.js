@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+    const advice = JSON.stringify({
+      summary: 'Check that the order exists before reading its total',
+      probableRootCause: 'orders.get returns undefined for unknown ids',
+      fixSteps: ['Return 404 when the order is missing'],
+      confidence: 0.9,
+      relatedDocs: [],
+      category: 'not_found',
+      isUserError: false
+    });
+    const reply = req.url === '/api/chat'
+      ? { model: 'llama3.1', message: { role: 'assistant', content: advice }, done: true }
+      : { choices: [{ index: 0, message: { role: 'assistant', content: advice } }] };
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply));
+  });
+});
+
+let baseUrl;
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // No API keys at all: the local provider must not need one
+  delete process.env.OPENAI_API_KEY;
+  delete process.env.GEMINI_API_KEY;
+  process.env.QERRORS_AI_PROVIDER = 'local';
+  process.env.QERRORS_LOCAL_BASE_URL = `${baseUrl}/v1`;
+  process.env.QERRORS_LOCAL_MODELS = 'qwen2.5-coder, llama3.1';
+});
+test.after(() => server.close());
+
+test('the model catalog comes from QERRORS_LOCAL_MODELS', () => {
+  const { MODEL_CONFIGS, MODEL_PROVIDERS } = require('../config/localVars');
+  const local = MODEL_CONFIGS[MODEL_PROVIDERS.LOCAL];
+
+  assert.deepEqual(Object.keys(local.models), ['qwen2.5-coder', 'llama3.1']);
+  assert.equal(local.defaultModel, 'qwen2.5-coder');
+  assert.deepEqual(local.requiredEnvVars, []);
+  assert.throws(() => require('../lib/aiModelFactory').createAnalysisModel('local', 'gpt-4o'), /Unsupported model gpt-4o/);
+});
+
+test('errors are analyzed through an OpenAI-compatible server without an API key', async () => {
+  const qerrors = require('../index.js');
+  const record = await qerrors(new Error('Order total unavailable'), 'orders.total');
+  const advice = await record.adviceReady;
+
+  assert.equal(advice.summary, 'Check that the order exists before reading its total');
+  assert.deepEqual(advice.analyzedBy, { provider: 'local', model: 'qwen2.5-coder', skipped: [] });
+  const request = requests.find(entry => entry.url === '/v1/chat/completions');
+  assert.ok(request);
+  assert.equal(request.body.model, 'qwen2.5-coder');
+  assert.deepEqual(request.body.messages.map(message => message.role), ['system', 'user', 'user']);
+  assert.match(request.body.messages[2].content, /Order total unavailable/);
+  assert.equal(request.headers.authorization, undefined);
+});
+
+test('the Ollama chat API is supported and a configured key is sent', async () => {
+  const { LocalChatModel } = require('../lib/localChatModel');
+  const model = new LocalChatModel({ baseUrl: `${baseUrl}/`, api: 'ollama', model: 'llama3.1', apiKey: 'internal-token', temperature: 0.1, maxTokens: 512 });
+  const response = await model.invoke('Why did the order lookup fail?');
+
+  assert.match(response.content, /order exists/);
+  const request = requests.find(entry => entry.url === '/api/chat');
+  assert.deepEqual(request.body.messages, [{ role: 'user', content: 'Why did the order lookup fail?' }]);
+  assert.deepEqual([request.body.stream, request.body.format, request.body.options.num_predict], [false, 'json', 512]);
+  assert.equal(request.headers.authorization, 'Bearer internal-token');
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qerrors-fixtures-'));
+process.env.QERRORS_AI_PROVIDER = 'mock';
+process.env.QERRORS_MOCK_FIXTURES_DIR = fixturesDir;
+delete process.env.GEMINI_API_KEY;
+delete process.env.OPENAI_API_KEY;
+
+const qerrors = require('../index.js');
+const { getAIModelManager } = require('../lib/aiModelManager');
+const { fingerprintError } = require('../lib/qerrorsIssues');
+const { MockChatModel, MockFixtureError, clearMissingMockFixtures } = require('../lib/mockChatModel');
+const { useFakeModel } = require('./helpers/fakeModel');
+
+const ADVICE = {
+  summary: 'The inventory service rejected the reservation',
+  probableRootCause: 'Stock for the SKU is reserved by an abandoned cart',
+  fixSteps: ['Expire cart reservations after 15 minutes'],
+  confidence: 0.7,
+  relatedDocs: [],
+  category: 'network',
+  isUserError: false
+};
+
+const fixtureFile = (key) => path.join(fixturesDir, key + '.json');
+const writeFixture = (key, content) => fs.writeFileSync(fixtureFile(key), JSON.stringify({ content }));
+const reservationError = () => new Error('Inventory reservation rejected');
+
+test.after(() => fs.rmSync(fixturesDir, { recursive: true, force: true }));
+
+test('fixtures keyed by issue fingerprint drive qerrors, the advice cache and the response offline', async () => {
+  writeFixture(fingerprintError(reservationError()), ADVICE);
+
+  const record = await qerrors(reservationError(), 'mock.checkout');
+  assert.equal(fs.existsSync(fixtureFile(record.issueId)), true);
+  const advice = await record.adviceReady;
+  assert.equal(advice.summary, ADVICE.summary);
+  assert.deepEqual(advice.analyzedBy, { provider: 'mock', model: 'fixtures', skipped: [] });
+
+  const cached = await qerrors(reservationError(), 'mock.checkout');
+  assert.equal(cached.cached, true);
+  assert.equal(cached.advice.summary, ADVICE.summary);
+  assert.equal(getAIModelManager().getBudgetStatus().hour.tokens, 0);
+
+  // No fixture and not strict: analysis falls back like any failed provider
+  const unrecorded = await qerrors(new Error('Unrecorded payment failure'), 'mock.payments');
+  const unknown = await unrecorded.adviceReady;
+  assert.deepEqual([unknown.analyzedBy.provider, unknown.analyzedBy.reason], ['rules', 'unavailable']);
+  assert.deepEqual(qerrors.getMissingMockFixtures(), [unrecorded.issueId]);
+  clearMissingMockFixtures();
+});
+
+test('strict mode reports prompts without a fixture and leaves failing the run to the harness', async () => {
+  const strict = new MockChatModel({ fixturesDir, strict: true });
+  await assert.rejects(strict.invoke('Analyze this error', { metadata: { qerrorsFingerprint: 'feedbeef' } }), (error) => {
+    assert.ok(error instanceof MockFixtureError);
+    assert.deepEqual([error.fixtureFile, error.fixtureKey, error.code], [fixtureFile('feedbeef'), 'feedbeef', 'QERRORS_MOCK_FIXTURE_MISSING']);
+    assert.match(error.message, /QERRORS_MOCK_MODE=record/);
+    return true;
+  });
+
+  const manager = getAIModelManager();
+  const restore = useFakeModel(strict);
+  const dropped = [];
+  const unsubscribe = qerrors.on('dropped', event => { dropped.push(event); });
+  try {
+    const record = await qerrors(new Error('Unrecorded shipping failure'), 'mock.shipping');
+    assert.equal(await record.adviceReady, null);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(dropped.length, 1);
+    assert.match(dropped[0].reason, new RegExp(record.issueId));
+    assert.equal(dropped[0].code, 'QERRORS_MOCK_FIXTURE_MISSING');
+    assert.deepEqual(qerrors.getMissingMockFixtures(), ['feedbeef', record.issueId]);
+    assert.equal(process.exitCode, undefined);
+    assert.equal(manager.getProviderStatus()[0].state, 'CLOSED');
+  } finally {
+    clearMissingMockFixtures();
+    unsubscribe();
+    restore();
+  }
+});
+
+test('a missing strict fixture neither rejects unawaited advice nor sets the exit code', () => {
+  // A separate process: the test runner itself listens for unhandled rejections
+  const script = `
+    const qerrors = require(${JSON.stringify(path.join(__dirname, '..', 'index.js'))});
+    qerrors.on('dropped', ({ reason, code }) => console.log('dropped: ' + code + ' ' + reason));
+    qerrors(new Error('Unrecorded refund failure'), 'mock.refunds');
+    setTimeout(() => {
+      console.log('listeners: ' + process.listenerCount('unhandledRejection'));
+      console.log('missing: ' + qerrors.getMissingMockFixtures().length);
+    }, 200);
+  `;
+  const child = spawnSync(process.execPath, ['-e', script], {
+    env: { ...process.env, QERRORS_AI_PROVIDER: 'mock', QERRORS_MOCK_FIXTURES_DIR: fixturesDir, QERRORS_MOCK_STRICT: 'true', QERRORS_VERBOSE: 'false' },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+
+  assert.equal(child.status, 0);
+  assert.match(child.stdout, /dropped: QERRORS_MOCK_FIXTURE_MISSING .*QERRORS_MOCK_MODE=record/);
+  assert.match(child.stdout, /listeners: 0/);
+  assert.match(child.stdout, /missing: 1/);
+  assert.match(child.stderr, /qerrors strict mock replay: /);
+  assert.doesNotMatch(child.stderr, /onAdvice callback failed|Unhandled/);
+});
+
+test('record mode saves upstream replies as fixtures that replay identically', async () => {
+  const prompts = [];
+  const recorder = new MockChatModel({
+    fixturesDir,
+    mode: 'record',
+    upstreamKey: 'openai:gpt-4o-mini',
+    createUpstream: () => ({
+      invoke: async (messages) => {
+        prompts.push(messages);
+        return { content: JSON.stringify(ADVICE), usage_metadata: { input_tokens: 90, output_tokens: 40, total_tokens: 130 } };
+      }
+    })
+  });
+
+  const reply = await recorder.invoke('Analyze: cart expired', { metadata: { qerrorsFingerprint: '0a1b2c3d' } });
+  assert.equal(reply.usage_metadata.total_tokens, 130);
+  const fixture = JSON.parse(fs.readFileSync(fixtureFile('0a1b2c3d'), 'utf8'));
+  assert.deepEqual([fixture.recordedWith, fixture.prompt, fixture.content], ['openai:gpt-4o-mini', 'Analyze: cart expired', ADVICE]);
+
+  // Without a fingerprint the prompt hash is the key
+  await recorder.invoke('Analyze: no fingerprint here');
+  assert.equal(fs.readdirSync(fixturesDir).filter(name => name.startsWith('prompt-')).length, 1);
+  assert.equal(prompts.length, 2);
+
+  const replayer = new MockChatModel({ fixturesDir, strict: true });
+  assert.deepEqual((await replayer.invoke('Analyze: anything', { metadata: { qerrorsFingerprint: '0a1b2c3d' } })).content, ADVICE);
+  assert.deepEqual((await replayer.invoke('Analyze: no fingerprint here')).content, ADVICE);
+  assert.throws(() => new MockChatModel({ fixturesDir, mode: 'record' }), /needs an upstream provider/);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const qerrors = require('../index.js');
+const { fingerprintError } = require('../lib/qerrorsIssues');
+const { normalizeFrames } = require('../lib/qerrorsNormalization');
+
+test('variable data in messages is replaced with placeholders', () => {
+  const cases = {
+    'User 1234 not found': 'User <num> not found',
+    'Order 3f2a9c1e-1b2c-4d5e-8f90-1234567890ab failed': 'Order <uuid> failed',
+    'Object 507f1f77bcf86cd799439011 and 0xFF2A': 'Object <hex> and <hex>',
+    'Email bob.smith+test@example.co.uk already exists': 'Email <email> already exists',
+    'Cannot read properties of undefined (reading \'id\')': 'Cannot read properties of undefined (reading <str>)',
+    'Lock expired at 2024-03-01T10:20:30.123Z': 'Lock expired at <timestamp>',
+    'ENOENT: no such file or directory, stat /var/data/uploads/a.json': 'ENOENT: no such file or directory, stat <path>',
+    'Cannot open C:\\app\\data\\a.json': 'Cannot open <path>'
+  };
+  for (const [message, expected] of Object.entries(cases)) {
+    assert.equal(qerrors.normalizeMessage(message), expected);
+  }
+});
+
+test('words, apostrophes and short url paths are left alone', () => {
+  assert.equal(qerrors.normalizeMessage('can\'t decode user\'s utf8 payload'), 'can\'t decode user\'s utf8 payload');
+  assert.equal(qerrors.normalizeMessage('GET /orders returned 404'), 'GET /orders returned <num>');
+});
+
+test('errors differing only in variable data share a fingerprint', () => {
+  const stack = 'Error\n    at findUser (/app/users.js:10:5)';
+  const a = { name: 'NotFoundError', message: 'User 1234 not found', stack };
+  const b = { name: 'NotFoundError', message: 'User 5678 not found', stack: stack.replace(':10:5', ':12:9') };
+  assert.equal(fingerprintError(a), fingerprintError(b));
+  assert.notEqual(fingerprintError(a), fingerprintError({ ...a, message: 'Team 1234 not found' }));
+});
+
+test('frames are normalized relative to the working directory', () => {
+  const stack = `Error\n    at async load (${process.cwd()}/src/orders.js:10:5)\n    at next (node:internal/process/task_queues:95:5)`;
+  assert.equal(normalizeFrames(stack), 'at load (src/orders.js)');
+});
+
+test('custom rules run before the built-in ones and can be removed', () => {
+  const remove = qerrors.addNormalizationRule({ name: 'order', pattern: /ORD-\d+/ });
+  try {
+    assert.equal(qerrors.normalizeMessage('ORD-881 and ORD-882 are locked'), '<order> and <order> are locked');
+    assert.throws(() => qerrors.addNormalizationRule({ name: 'order', pattern: /x/ }), /already registered/);
+    assert.throws(() => qerrors.addNormalizationRule({ name: 'number', pattern: /x/ }), /already registered/);
+    assert.throws(() => qerrors.addNormalizationRule({ name: 'tenant', pattern: 'tenant-1' }), TypeError);
+  } finally {
+    assert.equal(remove(), true);
+  }
+  assert.equal(qerrors.normalizeMessage('ORD-881 is locked'), 'ORD-<num> is locked');
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const qerrors = require('../index.js');
+const standardizedResponses = require('../lib/standardizedResponses');
+const { ResponseBuilder } = require('../lib/shared/response');
+
+const createMockReqRes = (accept = 'application/json') => {
+  const req = {
+    headers: { accept },
+    url: '/users/42',
+    originalUrl: '/api/users/42',
+    method: 'GET',
+    path: '/users/42',
+    ip: '127.0.0.1',
+    connection: { remoteAddress: '127.0.0.1' },
+    get: () => undefined,
+    accepts: (type) => (type === 'html' && accept.includes('text/html')) || (type === 'json' && accept.includes('json'))
+  };
+  const res = { req, headersSent: false, statusCode: null, headers: {}, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.set = (key, value) => { res.headers[key] = value; return res; };
+  res.json = (body) => { res.body = body; res.headersSent = true; return res; };
+  res.send = (body) => { res.body = body; res.headersSent = true; return res; };
+  return { req, res };
+};
+
+const waitForResponse = async (res) => {
+  for (let i = 0; i < 20 && !res.headersSent; i++) await new Promise(setImmediate);
+};
+
+test('createProblemDetails fills RFC 9457 members and keeps extensions from overriding them', () => {
+  const problem = qerrors.createProblemDetails({
+    status: 404,
+    detail: 'User not found',
+    instance: '/users/42',
+    errorId: 'abc',
+    errorType: 'not_found',
+    typeBaseUri: 'https://errors.example.com/',
+    extensions: { status: 200, requestId: 'req-1' }
+  });
+  assert.deepEqual(problem, {
+    type: 'https://errors.example.com/not_found',
+    title: 'Not Found',
+    status: 404,
+    detail: 'User not found',
+    instance: '/users/42',
+    errorId: 'abc',
+    errorType: 'not_found',
+    requestId: 'req-1'
+  });
+  assert.equal(qerrors.createProblemDetails({ status: 500 }).type, 'about:blank');
+});
+
+test('acceptsProblemDetails requires problem+json to be listed at least as high as json', () => {
+  const accepts = (accept) => qerrors.acceptsProblemDetails({ headers: { accept } });
+  assert.equal(accepts('application/problem+json'), true);
+  assert.equal(accepts('application/problem+json, application/json;q=0.8'), true);
+  assert.equal(accepts('application/json, application/problem+json;q=0.5'), false);
+  assert.equal(accepts('*/*'), false);
+  assert.equal(accepts('application/json'), false);
+});
+
+test('middleware sends problem details when the Accept header asks for them', async () => {
+  const { req, res } = createMockReqRes('application/problem+json');
+  const error = qerrors.createTypedError('email is required', qerrors.ErrorTypes.VALIDATION, 'MISSING_EMAIL');
+  error.context = { field: 'email' };
+  qerrors.middleware({ skipAnalysisFor4xx: true })(error, req, res);
+  await waitForResponse(res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.headers['Content-Type'], qerrors.PROBLEM_CONTENT_TYPE);
+  assert.equal(res.body.type, 'about:blank');
+  assert.equal(res.body.title, 'Bad Request');
+  assert.equal(res.body.status, 400);
+  assert.equal(res.body.detail, 'email is required');
+  assert.equal(res.body.instance, '/api/users/42');
+  assert.equal(res.body.errorType, 'validation');
+  assert.ok(res.body.errorId);
+  assert.deepEqual(res.body.errors, [{ field: 'email', message: 'email is required' }]);
+});
+
+test('middleware format option forces problem details and hides 5xx detail', async () => {
+  const { req, res } = createMockReqRes('text/html');
+  qerrors.middleware({ format: 'problem', exposeMessages: false })(new Error('db password mismatch'), req, res);
+  await waitForResponse(res);
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.headers['Content-Type'], qerrors.PROBLEM_CONTENT_TYPE);
+  assert.equal(res.body.title, 'Internal Server Error');
+  assert.equal(res.body.detail, undefined);
+});
+
+test('middleware keeps its JSON envelope for plain JSON clients', async () => {
+  const { req, res } = createMockReqRes('application/json');
+  qerrors.middleware()(Object.assign(new Error('Gone'), { status: 404 }), req, res);
+  await waitForResponse(res);
+
+  assert.equal(res.headers['Content-Type'], undefined);
+  assert.equal(res.body.statusCode, 404);
+  assert.equal(res.body.status, undefined);
+});
+
+test('standardized sendErrorResponse supports the problem format', () => {
+  const { res } = createMockReqRes('application/json');
+  standardizedResponses.sendErrorResponse(res, new Error('Quota exceeded'), {
+    httpStatus: 429,
+    type: standardizedResponses.ERROR_TYPES.RATE_LIMIT,
+    format: 'problem'
+  });
+
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers['Content-Type'], qerrors.PROBLEM_CONTENT_TYPE);
+  assert.equal(res.body.title, 'Too Many Requests');
+  assert.equal(res.body.errorType, 'rate_limit');
+  assert.equal(res.body.instance, '/api/users/42');
+  assert.ok(res.body.errorId.startsWith('err_'));
+});
+
+test('standardized error handler negotiates problem details', () => {
+  const { req, res } = createMockReqRes('application/problem+json');
+  const error = Object.assign(new Error('Invalid payload'), { name: 'ValidationError', errors: [{ field: 'name', message: 'Required' }] });
+  standardizedResponses.createErrorHandler()(error, req, res, () => {});
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.errorType, 'validation');
+  assert.deepEqual(res.body.errors, [{ field: 'name', message: 'Required' }]);
+  assert.equal(res.body.path, undefined);
+});
+
+test('shared response helpers emit problem details for validation errors', () => {
+  const { res } = createMockReqRes('application/problem+json');
+  qerrors.sendValidationErrorResponse(res, [{ field: 'email', message: 'Invalid format' }], { requestId: 'req-9' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.headers['Content-Type'], qerrors.PROBLEM_CONTENT_TYPE);
+  assert.equal(res.body.detail, 'Validation failed');
+  assert.deepEqual(res.body.errors, [{ field: 'email', message: 'Invalid format' }]);
+  assert.equal(res.body.requestId, 'req-9');
+});
+
+test('globalErrorHandler and ResponseBuilder honour problem details', () => {
+  const negotiated = createMockReqRes('application/problem+json');
+  qerrors.globalErrorHandler(Object.assign(new Error('No such user'), { status: 404 }), negotiated.req, negotiated.res, () => {});
+  assert.equal(negotiated.res.body.status, 404);
+  assert.equal(negotiated.res.body.detail, 'No such user');
+
+  const built = createMockReqRes('application/json');
+  new ResponseBuilder(built.res).setFormat('problem').setRequestId('req-3').notFound('User not found').send();
+  assert.equal(built.res.statusCode, 404);
+  assert.equal(built.res.headers['Content-Type'], qerrors.PROBLEM_CONTENT_TYPE);
+  assert.equal(built.res.body.detail, 'User not found');
+  assert.equal(built.res.body.requestId, 'req-3');
+  assert.equal(built.res.body.success, undefined);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-gemini-key';
+
+const qerrors = require('../index.js');
+const { clearPromptTemplates, selectPromptTemplate, renderPromptTemplate } = require('../lib/qerrorsPromptTemplates');
+const { adviceReply, fakeModel, useFakeModel } = require('./helpers/fakeModel');
+
+const ADVICE = adviceReply({
+  summary: 'The orders table is locked by a long-running migration',
+  probableRootCause: 'A migration holds an exclusive lock on orders',
+  fixSteps: ['Run migrations outside peak hours'],
+  category: 'database'
+});
+
+// Messages of every model call in the current test
+let prompts;
+test.beforeEach(() => {
+  clearPromptTemplates();
+  const model = fakeModel(ADVICE);
+  useFakeModel(model);
+  prompts = model.calls;
+});
+
+test('the most specific matching template is selected, latest first on ties', () => {
+  qerrors.registerPromptTemplate({ name: 'database', match: { errorType: 'database' }, template: 'DB {{errorName}}' });
+  qerrors.registerPromptTemplate({ name: 'orders-api', match: { route: '/api/orders' }, template: 'Orders {{route}}' });
+  qerrors.registerPromptTemplate({ name: 'orders-db', match: { errorType: /^Knex/, route: '/api/orders' }, template: 'Orders DB {{errorType}}' });
+  qerrors.registerPromptTemplate({ name: 'checkout', match: { location: 'orders.checkout' }, template: 'Checkout {{location}}' });
+
+  const knex = Object.assign(new Error('Timeout acquiring a connection'), { name: 'KnexTimeoutError' });
+  const pick = (error, context) => selectPromptTemplate({ error, context }).name;
+  assert.equal(pick(knex, { url: '/api/orders/42?expand=items', method: 'get' }), 'orders-db');
+  assert.equal(pick(knex, { url: '/api/ordersummary' }), 'default');
+  assert.equal(pick(new Error('x'), { url: '/api/orders' }), 'orders-api');
+  assert.equal(pick(Object.assign(new Error('x'), { type: 'database' }), {}), 'database');
+  assert.equal(pick(Object.assign(new Error('x'), { type: 'database' }), { location: 'orders.checkout' }), 'checkout');
+  assert.deepEqual(qerrors.getPromptTemplates().map(template => template.name), ['checkout', 'orders-db', 'orders-api', 'database', 'default']);
+});
+
+test('templates are validated and rendered to a single line with the schema', () => {
+  assert.throws(() => qerrors.registerPromptTemplate({ name: 'typo', template: 'Error {{mesage}}' }), /unknown variables: mesage/);
+  assert.throws(() => qerrors.registerPromptTemplate({ name: 'clash', template: 'x', variables: { stack: 'none' } }), /cannot override built-in variables: stack/);
+  assert.throws(() => qerrors.registerPromptTemplate({ name: 'empty', template: ' ' }), /non-empty string or a function/);
+  // A closure's output can change while its source stays the same
+  let database = 'Postgres 15';
+  assert.throws(() => qerrors.registerPromptTemplate({ name: 'closure', template: (vars) => `We use ${database}. ${vars.message}` }), /needs an explicit version/);
+  assert.deepEqual(qerrors.registerPromptTemplate({ name: 'closure', version: 'pg15', template: (vars) => `We use ${database}. ${vars.message}` }), { name: 'closure', version: 'pg15' });
+  database = 'Postgres 16';
+  assert.equal(qerrors.registerPromptTemplate({ name: 'closure', version: 'pg16', template: (vars) => `We use ${database}. ${vars.message}` }).version, 'pg16');
+  qerrors.removePromptTemplate('closure');
+
+  qerrors.registerPromptTemplate({
+    name: 'team',
+    variables: { database: 'Postgres 15 via Knex' },
+    template: 'We use {{database}}.\nAnalyze {{errorName}} - {{message}}'
+  });
+  const prompt = renderPromptTemplate(selectPromptTemplate(), { errorName: 'Error', message: 'locked' });
+  assert.match(prompt, /^We use Postgres 15 via Knex\. Analyze \[errorName\] - \[message\] Respond with only a JSON object/);
+  assert.equal(prompt.includes('\n'), false);
+
+  assert.equal(qerrors.removePromptTemplate('team'), true);
+  assert.equal(qerrors.removePromptTemplate('default'), false);
+  assert.equal(selectPromptTemplate().name, 'default');
+});
+
+test('advice is stamped with the template version and a changed template is re-analyzed', async () => {
+  const first = qerrors.registerPromptTemplate({
+    name: 'orders',
+    match: { location: 'orders.lock' },
+    variables: { database: 'Postgres 15' },
+    template: 'We use {{database}}. Analyze {{errorType}} at {{location}}: {{message}} Stack: {{stack}}'
+  });
+  const fail = () => qerrors(Object.assign(new Error('relation "orders" is locked'), { type: 'database' }), 'orders.lock');
+
+  const advice = await (await fail()).adviceReady;
+  assert.deepEqual(advice.promptTemplate, first);
+  assert.equal(prompts.length, 1);
+  const [system, instructions, report] = prompts[0].map(message => message.content);
+  assert.match(system, /untrusted data/);
+  assert.match(instructions, /^We use Postgres 15\. Analyze \[errorType\] at \[location\]: \[message\] Stack: \[stack\]/);
+  assert.match(report, /"message": "relation \\"orders\\" is locked"/);
+
+  const cached = await fail();
+  assert.equal(cached.cached, true);
+  assert.equal(prompts.length, 1);
+
+  const second = qerrors.registerPromptTemplate({
+    name: 'orders',
+    match: { location: 'orders.lock' },
+    variables: { database: 'Postgres 16' },
+    template: 'We use {{database}}. Analyze {{errorType}} at {{location}}: {{message}} Stack: {{stack}}'
+  });
+  assert.notEqual(second.version, first.version);
+  const reanalyzed = await (await fail()).adviceReady;
+  assert.deepEqual(reanalyzed.promptTemplate, second);
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[1][1].content, /^We use Postgres 16\./);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-gemini-key';
+
+const qerrors = require('../index.js');
+const { AIModelManager, getAIModelManager } = require('../lib/aiModelManager');
+const { parseProviderChain, classifyProviderError, ProviderHealth } = require('../lib/aiProviderChain');
+const { adviceReply, useFakeModel } = require('./helpers/fakeModel');
+
+const PROMPT = 'Analyze this error and provide debugging advice. Error: Error - Upstream refused the connection';
+const ADVICE = adviceReply({
+  summary: 'Retry with backoff and check the upstream health endpoint',
+  probableRootCause: 'The upstream service refused connections while restarting',
+  fixSteps: ['Retry with exponential backoff', 'Check the upstream health endpoint'],
+  confidence: 0.7
+});
+
+const rateLimited = () => Object.assign(new Error('429 Too Many Requests'), { status: 429, headers: { 'retry-after': '30' } });
+
+/**
+ * Manager whose chain entries are backed by fake models
+ */
+const createManager = (chain, behaviours, options = {}) => {
+  const manager = new AIModelManager();
+  manager.setProviderChain(chain);
+  manager.attemptTimeoutMs = options.timeoutMs || 1000;
+  options.now && (manager.providerHealth = new ProviderHealth({ failureThreshold: 2, cooldownMs: 5000, now: options.now }));
+  const calls = [];
+  useFakeModel(entry => ({
+    invoke: async () => {
+      calls.push(entry.provider);
+      return behaviours[entry.provider]();
+    }
+  }), manager);
+  return { manager, calls };
+};
+
+test('chains parse provider and model, keeping colons in model tags', () => {
+  assert.deepEqual(parseProviderChain('google:gemini-2.5-flash-lite, openai:gpt-4o-mini ,local'), [
+    { provider: 'google', model: 'gemini-2.5-flash-lite' },
+    { provider: 'openai', model: 'gpt-4o-mini' },
+    { provider: 'local', model: null }
+  ]);
+  assert.throws(() => parseProviderChain('google,anthropic'), /Unsupported AI provider in chain: anthropic/);
+  assert.throws(() => parseProviderChain('openai:gpt-9'), /Unsupported model gpt-9/);
+  assert.throws(() => parseProviderChain(''), /empty/);
+
+  assert.equal(classifyProviderError(rateLimited()), 'rate_limit');
+  assert.equal(classifyProviderError(Object.assign(new Error('Request failed'), { response: { status: 401 } })), 'auth');
+  assert.equal(classifyProviderError(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })), 'network');
+  assert.equal(classifyProviderError(Object.assign(new Error('Bad gateway'), { status: 502 })), 'server');
+  assert.equal(classifyProviderError(Object.assign(new Error('Context too long'), { status: 400 })), 'bad_request');
+});
+
+test('a rate-limited provider fails over and is skipped until its Retry-After passes', async () => {
+  let clock = 1000;
+  const { manager, calls } = createManager('google,openai:gpt-4o-mini', {
+    google: () => { throw rateLimited(); },
+    openai: () => ({ content: ADVICE })
+  }, { now: () => clock });
+
+  const advice = await manager.analyzeError(PROMPT);
+  assert.equal(advice.summary, 'Retry with backoff and check the upstream health endpoint');
+  assert.deepEqual(advice.analyzedBy, {
+    provider: 'openai',
+    model: 'gpt-4o-mini',
+    skipped: [{ provider: 'google', model: null, reason: 'rate_limit' }]
+  });
+
+  const [google] = manager.getProviderStatus();
+  assert.deepEqual([google.state, google.openUntil, google.lastClassification], ['OPEN', 31000, 'rate_limit']);
+
+  const second = await manager.analyzeError(PROMPT);
+  assert.equal(second.analyzedBy.skipped[0].reason, 'unhealthy');
+  assert.deepEqual(calls, ['google', 'openai', 'openai']);
+
+  clock = 31000;
+  await manager.analyzeError(PROMPT);
+  assert.deepEqual(calls.slice(3), ['google', 'openai']);
+  assert.equal(manager.getProviderStatus()[0].state, 'OPEN');
+});
+
+test('timeouts count toward the threshold and a half-open trial closes the circuit', async () => {
+  let clock = 0;
+  let slow = true;
+  const { manager } = createManager('google,local', {
+    google: () => slow ? new Promise(resolve => setTimeout(resolve, 200, { content: ADVICE })) : { content: ADVICE },
+    local: () => ({ content: ADVICE })
+  }, { now: () => clock, timeoutMs: 20 });
+
+  assert.equal((await manager.analyzeError(PROMPT)).analyzedBy.skipped[0].reason, 'timeout');
+  assert.equal(manager.getProviderStatus()[0].state, 'CLOSED');
+  await manager.analyzeError(PROMPT);
+  assert.equal(manager.getProviderStatus()[0].state, 'OPEN');
+
+  clock = 5000;
+  slow = false;
+  const advice = await manager.analyzeError(PROMPT);
+  assert.equal(advice.analyzedBy.provider, 'google');
+  assert.deepEqual(advice.analyzedBy.skipped, []);
+  assert.equal(manager.getProviderStatus()[0].state, 'CLOSED');
+});
+
+test('unparseable replies move on without hurting provider health, and an exhausted chain returns null', async () => {
+  const { manager } = createManager('google,openai', {
+    google: () => ({ content: 'I think the database is down.' }),
+    openai: () => { throw Object.assign(new Error('Service unavailable'), { status: 503 }); }
+  });
+
+  assert.equal(await manager.analyzeError(PROMPT), null);
+  const [google, openai] = manager.getProviderStatus();
+  assert.deepEqual([google.lastClassification, google.consecutiveFailures], ['invalid_response', 0]);
+  assert.deepEqual([openai.lastClassification, openai.consecutiveFailures], ['server', 1]);
+});
+
+test('advice delivered through qerrors records the provider that produced it', async () => {
+  const manager = getAIModelManager();
+  manager.setProviderChain('google,openai');
+  useFakeModel(entry => ({
+    invoke: async () => {
+      if (entry.provider === 'google') throw Object.assign(new Error('Quota exceeded'), { status: 429 });
+      return { content: ADVICE };
+    }
+  }));
+
+  const record = await qerrors(new Error('Upstream refused the connection'), 'chain.delivery');
+  const advice = await record.adviceReady;
+  assert.equal(advice.analyzedBy.provider, 'openai');
+  assert.equal(advice.analyzedBy.model, 'gpt-4o');
+});
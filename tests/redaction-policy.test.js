@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.QERRORS_REDACTION_POLICY = JSON.stringify({ keys: { deny: ['tenant*'] } });
+
+const qerrors = require('../index.js');
+const { redactPrompt } = require('../lib/qerrorsRedaction');
+
+const createMockReqRes = () => {
+  const req = {
+    headers: { accept: 'application/json' },
+    url: '/orders',
+    originalUrl: '/orders',
+    method: 'POST',
+    path: '/orders',
+    ip: '127.0.0.1',
+    connection: { remoteAddress: '127.0.0.1' },
+    get: () => undefined,
+    accepts: (type) => type === 'json'
+  };
+  const res = { req, headersSent: false, statusCode: null, headers: {}, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.set = (key, value) => { res.headers[key] = value; return res; };
+  res.json = (body) => { res.body = body; res.headersSent = true; return res; };
+  res.send = (body) => { res.body = body; res.headersSent = true; return res; };
+  return { req, res };
+};
+
+const waitForResponse = async (res) => {
+  for (let i = 0; i < 20 && !res.headersSent; i++) await new Promise(setImmediate);
+};
+
+test.afterEach(() => {
+  qerrors.configureRedaction(null);
+  qerrors.clearCustomSanitizationPatterns();
+});
+
+test('keys match by whole words, detectors need no keyword and custom patterns are applied', () => {
+  assert.deepEqual(qerrors.sanitizeContext({
+    author: 'Jane',
+    authority: 'registry',
+    pinned: 'yes',
+    authToken: 'abc',
+    'x-api-key': 'k1',
+    apiKeys: ['k2', 'k3'],
+    credentials: { user: 'svc', pass: 'p' },
+    maxTokens: 512,
+    tenantId: 't-1'
+  }), {
+    author: 'Jane',
+    authority: 'registry',
+    pinned: 'yes',
+    authToken: '[REDACTED]',
+    'x-api-key': '[REDACTED]',
+    apiKeys: ['[REDACTED]', '[REDACTED]'],
+    credentials: { user: '[REDACTED]', pass: '[REDACTED]' },
+    maxTokens: 512,
+    tenantId: '[REDACTED]'
+  });
+  // Unambiguous built-in terms are found inside all-lowercase compound keys
+  assert.deepEqual(qerrors.sanitizeContext({
+    userpassword: 'a',
+    newpassword: 'b',
+    dbpassword: 'c',
+    accesstoken: 'd',
+    clientsecret: 'e',
+    dbcredentials: 'f',
+    stripeapikey: 'g',
+    classname: 'Order'
+  }), {
+    userpassword: '[REDACTED]',
+    newpassword: '[REDACTED]',
+    dbpassword: '[REDACTED]',
+    accesstoken: '[REDACTED]',
+    clientsecret: '[REDACTED]',
+    dbcredentials: '[REDACTED]',
+    stripeapikey: '[REDACTED]',
+    classname: 'Order'
+  });
+  assert.equal(qerrors.sanitizeMessage('Signup failed for jane.doe@example.com'), 'Signup failed for [EMAIL-REDACTED]');
+
+  qerrors.addCustomSanitizationPattern(/\binternal-[a-z0-9]+\b/, '[HOST]');
+  assert.equal(qerrors.sanitizeWithCustomPatterns('Replica internal-db7 is down'), 'Replica [HOST] is down');
+  assert.equal(qerrors.sanitizeMessage('Replica internal-db7 is down'), 'Replica [HOST] is down');
+  qerrors.clearCustomSanitizationPatterns();
+  assert.equal(qerrors.sanitizeMessage('Replica internal-db7 is down'), 'Replica internal-db7 is down');
+});
+
+test('context is kept three levels deep, so nested values such as error.response.data survive', () => {
+  assert.deepEqual(qerrors.sanitizeContext({ a: { b: { c: { d: 1 } } } }), { a: { b: { c: { d: 1 } } } });
+  assert.deepEqual(qerrors.sanitizeContext({ response: { data: { error: { code: 'E1' } } } }), { response: { data: { error: { code: 'E1' } } } });
+  assert.deepEqual(qerrors.sanitizeContext({ a: { b: { c: { d: { e: 1 } } } } }), { a: { b: { c: { d: '[Depth-Limited]' } } } });
+  assert.deepEqual(qerrors.sanitizeContext({ list: [[['x', ['y']]]] }), { list: [[['x', '[Depth-Limited]']]] });
+});
+
+test('a configured policy applies its rules and strategies to logs, error responses and AI prompts', async () => {
+  qerrors.configureRedaction({
+    keys: { deny: ['session*', /^x-.*-signature$/i, { key: 'email', strategy: 'hash' }], allow: ['tokenizer'] },
+    paths: [{ path: '$.user.ssn', strategy: 'drop' }, { path: '$..rawBody', strategy: 'truncate', length: 4 }, { path: '$.cards[*].number', strategy: 'mask' }],
+    detectors: [{ name: 'orderRef', pattern: /\bORD-\d{6}\b/, strategy: 'mask', validate: (match) => match !== 'ORD-000000' }, { name: 'email', strategy: 'drop' }]
+  });
+
+  const context = qerrors.sanitizeContext({
+    tokenizer: 'bpe',
+    sessionId: 's-42',
+    'X-Hub-Signature': 'sha1=9f',
+    email: 'jane.doe@example.com',
+    user: { ssn: '078-05-1120', name: 'Jane' },
+    request: { rawBody: '{"amount":12}' },
+    cards: [{ number: '4111111111111111', brand: 'visa' }],
+    note: 'ORD-123456 and ORD-000000 for ops@example.com',
+    tenantId: 't-1'
+  });
+  assert.deepEqual(context, {
+    tokenizer: 'bpe',
+    sessionId: '[REDACTED]',
+    'X-Hub-Signature': '[REDACTED]',
+    email: context.email,
+    user: { name: 'Jane' },
+    request: { rawBody: '{"am...' },
+    cards: [{ number: '4111***', brand: 'visa' }],
+    note: 'ORD-*** and ORD-000000 for ',
+    // QERRORS_REDACTION_POLICY is replaced by configureRedaction
+    tenantId: 't-1'
+  });
+  assert.match(context.email, /^\[HASH-[0-9a-f]{12}\]$/);
+  assert.equal(qerrors.sanitizeContext({ email: 'jane.doe@example.com' }).email, context.email);
+
+  const { req, res } = createMockReqRes();
+  const error = qerrors.createTypedError('Order ORD-654321 rejected for jane@example.com', qerrors.ErrorTypes.VALIDATION, 'ORDER_REJECTED');
+  qerrors.middleware({ skipAnalysisFor4xx: true })(error, req, res);
+  await waitForResponse(res);
+  assert.equal(res.body.message, 'Order ORD-*** rejected for ');
+
+  const { prompt, redactions } = redactPrompt('Order ORD-654321 failed, session=s-42', { strict: false });
+  assert.equal(prompt, 'Order ORD-*** failed, session=s-42');
+  assert.deepEqual(redactions, { total: 1, kinds: { orderRef: 1 }, fields: { prompt: 1 } });
+});
+
+test('the startup policy comes back with null, and invalid configurations throw without replacing it', () => {
+  assert.deepEqual(qerrors.sanitizeContext({ tenantId: 't-1' }), { tenantId: '[REDACTED]' });
+  assert.throws(() => qerrors.configureRedaction({ paths: [{ path: 'user.ssn' }] }), TypeError);
+  assert.throws(() => qerrors.configureRedaction({ keys: { strategy: 'encrypt' } }), /must be one of redact, mask, hash, drop, truncate/);
+  assert.throws(() => qerrors.configureRedaction({ detectors: [{ name: 'orderRef' }] }), /requires a pattern/);
+  assert.deepEqual(qerrors.sanitizeContext({ tenantId: 't-1' }), { tenantId: '[REDACTED]' });
+
+  qerrors.configureRedaction({ useDefaults: false, keys: { deny: ['tenant*'] } });
+  assert.deepEqual(qerrors.sanitizeContext({ password: 'hunter2', tenantId: 't-1' }), { password: 'hunter2', tenantId: '[REDACTED]' });
+});
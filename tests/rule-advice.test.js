@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// No provider key: analysis falls back to the rule engine
+delete process.env.GEMINI_API_KEY;
+delete process.env.OPENAI_API_KEY;
+
+const qerrors = require('../index.js');
+const { ruleBasedAdvice, clearAdviceRules } = require('../lib/qerrorsRuleAdvice');
+const { validateAdvice } = require('../lib/qerrorsAdviceSchema');
+
+const systemError = (message, fields) => Object.assign(new Error(message), fields);
+const ruleOf = (error) => ruleBasedAdvice(error).analyzedBy.rule;
+
+test.beforeEach(() => clearAdviceRules());
+
+test('built-in rules recognize common runtime failures with schema-valid advice', () => {
+  const refused = ruleBasedAdvice(systemError('connect ECONNREFUSED 127.0.0.1:5432', { code: 'ECONNREFUSED', address: '127.0.0.1', port: 5432 }), {}, 'no_api_key');
+  assert.equal(validateAdvice(refused).valid, true);
+  assert.equal(refused.summary, 'Connection refused by 127.0.0.1:5432');
+  assert.deepEqual([refused.category, refused.confidence, refused.isUserError], ['network', 0.6, false]);
+  assert.deepEqual(refused.analyzedBy, { provider: 'rules', model: null, skipped: [], rule: 'connection-refused', reason: 'no_api_key' });
+
+  // Codes named in the message are enough once a wrapper dropped error.code
+  assert.equal(ruleOf(new Error('Redis connection failed: connect ECONNREFUSED 10.0.0.7:6379')), 'connection-refused');
+  assert.equal(ruleOf(systemError('getaddrinfo ENOTFOUND db.internal', { code: 'ENOTFOUND', hostname: 'db.internal' })), 'dns-lookup');
+  assert.equal(ruleOf(systemError('certificate has expired', { code: 'CERT_HAS_EXPIRED' })), 'tls-certificate');
+  assert.equal(ruleOf(systemError('fetch failed', { cause: { code: 'UND_ERR_CONNECT_TIMEOUT' } })), 'timeout');
+  assert.equal(ruleOf(systemError('spawn convert ENOENT', { code: 'ENOENT', syscall: 'spawn convert', path: 'convert' })), 'file-not-found');
+  assert.equal(ruleBasedAdvice(systemError('listen EADDRINUSE: address already in use :::3000', { code: 'EADDRINUSE' })).summary, 'Port 3000 is already in use');
+
+  let parseError;
+  try { JSON.parse('<!DOCTYPE html>'); } catch (error) { parseError = error; }
+  assert.match(ruleBasedAdvice(parseError).probableRootCause, /HTML/);
+  assert.equal(ruleBasedAdvice(systemError('Unexpected token } in JSON at position 9', { name: 'SyntaxError', type: 'entity.parse.failed', status: 400 })).isUserError, true);
+
+  let accessError;
+  try { const order = undefined; order.items.push(1); } catch (error) { accessError = error; }
+  const access = ruleBasedAdvice(accessError);
+  assert.equal(access.summary, 'Accessed \'items\' on undefined');
+  assert.equal(access.category, 'system');
+
+  const generic = ruleBasedAdvice(new Error('Invoice total does not match line items'));
+  assert.deepEqual([generic.analyzedBy.rule, generic.confidence, generic.analyzedBy.reason], ['generic', 0.3, null]);
+});
+
+test('custom rules run before the built-in ones and can pass or be removed', () => {
+  assert.throws(() => qerrors.addAdviceRule({ name: 'x', match: {}, advice: {} }), /match must be a function or an object/);
+  assert.throws(() => qerrors.addAdviceRule({ name: 'x', match: { code: 'E' } }), /advice must be an object or a function/);
+  assert.throws(() => qerrors.addAdviceRule({ name: 'dns-lookup', match: { code: 'E' }, advice: {} }), /already registered/);
+
+  const remove = qerrors.addAdviceRule({
+    name: 'pg-pool',
+    match: { code: 'ECONNREFUSED', message: /:5432\b/ },
+    advice: (cause, context) => ({
+      summary: `Postgres is down (${context.location})`,
+      probableRootCause: 'The primary database is not accepting connections',
+      fixSteps: ['Check the database status page'],
+      category: 'database'
+    })
+  });
+  qerrors.addAdviceRule({ name: 'never', match: () => true, advice: () => null });
+
+  const postgres = ruleBasedAdvice(new Error('connect ECONNREFUSED 127.0.0.1:5432'), { location: 'orders.list' });
+  assert.deepEqual([postgres.summary, postgres.category, postgres.confidence], ['Postgres is down (orders.list)', 'database', 0.6]);
+  assert.equal(ruleOf(new Error('connect ECONNREFUSED 127.0.0.1:6379')), 'connection-refused');
+
+  assert.equal(remove(), true);
+  assert.equal(qerrors.removeAdviceRule('pg-pool'), false);
+  assert.equal(ruleOf(new Error('connect ECONNREFUSED 127.0.0.1:5432')), 'connection-refused');
+
+  // Rules producing invalid advice are skipped with a warning
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (message) => warnings.push(message);
+  try {
+    qerrors.addAdviceRule({ name: 'broken', match: { status: 503 }, advice: { summary: 'Down', probableRootCause: 'Down', fixSteps: [], category: 'outage' } });
+    assert.equal(ruleOf(systemError('Service unavailable', { status: 503 })), 'generic');
+  } finally {
+    console.warn = warn;
+  }
+  assert.match(warnings[0], /advice rule "broken" produced invalid advice/);
+});
+
+test('without an API key qerrors serves uncached rule-based advice', async () => {
+  const fail = () => qerrors(systemError('ENOENT: no such file or directory, open \'/srv/app/config.json\'', { code: 'ENOENT', path: '/srv/app/config.json' }), 'config.load');
+
+  const record = await fail();
+  const advice = await record.adviceReady;
+  assert.equal(advice.summary, 'File or directory not found: /srv/app/config.json');
+  assert.deepEqual([advice.analyzedBy.rule, advice.analyzedBy.reason], ['file-not-found', 'no_api_key']);
+
+  const again = await fail();
+  assert.equal(again.cached, undefined);
+  assert.equal((await again.adviceReady).analyzedBy.reason, 'no_api_key');
+});
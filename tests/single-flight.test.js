@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-gemini-key';
+process.env.QERRORS_ANALYSIS_COOLDOWN_MS = '150';
+
+const qerrors = require('../index.js');
+const { getAIModelManager } = require('../lib/aiModelManager');
+const { analyzeError } = require('../lib/qerrorsAnalysis');
+const { ScalableErrorHandler } = require('../lib/scalabilityFixes');
+const { adviceReply, fakeModel, useFakeModel, delay } = require('./helpers/fakeModel');
+
+const ADVICE = adviceReply({
+  summary: 'The session store is unreachable',
+  probableRootCause: 'Redis refused connections during failover',
+  fixSteps: ['Retry session reads with backoff']
+});
+
+/**
+ * Slow fake model counting its calls; replies are taken from `replies` in turn
+ */
+const useModel = (replies) => {
+  getAIModelManager().maxAdviceRepairs = 0;
+  const model = fakeModel(replies, { delayMs: 30 });
+  useFakeModel(model);
+  return model.calls;
+};
+
+test('concurrent occurrences of one issue join the handler\'s pending analysis', async () => {
+  const calls = useModel([ADVICE]);
+  const handler = new ScalableErrorHandler();
+  const records = await Promise.all(Array.from({ length: 5 }, () => handler.handleError(new Error('Session store unreachable'), { location: 'sessions.read' })));
+  const pending = handler.pendingAdvice(records[0].issueId);
+  assert.ok(pending);
+
+  const results = await Promise.all(records.map(record => record.adviceReady));
+  handler.shutdown();
+  assert.equal(calls.length, 1);
+  assert.ok(results.every(advice => advice === results[0]));
+  assert.equal(await pending, results[0]);
+  assert.equal(results[0].summary, 'The session store is unreachable');
+});
+
+test('a failed analysis cools the issue down, with rule-based advice meanwhile', async () => {
+  const calls = useModel(['not json', ADVICE]);
+  const fail = () => analyzeError(new Error('Ledger write rejected'), '{"location":"ledger.write"}');
+
+  assert.deepEqual((await fail()).analyzedBy, { provider: 'rules', model: null, skipped: [], rule: 'generic', reason: 'unavailable' });
+  assert.equal((await fail()).analyzedBy.reason, 'cooldown');
+  assert.equal(calls.length, 1);
+
+  await delay(200);
+  assert.equal((await fail()).summary, 'The session store is unreachable');
+  assert.equal(calls.length, 2);
+});
+
+test('a burst of qerrors calls queues one analysis and delivers advice to every record', async () => {
+  const calls = useModel([ADVICE]);
+  const analyzed = [];
+  const off = qerrors.on('analyzed', event => analyzed.push(event.record.id));
+
+  const fail = () => qerrors(new Error('Cache cluster failover in progress'), 'sessions.burst');
+  const records = await Promise.all(Array.from({ length: 20 }, fail));
+  const advice = await Promise.all(records.map(record => record.adviceReady));
+  // Events are delivered asynchronously
+  for (let i = 0; i < 10 && analyzed.length < records.length; i++) await new Promise(setImmediate);
+  off();
+
+  assert.equal(calls.length, 1);
+  assert.ok(advice.every(item => item && item.summary === 'The session store is unreachable'));
+  assert.deepEqual(analyzed.sort(), records.map(record => record.id).sort());
+  assert.equal((await fail()).cached, true);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-gemini-key';
+
+const qerrors = require('../index.js');
+const { getAIModelManager } = require('../lib/aiModelManager');
+const { getSourceContext, attachSourceContext, formatSourceContext } = require('../lib/qerrorsSourceContext');
+
+const prompts = [];
+getAIModelManager().analyzeError = async (prompt) => {
+  prompts.push(prompt);
+  return { advice: 'Check that the order exists before reading its total' };
+};
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'qerrors-source-'));
+const ordersFile = path.join(root, 'orders.js');
+fs.writeFileSync(ordersFile, [
+  '\'use strict\';',
+  'const orders = new Map();',
+  'exports.orderTotal = (id) => {',
+  '  const order = orders.get(id);',
+  '  return order.total;',
+  '};',
+  'const connection = \'postgres://app:password=hunter2@db/orders\';',
+  'exports.connection = connection;'
+].join('\n'));
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const failOrder = () => {
+  try {
+    require(ordersFile).orderTotal(42);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('orderTotal did not throw');
+};
+
+test('the lines around an in-app frame are attached, sanitized and formatted', () => {
+  const [frame] = attachSourceContext(qerrors.parseStack(failOrder().stack));
+
+  assert.equal(frame.file, ordersFile);
+  assert.deepEqual(frame.sourceContext, {
+    pre: ['const orders = new Map();', 'exports.orderTotal = (id) => {', '  const order = orders.get(id);'],
+    line: '  return order.total;',
+    post: ['};', 'const connection = \'postgres://app:[REDACTED]@db/orders\';', 'exports.connection = connection;']
+  });
+  assert.equal(formatSourceContext(frame).split('\n')[3], '* 5 |   return order.total;');
+});
+
+test('library, native and unreadable frames get no source context', () => {
+  const base = { function: 'x', line: 1, column: 1, inApp: true, async: false, native: false, eval: false };
+  assert.equal(getSourceContext({ ...base, file: path.join(root, 'node_modules/lib/index.js') }), null);
+  assert.equal(getSourceContext({ ...base, file: ordersFile, inApp: false }), null);
+  assert.equal(getSourceContext({ ...base, file: null, native: true }), null);
+  assert.equal(getSourceContext({ ...base, file: path.join(root, 'missing.js') }), null);
+  assert.equal(getSourceContext({ ...base, file: ordersFile, line: 500 }), null);
+});
+
+test('error records carry source context and the analysis prompt includes it', async () => {
+  const record = await qerrors(failOrder(), 'orders.total');
+  await record.adviceReady;
+
+  assert.equal(record.frames[0].sourceContext.line, '  return order.total;');
+  const prompt = prompts.find(entry => entry.report.includes('Cannot read properties of undefined (reading \'total\')'));
+  assert.ok(prompt);
+  assert.match(prompt.instructions, /\[source\] holds the failing source lines; \* marks the failing line\./);
+  assert.match(prompt.report, /"source": ".*\* 5 \| +return order\.total;/);
+});
+
+test('HTML error pages show the failing source lines', async () => {
+  const req = { headers: { accept: 'text/html' }, method: 'GET', url: '/orders/42', originalUrl: '/orders/42', path: '/orders/42', ip: '127.0.0.1', get: () => undefined, accepts: (type) => type === 'html' };
+  const res = { headersSent: false, headers: {} };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.set = (key, value) => { res.headers[key] = value; return res; };
+  res.send = (body) => { res.body = body; res.headersSent = true; return res; };
+
+  qerrors.middleware({ includeStack: true })(failOrder(), req, res);
+  for (let i = 0; i < 20 && !res.headersSent; i++) await new Promise(setImmediate);
+
+  assert.match(res.body, /<h3>at .*orders\.js:5:\d+\)<\/h3>/);
+  assert.match(res.body, /\* 5 \| {3}return order\.total;/);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const qerrors = require('../index.js');
+const { fingerprintError } = require('../lib/qerrorsIssues');
+const { getSourceMapStats } = require('../lib/qerrorsSourceMaps');
+
+// Output of `tsc --sourceMap` for src/users.ts:
+//   export function findUser(id: number): never {
+//     throw new Error('User ' + id + ' not found');
+//   }
+const COMPILED = [
+  '"use strict";',
+  'Object.defineProperty(exports, "__esModule", { value: true });',
+  'exports.findUser = findUser;',
+  'function findUser(id) {',
+  '    throw new Error("User " + id + " not found");',
+  '}'
+].join('\n');
+const MAP = {
+  version: 3,
+  file: 'users.js',
+  sourceRoot: '',
+  sources: ['../src/users.ts'],
+  names: [],
+  mappings: ';;AAAA,4BAEC;AAFD,SAAgB,QAAQ,CAAC,EAAU;IACjC,MAAM,IAAI,KAAK,CAAC,QAAQ,EAAE,YAAY,CAAC,CAAC;AAC1C,CAAC'
+};
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'qerrors-maps-'));
+const writeModule = (relativePath, trailer, map) => {
+  const file = path.join(root, relativePath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, trailer ? `${COMPILED}\n${trailer}` : COMPILED);
+  map && fs.writeFileSync(map.file, JSON.stringify(map.payload));
+  return file;
+};
+const throwFrom = (file, id = 42) => {
+  try {
+    require(file).findUser(id);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('findUser did not throw');
+};
+
+test.after(() => {
+  qerrors.configureSourceMaps({ directory: null });
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('frames are rewritten through the map named by sourceMappingURL', () => {
+  const file = writeModule('dist/users.js', '//# sourceMappingURL=users.js.map', { file: path.join(root, 'dist/users.js.map'), payload: MAP });
+  const [frame] = qerrors.parseStack(throwFrom(file).stack);
+
+  assert.equal(frame.file, path.join(root, 'src/users.ts'));
+  assert.deepEqual([frame.line, frame.column], [2, 9]);
+  assert.deepEqual(frame.generated, { file, line: 5, column: 11 });
+  assert.equal(frame.inApp, true);
+});
+
+test('inline maps and maps in the configured directory are found', () => {
+  const inline = `//# sourceMappingURL=data:application/json;charset=utf-8;base64,${Buffer.from(JSON.stringify(MAP)).toString('base64')}`;
+  const inlineFile = writeModule('inline/users.js', inline);
+  assert.equal(qerrors.parseStack(throwFrom(inlineFile).stack)[0].file, path.join(root, 'src/users.ts'));
+
+  const mapsDir = path.join(root, 'maps');
+  fs.mkdirSync(mapsDir, { recursive: true });
+  const detachedFile = writeModule('detached/users.js', null, {
+    file: path.join(mapsDir, 'users.js.map'),
+    payload: { ...MAP, sources: ['../src/users.ts'] }
+  });
+  assert.equal(qerrors.parseStack(throwFrom(detachedFile).stack)[0].generated, undefined);
+
+  qerrors.configureSourceMaps({ directory: mapsDir });
+  const [frame] = qerrors.parseStack(throwFrom(detachedFile).stack);
+  assert.equal(frame.file, path.join(root, 'src/users.ts'));
+  assert.equal(frame.line, 2);
+});
+
+test('fingerprints use original sources and parsed maps are cached', () => {
+  const file = writeModule('dist/users.js', '//# sourceMappingURL=users.js.map', { file: path.join(root, 'dist/users.js.map'), payload: MAP });
+  const error = throwFrom(file, 7);
+
+  assert.match(qerrors.parseStack(error.stack, { sourceMaps: false })[0].file, /dist[\\/]users\.js$/);
+  const withMap = fingerprintError(error);
+  qerrors.configureSourceMaps({ enabled: false });
+  assert.notEqual(fingerprintError(error), withMap);
+  qerrors.configureSourceMaps({ enabled: true });
+
+  qerrors.parseStack(error.stack);
+  const stats = getSourceMapStats();
+  assert.ok(stats.cached >= 1);
+  assert.ok(stats.cached <= stats.capacity);
+});
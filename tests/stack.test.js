@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const qerrors = require('../index.js');
+const { ScalableErrorHandler } = require('../lib/scalabilityFixes');
+const { EnhancedErrorHandler } = require('../lib/enhancedErrorDebugging');
+const { formatFrame } = require('../lib/qerrorsStack');
+
+const STACK = [
+  'TypeError: Cannot read properties of undefined',
+  '    at loadOrder (/app/src/orders.js:10:5)',
+  '    at async Promise.all (index 0)',
+  '    at async /app/src/routes.js:22:7',
+  '    at inner (eval at compile (/app/src/templates.js:4:22), <anonymous>:1:27)',
+  '    at eval (eval at <anonymous> (file:///app/src/render.mjs:3:11), <anonymous>:3:8)',
+  '    at Array.map (<anonymous>)',
+  '    at Layer.handle (/app/node_modules/express/lib/router/layer.js:95:5)',
+  '    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)',
+  '    at node:internal/main/run_main_module:28:49'
+].join('\n');
+
+test('parseStack turns V8 stack lines into structured frames', () => {
+  const frames = qerrors.parseStack(STACK);
+  assert.equal(frames.length, 9);
+  assert.deepEqual(frames[0], {
+    function: 'loadOrder', file: '/app/src/orders.js', line: 10, column: 5, inApp: true, async: false, native: false, eval: false
+  });
+  assert.deepEqual([frames[1].function, frames[1].native, frames[1].async, frames[1].inApp], ['Promise.all', true, true, false]);
+  assert.deepEqual([frames[2].function, frames[2].file, frames[2].async, frames[2].inApp], [null, '/app/src/routes.js', true, true]);
+  assert.deepEqual([frames[3].file, frames[3].line, frames[3].eval, frames[3].inApp], ['/app/src/templates.js', 4, true, true]);
+  assert.deepEqual([frames[4].file, frames[4].eval], ['/app/src/render.mjs', true]);
+  assert.equal(frames[5].native, true);
+  assert.deepEqual(frames.slice(6).map(frame => frame.inApp), [false, false, false]);
+  assert.equal(frames[8].file, 'node:internal/main/run_main_module');
+  assert.equal(qerrors.parseStack(STACK, { limit: 2 }).length, 2);
+  assert.deepEqual(qerrors.parseStack(undefined), []);
+});
+
+test('frames render back to stack lines', () => {
+  const [first, , , evalFrame, , native] = qerrors.parseStack(STACK);
+  assert.equal(formatFrame(first), 'at loadOrder (/app/src/orders.js:10:5)');
+  assert.equal(formatFrame(first, { lineNumbers: false }), 'at loadOrder (/app/src/orders.js)');
+  assert.equal(formatFrame(evalFrame), 'at inner (eval at /app/src/templates.js:4:22)');
+  assert.equal(formatFrame(native), 'at Array.map (native)');
+});
+
+test('error records carry the parsed frames and render their stack from them', async () => {
+  const handler = new ScalableErrorHandler();
+  const error = new Error('Frame check');
+  error.stack = STACK;
+  const record = await handler.handleError(error, { location: 'stack.test', skipAnalysis: true });
+
+  assert.equal(record.frames.length, 9);
+  assert.equal(record.frames[0].function, 'loadOrder');
+  assert.equal(record.stack.split('\n')[0], 'Error: Frame check');
+  assert.equal(record.stack.split('\n')[1], '    at loadOrder (/app/src/orders.js:10:5)');
+  handler.shutdown();
+});
+
+test('HTML error pages show the parsed frames when includeStack is on', async () => {
+  const req = { headers: { accept: 'text/html' }, method: 'GET', url: '/orders', originalUrl: '/orders', path: '/orders', ip: '127.0.0.1', get: () => undefined, accepts: (type) => type === 'html' };
+  const res = { headersSent: false, headers: {} };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.set = (key, value) => { res.headers[key] = value; return res; };
+  res.send = (body) => { res.body = body; res.headersSent = true; return res; };
+  const error = new Error('Page check');
+  error.stack = STACK;
+
+  qerrors.middleware({ includeStack: true, skipAnalysisFor4xx: true })(Object.assign(error, { status: 404 }), req, res);
+  for (let i = 0; i < 20 && !res.headersSent; i++) await new Promise(setImmediate);
+
+  assert.match(res.body, /<h2>Stack<\/h2>/);
+  assert.match(res.body, /at loadOrder \(\/app\/src\/orders\.js:10:5\)/);
+});
+
+test('EnhancedErrorHandler stack analysis uses the shared parser', () => {
+  const analysis = new EnhancedErrorHandler().analyzeStackTrace(STACK);
+  assert.equal(analysis.fullStack[0].file, '/app/src/orders.js');
+  assert.equal(analysis.fullStack[0].inApp, true);
+  assert.ok(analysis.userCodeOnly.every(frame => frame.inApp));
+});